@@ -91,11 +91,25 @@ Options:
   -o, --output <file>        Save response body to file
       --raw                  Output raw response (no formatting)
       --verbose              Show request/response headers
+  -L, --follow               Follow redirects (301/302/303/307/308)
+      --max-redirects <n>    Redirects to follow before giving up (default: 10)
+      --update-session       Save cookies set by the responses back to the session file
+      --retries <n>          Retry network errors, 429 and 5xx up to n times (default: 0)
+      --retry-delay <ms>     First backoff delay, doubled each retry (default: 500)
+      --max-retry-delay <ms> Longest wait between attempts (default: 30000)
+      --paginate [preset]    Follow the list page after page and print all items
+                             Presets: next_max_id, paging, page_info, link
+                             (default: detect from the first response)
+      --cursor-path <path>   With --paginate: response field holding the next cursor
+      --cursor-param <name>  With --paginate: request param to set it in
+      --items-path <path>    With --paginate: response list to collect (e.g. data.items[])
+      --max-pages <n>        With --paginate: stop after n pages (default: 10)
   -h, --help                 Show this help
 
 The session file is a Playwright storage state JSON (created by peek-api login).
 Cookies are automatically extracted and sent with the request. CSRF tokens
-are detected and added as headers when found.
+are detected and added as headers when found. Set-Cookie headers update the
+cookies sent on later redirects; --update-session writes them back to the file.
 
 Examples:
   # GET an API endpoint using saved session
@@ -115,6 +129,18 @@ Examples:
 
   # Pipe-friendly raw output
   peek-api http https://api.example.com/data -s ./session.json --raw | jq .
+
+  # Follow redirects and keep rotated session cookies
+  peek-api http https://www.instagram.com/api/v1/feed/timeline/ -s ./ig.json --follow --update-session
+
+  # Ride out transient failures and rate limits
+  peek-api http https://www.linkedin.com/voyager/api/me -s ./li.json --retries 3 --verbose
+
+  # Every page of a feed, as one JSON array
+  peek-api http https://www.instagram.com/api/v1/feed/saved/posts/ -s ./ig.json --paginate next_max_id --max-pages 50 --raw > saved.json
+
+  # A custom cursor: read inbox.oldest_cursor, send it back as ?cursor=
+  peek-api http https://www.instagram.com/api/v1/direct_v2/inbox/ -s ./ig.json --paginate --cursor-path inbox.oldest_cursor --cursor-param cursor --items-path inbox.threads[]
 `);
         process.exit(0);
       case '-s':
@@ -149,6 +175,41 @@ Examples:
       case '--verbose':
         httpOptions.verbose = true;
         break;
+      case '-L':
+      case '--follow':
+        httpOptions.follow = true;
+        break;
+      case '--max-redirects':
+        httpOptions.maxRedirects = Number(args[++i]);
+        break;
+      case '--update-session':
+        httpOptions.updateSession = true;
+        break;
+      case '--retries':
+        httpOptions.retries = Number(args[++i]);
+        break;
+      case '--retry-delay':
+        httpOptions.retryDelay = Number(args[++i]);
+        break;
+      case '--max-retry-delay':
+        httpOptions.maxRetryDelay = Number(args[++i]);
+        break;
+      case '--paginate':
+        // The preset is optional: a bare word after --paginate, not the URL
+        httpOptions.paginate = args[i + 1] && /^[a-z_]+$/i.test(args[i + 1]) ? args[++i] : true;
+        break;
+      case '--cursor-path':
+        httpOptions.cursorPath = args[++i];
+        break;
+      case '--cursor-param':
+        httpOptions.cursorParam = args[++i];
+        break;
+      case '--items-path':
+        httpOptions.itemsPath = args[++i];
+        break;
+      case '--max-pages':
+        httpOptions.maxPages = Number(args[++i]);
+        break;
       default:
         if (!args[i].startsWith('-')) {
           httpOptions.url = args[i];
@@ -174,6 +235,620 @@ Examples:
     console.error(`\nError: ${err.message}`);
     process.exit(1);
   }
+} else if (subcommand === 'batch') {
+  // Run many HTTP requests from a JSONL file with the same session
+  const { batch } = await import('../lib/batch.js');
+
+  const args = process.argv.slice(3);
+  const batchOptions = { headers: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '-h':
+      case '--help':
+        console.log(`
+peek-api batch - Run many API calls from a JSONL file using session cookies
+
+Usage:
+  peek-api batch <file.jsonl> -s <session-file> [options]
+
+Options:
+  -s, --session <file>       Session file with cookies (required)
+  -o, --output <file>        Write results as JSONL to a file (default: stdout)
+  -c, --concurrency <n>      Requests in flight at once (default: 4)
+      --rps <n>              Requests per second per host (default: no limit)
+      --jitter <ms>          Random extra delay before each request, up to ms (default: 0)
+  -H, --header "Key: Val"    Header added to every request (repeatable)
+      --user-agent <string>  Custom user agent
+  -L, --follow               Follow redirects (301/302/303/307/308)
+      --max-redirects <n>    Redirects to follow before giving up (default: 10)
+      --update-session       Save cookies set by the responses back to the session file
+      --retries <n>          Retry network errors, 429 and 5xx up to n times (default: 0)
+      --retry-delay <ms>     First backoff delay, doubled each retry (default: 500)
+      --max-retry-delay <ms> Longest wait between attempts (default: 30000)
+  -q, --quiet                Don't print a line per request
+  -h, --help                 Show this help
+
+Each line of the file is a JSON request:
+  {"id": "me", "url": "https://api.example.com/v1/me"}
+  {"method": "POST", "url": "https://api.example.com/v1/items", "headers": {"X-Trace": "1"}, "body": {"name": "x"}}
+
+or a URL template with the values to fill in, one request per value:
+  {"url": "https://api.example.com/v1/users/{id}", "vars": [1, 2, 3]}
+  {"url": "https://api.example.com/v1/search?q={q}&type={type}", "vars": [{"q": "coffee", "type": "people"}]}
+
+Each result line has the request id, method, url, status, ok, ms, size and
+body (parsed when JSON), or an error when the request failed.
+
+Examples:
+  # Fetch 300 profiles, 2 at a time, at most 1 request per second
+  peek-api batch profiles.jsonl -s ./ig.json -c 2 --rps 1 --jitter 500 -o profiles-results.jsonl
+
+  # Pipe the results
+  peek-api batch ids.jsonl -s ./session.json -q | jq -c 'select(.ok | not)'
+`);
+        process.exit(0);
+      case '-s':
+      case '--session':
+        batchOptions.session = args[++i];
+        break;
+      case '-o':
+      case '--output':
+        batchOptions.output = args[++i];
+        break;
+      case '-c':
+      case '--concurrency':
+        batchOptions.concurrency = Number(args[++i]);
+        break;
+      case '--rps':
+        batchOptions.rps = Number(args[++i]);
+        break;
+      case '--jitter':
+        batchOptions.jitter = Number(args[++i]);
+        break;
+      case '-H':
+      case '--header':
+        batchOptions.headers.push(args[++i]);
+        break;
+      case '--user-agent':
+        batchOptions.userAgent = args[++i];
+        break;
+      case '-L':
+      case '--follow':
+        batchOptions.follow = true;
+        break;
+      case '--max-redirects':
+        batchOptions.maxRedirects = Number(args[++i]);
+        break;
+      case '--update-session':
+        batchOptions.updateSession = true;
+        break;
+      case '--retries':
+        batchOptions.retries = Number(args[++i]);
+        break;
+      case '--retry-delay':
+        batchOptions.retryDelay = Number(args[++i]);
+        break;
+      case '--max-retry-delay':
+        batchOptions.maxRetryDelay = Number(args[++i]);
+        break;
+      case '-q':
+      case '--quiet':
+        batchOptions.quiet = true;
+        break;
+      default:
+        if (!args[i].startsWith('-')) {
+          batchOptions.file = args[i];
+        }
+        break;
+    }
+  }
+
+  if (!batchOptions.file) {
+    console.error('\nError: Batch file is required. Usage: peek-api batch <file.jsonl> -s <session-file>\n');
+    process.exit(1);
+  }
+
+  if (!batchOptions.session) {
+    console.error('\nError: Session file is required. Usage: peek-api batch <file.jsonl> -s <session-file>\n');
+    console.error('Create a session with: peek-api login <url>\n');
+    process.exit(1);
+  }
+
+  try {
+    await batch(batchOptions);
+  } catch (err) {
+    console.error(`\nError: ${err.message}`);
+    process.exit(1);
+  }
+} else if (subcommand === 'import-har') {
+  // Build a capture report from an existing HAR file
+  const { importHar } = await import('../lib/har.js');
+
+  const args = process.argv.slice(3);
+  const importOptions = {};
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '-h':
+      case '--help':
+        console.log(`
+peek-api import-har - Build an endpoint catalog from a HAR file
+
+Usage:
+  peek-api import-har <file.har> [options]
+
+Options:
+  -o, --output <dir>          Output directory (default: ./peek-api-{domain})
+      --max-body-size <bytes> Max response body stored per endpoint (default: 102400, 0 = none)
+      --openapi-format <fmt>  OpenAPI spec format: yaml or json (default: yaml)
+      --filters <file>        Filter rules file (JSON/YAML), same format as capture
+      --verbose               Show each endpoint as it is cataloged
+  -h, --help                  Show this help
+
+Works with HAR files exported from Chrome/Firefox DevTools, Charles, mitmproxy
+and other tools. Entries go through the same API filtering, auth extraction and
+report generation as browser capture.
+
+Examples:
+  peek-api import-har ./linkedin.har
+  peek-api import-har ./session.har -o ./peek-api-app
+`);
+        process.exit(0);
+      case '-o':
+      case '--output':
+        importOptions.outputDir = args[++i];
+        break;
+      case '--max-body-size':
+        importOptions.maxBodySize = args[++i];
+        break;
+      case '--openapi-format':
+        importOptions.openapiFormat = args[++i];
+        break;
+      case '--filters':
+        importOptions.filtersFile = args[++i];
+        break;
+      case '--verbose':
+        importOptions.verbose = true;
+        break;
+      default:
+        if (!args[i].startsWith('-')) {
+          importOptions.file = args[i];
+        }
+        break;
+    }
+  }
+
+  if (!importOptions.file) {
+    console.error('\nError: HAR file is required. Usage: peek-api import-har <file.har>\n');
+    process.exit(1);
+  }
+
+  try {
+    const { loadFilterConfig } = await import('../lib/filters.js');
+    const { parseOpenapiFormat } = await import('../lib/openapi.js');
+    const { parseMaxBodySize } = await import('../lib/catalog.js');
+    const { filtersFile, ...rest } = importOptions;
+    await importHar({
+      ...rest,
+      maxBodySize: parseMaxBodySize(rest.maxBodySize),
+      openapiFormat: parseOpenapiFormat(rest.openapiFormat),
+      filters: filtersFile ? loadFilterConfig(filtersFile) : undefined
+    });
+  } catch (err) {
+    console.error(`\nError: ${err.message}`);
+    process.exit(1);
+  }
+} else if (subcommand === 'proxy') {
+  // Record traffic from non-browser clients through a local intercepting proxy
+  const { proxy } = await import('../lib/proxy.js');
+
+  const args = process.argv.slice(3);
+  const proxyOptions = {};
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '-h':
+      case '--help':
+        console.log(`
+peek-api proxy - Capture API traffic from any client through a local proxy
+
+Usage:
+  peek-api proxy [options]
+
+Options:
+  -p, --port <port>           Port to listen on (default: 8080)
+      --host <host>           Address to listen on (default: 127.0.0.1)
+  -d, --duration <seconds>    Stop after this long (default: run until Ctrl+C)
+  -o, --output <dir>          Output directory (default: ./peek-api-{domain})
+      --ca-dir <dir>          Where the local CA is kept (default: ~/.peek-api/ca)
+      --passthrough <hosts>   Tunnel these hosts without intercepting (comma-separated,
+                              "*.example.com" matches subdomains), e.g. for pinned certs
+      --insecure              Don't verify upstream certificates (self-signed dev servers)
+      --har <file>            Also save the recorded API traffic as a HAR 1.2 file
+      --max-body-size <bytes> Max response body stored per endpoint (default: 102400, 0 = none)
+      --openapi-format <fmt>  OpenAPI spec format: yaml or json (default: yaml)
+      --filters <file>        Filter rules file (JSON/YAML), same format as capture
+      --verbose               Show each endpoint as it is cataloged
+  -h, --help                  Show this help
+
+Point the client's HTTP(S) proxy setting at the proxy and make it trust the CA
+certificate (created on first run, printed at startup). HTTPS is intercepted
+with certificates the CA signs per host. Requests go through the same API
+filtering, auth extraction and report generation as browser capture.
+
+Examples:
+  peek-api proxy
+  peek-api proxy -p 9090 -d 120 -o ./peek-api-desktop-app
+  HTTPS_PROXY=http://127.0.0.1:8080 NODE_EXTRA_CA_CERTS=~/.peek-api/ca/peek-api-ca.pem node app.js
+`);
+        process.exit(0);
+      case '-p':
+      case '--port':
+        proxyOptions.port = Number(args[++i]);
+        break;
+      case '--host':
+        proxyOptions.host = args[++i];
+        break;
+      case '-d':
+      case '--duration':
+        proxyOptions.duration = Number(args[++i]);
+        break;
+      case '-o':
+      case '--output':
+        proxyOptions.outputDir = args[++i];
+        break;
+      case '--ca-dir':
+        proxyOptions.caDir = args[++i];
+        break;
+      case '--passthrough':
+        proxyOptions.passthrough = args[++i].split(',').map(h => h.trim()).filter(Boolean);
+        break;
+      case '--insecure':
+        proxyOptions.insecure = true;
+        break;
+      case '--har':
+        proxyOptions.harFile = args[++i];
+        break;
+      case '--max-body-size':
+        proxyOptions.maxBodySize = args[++i];
+        break;
+      case '--openapi-format':
+        proxyOptions.openapiFormat = args[++i];
+        break;
+      case '--filters':
+        proxyOptions.filtersFile = args[++i];
+        break;
+      case '--verbose':
+        proxyOptions.verbose = true;
+        break;
+    }
+  }
+
+  try {
+    const { loadFilterConfig } = await import('../lib/filters.js');
+    const { parseOpenapiFormat } = await import('../lib/openapi.js');
+    const { parseMaxBodySize } = await import('../lib/catalog.js');
+    const { filtersFile, ...rest } = proxyOptions;
+    await proxy({
+      ...rest,
+      maxBodySize: parseMaxBodySize(rest.maxBodySize),
+      openapiFormat: parseOpenapiFormat(rest.openapiFormat),
+      filters: filtersFile ? loadFilterConfig(filtersFile) : undefined
+    });
+  } catch (err) {
+    console.error(`\nError: ${err.message}`);
+    process.exit(1);
+  }
+} else if (subcommand === 'mock') {
+  // Serve a capture's recorded responses from a local HTTP server
+  const { mock } = await import('../lib/mock.js');
+
+  const args = process.argv.slice(3);
+  const mockOptions = {};
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '-h':
+      case '--help':
+        console.log(`
+peek-api mock - Serve a capture's recorded responses from a local server
+
+Usage:
+  peek-api mock <captureDir> [options]
+
+Options:
+  -p, --port <port>           Port to listen on (default: 8787)
+      --host <host>           Address to listen on (default: 127.0.0.1)
+  -d, --duration <seconds>    Stop after this long (default: run until Ctrl+C)
+      --latency <ms>          Delay every response, fixed (200) or random in a range (100-500)
+      --fallback-status <n>   Status for requests no endpoint matches (default: 404)
+      --log <file>            Append each request to this file as JSON lines
+      --quiet                 Don't print each request
+  -h, --help                  Show this help
+
+Requests are matched by method and path template (/api/users/{id} answers
+/api/users/42); when several endpoints fit, the one whose captured query
+params or GraphQL operation match best wins. The recorded status, content
+type and body are served, or a body shaped like the response schema when the
+body wasn't kept. CORS is allowed for any origin.
+
+Examples:
+  peek-api mock ./peek-api-linkedin.com
+  peek-api mock ./peek-api-app -p 4000 --latency 100-400 --log mock.jsonl
+`);
+        process.exit(0);
+      case '-p':
+      case '--port':
+        mockOptions.port = Number(args[++i]);
+        break;
+      case '--host':
+        mockOptions.host = args[++i];
+        break;
+      case '-d':
+      case '--duration':
+        mockOptions.duration = Number(args[++i]);
+        break;
+      case '--latency':
+        mockOptions.latency = args[++i];
+        break;
+      case '--fallback-status':
+        mockOptions.fallbackStatus = Number(args[++i]);
+        break;
+      case '--log':
+        mockOptions.logFile = args[++i];
+        break;
+      case '--quiet':
+        mockOptions.quiet = true;
+        break;
+      default:
+        if (!args[i].startsWith('-')) {
+          mockOptions.dir = args[i];
+        }
+        break;
+    }
+  }
+
+  if (!mockOptions.dir) {
+    console.error('\nError: Capture directory is required. Usage: peek-api mock <captureDir>\n');
+    process.exit(1);
+  }
+
+  try {
+    await mock(mockOptions);
+  } catch (err) {
+    console.error(`\nError: ${err.message}`);
+    process.exit(1);
+  }
+} else if (subcommand === 'diff') {
+  // Compare two capture directories
+  const { diffCaptures } = await import('../lib/diff.js');
+
+  const args = process.argv.slice(3);
+  const diffOptions = {};
+  const dirs = [];
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '-h':
+      case '--help':
+        console.log(`
+peek-api diff - Compare two captures and write a changelog
+
+Usage:
+  peek-api diff <captureDirA> <captureDirB> [options]
+
+Options:
+  -o, --output <dir>          Where to write CHANGES.md and changes.json (default: captureDirB)
+  -h, --help                  Show this help
+
+Endpoints are matched by method + path template (GraphQL by operation). For
+each endpoint present in both captures, query parameter names, body keys,
+auth headers and response shapes are compared.
+
+Examples:
+  peek-api diff ./peek-api-linkedin.com-week1 ./peek-api-linkedin.com
+  peek-api diff ./old ./new -o ./changes
+`);
+        process.exit(0);
+      case '-o':
+      case '--output':
+        diffOptions.outputDir = args[++i];
+        break;
+      default:
+        if (!args[i].startsWith('-')) {
+          dirs.push(args[i]);
+        }
+        break;
+    }
+  }
+
+  if (dirs.length !== 2) {
+    console.error('\nError: Two capture directories are required. Usage: peek-api diff <captureDirA> <captureDirB>\n');
+    process.exit(1);
+  }
+
+  try {
+    await diffCaptures({ ...diffOptions, dirA: dirs[0], dirB: dirs[1] });
+  } catch (err) {
+    console.error(`\nError: ${err.message}`);
+    process.exit(1);
+  }
+} else if (subcommand === 'redact') {
+  // Write a shareable copy of a capture with secrets replaced
+  const { redactCapture } = await import('../lib/redact.js');
+
+  const args = process.argv.slice(3);
+  const redactOptions = {};
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '-h':
+      case '--help':
+        console.log(`
+peek-api redact - Write a shareable copy of a capture with secrets removed
+
+Usage:
+  peek-api redact <captureDir> [options]
+
+Options:
+  -o, --output <dir>          Output directory (default: {captureDir}-redacted)
+      --mode <mode>           placeholder (redacted-token-1) or hash (stable across captures)
+  -h, --help                  Show this help
+
+Auth headers, cookies and password/token-like fields are replaced, as are JWTs,
+emails, phone numbers and long random tokens found anywhere else. Each secret
+gets one placeholder used everywhere it appears. Screenshots and other binary
+files are not copied.
+
+Examples:
+  peek-api redact ./peek-api-linkedin.com
+  peek-api redact ./peek-api-app --mode hash -o ./app-shareable
+`);
+        process.exit(0);
+      case '-o':
+      case '--output':
+        redactOptions.outputDir = args[++i];
+        break;
+      case '--mode':
+        redactOptions.mode = args[++i];
+        break;
+      default:
+        if (!args[i].startsWith('-')) {
+          redactOptions.dir = args[i];
+        }
+        break;
+    }
+  }
+
+  if (!redactOptions.dir) {
+    console.error('\nError: Capture directory is required. Usage: peek-api redact <captureDir>\n');
+    process.exit(1);
+  }
+
+  try {
+    await redactCapture(redactOptions);
+  } catch (err) {
+    console.error(`\nError: ${err.message}`);
+    process.exit(1);
+  }
+} else if (subcommand === 'export') {
+  // Convert an existing capture to Postman/Insomnia collections
+  const { exportCollections, parseFormats } = await import('../lib/collections.js');
+
+  const args = process.argv.slice(3);
+  const exportOptions = {};
+  let format;
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '-h':
+      case '--help':
+        console.log(`
+peek-api export - Convert a capture to Postman or Insomnia collections
+
+Usage:
+  peek-api export <captureDir> --format <formats> [options]
+
+Options:
+      --format <formats>      postman, insomnia, or both (comma-separated)
+  -o, --output <dir>          Output directory (default: the capture directory)
+  -h, --help                  Show this help
+
+Requests are grouped into folders by base path, as in CAPTURE.md. Auth header
+and cookie values from auth.json become collection (Postman) or environment
+(Insomnia) variables, along with one base URL variable per host.
+
+Examples:
+  peek-api export ./peek-api-linkedin.com --format postman
+  peek-api export ./peek-api-app --format postman,insomnia -o ./collections
+`);
+        process.exit(0);
+      case '-o':
+      case '--output':
+        exportOptions.outputDir = args[++i];
+        break;
+      case '--format':
+        format = args[++i];
+        break;
+      default:
+        if (!args[i].startsWith('-')) {
+          exportOptions.dir = args[i];
+        }
+        break;
+    }
+  }
+
+  if (!exportOptions.dir) {
+    console.error('\nError: Capture directory is required. Usage: peek-api export <captureDir> --format postman\n');
+    process.exit(1);
+  }
+
+  try {
+    await exportCollections({ ...exportOptions, formats: parseFormats(format) });
+  } catch (err) {
+    console.error(`\nError: ${err.message}`);
+    process.exit(1);
+  }
+} else if (subcommand === 'codegen') {
+  // Generate a typed API client from an existing capture
+  const { codegen } = await import('../lib/codegen.js');
+
+  const args = process.argv.slice(3);
+  const codegenOptions = {};
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '-h':
+      case '--help':
+        console.log(`
+peek-api codegen - Generate a typed API client from a capture
+
+Usage:
+  peek-api codegen <captureDir> [options]
+
+Options:
+      --lang <lang>           Client language: ts (default: ts)
+  -o, --output <file>         Output file (default: <captureDir>/client.ts)
+  -h, --help                  Show this help
+
+The client has one method per endpoint, named from the path (getApiUsersById)
+or the GraphQL operation (feed), with parameter, body and response types
+inferred from the captured traffic. Auth is pluggable: sessionFileAuth() loads
+a peek-api session file the way \`peek-api http -s\` does, envAuth() reads the
+captured auth headers from environment variables.
+
+Examples:
+  peek-api codegen ./peek-api-linkedin.com
+  peek-api codegen ./peek-api-app --lang ts -o ./src/app-client.ts
+`);
+        process.exit(0);
+      case '-o':
+      case '--output':
+        codegenOptions.output = args[++i];
+        break;
+      case '--lang':
+        codegenOptions.lang = args[++i];
+        break;
+      default:
+        if (!args[i].startsWith('-')) {
+          codegenOptions.dir = args[i];
+        }
+        break;
+    }
+  }
+
+  if (!codegenOptions.dir) {
+    console.error('\nError: Capture directory is required. Usage: peek-api codegen <captureDir> --lang ts\n');
+    process.exit(1);
+  }
+
+  try {
+    await codegen(codegenOptions);
+  } catch (err) {
+    console.error(`\nError: ${err.message}`);
+    process.exit(1);
+  }
 } else {
   // Main capture command
   const { parseArgs } = await import('node:util');
@@ -192,6 +867,27 @@ Examples:
       version: { type: 'boolean', short: 'v' },
       cdp: { type: 'string' },
       pages: { type: 'string', short: 'p' },
+      'max-body-size': { type: 'string', default: '102400' },
+      'openapi-format': { type: 'string', default: 'yaml' },
+      format: { type: 'string' },
+      har: { type: 'string' },
+      'all-tabs': { type: 'boolean', default: false },
+      flow: { type: 'string' },
+      crawl: { type: 'boolean', default: false },
+      'max-depth': { type: 'string', default: '2' },
+      'max-pages': { type: 'string', default: '20' },
+      'crawl-hosts': { type: 'string' },
+      filters: { type: 'string' },
+      'allow-hosts': { type: 'string' },
+      'deny-hosts': { type: 'string' },
+      'include-path': { type: 'string', multiple: true },
+      'exclude-path': { type: 'string', multiple: true },
+      'resource-types': { type: 'string' },
+      methods: { type: 'string' },
+      'content-types': { type: 'string' },
+      redact: { type: 'boolean', default: false },
+      'redact-mode': { type: 'string', default: 'placeholder' },
+      interactive: { type: 'boolean', short: 'i', default: false },
       verbose: { type: 'boolean', default: false }
     }
   });
@@ -210,26 +906,65 @@ Usage:
   peek-api <url> [options]          Capture API traffic from a URL (browser mode)
   peek-api login <url> [options]    Save a browser session for authenticated access
   peek-api http <url> [options]     Make direct HTTP API calls using session cookies
+  peek-api batch <file.jsonl>       Run many HTTP API calls from a JSONL file
+  peek-api import-har <file>        Build an endpoint catalog from a HAR file
+  peek-api proxy [options]          Capture API traffic from any client through a local proxy
+  peek-api mock <dir>               Serve a capture's recorded responses locally
+  peek-api diff <dirA> <dirB>       Compare two captures and write a changelog
+  peek-api redact <dir>             Write a copy of a capture with secrets removed
+  peek-api export <dir>             Convert a capture to Postman or Insomnia collections
+  peek-api codegen <dir>            Generate a typed TypeScript client from a capture
 
 Commands:
   login                     Open a browser to log in and save your session
   http                      Make direct API calls with session cookies (no browser)
+  batch                     Call an endpoint for many IDs with concurrency and rate limits
+  import-har                Catalog API calls from a HAR recorded elsewhere (no browser)
+  proxy                     Record apps, CLIs and simulators through an HTTPS-intercepting proxy
+  mock                      Replay a capture as a local API server for offline work and CI
+  diff                      Show endpoints added, removed and changed between two captures
+  redact                    Replace tokens, cookies and PII in a capture so it can be shared
+  export                    Write Postman/Insomnia collections from an existing capture
+  codegen                   Generate a typed API client from an existing capture
   (default)                 Capture API traffic from a URL using a browser
 
 Capture Options:
   -d, --duration <seconds>    Capture duration per page (default: 30)
+  -i, --interactive           Browse by hand with a live endpoint table; press q to stop
   -s, --session <file>        Playwright session/storage state JSON file
       --stealth               Use stealth mode to avoid bot detection
       --headless              Run headless (default: true, use --no-headless for visible)
       --cdp <endpoint>        Connect to existing Chrome via CDP (ws://host:port/...)
+      --all-tabs              With --cdp, record your open tabs instead of opening a new one
   -p, --pages <urls>          Additional pages to visit (comma-separated paths)
+      --flow <file>           Run scripted steps (JSON/YAML) instead of scrolling
+      --crawl                 Follow same-origin links breadth-first from the URL
+      --max-depth <n>         Crawl link depth (default: 2)
+      --max-pages <n>         Crawl page limit (default: 20)
+      --crawl-hosts <hosts>   Hosts the crawl may visit (comma-separated, *.example.com ok)
       --scroll-interval <ms>  Auto-scroll interval in ms (default: 3000)
       --user-agent <string>   Custom user agent string
+      --max-body-size <bytes> Max response body stored per endpoint (default: 102400, 0 = none)
+      --openapi-format <fmt>  OpenAPI spec format: yaml or json (default: yaml)
+      --format <formats>      Also write postman and/or insomnia collections (comma-separated)
+      --har <file>            Also write the filtered API traffic as a HAR 1.2 file
+      --redact                Replace tokens, cookies, passwords and PII with placeholders
+      --redact-mode <mode>    placeholder (redacted-token-1) or hash (stable across captures)
   -o, --output <dir>          Output directory (default: ./peek-api-{domain})
       --verbose               Show all captured requests in real-time
   -h, --help                  Show this help
   -v, --version               Show version
 
+Filter Options (override the matching key of --filters or the built-in defaults):
+      --filters <file>        Filter rules file (JSON/YAML)
+      --allow-hosts <hosts>   Only capture these hosts (comma-separated, *.example.com ok)
+      --deny-hosts <hosts>    Never capture these hosts
+      --include-path <regex>  Also capture paths matching this regex (repeatable)
+      --exclude-path <regex>  Drop paths matching this regex (repeatable)
+      --resource-types <list> Resource types treated as API calls (default: xhr,fetch,websocket,eventsource)
+      --methods <list>        Only capture these methods (e.g. GET,POST)
+      --content-types <list>  Only keep responses whose content type matches (e.g. json,protobuf)
+
 Getting Started:
   # 1. Save a login session (opens a browser window)
   peek-api login https://linkedin.com/login --stealth
@@ -250,16 +985,53 @@ Examples:
   # Connect to running Chrome
   peek-api https://app.example.com --cdp ws://localhost:9222/devtools/browser/abc123
 
+  # Record whatever you do in your already-open Chrome tabs for 2 minutes
+  peek-api https://app.example.com --cdp ws://localhost:9222/devtools/browser/abc123 --all-tabs -d 120
+
   # Capture multiple pages
   peek-api https://linkedin.com/feed -p /messaging/,/notifications/ --stealth -s ./session.json
+
+  # Crawl up to 30 pages, 10 seconds each
+  peek-api https://app.example.com --crawl --max-pages 30 -d 10 -s ./session.json
+
+  # Capture an API served from /v2/ on document requests, without first-party telemetry
+  peek-api https://app.example.com --include-path '^/v2/' --deny-hosts telemetry.example.com
+
+  # Replay a scripted search flow
+  peek-api https://app.example.com --flow ./search-flow.yaml -s ./session.json
+
+  # Also write a Postman collection for QA
+  peek-api https://app.example.com -s ./session.json --format postman
+
+  # Explore by hand until you press q, marking checkpoints as you go
+  peek-api https://app.example.com --interactive -s ./session.json
 `);
     process.exit(0);
   }
 
   const url = positionals[0];
   const additionalPages = values.pages ? values.pages.split(',').map(p => p.trim()) : [];
+  const list = (value) => value ? value.split(',').map(v => v.trim()).filter(Boolean) : undefined;
 
   try {
+    const { loadFilterConfig } = await import('../lib/filters.js');
+    const { parseFormats } = await import('../lib/collections.js');
+    const { parseOpenapiFormat } = await import('../lib/openapi.js');
+    const { parseMaxBodySize } = await import('../lib/catalog.js');
+    const filterFlags = {
+      allowHosts: list(values['allow-hosts']),
+      denyHosts: list(values['deny-hosts']),
+      includePaths: values['include-path'],
+      excludePaths: values['exclude-path'],
+      resourceTypes: list(values['resource-types']),
+      methods: list(values.methods),
+      contentTypes: list(values['content-types'])
+    };
+    const filters = {
+      ...(values.filters ? loadFilterConfig(values.filters) : {}),
+      ...Object.fromEntries(Object.entries(filterFlags).filter(([, value]) => value !== undefined))
+    };
+
     await capture({
       url,
       duration: parseInt(values.duration, 10),
@@ -271,6 +1043,20 @@ Examples:
       scrollInterval: parseInt(values['scroll-interval'], 10),
       userAgent: values['user-agent'],
       outputDir: values.output,
+      maxBodySize: parseMaxBodySize(values['max-body-size']),
+      openapiFormat: parseOpenapiFormat(values['openapi-format']),
+      formats: parseFormats(values.format),
+      harFile: values.har,
+      allTabs: values['all-tabs'],
+      flowFile: values.flow,
+      crawl: values.crawl,
+      maxDepth: parseInt(values['max-depth'], 10),
+      maxPages: parseInt(values['max-pages'], 10),
+      crawlHosts: values['crawl-hosts'] ? values['crawl-hosts'].split(',').map(h => h.trim()) : [],
+      filters,
+      redact: values.redact,
+      redactMode: values['redact-mode'],
+      interactive: values.interactive,
       verbose: values.verbose
     });
   } catch (err) {
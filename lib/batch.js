@@ -0,0 +1,293 @@
+// Batch runner: many requests against the same session, read from a JSONL
+// file. Each line is one request, or a URL template plus a list of values
+// to fill it with. Requests run a few at a time, spaced out per host, and
+// each result is written as a JSONL line as soon as it comes back.
+
+import fs from 'node:fs';
+import { loadSession, saveSession, parseCustomHeaders, sessionRequest, sessionWarnings, validateRetryOptions, describeRetry } from './http.js';
+import { RETRY_DEFAULTS } from './retry.js';
+
+const DEFAULT_CONCURRENCY = 4;
+
+// {name} in a URL, header or body
+const PLACEHOLDER = /\{([A-Za-z_]\w*)\}/g;
+
+function fill(template, values, encode) {
+  return template.replace(PLACEHOLDER, (whole, name) => (Object.hasOwn(values, name) ? encode(String(values[name])) : whole));
+}
+
+// A value placed inside a JSON string
+function jsonEscape(value) {
+  return JSON.stringify(value).slice(1, -1);
+}
+
+function specHeaders(headers, where) {
+  if (headers === undefined || headers === null) return {};
+  if (Array.isArray(headers)) return parseCustomHeaders(headers.map(String));
+  if (typeof headers === 'object') return Object.fromEntries(Object.entries(headers).map(([key, value]) => [key, String(value)]));
+  throw new Error(`${where}: "headers" must be an object or a list of "Key: Value" strings`);
+}
+
+// One line of the batch file as the requests it stands for
+function expandSpec(spec, where, lineNumber) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`${where}: each line must be a JSON object`);
+  }
+  if (typeof spec.url !== 'string' || !spec.url) {
+    throw new Error(`${where}: "url" is required`);
+  }
+
+  const method = String(spec.method || 'GET').toUpperCase();
+  const headers = specHeaders(spec.headers, where);
+  // Bodies given as JSON are sent as JSON
+  const jsonBody = spec.body !== undefined && spec.body !== null && typeof spec.body !== 'string';
+  const body = spec.body === undefined || spec.body === null ? null : jsonBody ? JSON.stringify(spec.body) : spec.body;
+  const names = [...new Set([...spec.url.matchAll(PLACEHOLDER)].map(match => match[1]))];
+
+  let varList = [null];
+  if (spec.vars !== undefined) {
+    if (!Array.isArray(spec.vars)) throw new Error(`${where}: "vars" must be a list`);
+    // Plain values fill the URL's only placeholder
+    varList = spec.vars.map((vars) => {
+      if (vars && typeof vars === 'object' && !Array.isArray(vars)) return vars;
+      if (names.length !== 1) {
+        throw new Error(`${where}: plain "vars" values need exactly one {placeholder} in the url (found ${names.length})`);
+      }
+      return { [names[0]]: vars };
+    });
+  }
+
+  return varList.map((vars, index) => {
+    const values = vars || {};
+    const missing = names.find(name => !Object.hasOwn(values, name));
+    if (missing) {
+      throw new Error(`${where}: no value for {${missing}} in the url${vars ? ` (vars ${index + 1})` : ''}`);
+    }
+
+    let url;
+    try {
+      url = new URL(fill(spec.url, values, encodeURIComponent));
+    } catch {
+      throw new Error(`${where}: invalid url "${spec.url}"`);
+    }
+
+    const base = spec.id !== undefined ? String(spec.id) : String(lineNumber);
+    return {
+      id: vars ? `${base}.${index + 1}` : base,
+      method,
+      url,
+      customHeaders: Object.fromEntries(Object.entries(headers).map(([key, value]) => [key, fill(value, values, String)])),
+      body: body === null ? null : fill(body, values, jsonBody ? jsonEscape : String),
+      ...(vars ? { vars } : {})
+    };
+  });
+}
+
+// Every request in a batch file, templates expanded. Blank lines are skipped.
+export function parseBatchFile(text, source = 'batch file') {
+  const requests = [];
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    let spec;
+    try {
+      spec = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${source}:${i + 1}: invalid JSON (${err.message})`);
+    }
+    requests.push(...expandSpec(spec, `${source}:${i + 1}`, i + 1));
+  }
+  return requests;
+}
+
+// How long to wait before starting a request to a host: request starts are
+// spaced 1/rps seconds apart per host, plus up to `jitter` ms at random
+export function createRateLimiter({ rps = 0, jitter = 0, now = () => Date.now(), random = Math.random } = {}) {
+  const nextStart = new Map();
+
+  return function delayFor(host) {
+    const time = now();
+    let start = time;
+    if (rps > 0) {
+      start = Math.max(time, nextStart.get(host) || 0);
+      nextStart.set(host, start + 1000 / rps);
+    }
+    return Math.round(start - time) + Math.floor(random() * (jitter + 1));
+  };
+}
+
+function responseBody(response) {
+  const contentType = response.headers['content-type'] || '';
+  if (contentType.includes('json')) {
+    try {
+      return JSON.parse(response.body);
+    } catch {
+      // Not really JSON; keep the text
+    }
+  }
+  return response.body;
+}
+
+// Run the requests with the session jar, at most `concurrency` at a time.
+// onResult gets each result line as it completes (not in file order).
+export async function runBatch({ requests, jar, concurrency = DEFAULT_CONCURRENCY, limiter = createRateLimiter(), userAgent, follow = false, maxRedirects, retry, onRetry, onResult }) {
+  let next = 0;
+  let cookiesChanged = 0;
+  const totals = { ok: 0, errors: 0, failed: 0 };
+
+  async function run(request) {
+    const started = Date.now();
+    const result = { id: request.id, method: request.method, url: request.url.href };
+    if (request.vars) result.vars = request.vars;
+    try {
+      const { response, hops, attempts, cookiesChanged: changed } = await sessionRequest(jar, request, {
+        userAgent,
+        follow,
+        maxRedirects,
+        retry,
+        // Retries and redirect hops wait their turn too
+        limiter,
+        onRetry: onRetry ? wait => onRetry(request, wait) : null
+      });
+      cookiesChanged += changed;
+      result.status = response.status;
+      result.ok = response.status >= 200 && response.status < 300;
+      result.ms = Date.now() - started;
+      if (hops.length > 0) result.finalUrl = hops[hops.length - 1].location;
+      if (attempts > hops.length + 1) result.attempts = attempts;
+      result.contentType = response.headers['content-type'] || null;
+      result.size = Buffer.byteLength(response.body);
+      result.body = responseBody(response);
+      totals[result.ok ? 'ok' : 'errors']++;
+    } catch (err) {
+      result.status = null;
+      result.ok = false;
+      result.ms = Date.now() - started;
+      result.error = err.message;
+      totals.failed++;
+    }
+    onResult(result);
+  }
+
+  async function worker() {
+    while (next < requests.length) {
+      await run(requests[next++]);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, requests.length) }, worker));
+  return { ...totals, cookiesChanged };
+}
+
+export async function batch(options) {
+  const {
+    file,
+    session: sessionFile,
+    output,
+    headers: headerStrings = [],
+    userAgent,
+    concurrency = DEFAULT_CONCURRENCY,
+    rps = 0,
+    jitter = 0,
+    follow = false,
+    maxRedirects = 10,
+    updateSession = false,
+    retries = RETRY_DEFAULTS.retries,
+    retryDelay = RETRY_DEFAULTS.retryDelay,
+    maxRetryDelay = RETRY_DEFAULTS.maxRetryDelay,
+    quiet = false
+  } = options;
+
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('--concurrency must be a whole number of 1 or more');
+  }
+  if (!(rps >= 0)) {
+    throw new Error('--rps must be a positive number of requests per second');
+  }
+  if (!Number.isInteger(jitter) || jitter < 0) {
+    throw new Error('--jitter must be a whole number of milliseconds');
+  }
+  if (!Number.isInteger(maxRedirects) || maxRedirects < 0) {
+    throw new Error('--max-redirects must be a whole number (0 or more)');
+  }
+  validateRetryOptions({ retries, retryDelay, maxRetryDelay });
+  if (!fs.existsSync(file)) {
+    throw new Error(`Batch file not found: ${file}`);
+  }
+
+  const requests = parseBatchFile(fs.readFileSync(file, 'utf8'), file);
+  if (requests.length === 0) {
+    throw new Error(`${file} has no requests`);
+  }
+  // -H headers go on every request; a line's own headers win
+  const common = parseCustomHeaders(headerStrings);
+  for (const request of requests) request.customHeaders = { ...common, ...request.customHeaders };
+
+  const { session, jar } = loadSession(sessionFile);
+
+  // Without -o the results go to stdout, so progress goes to stderr
+  const log = output ? console.log : console.error;
+  const write = output ? line => fs.appendFileSync(output, line) : line => process.stdout.write(line);
+  if (output) fs.writeFileSync(output, '');
+
+  log('');
+  log('  peek-api batch');
+  log(`  Requests: ${requests.length} (from ${file})`);
+  log(`  Concurrency: ${concurrency}`);
+  if (rps > 0 || jitter > 0) {
+    log(`  Rate limit: ${rps > 0 ? `${rps}/s per host` : 'none'}${jitter > 0 ? `, up to ${jitter}ms jitter` : ''}`);
+  }
+  if (retries > 0) log(`  Retries: up to ${retries} per request`);
+  log(`  Results: ${output || 'stdout'}`);
+
+  // Hosts none of the session's cookies apply to
+  const warned = new Set();
+  for (const request of requests) {
+    if (warned.has(request.url.host)) continue;
+    warned.add(request.url.host);
+    const { cookies, skipped } = jar.select(request.url);
+    if (cookies.length === 0) {
+      for (const line of sessionWarnings(sessionFile, jar, skipped, request.url)) log(`  ${line}`);
+    }
+  }
+  log('');
+
+  const started = Date.now();
+  let done = 0;
+  const totals = await runBatch({
+    requests,
+    jar,
+    concurrency,
+    limiter: createRateLimiter({ rps, jitter }),
+    userAgent,
+    follow,
+    maxRedirects,
+    retry: { retries, retryDelay, maxRetryDelay },
+    onRetry(request, wait) {
+      if (!quiet) log(`  ${request.method} ${request.url.href}: ${describeRetry(wait, retries)}`);
+    },
+    onResult(result) {
+      done++;
+      write(JSON.stringify(result) + '\n');
+      if (!quiet) {
+        const outcome = result.error ? `failed: ${result.error}` : `${result.status}`;
+        log(`  [${done}/${requests.length}] ${result.method} ${result.url} -> ${outcome} (${result.ms}ms)`);
+      }
+    }
+  });
+
+  const seconds = ((Date.now() - started) / 1000).toFixed(1);
+  log('');
+  log(`  Batch done: ${requests.length} requests in ${seconds}s (${totals.ok} ok, ${totals.errors} error responses, ${totals.failed} failed)`);
+  if (updateSession) {
+    if (totals.cookiesChanged > 0) {
+      saveSession(sessionFile, session, jar.cookies);
+      log(`  Session updated: ${totals.cookiesChanged} cookies changed in ${sessionFile}`);
+    } else {
+      log('  Session unchanged: no new cookies were set');
+    }
+  }
+  log('');
+}
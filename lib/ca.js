@@ -0,0 +1,236 @@
+// Local certificate authority for the recording proxy. Node can't create
+// X.509 certificates itself, so this builds the few it needs (a CA and
+// per-host server certificates, all ECDSA P-256) with a minimal DER encoder.
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import tls from 'node:tls';
+
+export const DEFAULT_CA_DIR = path.join(os.homedir(), '.peek-api', 'ca');
+
+const CA_CERT_FILE = 'peek-api-ca.pem';
+const CA_KEY_FILE = 'peek-api-ca-key.pem';
+
+const DAY = 24 * 60 * 60 * 1000;
+// Browsers reject server certificates valid for more than 398 days
+const SERVER_CERT_DAYS = 365;
+const CA_CERT_DAYS = 10 * 365;
+
+// --- DER encoding ---
+
+function length(n) {
+  if (n < 0x80) return Buffer.from([n]);
+  const bytes = [];
+  for (let rest = n; rest > 0; rest >>= 8) bytes.unshift(rest & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+const tlv = (tag, content) => Buffer.concat([Buffer.from([tag]), length(content.length), content]);
+const sequence = (...items) => tlv(0x30, Buffer.concat(items));
+const set = (...items) => tlv(0x31, Buffer.concat(items));
+const explicit = (n, content) => tlv(0xa0 + n, content);
+const octetString = (content) => tlv(0x04, content);
+const bitString = (content, unusedBits = 0) => tlv(0x03, Buffer.concat([Buffer.from([unusedBits]), content]));
+const utf8String = (text) => tlv(0x0c, Buffer.from(text, 'utf8'));
+const TRUE = Buffer.from([0x01, 0x01, 0xff]);
+
+// Unsigned big-endian bytes -> positive INTEGER
+function integer(bytes) {
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) start++;
+  const trimmed = bytes.subarray(start);
+  return tlv(0x02, trimmed[0] & 0x80 ? Buffer.concat([Buffer.from([0]), trimmed]) : trimmed);
+}
+
+function oid(dotted) {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [40 * first + second];
+  for (const part of rest) {
+    const chunk = [part & 0x7f];
+    for (let n = part >> 7; n > 0; n >>= 7) chunk.unshift((n & 0x7f) | 0x80);
+    bytes.push(...chunk);
+  }
+  return tlv(0x06, Buffer.from(bytes));
+}
+
+// UTCTime until 2049, GeneralizedTime after (RFC 5280 4.1.2.5)
+function time(date) {
+  const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  return date.getUTCFullYear() < 2050
+    ? tlv(0x17, Buffer.from(`${iso.slice(2)}Z`))
+    : tlv(0x18, Buffer.from(`${iso}Z`));
+}
+
+const OIDS = {
+  commonName: '2.5.4.3',
+  organization: '2.5.4.10',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  subjectKeyIdentifier: '2.5.29.14',
+  keyUsage: '2.5.29.15',
+  subjectAltName: '2.5.29.17',
+  basicConstraints: '2.5.29.19',
+  authorityKeyIdentifier: '2.5.29.35',
+  extKeyUsage: '2.5.29.37',
+  serverAuth: '1.3.6.1.5.5.7.3.1'
+};
+
+const name = (commonName) => sequence(
+  set(sequence(oid(OIDS.organization), utf8String('peek-api'))),
+  set(sequence(oid(OIDS.commonName), utf8String(commonName)))
+);
+
+const extension = (id, value, critical = false) => (
+  sequence(oid(id), ...(critical ? [TRUE] : []), octetString(value))
+);
+
+// DNS name or IP address entry for subjectAltName
+function altName(hostname) {
+  if (net.isIPv4(hostname)) return tlv(0x87, Buffer.from(hostname.split('.').map(Number)));
+  if (net.isIPv6(hostname)) {
+    const [head, tail = ''] = hostname.split('::');
+    const groups = (part) => part ? part.split(':') : [];
+    const missing = 8 - groups(head).length - groups(tail).length;
+    const all = [...groups(head), ...Array(hostname.includes('::') ? missing : 0).fill('0'), ...groups(tail)];
+    return tlv(0x87, Buffer.from(all.flatMap(g => [parseInt(g, 16) >> 8, parseInt(g, 16) & 0xff])));
+  }
+  return tlv(0x82, Buffer.from(hostname, 'ascii'));
+}
+
+// Element at offset: tag, and where its content starts and the element ends
+function readTlv(der, offset) {
+  let start = offset + 2;
+  let size = der[offset + 1];
+  if (size & 0x80) {
+    const count = size & 0x7f;
+    size = 0;
+    for (let i = 0; i < count; i++) size = size * 256 + der[offset + 2 + i];
+    start += count;
+  }
+  return { tag: der[offset], offset, start, end: start + size };
+}
+
+// The subject Name of a DER certificate, byte for byte, to use as issuer
+function subjectOf(der) {
+  const tbs = readTlv(der, readTlv(der, 0).start);
+  let field = readTlv(der, tbs.start);
+  // version, serial, signature algorithm, issuer, validity come before subject
+  for (let i = field.tag === 0xa0 ? 5 : 4; i > 0; i--) field = readTlv(der, field.end);
+  return der.subarray(field.offset, field.end);
+}
+
+const keyId = (publicKey) => crypto.createHash('sha1').update(publicKey.export({ type: 'spki', format: 'der' })).digest();
+
+function signCertificate({ subject, issuer, publicKey, signingKey, days, extensions }) {
+  const now = Date.now();
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+
+  const signatureAlgorithm = sequence(oid(OIDS.ecdsaWithSha256));
+  const tbs = sequence(
+    explicit(0, integer(Buffer.from([2]))),
+    integer(serial),
+    signatureAlgorithm,
+    issuer,
+    sequence(time(new Date(now - DAY)), time(new Date(now + days * DAY))),
+    subject,
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, sequence(...extensions))
+  );
+  const signature = crypto.sign('sha256', tbs, signingKey);
+  const der = sequence(tbs, signatureAlgorithm, bitString(signature));
+
+  const base64 = der.toString('base64').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`;
+}
+
+// A new self-signed CA as PEM strings
+export function generateCa(commonName = `peek-api local CA (${os.hostname()})`) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const certPem = signCertificate({
+    subject: name(commonName),
+    issuer: name(commonName),
+    publicKey,
+    signingKey: privateKey,
+    days: CA_CERT_DAYS,
+    extensions: [
+      extension(OIDS.basicConstraints, sequence(TRUE), true),
+      // keyCertSign + cRLSign
+      extension(OIDS.keyUsage, bitString(Buffer.from([0x06]), 1), true),
+      extension(OIDS.subjectKeyIdentifier, octetString(keyId(publicKey)))
+    ]
+  });
+  return { certPem, keyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }) };
+}
+
+// Load the CA from dir, creating it on first use. The certificate is what
+// clients need to trust; the key never leaves the directory.
+export function loadCa(dir = DEFAULT_CA_DIR) {
+  const certFile = path.join(dir, CA_CERT_FILE);
+  const keyFile = path.join(dir, CA_KEY_FILE);
+
+  let created = false;
+  if (!fs.existsSync(certFile) || !fs.existsSync(keyFile)) {
+    const { certPem, keyPem } = generateCa();
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(keyFile, keyPem, { mode: 0o600 });
+    fs.writeFileSync(certFile, certPem);
+    created = true;
+  }
+
+  const certPem = fs.readFileSync(certFile, 'utf8');
+  let cert;
+  try {
+    cert = new crypto.X509Certificate(certPem);
+  } catch (err) {
+    throw new Error(`Could not read CA certificate ${certFile}: ${err.message}`);
+  }
+
+  return {
+    certFile,
+    certPem,
+    cert,
+    key: crypto.createPrivateKey(fs.readFileSync(keyFile, 'utf8')),
+    created
+  };
+}
+
+// Server certificates for intercepted hosts, signed by the CA. One key pair
+// is shared by every host; contexts are cached per hostname.
+export function createIssuer({ cert, key }) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const keyPem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  const issuerName = subjectOf(cert.raw);
+  const caKeyId = keyId(cert.publicKey);
+  const contexts = new Map();
+
+  function issueCertificate(hostname) {
+    return signCertificate({
+      subject: name(hostname),
+      issuer: issuerName,
+      publicKey,
+      signingKey: key,
+      days: SERVER_CERT_DAYS,
+      extensions: [
+        extension(OIDS.basicConstraints, sequence(), true),
+        // digitalSignature
+        extension(OIDS.keyUsage, bitString(Buffer.from([0x80]), 7), true),
+        extension(OIDS.extKeyUsage, sequence(oid(OIDS.serverAuth))),
+        extension(OIDS.subjectAltName, sequence(altName(hostname))),
+        extension(OIDS.subjectKeyIdentifier, octetString(keyId(publicKey))),
+        extension(OIDS.authorityKeyIdentifier, sequence(tlv(0x80, caKeyId)))
+      ]
+    });
+  }
+
+  function secureContext(hostname) {
+    if (!contexts.has(hostname)) {
+      contexts.set(hostname, tls.createSecureContext({ key: keyPem, cert: issueCertificate(hostname) }));
+    }
+    return contexts.get(hostname);
+  }
+
+  return { keyPem, issueCertificate, secureContext };
+}
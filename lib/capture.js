@@ -1,71 +1,19 @@
 import fs from 'node:fs';
-import path from 'node:path';
-
-// Static asset extensions to skip
-const SKIP_EXTENSIONS = /\.(js|css|png|jpg|jpeg|gif|svg|ico|woff|woff2|ttf|eot|map|webp|avif|mp4|webm|mp3)(\?|$)/i;
-
-// Common tracking/analytics domains to skip
-const SKIP_DOMAINS = /google-analytics|googletagmanager|doubleclick|facebook\.com\/tr|bat\.bing|analytics\.google|hotjar|segment\.io|mixpanel|amplitude|sentry\.io|datadoghq/i;
-
-function isApiRequest(url, resourceType) {
-  if (SKIP_EXTENSIONS.test(url)) return false;
-  if (SKIP_DOMAINS.test(url)) return false;
-  if (resourceType === 'xhr' || resourceType === 'fetch') return true;
-  if (url.includes('/api/') || url.includes('/graphql') || url.includes('/rest/')) return true;
-  return false;
-}
-
-export function dedupEndpoints(endpoints) {
-  const seen = new Map();
-  const result = [];
-
-  for (const endpoint of endpoints) {
-    const url = new URL(endpoint.url);
-    const basePath = url.pathname;
-    const key = `${endpoint.method}:${basePath}`;
-    
-    if (!seen.has(key)) {
-      seen.set(key, true);
-      result.push(endpoint);
-    }
-  }
-
-  return result;
-}
-
-function extractAuth(headers) {
-  const auth = { headers: {}, cookies: {} };
-
-  for (const [key, value] of Object.entries(headers)) {
-    const lk = key.toLowerCase();
-
-    // Standard auth headers
-    if (lk === 'authorization') auth.headers['Authorization'] = value;
-    if (lk === 'x-api-key' || lk === 'apikey') auth.headers[key] = value;
-    if (lk.includes('csrf') || lk.includes('xsrf')) auth.headers[key] = value;
-    if (lk.includes('token') && !lk.includes('content')) auth.headers[key] = value;
-
-    // Common platform-specific headers
-    if (lk.startsWith('x-li-')) auth.headers[key] = value;     // LinkedIn
-    if (lk.startsWith('x-restli')) auth.headers[key] = value;  // LinkedIn REST.li
-    if (lk.startsWith('x-ig-')) auth.headers[key] = value;     // Instagram
-    if (lk.startsWith('x-fb-')) auth.headers[key] = value;     // Facebook
-    if (lk.startsWith('x-tw-')) auth.headers[key] = value;     // Twitter
-
-    // Cookies
-    if (lk === 'cookie') {
-      value.split(';').forEach(c => {
-        const [name, ...rest] = c.trim().split('=');
-        if (name) auth.cookies[name.trim()] = rest.join('=').trim();
-      });
-    }
-  }
-
-  return auth;
-}
+import { createCatalog } from './catalog.js';
+import { createFilter, formatDropped } from './filters.js';
+import { writeReport } from './report.js';
+import { buildHar } from './har.js';
+import { watchRealtime } from './realtime.js';
+import { loadFlow, runFlow } from './flow.js';
+import { createCrawlQueue, collectLinks } from './crawl.js';
+import { createRedactor } from './redact.js';
+import { runInteractive } from './interactive.js';
+import { writeCollections } from './collections.js';
+
+export { dedupEndpoints } from './catalog.js';
 
 async function launchBrowser(options) {
-  const { stealth, headless, cdpEndpoint, sessionFile, userAgent } = options;
+  const { stealth, headless, cdpEndpoint, allTabs, sessionFile, userAgent } = options;
 
   // CDP mode - connect to existing browser
   if (cdpEndpoint) {
@@ -73,8 +21,16 @@ async function launchBrowser(options) {
     console.log(`Connecting to Chrome via CDP: ${cdpEndpoint}`);
     const browser = await chromium.connectOverCDP(cdpEndpoint);
     const context = browser.contexts()[0];
+
+    // --all-tabs records the user's existing tabs instead of opening one
+    if (allTabs) {
+      const contexts = browser.contexts();
+      const page = contexts.flatMap(c => c.pages())[0] || await context.newPage();
+      return { browser, contexts, page, ownsBrowser: false, ownsPage: false };
+    }
+
     const page = await context.newPage();
-    return { browser, context, page, ownsBrowser: false };
+    return { browser, contexts: [context], page, ownsBrowser: false, ownsPage: true };
   }
 
   // Launch new browser
@@ -110,7 +66,56 @@ async function launchBrowser(options) {
   const context = await browser.newContext(contextOptions);
   const page = await context.newPage();
 
-  return { browser, context, page, ownsBrowser: true };
+  return { browser, contexts: [context], page, ownsBrowser: true, ownsPage: true };
+}
+
+// Basic logged-out detection from the page title
+function looksLoggedOut(title) {
+  const lowerTitle = title.toLowerCase();
+  return lowerTitle.includes('login') || lowerTitle.includes('sign in') || lowerTitle.includes('sign up');
+}
+
+// Which tab and frame a request came from. Service worker requests have neither.
+function requestOrigin(request) {
+  try {
+    const frame = request.frame();
+    const page = frame.page();
+    return {
+      pageUrl: page ? page.url() : undefined,
+      frameUrl: frame.parentFrame() ? frame.url() : undefined
+    };
+  } catch {
+    return {};
+  }
+}
+
+async function recordResponse(catalog, { traffic, entries }, response) {
+  const headers = response.headers();
+
+  // Event streams never finish loading; their messages arrive over CDP
+  if ((headers['content-type'] || '').includes('text/event-stream')) {
+    traffic.response = { status: response.status(), statusText: response.statusText(), headers };
+    if (entries.length > 0) {
+      catalog.recordResponse(entries, traffic.response);
+      entries.forEach(entry => catalog.markEventStream(entry));
+    }
+    return;
+  }
+
+  let body;
+  try {
+    body = await response.body();
+  } catch {
+    // Redirects and aborted requests have no body
+  }
+
+  traffic.response = { status: response.status(), statusText: response.statusText(), headers, body };
+  traffic.time = Date.now() - Date.parse(traffic.startedDateTime);
+
+  if (entries.length > 0) {
+    catalog.recordResponse(entries, traffic.response);
+  }
+  catalog.observeResponse(traffic, traffic.response);
 }
 
 export async function capture(options) {
@@ -125,95 +130,153 @@ export async function capture(options) {
     scrollInterval = 3000,
     userAgent,
     outputDir: customOutputDir,
+    maxBodySize = 100 * 1024,
+    openapiFormat = 'yaml',
+    formats = [],
+    harFile,
+    allTabs = false,
+    flowFile,
+    crawl = false,
+    maxDepth = 2,
+    maxPages = 20,
+    crawlHosts = [],
+    filters,
+    redact = false,
+    redactMode = 'placeholder',
+    interactive = false,
     verbose = false
   } = options;
 
+  if (allTabs && !cdpEndpoint) {
+    throw new Error('--all-tabs requires --cdp (it records the tabs of an already-running Chrome)');
+  }
+
+  if (allTabs && flowFile) {
+    throw new Error('--flow drives its own tab and can\'t be combined with --all-tabs');
+  }
+
+  if (crawl && (flowFile || allTabs)) {
+    throw new Error('--crawl can\'t be combined with --flow or --all-tabs');
+  }
+
+  if (interactive && (flowFile || crawl)) {
+    throw new Error('--interactive can\'t be combined with --flow or --crawl');
+  }
+
+  if (interactive && !(process.stdin.isTTY && process.stdout.isTTY)) {
+    throw new Error('--interactive needs a terminal (stdin and stdout must be a TTY)');
+  }
+
+  // Parse the flow before launching anything so typos fail fast
+  const flow = flowFile ? loadFlow(flowFile) : null;
+  if (flow && flow.steps[0].action !== 'goto') {
+    flow.steps.unshift({ action: 'goto', url });
+  }
+
   const parsedUrl = new URL(url);
   const domain = parsedUrl.hostname.replace('www.', '');
   const outputDir = customOutputDir || `peek-api-${domain}`;
 
-  const capturedRequests = [];
-  const seenKeys = new Set();
-  const allAuthHeaders = {};
-  const allCookies = {};
+  const filter = createFilter(filters);
+  const redactor = redact ? createRedactor({ mode: redactMode }) : null;
+  // Per-request logging would scroll the interactive table away
+  const catalog = createCatalog({ maxBodySize, verbose: verbose && !interactive });
+  const capturedRequests = catalog.endpoints;
+  const pendingRequests = new Map();
+  const pendingResponses = new Set();
+  const harRecords = [];
 
   console.log(`\n  peek-api capture`);
   console.log(`  Target: ${url}`);
-  console.log(`  Duration: ${duration}s per page`);
+  console.log(interactive ? `  Duration: until you press q` : `  Duration: ${duration}s per page`);
   console.log(`  Domain: ${domain}`);
   if (sessionFile) console.log(`  Session: ${sessionFile}`);
   if (stealth) console.log(`  Stealth: enabled`);
   if (additionalPages.length > 0) console.log(`  Additional pages: ${additionalPages.join(', ')}`);
+  if (allTabs) console.log(`  Tabs: all existing tabs`);
+  if (flow) console.log(`  Flow: ${flowFile} (${flow.steps.length} steps)`);
+  if (crawl) {
+    const hosts = crawlHosts.length > 0 ? crawlHosts.join(', ') : parsedUrl.origin;
+    console.log(`  Crawl: depth ${maxDepth}, up to ${maxPages} pages on ${hosts}`);
+  }
   console.log('');
 
-  // Launch browser
-  const { browser, context, page, ownsBrowser } = await launchBrowser({
-    stealth, headless, cdpEndpoint, sessionFile, userAgent
+  // Launch browser (interactive mode is for browsing by hand, so it's never headless)
+  const { browser, contexts, page, ownsBrowser, ownsPage } = await launchBrowser({
+    stealth, headless: headless && !interactive, cdpEndpoint, allTabs, sessionFile, userAgent
   });
 
-  // Listen for network requests
-  page.on('request', (request) => {
+  // Flow step, crawled page or interactive checkpoint currently open, so
+  // endpoints can be attributed to it
+  let currentStep;
+  let currentCrawlPage;
+  let currentCheckpoint;
+  let paused = false;
+
+  // Listen for network requests from every page in the context,
+  // including popups, new tabs and iframes
+  const onRequest = (request) => {
+    if (paused) return;
     const reqUrl = request.url();
     const resourceType = request.resourceType();
 
-    if (!isApiRequest(reqUrl, resourceType)) return;
-
-    const method = request.method();
-    const parsed = new URL(reqUrl);
-    const pathname = parsed.pathname;
-    const key = `${method} ${pathname}`;
-
-    if (seenKeys.has(key)) return;
-    seenKeys.add(key);
-
-    const headers = request.headers();
-    const auth = extractAuth(headers);
-
-    Object.assign(allAuthHeaders, auth.headers);
-    if (Object.keys(auth.cookies).length > 0) {
-      Object.assign(allCookies, auth.cookies);
-    }
+    if (!filter.checkRequest({ url: reqUrl, method: request.method(), resourceType })) return;
 
-    const entry = {
-      method,
+    const traffic = {
+      method: request.method(),
       url: reqUrl,
-      path: pathname,
-      host: parsed.hostname,
       resourceType,
-      params: Object.fromEntries(parsed.searchParams),
-      headers: Object.keys(auth.headers).length > 0 ? auth.headers : undefined,
+      headers: request.headers(),
       postData: request.postData() || undefined,
-      timestamp: new Date().toISOString()
+      startedDateTime: new Date().toISOString(),
+      step: currentStep,
+      crawlPage: currentCrawlPage,
+      checkpoint: currentCheckpoint,
+      ...requestOrigin(request)
     };
 
-    // Clean up empty params
-    if (Object.keys(entry.params).length === 0) delete entry.params;
+    // Content-type rules need the response before the request is cataloged
+    if (filter.checksResponses) {
+      pendingRequests.set(request, { traffic, entries: null });
+      return;
+    }
 
-    capturedRequests.push(entry);
+    const entries = catalog.recordRequest(traffic);
+    if (harFile) harRecords.push(traffic);
+    pendingRequests.set(request, { traffic, entries });
+  };
 
-    if (verbose) {
-      console.log(`  [${method}] ${pathname}`);
+  // Record what came back for each captured endpoint
+  const onResponse = (response) => {
+    const pending = pendingRequests.get(response.request());
+    if (!pending) return;
+    pendingRequests.delete(response.request());
+
+    if (pending.entries === null) {
+      const contentType = (response.headers()['content-type'] || '').split(';')[0].trim();
+      if (!filter.checkResponse({ contentType })) return;
+      pending.entries = catalog.recordRequest(pending.traffic);
+      if (harFile) harRecords.push(pending.traffic);
     }
-  });
 
-  // Navigate to main URL
-  console.log(`  Navigating to ${url}`);
-  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
-  const title = await page.title();
-  console.log(`  Page: ${title}`);
+    const done = recordResponse(catalog, pending, response).finally(() => {
+      pendingResponses.delete(done);
+    });
+    pendingResponses.add(done);
+  };
 
-  // Check if logged in (basic detection)
-  if (sessionFile) {
-    const lowerTitle = title.toLowerCase();
-    if (lowerTitle.includes('login') || lowerTitle.includes('sign in') || lowerTitle.includes('sign up')) {
-      console.log(`\n  Warning: Page title suggests you're not logged in.`);
-      console.log(`  Session may be expired. Continuing capture anyway.`);
+  for (const context of contexts) {
+    context.on('request', onRequest);
+    context.on('response', onResponse);
+    context.on('page', (newPage) => {
+      if (verbose) console.log(`  [tab] New page opened`);
+      watchRealtime(newPage, catalog, filter).catch(() => {});
+    });
+    for (const existing of context.pages()) {
+      await watchRealtime(existing, catalog, filter);
     }
   }
 
-  // Capture: scroll and wait
-  console.log(`  Capturing for ${duration}s (scrolling every ${scrollInterval / 1000}s)`);
-
   const captureForDuration = async (durationMs) => {
     const startTime = Date.now();
     let scrollY = 0;
@@ -228,112 +291,214 @@ export async function capture(options) {
     }
   };
 
-  await captureForDuration(duration * 1000);
-
-  // Visit additional pages
-  for (const pagePath of additionalPages) {
-    const pageUrl = pagePath.startsWith('http') ? pagePath : `${parsedUrl.origin}${pagePath}`;
-    console.log(`\n  Navigating to ${pageUrl}`);
-    try {
-      await page.goto(pageUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
-      console.log(`  Page: ${await page.title()}`);
-      await captureForDuration(Math.min(duration, 15) * 1000);
-    } catch (err) {
-      console.log(`  Failed to load: ${err.message}`);
+  const browsePages = async () => {
+    // Navigate to main URL
+    console.log(`  Navigating to ${url}`);
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    const title = await page.title();
+    console.log(`  Page: ${title}`);
+
+    // Check if logged in (basic detection)
+    if (sessionFile && looksLoggedOut(title)) {
+      console.log(`\n  Warning: Page title suggests you're not logged in.`);
+      console.log(`  Session may be expired. Continuing capture anyway.`);
     }
-  }
 
-  // Summary
-  console.log(`\n  Capture complete: ${capturedRequests.length} unique API endpoints`);
+    // Capture: scroll and wait
+    console.log(`  Capturing for ${duration}s (scrolling every ${scrollInterval / 1000}s)`);
 
-  if (capturedRequests.length === 0) {
-    console.log('  No API requests captured. Try --no-headless to browse manually.');
-    if (ownsBrowser) await browser.close();
-    else { await page.close(); await browser.close(); }
-    return;
-  }
+    await captureForDuration(duration * 1000);
 
-  // Group by base path
-  const grouped = {};
-  for (const req of capturedRequests) {
-    const parts = req.path.split('/').filter(Boolean);
-    const basePath = '/' + parts.slice(0, Math.min(parts.length, 3)).join('/');
-    if (!grouped[basePath]) grouped[basePath] = [];
-    grouped[basePath].push(req);
-  }
+    // Visit additional pages
+    for (const pagePath of additionalPages) {
+      const pageUrl = pagePath.startsWith('http') ? pagePath : `${parsedUrl.origin}${pagePath}`;
+      console.log(`\n  Navigating to ${pageUrl}`);
+      try {
+        await page.goto(pageUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
+        console.log(`  Page: ${await page.title()}`);
+        await captureForDuration(Math.min(duration, 15) * 1000);
+      } catch (err) {
+        console.log(`  Failed to load: ${err.message}`);
+      }
+    }
+  };
 
-  // Generate CAPTURE.md
-  const lines = [];
-  lines.push(`# API Capture: ${domain}`);
-  lines.push(`**Date:** ${new Date().toISOString()}`);
-  lines.push(`**URL:** ${url}`);
-  lines.push(`**Duration:** ${duration}s`);
-  lines.push(`**Endpoints Found:** ${capturedRequests.length}`);
-  if (sessionFile) lines.push(`**Authenticated:** Yes`);
-  if (stealth) lines.push(`**Stealth:** Enabled`);
-  lines.push('');
-
-  if (Object.keys(allAuthHeaders).length > 0) {
-    lines.push('## Authentication Headers');
-    lines.push('```json');
-    lines.push(JSON.stringify(allAuthHeaders, null, 2));
-    lines.push('```');
-    lines.push('');
-  }
+  // Breadth-first walk over same-origin links, capturing each page
+  const crawlPages = async () => {
+    const seeds = [url, ...additionalPages.map(p => p.startsWith('http') ? p : `${parsedUrl.origin}${p}`)];
+    const queue = createCrawlQueue({ seeds, maxDepth, maxPages, allowedHosts: crawlHosts });
 
-  if (Object.keys(allCookies).length > 0) {
-    lines.push('## Session Cookies');
-    lines.push(`Found ${Object.keys(allCookies).length} cookies (full values in auth.json)`);
-    lines.push('Key cookies: ' + Object.keys(allCookies).slice(0, 10).join(', '));
-    lines.push('');
-  }
+    for (let next = queue.next(); next; next = queue.next()) {
+      const { url: pageUrl, depth } = next;
+      console.log(`${queue.visited.length > 1 ? '\n' : ''}  [${queue.visited.length}/${maxPages}] depth ${depth}: ${pageUrl}`);
+      currentCrawlPage = pageUrl;
+
+      let title;
+      try {
+        await page.goto(pageUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
+        title = await page.title();
+        console.log(`  Page: ${title}`);
+      } catch (err) {
+        console.log(`  Failed to load: ${err.message}`);
+        continue;
+      }
 
-  lines.push('## Discovered Endpoints');
-  lines.push('');
-
-  for (const [basePath, reqs] of Object.entries(grouped).sort()) {
-    lines.push(`### ${basePath}`);
-    for (const req of reqs) {
-      const paramKeys = req.params ? Object.keys(req.params) : [];
-      const paramStr = paramKeys.length > 0 ? ` ?${paramKeys.join('&')}` : '';
-      lines.push(`- \`${req.method} ${req.path}${paramStr}\``);
-      if (req.postData) {
-        try {
-          const parsed = JSON.parse(req.postData);
-          lines.push(`  - Body keys: ${Object.keys(parsed).join(', ')}`);
-        } catch {
-          lines.push(`  - Body: (form data)`);
-        }
+      // Don't wander into sign-up and password-reset pages from a login wall
+      if (sessionFile && looksLoggedOut(title)) {
+        console.log(`  Warning: Page title suggests you're not logged in. Not following its links.`);
+        await captureForDuration(Math.min(duration, 15) * 1000);
+        continue;
       }
+
+      await captureForDuration((depth === 0 ? duration : Math.min(duration, 15)) * 1000);
+
+      let links;
+      try {
+        links = await collectLinks(page);
+      } catch (err) {
+        // Page navigated away while reading links
+        if (!/context was destroyed|navigat|detached|Target.*closed/i.test(err.message)) throw err;
+        continue;
+      }
+      queue.add(links, depth);
     }
-    lines.push('');
-  }
 
-  // Write output
-  fs.mkdirSync(outputDir, { recursive: true });
+    currentCrawlPage = undefined;
+    return { pages: queue.visited.length, skipped: queue.skipped };
+  };
+
+  let flowResult;
+  let crawlResult;
+  let interactiveResult;
+
+  // Settings shown in CAPTURE.md, from whatever has run so far
+  const reportSettings = () => {
+    const settings = {};
+    if (sessionFile) settings.Authenticated = 'Yes';
+    if (stealth) settings.Stealth = 'Enabled';
+    if (flow) settings.Flow = `${flowFile} (${flowResult.completed}/${flow.steps.length} steps)`;
+    if (flowResult && flowResult.failed) settings['Flow stopped at'] = flowResult.failed;
+    if (filter.droppedTotal > 0) {
+      settings['Filtered out'] = `${filter.droppedTotal} requests (${formatDropped(filter.dropped)})`;
+    }
+    if (crawlResult) {
+      settings.Crawl = `${crawlResult.pages} pages (max depth ${maxDepth}, ${crawlResult.skipped} links skipped)`;
+    }
+    if (redactor) settings.Redacted = redactMode === 'hash' ? 'Yes (hashed)' : 'Yes';
+    return settings;
+  };
 
-  fs.writeFileSync(path.join(outputDir, 'CAPTURE.md'), lines.join('\n'));
+  // Redact before anything is written, so secrets never reach disk.
+  // Interactive snapshots write quietly so the live table stays intact.
+  const writeOutputs = ({ elapsed, quiet = false }) => {
+    let report = { endpoints: capturedRequests, authHeaders: catalog.authHeaders, cookies: catalog.cookies };
+    if (redactor) {
+      report = redactor.redactJson(report);
+      if (!quiet) console.log(`  Redacted ${redactor.count} distinct secrets`);
+    }
 
-  fs.writeFileSync(path.join(outputDir, 'auth.json'), JSON.stringify({
-    domain,
-    captured: new Date().toISOString(),
-    headers: allAuthHeaders,
-    cookies: allCookies
-  }, null, 2));
+    writeReport({
+      outputDir,
+      domain,
+      details: {
+        URL: redactor ? redactor.redactUrl(url) : url,
+        Duration: interactive ? `${Math.round(elapsed / 1000)}s (interactive)` : `${duration}s`
+      },
+      settings: reportSettings(),
+      ...report,
+      openapiFormat,
+      quiet
+    });
+    writeCollections({ outputDir, formats, domain, ...report, quiet });
+
+    if (harFile) {
+      const har = buildHar(harRecords);
+      fs.writeFileSync(harFile, JSON.stringify(redactor ? redactor.redactJson(har) : har, null, 2));
+      if (!quiet) console.log(`    ${harFile.padEnd(15)} HAR 1.2 archive (${harRecords.length} requests)`);
+    }
+  };
 
-  fs.writeFileSync(path.join(outputDir, 'endpoints.json'), JSON.stringify(capturedRequests, null, 2));
+  if (flow) {
+    if (additionalPages.length > 0) console.log(`  Ignoring --pages: add goto steps to the flow instead`);
+    console.log(`  Running flow`);
+    flowResult = await runFlow(page, flow, {
+      origin: parsedUrl.origin,
+      outputDir,
+      onStep: (label) => { currentStep = label; }
+    });
+    if (sessionFile && looksLoggedOut(await page.title())) {
+      console.log(`\n  Warning: Page title suggests you're not logged in.`);
+      console.log(`  Session may be expired.`);
+    }
+    if (redactor && flow.steps.some(step => step.action === 'screenshot')) {
+      console.log(`\n  Warning: --redact doesn't cover flow screenshots. Check them before sharing ${outputDir}/.`);
+    }
+  } else if (crawl) {
+    crawlResult = await crawlPages();
+  } else if (interactive) {
+    if (additionalPages.length > 0) console.log(`  Ignoring --pages: browse to them yourself`);
+    if (!allTabs) {
+      console.log(`  Navigating to ${url}`);
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      const title = await page.title();
+      console.log(`  Page: ${title}`);
+      if (sessionFile && looksLoggedOut(title)) {
+        console.log(`\n  Warning: Page title suggests you're not logged in.`);
+        console.log(`  Session may be expired. Continuing capture anyway.`);
+      }
+    }
 
-  console.log(`\n  Output: ${outputDir}/`);
-  console.log(`    CAPTURE.md      Endpoint report`);
-  console.log(`    auth.json       Auth headers & cookies`);
-  console.log(`    endpoints.json  Full endpoint data`);
-  console.log('');
+    // Closing the browser window ends the session too
+    const closed = new AbortController();
+    browser.on('disconnected', () => closed.abort());
+    const startTime = Date.now();
 
-  // Cleanup
-  if (ownsBrowser) {
-    await browser.close();
+    interactiveResult = await runInteractive({
+      catalog,
+      signal: closed.signal,
+      onPause: (value) => { paused = value; },
+      onCheckpoint: (label) => { currentCheckpoint = label; },
+      onSnapshot: async () => {
+        if (capturedRequests.length === 0) return 'Nothing to snapshot yet';
+        await Promise.allSettled([...pendingResponses]);
+        writeOutputs({ elapsed: Date.now() - startTime, quiet: true });
+        return `Snapshot written to ${outputDir}/ (${capturedRequests.length} endpoints)`;
+      }
+    });
+    if (interactiveResult.checkpoints > 0) console.log(`  Marked ${interactiveResult.checkpoints} checkpoint(s)`);
+  } else if (allTabs) {
+    // Leave the user's tabs alone: no navigation, no scrolling
+    if (additionalPages.length > 0) console.log(`  Ignoring --pages: --all-tabs doesn't navigate`);
+    const tabCount = contexts.reduce((n, c) => n + c.pages().length, 0);
+    console.log(`  Recording ${tabCount} open tab(s) for ${duration}s - browse normally`);
+    await new Promise(r => setTimeout(r, duration * 1000));
   } else {
-    await page.close();
+    await browsePages();
+  }
+
+  // Let in-flight response bodies finish before reporting
+  await Promise.allSettled([...pendingResponses]);
+
+  // Summary
+  console.log(`\n  Capture complete: ${capturedRequests.length} unique API endpoints`);
+  if (filter.droppedTotal > 0) {
+    console.log(`  Filtered out ${filter.droppedTotal} requests (${formatDropped(filter.dropped)})`);
+  }
+  if (flowResult && flowResult.failed) {
+    console.log(`  Flow stopped at ${flowResult.failed}; later steps were skipped.`);
+  }
+
+  if (capturedRequests.length === 0) {
+    console.log('  No API requests captured. Try --no-headless to browse manually.');
+    if (!ownsBrowser && ownsPage) await page.close();
     await browser.close();
+    return;
   }
+
+  writeOutputs({ elapsed: interactiveResult ? interactiveResult.elapsed : 0 });
+  console.log('');
+
+  // Cleanup (only close the tab we opened; in CDP mode this disconnects)
+  if (!ownsBrowser && ownsPage) await page.close();
+  await browser.close();
 }
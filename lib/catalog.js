@@ -0,0 +1,398 @@
+import { inferJsonSchema, mergeSchemas } from './schema.js';
+import { templatePath, addPathExamples } from './paths.js';
+import { parseGraphQL, operationVariables } from './graphql.js';
+import { resolveRules, matchRequest } from './filters.js';
+import { observeFields, bodyFieldValues } from './observations.js';
+import { requestValues, observePage } from './pagination.js';
+
+const DEFAULT_RULES = resolveRules();
+
+// Frames kept per realtime channel, per direction
+const MAX_FRAME_SAMPLES = 10;
+
+export const DEFAULT_MAX_BODY_SIZE = 100 * 1024;
+
+// Largest JSON response parsed for pagination detection
+const MAX_PAGE_BODY = 2 * 1024 * 1024;
+
+// Responses kept per endpoint for requests with different query params
+// (GraphQL: variables), so mock can answer each one the way the site did
+const MAX_RESPONSES = 5;
+
+// Content types whose bodies are worth keeping as text
+const TEXT_CONTENT_TYPES = /json|text|xml|javascript|graphql|x-www-form-urlencoded/i;
+
+// The built-in filter rules; createFilter() in filters.js for custom ones
+export function isApiRequest(url, resourceType) {
+  return matchRequest(DEFAULT_RULES, { url, resourceType }) === null;
+}
+
+// --max-body-size: a whole number of bytes, 0 to keep no bodies
+export function parseMaxBodySize(value) {
+  if (value === undefined || value === null) return DEFAULT_MAX_BODY_SIZE;
+  if (!/^\d+$/.test(String(value).trim())) {
+    throw new Error(`--max-body-size must be a whole number of bytes (0 or more), got "${value}"`);
+  }
+  return Number(value);
+}
+
+export function isTextContentType(contentType) {
+  return !contentType || TEXT_CONTENT_TYPES.test(contentType);
+}
+
+export function dedupEndpoints(endpoints) {
+  const seen = new Map();
+  const result = [];
+
+  for (const endpoint of endpoints) {
+    const url = new URL(endpoint.url);
+    const { template } = templatePath(url.pathname);
+    const operation = endpoint.graphql ? ` ${endpoint.graphql.name}` : '';
+    const key = `${endpoint.method}:${template}${operation}`;
+
+    if (!seen.has(key)) {
+      seen.set(key, true);
+      result.push(endpoint);
+    }
+  }
+
+  return result;
+}
+
+// Query/body fields whose values are secret: passwords, tokens, session
+// ids, and the CSRF form fields Facebook and Instagram post (fb_dtsg, lsd,
+// jazoest). Used by redact, codegen and snippets, and by collections for
+// the headers shared as variables (x-fb-lsd, x-csrf-token).
+const SECRET_FIELD = /passw|secret|token|^auth$|authorization|session|sessid|api[-_]?key|csrf|xsrf|dtsg|(^|[-_])lsd$|^jazoest$|^otp$|credential|signature|^ssn$/i;
+
+export function isSecretField(key) {
+  return SECRET_FIELD.test(key);
+}
+
+// Headers worth carrying over to replay a request (and worth redacting)
+export function isAuthHeader(key) {
+  const lk = key.toLowerCase();
+
+  // Standard auth headers
+  if (lk === 'authorization') return true;
+  if (lk === 'x-api-key' || lk === 'apikey') return true;
+  if (lk.includes('csrf') || lk.includes('xsrf')) return true;
+  if (lk.includes('token') && !lk.includes('content')) return true;
+
+  // Common platform-specific headers
+  if (lk.startsWith('x-li-')) return true;     // LinkedIn
+  if (lk.startsWith('x-restli')) return true;  // LinkedIn REST.li
+  if (lk.startsWith('x-ig-')) return true;     // Instagram
+  if (lk.startsWith('x-fb-')) return true;     // Facebook
+  if (lk.startsWith('x-tw-')) return true;     // Twitter
+  return false;
+}
+
+export function extractAuth(headers) {
+  const auth = { headers: {}, cookies: {} };
+
+  for (const [key, value] of Object.entries(headers)) {
+    const lk = key.toLowerCase();
+
+    if (lk === 'authorization') auth.headers['Authorization'] = value;
+    else if (isAuthHeader(key)) auth.headers[key] = value;
+
+    // Cookies
+    if (lk === 'cookie') {
+      value.split(';').forEach(c => {
+        const [name, ...rest] = c.trim().split('=');
+        if (name) auth.cookies[name.trim()] = rest.join('=').trim();
+      });
+    }
+  }
+
+  return auth;
+}
+
+function addUnique(list = [], value) {
+  return list.includes(value) ? list : [...list, value];
+}
+
+// Collects API traffic into a deduplicated endpoint catalog. Shared by
+// browser capture and HAR import so both produce the same endpoints.json.
+export function createCatalog(options = {}) {
+  const { maxBodySize = DEFAULT_MAX_BODY_SIZE, verbose = false } = options;
+
+  const endpoints = [];
+  const seenKeys = new Map();
+  const authHeaders = {};
+  const cookies = {};
+  // Request -> the entries it matched and the values it sent, until its response arrives
+  const pendingPages = new WeakMap();
+  // Entry -> what its first request sent, and the variants with a kept response
+  const variants = new Map();
+
+  // Returns the new endpoint entries this request created (empty if all were seen before)
+  function recordRequest(request) {
+    const { method, url, resourceType, headers = {}, postData, startedDateTime, pageUrl, frameUrl, step, crawlPage, checkpoint } = request;
+    const parsed = new URL(url);
+    const pathname = parsed.pathname;
+    const { template, params: pathParams } = templatePath(pathname);
+
+    // GraphQL requests are cataloged once per operation rather than per path
+    const operations = parseGraphQL({ method, url: parsed, postData });
+    const targets = operations
+      ? operations.map(graphql => ({ key: `${method} ${template} ${graphql.name}`, graphql }))
+      : [{ key: `${method} ${template}` }];
+
+    const auth = extractAuth(headers);
+    const query = Object.fromEntries(parsed.searchParams);
+    const body = bodyFieldValues(postData);
+    const entries = [];
+    const pages = [];
+
+    // What this request sent, for pagination detection (GraphQL: its variables)
+    const pageValues = (graphql) => graphql
+      ? requestValues({ variables: operationVariables(graphql) })
+      : requestValues({ query, body });
+    // What tells this request's response apart from others to the same endpoint
+    const variantOf = (graphql) => graphql ? { variables: operationVariables(graphql) || {} } : { query };
+
+    // Merge this request's query params and body (GraphQL: variables) into an entry's field stats
+    const observe = (entry, graphql) => {
+      if (Object.keys(query).length > 0) entry.queryParams = observeFields(entry.queryParams, query);
+      if (graphql) {
+        if (entry.graphql !== graphql && graphql.variables) {
+          entry.graphql.variables = mergeSchemas(entry.graphql.variables, graphql.variables);
+        }
+      } else if (body) {
+        entry.bodyCount = (entry.bodyCount || 0) + 1;
+        entry.bodyFields = observeFields(entry.bodyFields, body);
+      }
+    };
+
+    for (const { key, graphql } of targets) {
+      // Same route seen again: count the hit, merge its params and body, and
+      // keep its new path parameter examples and the flow steps, crawled
+      // pages or checkpoints that triggered it
+      if (seenKeys.has(key)) {
+        const existing = seenKeys.get(key);
+        existing.hits++;
+        observe(existing, graphql);
+        if (existing.pathParams) addPathExamples(existing.pathParams, pathParams);
+        if (step) existing.steps = addUnique(existing.steps, step);
+        if (crawlPage) existing.surfacedOn = addUnique(existing.surfacedOn, crawlPage);
+        if (checkpoint) existing.checkpoints = addUnique(existing.checkpoints, checkpoint);
+        for (const cookie of Object.keys(auth.cookies)) existing.cookies = addUnique(existing.cookies, cookie);
+        pages.push({ entry: existing, values: pageValues(graphql), variant: variantOf(graphql) });
+        continue;
+      }
+
+      const entry = {
+        method,
+        url,
+        path: pathname,
+        pathTemplate: template,
+        pathParams: Object.keys(pathParams).length > 0 ? addPathExamples({}, pathParams) : undefined,
+        host: parsed.hostname,
+        resourceType,
+        graphql,
+        params: { ...query },
+        queryParams: undefined,
+        headers: Object.keys(auth.headers).length > 0 ? auth.headers : undefined,
+        cookies: Object.keys(auth.cookies).length > 0 ? Object.keys(auth.cookies) : undefined,
+        postData: postData || undefined,
+        bodyFields: undefined,
+        bodyCount: undefined,
+        pageUrl: pageUrl || undefined,
+        frameUrl: frameUrl || undefined,
+        steps: step ? [step] : undefined,
+        surfacedOn: crawlPage ? [crawlPage] : undefined,
+        checkpoints: checkpoint ? [checkpoint] : undefined,
+        hits: 1,
+        timestamp: startedDateTime || new Date().toISOString()
+      };
+
+      // Clean up empty params
+      if (Object.keys(entry.params).length === 0) delete entry.params;
+      observe(entry, graphql);
+
+      endpoints.push(entry);
+      seenKeys.set(key, entry);
+      entries.push(entry);
+      pages.push({ entry, values: pageValues(graphql), variant: variantOf(graphql) });
+      variants.set(entry, { first: variantOf(graphql), keys: new Set([JSON.stringify(variantOf(graphql))]) });
+
+      if (verbose) {
+        console.log(graphql
+          ? `  [${method}] ${template} (${graphql.type} ${graphql.name})`
+          : `  [${method}] ${template}`);
+      }
+    }
+
+    if (entries.length > 0) {
+      Object.assign(authHeaders, auth.headers);
+      Object.assign(cookies, auth.cookies);
+    }
+    pendingPages.set(request, pages);
+
+    return entries;
+  }
+
+  function responseRecord({ status, headers = {}, body }) {
+    const contentType = (headers['content-type'] || '').split(';')[0].trim();
+
+    const record = {
+      status,
+      contentType: contentType || undefined,
+      size: body ? body.length : 0
+    };
+    if (!body || !isTextContentType(contentType)) return record;
+
+    const text = body.toString('utf8');
+    const schema = inferJsonSchema(text);
+    if (schema) record.schema = schema;
+
+    if (maxBodySize > 0) {
+      if (body.length > maxBodySize) {
+        // Cut before a character that doesn't fit whole, not through it
+        let end = maxBodySize;
+        while (end > 0 && (body[end] & 0xc0) === 0x80) end--;
+        record.body = body.subarray(0, end).toString('utf8');
+        record.truncated = true;
+      } else {
+        record.body = text;
+      }
+    }
+    return record;
+  }
+
+  // Attach a response to the entries created by its request.
+  // Batched GraphQL operations share one response.
+  function recordResponse(entries, response) {
+    const record = responseRecord(response);
+    for (const entry of entries) entry.response = record;
+  }
+
+  // A later request that sent something new keeps its response too, next
+  // to the first one's in entry.responses. Batches share one body, so only
+  // single requests count.
+  function recordVariant(entry, variant, response) {
+    const seen = variants.get(entry);
+    const key = JSON.stringify(variant);
+    if (!seen || !entry.response || seen.keys.has(key) || seen.keys.size >= MAX_RESPONSES) return;
+    seen.keys.add(key);
+    if (!entry.responses) entry.responses = [{ ...seen.first, response: entry.response }];
+    entry.responses.push({ ...variant, response: responseRecord(response) });
+  }
+
+  // Every response, repeats included, goes to pagination detection along
+  // with the request that asked for it (recordRequest's argument)
+  function observeResponse(request, { status, headers = {}, body } = {}) {
+    const pages = pendingPages.get(request);
+    if (!pages) return;
+    pendingPages.delete(request);
+    if (pages.length === 1 && status) recordVariant(pages[0].entry, pages[0].variant, { status, headers, body });
+    if (!(status >= 200 && status < 300)) return;
+
+    let json;
+    const contentType = headers['content-type'] || '';
+    if (body && body.length <= MAX_PAGE_BODY && /json/i.test(contentType)) {
+      try {
+        json = JSON.parse(body.toString('utf8'));
+      } catch {
+        // Not JSON after all
+      }
+    }
+
+    // Batched GraphQL operations get their own element of the response array
+    pages.forEach(({ entry, values }, index) => {
+      const page = pages.length > 1 && Array.isArray(json) ? json[index] : json;
+      observePage(entry, { url: request.url, values, link: headers.link, body: page });
+    });
+  }
+
+  function findEndpoint(method, url) {
+    const { template } = templatePath(new URL(url).pathname);
+    return seenKeys.get(`${method} ${template}`);
+  }
+
+  function ensureRealtime(entry, type) {
+    if (!entry.realtime) {
+      entry.realtime = { type, framesSent: 0, framesReceived: 0, frames: [] };
+    }
+    return entry.realtime;
+  }
+
+  // WebSockets have no HTTP method; they're cataloged as WEBSOCKET <path>
+  function recordWebSocket({ url, startedDateTime }) {
+    const parsed = new URL(url);
+    const { template, params: pathParams } = templatePath(parsed.pathname);
+    const key = `WEBSOCKET ${template}`;
+
+    let entry = seenKeys.get(key);
+    if (entry) {
+      if (entry.pathParams) addPathExamples(entry.pathParams, pathParams);
+    } else {
+      entry = {
+        method: 'WEBSOCKET',
+        url,
+        path: parsed.pathname,
+        pathTemplate: template,
+        pathParams: Object.keys(pathParams).length > 0 ? addPathExamples({}, pathParams) : undefined,
+        host: parsed.hostname,
+        resourceType: 'websocket',
+        params: Object.fromEntries(parsed.searchParams),
+        timestamp: startedDateTime || new Date().toISOString()
+      };
+      if (Object.keys(entry.params).length === 0) delete entry.params;
+
+      endpoints.push(entry);
+      seenKeys.set(key, entry);
+
+      if (verbose) {
+        console.log(`  [WEBSOCKET] ${template}`);
+      }
+    }
+
+    const realtime = ensureRealtime(entry, 'websocket');
+    realtime.connections = (realtime.connections || 0) + 1;
+    return entry;
+  }
+
+  // Auth headers and subprotocols sent with the WebSocket upgrade request
+  function recordHandshake(entry, { headers = {}, protocols = [], protocol }) {
+    const auth = extractAuth(headers);
+    if (Object.keys(auth.headers).length > 0) entry.headers = auth.headers;
+    if (Object.keys(auth.cookies).length > 0) entry.cookies = Object.keys(auth.cookies);
+    Object.assign(authHeaders, auth.headers);
+    Object.assign(cookies, auth.cookies);
+
+    const realtime = ensureRealtime(entry, 'websocket');
+    if (protocols.length > 0) realtime.protocols = protocols;
+    if (protocol) realtime.protocol = protocol;
+  }
+
+  function markEventStream(entry) {
+    ensureRealtime(entry, 'sse');
+  }
+
+  // Count every frame but only keep a sample of each direction
+  function recordFrame(entry, direction, frame) {
+    const realtime = ensureRealtime(entry, entry.method === 'WEBSOCKET' ? 'websocket' : 'sse');
+    const counter = direction === 'sent' ? 'framesSent' : 'framesReceived';
+    realtime[counter]++;
+    if (realtime[counter] <= MAX_FRAME_SAMPLES) {
+      realtime.frames.push({ direction, time: new Date().toISOString(), ...frame });
+    }
+  }
+
+  return {
+    endpoints,
+    authHeaders,
+    cookies,
+    recordRequest,
+    recordResponse,
+    observeResponse,
+    findEndpoint,
+    recordWebSocket,
+    recordHandshake,
+    markEventStream,
+    recordFrame
+  };
+}
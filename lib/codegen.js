@@ -0,0 +1,453 @@
+// Typed client generation from a capture (peek-api codegen). The client is
+// one self-contained TypeScript module: a method per endpoint, types from
+// observed params/bodies/responses, and a pluggable AuthProvider.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadCapture } from './diff.js';
+import { inferJsonSchema, inferSchema } from './schema.js';
+import { envVarName } from './snippets.js';
+import { endpointLabel } from './report.js';
+import { isSecretField } from './catalog.js';
+
+export const LANGS = ['ts'];
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+const pascal = (words) => words.map(w => w[0].toUpperCase() + w.slice(1)).join('');
+
+const propertyKey = (key) => IDENTIFIER.test(key) ? key : JSON.stringify(key);
+
+// GET /api/users/{id}/posts -> getApiUsersByIdPosts; GraphQL operations use their name
+export function methodName(endpoint, used = new Set()) {
+  // Operation names with no letters or digits (e.g. "-") fall back to the path
+  const operationWords = endpoint.graphql && endpoint.graphql.name
+    ? endpoint.graphql.name.split(/[^A-Za-z0-9]+/).filter(Boolean)
+    : [];
+  let base;
+  if (operationWords.length > 0) {
+    const [first, ...rest] = operationWords;
+    base = first[0].toLowerCase() + first.slice(1) + pascal(rest);
+  } else {
+    const words = (endpoint.pathTemplate || endpoint.path).split('/').filter(Boolean).flatMap((segment) => {
+      const param = /^\{(\w+)\}$/.exec(segment);
+      return param ? ['by', param[1]] : segment.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    });
+    base = endpoint.method.toLowerCase() + pascal(words);
+  }
+  if (/^\d/.test(base)) base = `op${base}`;
+
+  let name = base;
+  for (let n = 2; used.has(name); n++) name = `${base}${n}`;
+  used.add(name);
+  return name;
+}
+
+// Inferred JSON Schema -> TypeScript type expression
+export function schemaToTs(schema, indent = '') {
+  if (!schema || !schema.type) return 'unknown';
+
+  const types = [].concat(schema.type).map((type) => {
+    switch (type) {
+      case 'string': return 'string';
+      case 'integer':
+      case 'number': return 'number';
+      case 'boolean': return 'boolean';
+      case 'null': return 'null';
+      case 'array': {
+        const items = schemaToTs(schema.items, indent);
+        return schema.items ? (/^[\w.]+$/.test(items) ? `${items}[]` : `Array<${items}>`) : 'unknown[]';
+      }
+      case 'object': {
+        const entries = Object.entries(schema.properties || {});
+        if (entries.length === 0) return 'Record<string, unknown>';
+        const inner = `${indent}  `;
+        const fields = entries.map(([key, value]) => `${inner}${propertyKey(key)}: ${schemaToTs(value, inner)};`);
+        return `{\n${fields.join('\n')}\n${indent}}`;
+      }
+      default: return 'unknown';
+    }
+  });
+  return [...new Set(types)].join(' | ');
+}
+
+// Query string values are strings on the wire; numbers and booleans are typed as such
+function queryType(example) {
+  if (/^-?\d+(\.\d+)?$/.test(example)) return 'number | string';
+  if (example === 'true' || example === 'false') return 'boolean';
+  return 'string';
+}
+
+// Query params across every captured request, typed from all their examples.
+// As in the OpenAPI export, a param is required once several requests all
+// sent it. Captures without field stats fall back to the first request.
+function queryFields(endpoint) {
+  if (!endpoint.queryParams) {
+    return Object.entries(endpoint.params || {}).map(([key, example]) => ({ name: key, type: queryType(example), optional: true }));
+  }
+  return Object.entries(endpoint.queryParams).map(([key, stats]) => {
+    const types = [...new Set(stats.examples.map(example => queryType(String(example))))];
+    return {
+      name: key,
+      type: types.length === 1 && stats.type !== 'mixed' ? types[0] : 'string',
+      optional: !(endpoint.hits > 1 && stats.seen === endpoint.hits)
+    };
+  });
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+const isForm = (text) => /^[^=&\s]+=[^&\s]*(?:&[^=&\s]+=[^&\s]*)*$/.test(text);
+
+// Captured body fields never baked into generated code
+const withoutSecrets = (fields) => Object.fromEntries(Object.entries(fields).filter(([key]) => !isSecretField(key)));
+
+// Captured GraphQL request minus its variables, to replay with new ones.
+// Batched bodies keep only this operation's entry.
+function graphqlTemplate(endpoint) {
+  let json = endpoint.postData ? parseJson(endpoint.postData) : undefined;
+  if (Array.isArray(json)) {
+    json = json.find(item => item && (item.operationName === endpoint.graphql.name || String(item.query || '').includes(endpoint.graphql.name))) || json[0];
+  }
+  if (json && typeof json === 'object') {
+    const { variables, ...rest } = json;
+    return { kind: 'json', fields: withoutSecrets(rest) };
+  }
+  if (endpoint.postData && isForm(endpoint.postData)) {
+    const { variables, ...rest } = Object.fromEntries(new URLSearchParams(endpoint.postData));
+    return { kind: 'form', fields: withoutSecrets(rest) };
+  }
+  const { variables, ...rest } = endpoint.params || {};
+  return { kind: 'query', fields: withoutSecrets(rest) };
+}
+
+// How a method builds its request: arguments, types and how the body is sent
+function describeEndpoint(endpoint, name) {
+  const description = {
+    typeBase: name[0].toUpperCase() + name.slice(1),
+    pathParams: Object.keys(endpoint.pathParams || {}),
+    query: [],
+    body: null
+  };
+
+  // GraphQL methods take the operation's variables; the rest of the
+  // captured request (query text, persisted hash, doc_id) is replayed as is
+  if (endpoint.graphql) {
+    description.graphql = graphqlTemplate(endpoint);
+    description.variablesType = endpoint.graphql.variables ? schemaToTs(endpoint.graphql.variables) : 'Record<string, unknown>';
+    if (description.graphql.kind !== 'query') {
+      description.query = queryFields(endpoint);
+    }
+    return description;
+  }
+
+  description.query = queryFields(endpoint);
+  if (endpoint.postData) {
+    const schema = inferJsonSchema(endpoint.postData);
+    if (schema) {
+      description.body = { kind: 'json', type: schemaToTs(schema) };
+    } else if (isForm(endpoint.postData)) {
+      const fields = [...new URLSearchParams(endpoint.postData).keys()];
+      description.body = { kind: 'form', type: `{\n${fields.map(f => `  ${propertyKey(f)}?: string;`).join('\n')}\n}` };
+    } else {
+      description.body = { kind: 'text', type: 'string' };
+    }
+  }
+  return description;
+}
+
+function responseType(endpoint) {
+  const response = endpoint.response;
+  if (!response) return 'unknown';
+  if (response.schema) return schemaToTs(response.schema);
+  if (response.body !== undefined && response.contentType && response.contentType.includes('json')) {
+    const value = parseJson(response.body);
+    return value === undefined ? 'unknown' : schemaToTs(inferSchema(value));
+  }
+  return response.contentType && !response.contentType.includes('json') ? 'string' : 'unknown';
+}
+
+const PREAMBLE = `import { readFileSync } from 'node:fs';
+
+/** Supplies auth headers (including Cookie) for each request. */
+export interface AuthProvider {
+  headers(url: URL): Record<string, string> | Promise<Record<string, string>>;
+}
+
+/** Fixed headers, e.g. staticAuth({ Authorization: \`Bearer \${token}\` }). */
+export function staticAuth(headers: Record<string, string>): AuthProvider {
+  return { headers: () => headers };
+}
+
+interface SessionCookie {
+  name: string;
+  value: string;
+  domain?: string;
+  path?: string;
+  expires?: number;
+  secure?: boolean;
+  sameSite?: string;
+}
+
+/**
+ * Loads a peek-api session file (Playwright storage state, as written by
+ * \`peek-api login\`) the way \`peek-api http\` does: each request gets the
+ * cookies whose domain, path, Secure flag and expiry fit its URL, and
+ * csrftoken / JSESSIONID cookies among them become CSRF headers.
+ */
+export function sessionFileAuth(sessionFile: string, extraHeaders: Record<string, string> = {}): AuthProvider {
+  const session = JSON.parse(readFileSync(sessionFile, 'utf8')) as { cookies?: SessionCookie[] };
+  const all = session.cookies || [];
+
+  const applies = (c: SessionCookie, url: URL): boolean => {
+    const host = url.hostname.toLowerCase();
+    const domain = (c.domain || '').toLowerCase();
+    const path = c.path || '/';
+    if (domain.startsWith('.') ? host !== domain.slice(1) && !host.endsWith(domain) : host !== domain) return false;
+    if (url.pathname !== path && !(url.pathname.startsWith(path) && (path.endsWith('/') || url.pathname[path.length] === '/'))) return false;
+    if (c.secure && url.protocol !== 'https:' && host !== 'localhost' && host !== '127.0.0.1') return false;
+    if (c.sameSite === 'None' && !c.secure) return false;
+    return !(typeof c.expires === 'number' && c.expires > 0 && c.expires * 1000 <= Date.now());
+  };
+
+  return {
+    headers: (url) => {
+      const cookies = all.filter(c => applies(c, url)).sort((a, b) => (b.path || '/').length - (a.path || '/').length);
+      const headers: Record<string, string> = {};
+      if (cookies.length > 0) headers['Cookie'] = cookies.map(c => \`\${c.name}=\${c.value}\`).join('; ');
+      for (const c of cookies) {
+        if (c.name === 'csrftoken') headers['X-CSRFToken'] = c.value;
+        if (c.name === 'JSESSIONID') headers['csrf-token'] = c.value;
+      }
+      const wwwClaim = cookies.find(c => c.name === 'x-ig-www-claim');
+      if (wwwClaim && url.hostname.includes('instagram.com')) headers['X-IG-WWW-Claim'] = wwwClaim.value;
+      return { ...headers, ...extraHeaders };
+    }
+  };
+}
+
+export interface ClientOptions {
+  /** Replaces the origin of the main captured host. */
+  baseUrl?: string;
+  auth?: AuthProvider;
+  headers?: Record<string, string>;
+  fetch?: typeof fetch;
+}
+
+export class ApiError extends Error {
+  readonly status: number;
+  readonly body: string;
+
+  constructor(status: number, body: string, url: URL) {
+    super(\`\${status} from \${url.pathname}\`);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+type RequestBody = { json: unknown } | { form: Record<string, string | undefined> } | { text: string };
+type Query = Record<string, string | number | boolean | undefined>;
+`;
+
+const REQUEST_HELPER = `  const fetchImpl = options.fetch || fetch;
+
+  function url(origin: string, path: string, query: Query = {}): URL {
+    const result = new URL(path, origin === ORIGINS[0] && options.baseUrl ? options.baseUrl : origin);
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined) result.searchParams.set(key, String(value));
+    }
+    return result;
+  }
+
+  async function request<T>(method: string, target: URL, body?: RequestBody): Promise<T> {
+    const headers: Record<string, string> = {
+      Accept: 'application/json, text/plain, */*',
+      ...options.headers,
+      ...(options.auth ? await options.auth.headers(target) : {})
+    };
+
+    let payload: string | undefined;
+    if (body && 'json' in body) {
+      headers['Content-Type'] = 'application/json';
+      payload = JSON.stringify(body.json);
+    } else if (body && 'form' in body) {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      const form = new URLSearchParams();
+      for (const [key, value] of Object.entries(body.form)) {
+        if (value !== undefined) form.set(key, value);
+      }
+      payload = form.toString();
+    } else if (body) {
+      payload = body.text;
+    }
+
+    const response = await fetchImpl(target, { method, headers, body: payload });
+    const text = await response.text();
+    if (!response.ok) throw new ApiError(response.status, text, target);
+    const contentType = response.headers.get('content-type') || '';
+    return (contentType.includes('json') && text ? JSON.parse(text) : text) as T;
+  }
+`;
+
+const paramAccess = (key) => IDENTIFIER.test(key) ? `params.${key}` : `params[${JSON.stringify(key)}]`;
+
+// Literal text inside a template literal
+const escapeTemplate = (text) => text.replace(/[\\`$]/g, match => `\\${match}`);
+
+// "/api/users" as a string literal, "/api/users/{id}" as a template literal filling in params.id
+function pathExpression(template, pathParams) {
+  if (pathParams.length === 0) return JSON.stringify(template);
+  const filled = template.split(/(\{\w+\})/).map((part) => {
+    const param = /^\{(\w+)\}$/.exec(part);
+    return param && pathParams.includes(param[1])
+      ? `\${encodeURIComponent(String(${paramAccess(param[1])}))}`
+      : escapeTemplate(part);
+  });
+  return `\`${filled.join('')}\``;
+}
+
+const literalFields = (fields) => Object.entries(fields).map(([key, value]) => `${propertyKey(key)}: ${JSON.stringify(value)}`);
+
+function renderMethod(endpoint, name, description, originIndex) {
+  const { typeBase, pathParams, query, body, graphql, variablesType } = description;
+  const returns = `${typeBase}Response`;
+
+  const template = endpoint.pathTemplate || endpoint.path;
+  const pathExpr = pathExpression(template, pathParams);
+
+  const queryFields = query.map(p => `${propertyKey(p.name)}: ${paramAccess(p.name)}`);
+  if (graphql && graphql.kind === 'query') {
+    queryFields.unshift(...literalFields(graphql.fields));
+    queryFields.push('variables: JSON.stringify(variables)');
+  }
+  const urlArgs = [`ORIGINS[${originIndex}]`, pathExpr];
+  if (queryFields.length > 0) urlArgs.push(`{ ${queryFields.join(', ')} }`);
+
+  let payload = '';
+  if (graphql && graphql.kind === 'json') payload = `, { json: { ${[...literalFields(graphql.fields), 'variables'].join(', ')} } }`;
+  if (graphql && graphql.kind === 'form') payload = `, { form: { ${[...literalFields(graphql.fields), 'variables: JSON.stringify(variables)'].join(', ')} } }`;
+  if (body) payload = `, { ${body.kind}: body }`;
+
+  const args = [];
+  if (body) args.push(`body: ${typeBase}Body`);
+  if (variablesType) args.push(`variables: ${typeBase}Variables${endpoint.graphql.variables ? '' : ' = {}'}`);
+  if (pathParams.length + query.length > 0) {
+    const required = pathParams.length > 0 || query.some(p => !p.optional);
+    args.push(`params: ${typeBase}Params${required ? '' : ' = {}'}`);
+  }
+
+  return [
+    `    /** ${endpointLabel({ ...endpoint, pathTemplate: template }).replace(/\*\//g, '*\\/')} */`,
+    `    ${name}: (${args.join(', ')}) =>`,
+    `      request<${returns}>('${endpoint.method}', url(${urlArgs.join(', ')})${payload}),`
+  ].join('\n');
+}
+
+function renderTypes(description, endpoint) {
+  const { typeBase, pathParams, query, body, variablesType } = description;
+  const lines = [];
+  if (pathParams.length + query.length > 0) {
+    lines.push(`export interface ${typeBase}Params {`);
+    for (const p of pathParams) lines.push(`  ${propertyKey(p)}: string | number;`);
+    for (const p of query) lines.push(`  ${propertyKey(p.name)}${p.optional ? '?' : ''}: ${p.type};`);
+    lines.push('}');
+  }
+  if (variablesType) lines.push(`export type ${typeBase}Variables = ${variablesType};`);
+  if (body) lines.push(`export type ${typeBase}Body = ${body.type};`);
+  lines.push(`export type ${typeBase}Response = ${responseType(endpoint)};`);
+  return lines.join('\n');
+}
+
+// Endpoints that get a method: realtime channels aren't one request/response
+export function clientEndpoints(endpoints) {
+  return endpoints.filter(req => !req.realtime);
+}
+
+// Render the client module for a capture's endpoints and auth
+export function generateTsClient({ domain, endpoints, auth = {} }) {
+  const usable = clientEndpoints(endpoints);
+  const origins = [];
+  for (const req of usable) {
+    const { origin } = new URL(req.url);
+    if (!origins.includes(origin)) origins.push(origin);
+  }
+
+  const used = new Set();
+  const methods = usable.map((endpoint) => {
+    const name = methodName(endpoint, used);
+    return { endpoint, name, description: describeEndpoint(endpoint, name) };
+  });
+
+  const authNames = [...Object.keys(auth.headers || {}), ...(Object.keys(auth.cookies || {}).length > 0 ? ['Cookie'] : [])];
+  const envNames = authNames.map(envVarName);
+
+  const lines = [
+    `// Generated by peek-api codegen from a capture of ${domain} (${methods.length} endpoints).`,
+    '// Regenerate rather than editing by hand.',
+    '//',
+    authNames.length > 0
+      ? `// The capture saw these auth headers: ${authNames.join(', ')}.`
+      : '// The capture saw no auth headers.',
+    '',
+    PREAMBLE,
+    '/** Reads the captured auth headers from environment variables, named as in snippets/env.sh. */',
+    'export function envAuth(env: Record<string, string | undefined> = process.env): AuthProvider {',
+    `  const names: [string, string][] = ${JSON.stringify(authNames.map((header, i) => [header, envNames[i]]))};`,
+    '  const headers: Record<string, string> = {};',
+    '  for (const [header, variable] of names) {',
+    '    const value = env[variable];',
+    '    if (value) headers[header] = value;',
+    '  }',
+    '  return staticAuth(headers);',
+    '}',
+    '',
+    `const ORIGINS = ${JSON.stringify(origins)};`,
+    ''
+  ];
+
+  for (const { endpoint, description } of methods) {
+    lines.push(renderTypes(description, endpoint));
+    lines.push('');
+  }
+
+  lines.push('export function createClient(options: ClientOptions = {}) {');
+  lines.push(REQUEST_HELPER);
+  lines.push('  return {');
+  lines.push(methods.map(({ endpoint, name, description }) => (
+    renderMethod(endpoint, name, description, origins.indexOf(new URL(endpoint.url).origin))
+  )).join('\n\n'));
+  lines.push('  };');
+  lines.push('}');
+  lines.push('');
+  lines.push('export type Client = ReturnType<typeof createClient>;');
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+export async function codegen(options) {
+  const { dir, lang = 'ts', output = path.join(dir, 'client.ts') } = options;
+
+  if (!LANGS.includes(lang)) {
+    throw new Error(`Unsupported language "${lang}" (supported: ${LANGS.join(', ')})`);
+  }
+
+  const { endpoints, auth } = loadCapture(dir);
+  const domain = auth.domain || (endpoints[0] ? new URL(endpoints[0].url).hostname.replace('www.', '') : 'captured');
+  const source = generateTsClient({ domain, endpoints, auth });
+
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, source);
+
+  console.log(`\n  peek-api codegen`);
+  console.log(`  Capture: ${dir}`);
+  console.log(`  Language: TypeScript`);
+  console.log(`\n  Output: ${output} (${clientEndpoints(endpoints).length} methods)`);
+  console.log('');
+}
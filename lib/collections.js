@@ -0,0 +1,253 @@
+// Postman and Insomnia exports of a capture. Folders follow the base-path
+// grouping of CAPTURE.md, and auth header and cookie values become
+// collection (Postman) or environment (Insomnia) variables, so a refreshed
+// token is pasted in one place instead of into every request.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { groupByBasePath, endpointLabel } from './report.js';
+import { loadCapture } from './diff.js';
+import { isSecretField } from './catalog.js';
+
+export const FORMATS = {
+  postman: { file: 'postman_collection.json', description: 'Postman v2.1 collection' },
+  insomnia: { file: 'insomnia.json', description: 'Insomnia v4 export' }
+};
+
+// "postman,insomnia" -> ['postman', 'insomnia']
+export function parseFormats(value) {
+  if (!value) return [];
+  const formats = (Array.isArray(value) ? value : value.split(',')).map(f => f.trim().toLowerCase()).filter(Boolean);
+  for (const format of formats) {
+    if (!FORMATS[format]) {
+      throw new Error(`Unknown export format "${format}" (expected ${Object.keys(FORMATS).join(' or ')})`);
+    }
+  }
+  return [...new Set(formats)];
+}
+
+const variableName = (text) => text.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Variable names and values for hosts, credential headers and cookies.
+// Other captured headers (x-fb-friendly-name, x-ig-app-id) differ per
+// endpoint, so each request keeps its own value.
+export function collectionVariables({ endpoints, authHeaders = {}, cookies = {} }) {
+  const values = {};
+  const hosts = new Map();     // origin -> variable
+  const headers = new Map();   // lowercased header name -> variable
+  const cookieVars = new Map();
+  const hostCookies = new Map(); // hostname -> cookie names sent to it
+
+  for (const endpoint of endpoints.filter(req => !req.realtime)) {
+    const { origin } = new URL(endpoint.url);
+    if (hosts.has(origin)) continue;
+    const name = hosts.size === 0 ? 'baseUrl' : `baseUrl_${variableName(new URL(origin).host)}`;
+    hosts.set(origin, name);
+    values[name] = origin;
+  }
+
+  const addHeader = (header, value) => {
+    if (!isSecretField(header) || headers.has(header.toLowerCase())) return;
+    const name = variableName(header.toLowerCase());
+    headers.set(header.toLowerCase(), name);
+    values[name] = value;
+  };
+  for (const [header, value] of Object.entries(authHeaders)) addHeader(header, value);
+  for (const endpoint of endpoints) {
+    for (const [header, value] of Object.entries(endpoint.headers || {})) addHeader(header, value);
+  }
+
+  for (const [cookie, value] of Object.entries(cookies)) {
+    const name = `cookie_${variableName(cookie)}`;
+    cookieVars.set(cookie, name);
+    values[name] = value;
+  }
+  for (const endpoint of endpoints) {
+    const { hostname } = new URL(endpoint.url);
+    for (const cookie of endpoint.cookies || []) {
+      if (!hostCookies.has(hostname)) hostCookies.set(hostname, new Set());
+      hostCookies.get(hostname).add(cookie);
+    }
+  }
+
+  return { values, hosts, headers, cookies: cookieVars, hostCookies };
+}
+
+// JSON bodies stay raw, form bodies become key/value pairs
+function requestBody(postData) {
+  if (!postData) return null;
+  try {
+    JSON.parse(postData);
+    return { kind: 'json', text: postData };
+  } catch {
+    // Not JSON
+  }
+  if (/^[^=&\s]+=[^&\s]*(?:&[^=&\s]+=[^&\s]*)*$/.test(postData)) {
+    return { kind: 'form', params: [...new URLSearchParams(postData)] };
+  }
+  return { kind: 'raw', text: postData };
+}
+
+// Request headers as [name, value template] pairs; `ref` formats a variable
+// reference. The Cookie header carries the cookies seen going to the
+// endpoint's host (captures that didn't note them send every cookie).
+function requestHeaders(endpoint, vars, body, ref) {
+  const headers = Object.entries(endpoint.headers || {}).map(([header, value]) => {
+    const variable = vars.headers.get(header.toLowerCase());
+    return [header, variable ? ref(variable) : value];
+  });
+  const sent = vars.hostCookies.size > 0 ? vars.hostCookies.get(new URL(endpoint.url).hostname) || new Set() : null;
+  const cookies = [...vars.cookies].filter(([cookie]) => !sent || sent.has(cookie));
+  if (cookies.length > 0) {
+    headers.push(['Cookie', cookies.map(([cookie, name]) => `${cookie}=${ref(name)}`).join('; ')]);
+  }
+  if (body && body.kind === 'json') headers.push(['Content-Type', 'application/json']);
+  if (body && body.kind === 'form') headers.push(['Content-Type', 'application/x-www-form-urlencoded']);
+  return headers;
+}
+
+// Folders in CAPTURE.md order; GraphQL operations get their own folder and
+// realtime channels are left out (neither format replays them)
+function folders(endpoints) {
+  const grouped = Object.entries(groupByBasePath(endpoints)).sort(([a], [b]) => a.localeCompare(b));
+  const graphql = endpoints.filter(req => req.graphql && !req.realtime);
+  if (graphql.length > 0) grouped.push(['GraphQL', graphql]);
+  return grouped;
+}
+
+function postmanRequest(endpoint, vars) {
+  const ref = (name) => `{{${name}}}`;
+  const { origin } = new URL(endpoint.url);
+  const body = requestBody(endpoint.postData);
+
+  // Path parameters become Postman's :name variables with an observed example
+  const template = endpoint.pathTemplate || endpoint.path;
+  const segments = template.split('/').filter(Boolean).map(segment => segment.replace(/^\{(\w+)\}$/, ':$1'));
+  const query = Object.entries(endpoint.params || {}).map(([key, value]) => ({ key, value }));
+  const search = query.length > 0 ? `?${new URLSearchParams(endpoint.params)}` : '';
+
+  const url = {
+    raw: `${ref(vars.hosts.get(origin))}/${segments.join('/')}${search}`,
+    host: [ref(vars.hosts.get(origin))],
+    path: segments
+  };
+  if (query.length > 0) url.query = query;
+  if (endpoint.pathParams) {
+    url.variable = Object.entries(endpoint.pathParams).map(([key, examples]) => ({ key, value: examples[0] }));
+  }
+
+  const request = {
+    method: endpoint.method,
+    header: requestHeaders(endpoint, vars, body, ref).map(([key, value]) => ({ key, value })),
+    url
+  };
+  if (body && body.kind === 'form') {
+    request.body = { mode: 'urlencoded', urlencoded: body.params.map(([key, value]) => ({ key, value })) };
+  } else if (body) {
+    request.body = { mode: 'raw', raw: body.text };
+    if (body.kind === 'json') request.body.options = { raw: { language: 'json' } };
+  }
+
+  return { name: endpointLabel(endpoint), request };
+}
+
+export function buildPostmanCollection({ domain, endpoints, authHeaders, cookies }) {
+  const vars = collectionVariables({ endpoints, authHeaders, cookies });
+
+  return {
+    info: {
+      name: `${domain} API (captured)`,
+      description: 'Captured by peek-api. Auth values are collection variables.',
+      schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+    },
+    item: folders(endpoints).map(([name, reqs]) => ({
+      name,
+      item: reqs.map(req => postmanRequest(req, vars))
+    })),
+    variable: Object.entries(vars.values).map(([key, value]) => ({ key, value }))
+  };
+}
+
+function insomniaRequest(endpoint, vars, id, parentId) {
+  const ref = (name) => `{{ _.${name} }}`;
+  const parsed = new URL(endpoint.url);
+  const body = requestBody(endpoint.postData);
+
+  let insomniaBody = {};
+  if (body && body.kind === 'form') {
+    insomniaBody = { mimeType: 'application/x-www-form-urlencoded', params: body.params.map(([name, value]) => ({ name, value })) };
+  } else if (body) {
+    insomniaBody = { mimeType: body.kind === 'json' ? 'application/json' : '', text: body.text };
+  }
+
+  return {
+    _id: id,
+    _type: 'request',
+    parentId,
+    name: endpointLabel(endpoint),
+    method: endpoint.method,
+    url: `${ref(vars.hosts.get(parsed.origin))}${parsed.pathname}`,
+    parameters: Object.entries(endpoint.params || {}).map(([name, value]) => ({ name, value })),
+    headers: requestHeaders(endpoint, vars, body, ref).map(([name, value]) => ({ name, value })),
+    body: insomniaBody
+  };
+}
+
+export function buildInsomniaExport({ domain, endpoints, authHeaders, cookies }) {
+  const vars = collectionVariables({ endpoints, authHeaders, cookies });
+  const workspaceId = 'wrk_peekapi';
+
+  const resources = [
+    { _id: workspaceId, _type: 'workspace', parentId: null, name: `${domain} API (captured)` },
+    { _id: 'env_peekapi_base', _type: 'environment', parentId: workspaceId, name: 'Base Environment', data: vars.values }
+  ];
+
+  let requestCount = 0;
+  folders(endpoints).forEach(([name, reqs], i) => {
+    const folderId = `fld_peekapi_${i + 1}`;
+    resources.push({ _id: folderId, _type: 'request_group', parentId: workspaceId, name });
+    for (const req of reqs) {
+      resources.push(insomniaRequest(req, vars, `req_peekapi_${++requestCount}`, folderId));
+    }
+  });
+
+  return {
+    _type: 'export',
+    __export_format: 4,
+    __export_date: new Date().toISOString(),
+    __export_source: 'peek-api',
+    resources
+  };
+}
+
+const BUILDERS = { postman: buildPostmanCollection, insomnia: buildInsomniaExport };
+
+const countRequests = (endpoints) => folders(endpoints).reduce((n, [, reqs]) => n + reqs.length, 0);
+
+// Write the requested formats next to the other capture outputs
+export function writeCollections({ outputDir, formats, domain, endpoints, authHeaders = {}, cookies = {}, quiet = false }) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  for (const format of formats) {
+    const { file, description } = FORMATS[format];
+    const collection = BUILDERS[format]({ domain, endpoints, authHeaders, cookies });
+    fs.writeFileSync(path.join(outputDir, file), JSON.stringify(collection, null, 2));
+    if (!quiet) console.log(`    ${file.padEnd(15)} ${description} (${countRequests(endpoints)} requests)`);
+  }
+}
+
+// Convert an existing capture directory
+export async function exportCollections(options) {
+  const { dir, formats, outputDir = dir } = options;
+  if (!formats || formats.length === 0) {
+    throw new Error(`--format is required (${Object.keys(FORMATS).join(' or ')})`);
+  }
+
+  const { endpoints, auth } = loadCapture(dir);
+  const domain = auth.domain || (endpoints[0] ? new URL(endpoints[0].url).hostname.replace('www.', '') : 'captured');
+
+  console.log(`\n  peek-api export`);
+  console.log(`  Capture: ${dir}`);
+  console.log(`\n  Output: ${outputDir}/`);
+  writeCollections({ outputDir, formats, domain, endpoints, authHeaders: auth.headers, cookies: auth.cookies });
+  console.log('');
+}
@@ -0,0 +1,179 @@
+// Cookie jar over a Playwright storageState cookie list. Picks the cookies
+// a request should carry the way a browser does (RFC 6265 section 5.4):
+// domain and path must match, Secure cookies only go over HTTPS, and
+// expired cookies are never sent. Set-Cookie headers update the jar the
+// same way (section 5.3), so a session can be refreshed and saved back.
+
+import net from 'node:net';
+
+function isLoopback(hostname) {
+  return hostname === 'localhost' || hostname.endsWith('.localhost') || hostname === '127.0.0.1' || hostname === '[::1]' || hostname === '::1';
+}
+
+// RFC 6265 5.1.3. storageState marks domain cookies with a leading dot;
+// without one the cookie is host-only and needs an exact match.
+export function domainMatch(hostname, cookieDomain) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const domain = String(cookieDomain || '').toLowerCase();
+  if (!domain.startsWith('.')) return host === domain;
+
+  const base = domain.slice(1);
+  if (host === base) return true;
+  // IP addresses never match a domain cookie by suffix
+  return host.endsWith(domain) && net.isIP(host) === 0;
+}
+
+// RFC 6265 5.1.4
+export function pathMatch(requestPath, cookiePath = '/') {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+function isExpired(cookie, now) {
+  // storageState uses -1 (or no expires) for session cookies
+  return typeof cookie.expires === 'number' && cookie.expires > 0 && cookie.expires * 1000 <= now;
+}
+
+// Why a cookie isn't sent to a URL, or null if it is. SameSite doesn't
+// apply: a request made from the command line has no other site behind it.
+function skipReason(cookie, url, now) {
+  if (!domainMatch(url.hostname, cookie.domain)) return 'domain';
+  if (!pathMatch(url.pathname || '/', cookie.path || '/')) return 'path';
+  if (cookie.secure && url.protocol !== 'https:' && !isLoopback(url.hostname)) return 'secure';
+  // Browsers refuse SameSite=None without Secure, so it was never really set
+  if (cookie.sameSite === 'None' && !cookie.secure) return 'sameSite';
+  if (isExpired(cookie, now)) return 'expired';
+  return null;
+}
+
+// RFC 6265 5.1.4: the directory of the request path
+function defaultPath(pathname) {
+  if (!pathname || !pathname.startsWith('/')) return '/';
+  const last = pathname.lastIndexOf('/');
+  return last === 0 ? '/' : pathname.slice(0, last);
+}
+
+const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None' };
+
+// A Set-Cookie header received from a URL as a storageState cookie
+// (RFC 6265 5.2-5.3), or null when a browser would ignore it
+export function parseSetCookie(header, url, now = Date.now()) {
+  const target = typeof url === 'string' ? new URL(url) : url;
+  const host = target.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const [pair, ...attributes] = String(header).split(';');
+  const eq = pair.indexOf('=');
+  if (eq === -1) return null;
+  const name = pair.slice(0, eq).trim();
+  if (!name) return null;
+
+  const cookie = {
+    name,
+    value: pair.slice(eq + 1).trim(),
+    domain: host,
+    path: defaultPath(target.pathname),
+    expires: -1,
+    httpOnly: false,
+    secure: false,
+    sameSite: 'Lax'
+  };
+  let maxAge;
+  let expires;
+  for (const attribute of attributes) {
+    const split = attribute.indexOf('=');
+    const key = (split === -1 ? attribute : attribute.slice(0, split)).trim().toLowerCase();
+    const value = split === -1 ? '' : attribute.slice(split + 1).trim();
+    if (key === 'expires') {
+      const time = Date.parse(value);
+      if (!Number.isNaN(time)) expires = Math.max(time / 1000, 1);
+    } else if (key === 'max-age') {
+      if (/^-?\d+$/.test(value)) maxAge = Number(value);
+    } else if (key === 'domain') {
+      const domain = value.replace(/^\./, '').toLowerCase();
+      if (!domain) continue;
+      // The domain has to cover the host that set it, and can't be a bare TLD
+      if (!domainMatch(host, `.${domain}`) || (!domain.includes('.') && domain !== host)) return null;
+      cookie.domain = `.${domain}`;
+    } else if (key === 'path') {
+      if (value.startsWith('/')) cookie.path = value;
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'httponly') {
+      cookie.httpOnly = true;
+    } else if (key === 'samesite') {
+      cookie.sameSite = SAME_SITE[value.toLowerCase()] || 'Lax';
+    }
+  }
+  // Max-Age wins over Expires; zero or less deletes the cookie
+  if (maxAge !== undefined) cookie.expires = Math.floor(now / 1000) + maxAge;
+  else if (expires !== undefined) cookie.expires = expires;
+
+  if (cookie.secure && target.protocol !== 'https:' && !isLoopback(host)) return null;
+  if (cookie.sameSite === 'None' && !cookie.secure) return null;
+  if (name.startsWith('__Secure-') && !cookie.secure) return null;
+  if (name.startsWith('__Host-') && (!cookie.secure || cookie.domain !== host || cookie.path !== '/')) return null;
+  return cookie;
+}
+
+function sameCookie(a, b) {
+  return a.name === b.name && String(a.domain || '').toLowerCase() === b.domain && (a.path || '/') === b.path;
+}
+
+export function createCookieJar(initial = [], options = {}) {
+  const { now = () => Date.now() } = options;
+  // Our own copy: Set-Cookie changes it in place
+  const cookies = [...initial];
+
+  // Matching cookies, longest path first (RFC 6265 5.4 step 2), and counts of the rest by reason
+  function select(url) {
+    const target = typeof url === 'string' ? new URL(url) : url;
+    const time = now();
+    const selected = [];
+    const skipped = {};
+    for (const cookie of cookies) {
+      const reason = skipReason(cookie, target, time);
+      if (reason) skipped[reason] = (skipped[reason] || 0) + 1;
+      else selected.push(cookie);
+    }
+    selected.sort((a, b) => (b.path || '/').length - (a.path || '/').length);
+    return { cookies: selected, skipped };
+  }
+
+  function cookiesFor(url) {
+    return select(url).cookies;
+  }
+
+  function cookieHeader(url) {
+    return cookiesFor(url).map(c => `${c.name}=${c.value}`).join('; ');
+  }
+
+  // Cookies that would be sent to this host on some path, expired or not
+  function forHost(hostname) {
+    return cookies.filter(cookie => domainMatch(hostname, cookie.domain));
+  }
+
+  // Store (or delete) a cookie from a Set-Cookie header received from url.
+  // Returns whether the jar changed.
+  function setCookie(header, url) {
+    const time = now();
+    const cookie = parseSetCookie(header, url, time);
+    if (!cookie) return false;
+
+    const index = cookies.findIndex(existing => sameCookie(existing, cookie));
+    if (isExpired(cookie, time)) {
+      if (index === -1) return false;
+      cookies.splice(index, 1);
+      return true;
+    }
+    if (index === -1) {
+      cookies.push(cookie);
+      return true;
+    }
+    const existing = cookies[index];
+    if (['value', 'expires', 'httpOnly', 'secure', 'sameSite'].every(key => existing[key] === cookie[key])) return false;
+    cookies[index] = cookie;
+    return true;
+  }
+
+  return { cookies, select, cookiesFor, cookieHeader, forHost, setCookie };
+}
@@ -0,0 +1,98 @@
+// Breadth-first, same-origin crawl for capture --crawl. Link discovery and
+// queueing live here; capture() does the actual visiting.
+
+import { matchesHost } from './filters.js';
+
+// Links that look like they change account state
+const UNSAFE_URL = /log-?out|log_out|sign-?out|sign_out|logoff|delete|remove|destroy|deactivate|unsubscribe|revoke/i;
+
+// Links to files rather than pages
+const FILE_URL = /\.(pdf|zip|gz|tar|dmg|exe|apk|png|jpe?g|gif|svg|webp|mp4|webm|mp3|csv|xlsx?|docx?)$/i;
+
+export function isUnsafeUrl(url) {
+  const parsed = new URL(url);
+  const raw = parsed.pathname + parsed.search;
+  let text = raw;
+  try {
+    text = decodeURIComponent(raw);
+  } catch {
+    // A stray % (?q=100%) isn't an escape; test the URL as written
+  }
+  return UNSAFE_URL.test(text);
+}
+
+// Resolve an href against the page it was found on; null for non-page links
+export function normalizeLink(href, base) {
+  let parsed;
+  try {
+    parsed = new URL(href, base);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+  if (FILE_URL.test(parsed.pathname)) return null;
+  parsed.hash = '';
+  return parsed.toString();
+}
+
+// Without an allowlist only the start origin is crawled. Allowlist entries
+// are hostnames; "*.example.com" also matches example.com itself.
+export function isAllowedHost(url, { origin, allowedHosts }) {
+  const parsed = new URL(url);
+  if (!allowedHosts || allowedHosts.length === 0) return parsed.origin === origin;
+
+  return allowedHosts.some(host => matchesHost(parsed.hostname, host));
+}
+
+export function createCrawlQueue({ seeds, maxDepth = 2, maxPages = 20, allowedHosts }) {
+  const origin = new URL(seeds[0]).origin;
+  const queue = [];
+  const seen = new Set();
+  const visited = [];
+  let skipped = 0;
+
+  function enqueue(url, depth) {
+    if (seen.has(url)) return;
+    seen.add(url);
+    if (!isAllowedHost(url, { origin, allowedHosts }) || isUnsafeUrl(url)) {
+      skipped++;
+      return;
+    }
+    queue.push({ url, depth });
+  }
+
+  for (const seed of seeds) {
+    const url = normalizeLink(seed);
+    if (url) enqueue(url, 0);
+    else skipped++;
+  }
+
+  return {
+    // Next page to visit, or null once the queue or page budget runs out
+    next() {
+      if (visited.length >= maxPages || queue.length === 0) return null;
+      const page = queue.shift();
+      visited.push(page);
+      return page;
+    },
+
+    // Queue the links found on a page visited at `depth`
+    add(links, depth) {
+      if (depth + 1 > maxDepth) return;
+      for (const link of links) {
+        if (link) enqueue(link, depth + 1);
+      }
+    },
+
+    visited,
+    get skipped() {
+      return skipped;
+    }
+  };
+}
+
+export async function collectLinks(page) {
+  const base = page.url();
+  const hrefs = await page.$$eval('a[href]', anchors => anchors.map(a => a.getAttribute('href')));
+  return hrefs.map(href => normalizeLink(href, base)).filter(Boolean);
+}
@@ -0,0 +1,226 @@
+// Compare two capture directories (endpoints.json + auth.json) and report
+// what changed between them: endpoints added/removed, and per endpoint the
+// query params, body keys, auth headers and response shape.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { templatePath } from './paths.js';
+
+export function loadCapture(dir) {
+  const endpointsFile = path.join(dir, 'endpoints.json');
+  if (!fs.existsSync(endpointsFile)) {
+    throw new Error(`${dir} is not a capture directory (no endpoints.json)`);
+  }
+
+  const endpoints = JSON.parse(fs.readFileSync(endpointsFile, 'utf8'));
+  const authFile = path.join(dir, 'auth.json');
+  const auth = fs.existsSync(authFile)
+    ? JSON.parse(fs.readFileSync(authFile, 'utf8'))
+    : { headers: {}, cookies: {} };
+
+  return { dir, endpoints, auth };
+}
+
+// Captures from before path templating only have the raw path
+export function endpointKey(endpoint) {
+  const template = endpoint.pathTemplate || templatePath(new URL(endpoint.url).pathname).template;
+  const operation = endpoint.graphql ? ` (${endpoint.graphql.type} ${endpoint.graphql.name})` : '';
+  return `${endpoint.method} ${template}${operation}`;
+}
+
+function bodyKeys(endpoint) {
+  if (endpoint.graphql) {
+    const variables = endpoint.graphql.variables;
+    return variables && variables.properties ? Object.keys(variables.properties) : [];
+  }
+  if (endpoint.bodyFields) return Object.keys(endpoint.bodyFields);
+  if (!endpoint.postData) return [];
+  try {
+    const parsed = JSON.parse(endpoint.postData);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? Object.keys(parsed) : [];
+  } catch {
+    return [...new URLSearchParams(endpoint.postData).keys()];
+  }
+}
+
+// Flatten a response schema into { 'users[].id': 'integer', ... }
+export function schemaFields(schema, prefix = '', fields = {}) {
+  if (!schema) return fields;
+  if (prefix) fields[prefix] = [].concat(schema.type).join('|');
+
+  for (const [key, child] of Object.entries(schema.properties || {})) {
+    schemaFields(child, prefix ? `${prefix}.${key}` : key, fields);
+  }
+  if (schema.items) schemaFields(schema.items, `${prefix}[]`, fields);
+  return fields;
+}
+
+function setDiff(before, after) {
+  const a = new Set(before);
+  const b = new Set(after);
+  const added = [...b].filter(x => !a.has(x));
+  const removed = [...a].filter(x => !b.has(x));
+  return added.length > 0 || removed.length > 0 ? { added, removed } : undefined;
+}
+
+function compareEndpoint(before, after) {
+  const change = {};
+
+  const paramKeys = (endpoint) => Object.keys(endpoint.queryParams || endpoint.params || {});
+  const params = setDiff(paramKeys(before), paramKeys(after));
+  if (params) change.params = params;
+
+  const body = setDiff(bodyKeys(before), bodyKeys(after));
+  if (body) change.bodyKeys = body;
+
+  const lower = (headers) => Object.keys(headers || {}).map(h => h.toLowerCase());
+  const authHeaders = setDiff(lower(before.headers), lower(after.headers));
+  if (authHeaders) change.authHeaders = authHeaders;
+
+  // Shapes are only compared when both captures recorded a response
+  if (before.response && after.response) {
+    const response = {};
+    if (before.response.status !== after.response.status) {
+      response.status = { from: before.response.status, to: after.response.status };
+    }
+
+    if (before.response.schema && after.response.schema) {
+      const fieldsA = schemaFields(before.response.schema);
+      const fieldsB = schemaFields(after.response.schema);
+      const fields = setDiff(Object.keys(fieldsA), Object.keys(fieldsB)) || { added: [], removed: [] };
+      const changed = Object.keys(fieldsA)
+        .filter(field => field in fieldsB && fieldsA[field] !== fieldsB[field])
+        .map(field => ({ field, from: fieldsA[field], to: fieldsB[field] }));
+
+      if (fields.added.length > 0) response.fieldsAdded = fields.added.map(field => ({ field, type: fieldsB[field] }));
+      if (fields.removed.length > 0) response.fieldsRemoved = fields.removed;
+      if (changed.length > 0) response.fieldsChanged = changed;
+    }
+
+    if (Object.keys(response).length > 0) change.response = response;
+  }
+
+  return Object.keys(change).length > 0 ? change : undefined;
+}
+
+export function compareCaptures(a, b) {
+  const index = (endpoints) => new Map(endpoints.map(e => [endpointKey(e), e]));
+  const before = index(a.endpoints);
+  const after = index(b.endpoints);
+
+  const added = [...after.keys()].filter(key => !before.has(key));
+  const removed = [...before.keys()].filter(key => !after.has(key));
+  const changed = [];
+  for (const [key, endpoint] of after) {
+    if (!before.has(key)) continue;
+    const change = compareEndpoint(before.get(key), endpoint);
+    if (change) changed.push({ endpoint: key, ...change });
+  }
+
+  const auth = {};
+  const headers = setDiff(Object.keys(a.auth.headers || {}), Object.keys(b.auth.headers || {}));
+  const cookies = setDiff(Object.keys(a.auth.cookies || {}), Object.keys(b.auth.cookies || {}));
+  if (headers) auth.headers = headers;
+  if (cookies) auth.cookies = cookies;
+
+  return {
+    from: { dir: a.dir, captured: a.auth.captured, endpoints: a.endpoints.length },
+    to: { dir: b.dir, captured: b.auth.captured, endpoints: b.endpoints.length },
+    added: added.sort(),
+    removed: removed.sort(),
+    changed,
+    auth
+  };
+}
+
+const code = (items) => items.map(item => `\`${item}\``).join(', ');
+
+function listChanges(lines, label, diff) {
+  if (!diff) return;
+  if (diff.added.length > 0) lines.push(`- ${label} added: ${code(diff.added)}`);
+  if (diff.removed.length > 0) lines.push(`- ${label} removed: ${code(diff.removed)}`);
+}
+
+export function renderDiffMarkdown(diff) {
+  const { from, to, added, removed, changed, auth } = diff;
+  const lines = [];
+  const describe = (side) => `${side.dir}${side.captured ? ` (${side.captured})` : ''}, ${side.endpoints} endpoints`;
+
+  lines.push('# API Changes');
+  lines.push(`**From:** ${describe(from)}`);
+  lines.push(`**To:** ${describe(to)}`);
+  lines.push(`**Summary:** ${added.length} added, ${removed.length} removed, ${changed.length} changed`);
+  lines.push('');
+
+  if (added.length > 0) {
+    lines.push('## Added Endpoints');
+    for (const key of added) lines.push(`- \`${key}\``);
+    lines.push('');
+  }
+
+  if (removed.length > 0) {
+    lines.push('## Removed Endpoints');
+    for (const key of removed) lines.push(`- \`${key}\``);
+    lines.push('');
+  }
+
+  if (changed.length > 0) {
+    lines.push('## Changed Endpoints');
+    lines.push('');
+    for (const change of changed) {
+      lines.push(`### \`${change.endpoint}\``);
+      listChanges(lines, 'Query params', change.params);
+      listChanges(lines, 'Body keys', change.bodyKeys);
+      listChanges(lines, 'Auth headers', change.authHeaders);
+
+      const response = change.response || {};
+      if (response.status) lines.push(`- Response status: ${response.status.from} → ${response.status.to}`);
+      if (response.fieldsAdded) {
+        lines.push(`- Response fields added: ${response.fieldsAdded.map(f => `\`${f.field}\` (${f.type})`).join(', ')}`);
+      }
+      if (response.fieldsRemoved) lines.push(`- Response fields removed: ${code(response.fieldsRemoved)}`);
+      if (response.fieldsChanged) {
+        lines.push(`- Response field types changed: ${response.fieldsChanged.map(f => `\`${f.field}\` ${f.from} → ${f.to}`).join(', ')}`);
+      }
+      lines.push('');
+    }
+  }
+
+  if (auth.headers || auth.cookies) {
+    lines.push('## Authentication');
+    listChanges(lines, 'Headers', auth.headers);
+    listChanges(lines, 'Cookies', auth.cookies);
+    lines.push('');
+  }
+
+  if (added.length === 0 && removed.length === 0 && changed.length === 0 && !auth.headers && !auth.cookies) {
+    lines.push('No changes.');
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+export async function diffCaptures(options) {
+  const { dirA, dirB, outputDir = dirB } = options;
+
+  const diff = compareCaptures(loadCapture(dirA), loadCapture(dirB));
+
+  console.log(`\n  peek-api diff`);
+  console.log(`  From: ${dirA} (${diff.from.endpoints} endpoints)`);
+  console.log(`  To:   ${dirB} (${diff.to.endpoints} endpoints)`);
+  console.log('');
+  console.log(`  ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+  for (const key of diff.added) console.log(`    + ${key}`);
+  for (const key of diff.removed) console.log(`    - ${key}`);
+  for (const change of diff.changed) console.log(`    ~ ${change.endpoint}`);
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(path.join(outputDir, 'CHANGES.md'), renderDiffMarkdown(diff));
+  fs.writeFileSync(path.join(outputDir, 'changes.json'), JSON.stringify(diff, null, 2));
+
+  console.log(`\n  Output: ${outputDir}/`);
+  console.log(`    CHANGES.md      Changelog`);
+  console.log(`    changes.json    Changelog data`);
+  console.log('');
+}
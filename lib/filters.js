@@ -0,0 +1,147 @@
+// Request filter rules deciding which traffic is API traffic. The built-in
+// lists are just default values for the same keys a filter config sets, so
+// any of them can be replaced (e.g. skipDomains: [] keeps analytics calls).
+
+import fs from 'node:fs';
+import YAML from 'yaml';
+
+export const DEFAULT_RULES = {
+  // Only keep requests to these hosts ("*.example.com" matches subdomains too)
+  allowHosts: [],
+  // Drop requests to these hosts
+  denyHosts: [],
+  // Keep requests whose path matches one of these regexes, whatever their type
+  includePaths: [],
+  // Drop requests whose path matches one of these regexes
+  excludePaths: [],
+  // Only keep these methods
+  methods: [],
+  // Only keep responses whose content type matches one of these regexes
+  contentTypes: [],
+  // Resource types that are always API traffic
+  resourceTypes: ['xhr', 'fetch', 'websocket', 'eventsource'],
+  // Path fragments that mark API traffic regardless of resource type
+  apiPaths: ['/api/', '/graphql', '/rest/'],
+  // Static asset extensions
+  skipExtensions: ['js', 'css', 'png', 'jpg', 'jpeg', 'gif', 'svg', 'ico', 'woff', 'woff2', 'ttf', 'eot', 'map', 'webp', 'avif', 'mp4', 'webm', 'mp3'],
+  // Common tracking/analytics URLs
+  skipDomains: ['google-analytics', 'googletagmanager', 'doubleclick', 'facebook.com/tr', 'bat.bing', 'analytics.google', 'hotjar', 'segment.io', 'mixpanel', 'amplitude', 'sentry.io', 'datadoghq']
+};
+
+// Requests that no include rule (resourceTypes, apiPaths, includePaths) matched
+export const NOT_API = 'notApi';
+
+export function matchesHost(hostname, pattern) {
+  const host = pattern.toLowerCase();
+  if (host.startsWith('*.')) {
+    const base = host.slice(2);
+    return hostname === base || hostname.endsWith(`.${base}`);
+  }
+  return hostname === host;
+}
+
+function compileRegexes(key, patterns) {
+  return patterns.map((pattern) => {
+    try {
+      return new RegExp(pattern, key === 'contentTypes' ? 'i' : '');
+    } catch (err) {
+      throw new Error(`Invalid ${key} regex "${pattern}": ${err.message}`);
+    }
+  });
+}
+
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Merge configs over the defaults (later configs win, key by key) and compile them
+export function resolveRules(...configs) {
+  const rules = { ...DEFAULT_RULES };
+
+  for (const config of configs) {
+    for (const [key, value] of Object.entries(config || {})) {
+      if (value === undefined) continue;
+      if (!(key in DEFAULT_RULES)) {
+        throw new Error(`Unknown filter rule "${key}" (expected one of: ${Object.keys(DEFAULT_RULES).join(', ')})`);
+      }
+      if (!Array.isArray(value)) throw new Error(`Filter rule "${key}" must be a list`);
+      rules[key] = value.map(String);
+    }
+  }
+
+  return {
+    ...rules,
+    methods: rules.methods.map(m => m.toUpperCase()),
+    includePathRegexes: compileRegexes('includePaths', rules.includePaths),
+    excludePathRegexes: compileRegexes('excludePaths', rules.excludePaths),
+    contentTypeRegexes: compileRegexes('contentTypes', rules.contentTypes),
+    extensionRegex: rules.skipExtensions.length > 0
+      ? new RegExp(`\\.(${rules.skipExtensions.map(escape).join('|')})(\\?|$)`, 'i')
+      : null,
+    domainRegex: rules.skipDomains.length > 0
+      ? new RegExp(rules.skipDomains.map(escape).join('|'), 'i')
+      : null
+  };
+}
+
+// Name of the rule that drops this request, or null to keep it
+export function matchRequest(rules, { url, method, resourceType }) {
+  const parsed = new URL(url);
+  const hostname = parsed.hostname.toLowerCase();
+
+  if (rules.denyHosts.some(host => matchesHost(hostname, host))) return 'denyHosts';
+  if (rules.allowHosts.length > 0 && !rules.allowHosts.some(host => matchesHost(hostname, host))) return 'allowHosts';
+  if (rules.excludePathRegexes.some(re => re.test(parsed.pathname))) return 'excludePaths';
+  if (method && rules.methods.length > 0 && !rules.methods.includes(method.toUpperCase())) return 'methods';
+  if (rules.extensionRegex && rules.extensionRegex.test(url)) return 'skipExtensions';
+  if (rules.domainRegex && rules.domainRegex.test(url)) return 'skipDomains';
+
+  if (rules.includePathRegexes.some(re => re.test(parsed.pathname))) return null;
+  if (rules.resourceTypes.includes(resourceType)) return null;
+  if (rules.apiPaths.some(fragment => url.includes(fragment))) return null;
+  return NOT_API;
+}
+
+// Name of the rule that drops this response, or null to keep it
+export function matchResponse(rules, { contentType = '' }) {
+  if (rules.contentTypeRegexes.length === 0) return null;
+  return rules.contentTypeRegexes.some(re => re.test(contentType)) ? null : 'contentTypes';
+}
+
+export function loadFilterConfig(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    return /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text);
+  } catch (err) {
+    throw new Error(`Could not parse filter config ${file}: ${err.message}`);
+  }
+}
+
+// Stateful filter for one capture: decides and counts what each rule dropped
+export function createFilter(...configs) {
+  const rules = resolveRules(...configs);
+  const dropped = {};
+
+  const count = (rule) => {
+    if (rule) dropped[rule] = (dropped[rule] || 0) + 1;
+    return rule === null;
+  };
+
+  return {
+    rules,
+    // Content-type rules can only be checked once the response arrives
+    checksResponses: rules.contentTypeRegexes.length > 0,
+    checkRequest: (request) => count(matchRequest(rules, request)),
+    checkResponse: (response) => count(matchResponse(rules, response)),
+    dropped,
+    get droppedTotal() {
+      return Object.values(dropped).reduce((sum, n) => sum + n, 0);
+    }
+  };
+}
+
+// "skipExtensions 380, notApi 12" for the capture summary
+export function formatDropped(dropped) {
+  return Object.entries(dropped)
+    .sort(([, a], [, b]) => b - a)
+    .map(([rule, n]) => `${rule} ${n}`)
+    .join(', ');
+}
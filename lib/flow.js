@@ -0,0 +1,201 @@
+// Scripted interaction flows. A flow file is a JSON or YAML list of steps
+// (or { settle, steps }) that capture() runs instead of blind scrolling:
+//
+//   - goto: /search
+//   - fill: { selector: 'input[name=q]', value: 'hello' }
+//   - press: Enter
+//   - click: { text: Compose }
+//   - waitFor: '[role=dialog]'
+//   - screenshot: compose.png
+
+import fs from 'node:fs';
+import path from 'node:path';
+import YAML from 'yaml';
+
+const ACTIONS = ['goto', 'click', 'fill', 'press', 'hover', 'waitFor', 'waitForNetworkIdle', 'scroll', 'screenshot', 'wait'];
+
+// Time to let a step's requests go out before the next step starts
+const DEFAULT_SETTLE = 1000;
+
+const STEP_TIMEOUT = 15000;
+
+// Accepts `click: 'css'` or `click: { selector | text }`
+function target(value) {
+  if (typeof value === 'string') return { selector: value };
+  if (value && typeof value === 'object' && (value.selector || value.text)) {
+    return { selector: value.selector, text: value.text, timeout: value.timeout };
+  }
+  return null;
+}
+
+function normalizeStep(raw, number) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Flow step ${number} must be an object like { click: "button" }`);
+  }
+
+  const actions = Object.keys(raw).filter(key => ACTIONS.includes(key));
+  if (actions.length !== 1) {
+    throw new Error(`Flow step ${number} needs exactly one action (${ACTIONS.join(', ')})`);
+  }
+
+  const action = actions[0];
+  const value = raw[action];
+  const step = { action, name: raw.name };
+  const fail = (expected) => {
+    throw new Error(`Flow step ${number} (${action}) expects ${expected}`);
+  };
+
+  switch (action) {
+    case 'goto':
+      if (typeof value !== 'string') fail('a URL or path');
+      step.url = value;
+      break;
+    case 'click':
+    case 'hover':
+    case 'waitFor':
+      Object.assign(step, target(value) || fail('a selector or { selector | text }'));
+      break;
+    case 'fill':
+      if (!target(value) || value.value === undefined) fail('{ selector | text, value }');
+      Object.assign(step, target(value), { value: String(value.value) });
+      break;
+    case 'press':
+      if (typeof value === 'string') step.key = value;
+      else if (value && value.key) Object.assign(step, { key: value.key, selector: value.selector });
+      else fail('a key or { key, selector }');
+      break;
+    case 'waitForNetworkIdle':
+      if (value && typeof value === 'object') step.timeout = value.timeout;
+      break;
+    case 'scroll':
+      if (value !== 'bottom' && value !== true) fail('"bottom"');
+      break;
+    case 'screenshot':
+      if (typeof value !== 'string') fail('a file name');
+      step.path = value;
+      break;
+    case 'wait':
+      if (typeof value !== 'number') fail('a number of milliseconds');
+      step.ms = value;
+      break;
+  }
+
+  return step;
+}
+
+// Parse a flow definition (already decoded from JSON/YAML)
+export function parseFlow(definition) {
+  const flow = Array.isArray(definition) ? { steps: definition } : definition;
+  if (!flow || !Array.isArray(flow.steps) || flow.steps.length === 0) {
+    throw new Error('Flow must be a list of steps (or { steps: [...] })');
+  }
+
+  return {
+    settle: typeof flow.settle === 'number' ? flow.settle : DEFAULT_SETTLE,
+    steps: flow.steps.map((raw, i) => normalizeStep(raw, i + 1))
+  };
+}
+
+export function loadFlow(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  let definition;
+  try {
+    definition = /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text);
+  } catch (err) {
+    throw new Error(`Could not parse flow file ${file}: ${err.message}`);
+  }
+  return parseFlow(definition);
+}
+
+function describeTarget(step) {
+  return step.text ? `text=${step.text}` : step.selector;
+}
+
+// Short label used to attribute endpoints, e.g. "#3 click text=Compose"
+export function describeStep(step, number) {
+  let detail;
+  switch (step.action) {
+    case 'goto': detail = `goto ${step.url}`; break;
+    case 'fill': detail = `fill ${describeTarget(step)}`; break;
+    case 'press': detail = `press ${step.key}${step.selector ? ` in ${step.selector}` : ''}`; break;
+    case 'scroll': detail = 'scroll to bottom'; break;
+    case 'screenshot': detail = `screenshot ${step.path}`; break;
+    case 'wait': detail = `wait ${step.ms}ms`; break;
+    case 'waitForNetworkIdle': detail = 'wait for network idle'; break;
+    default: detail = `${step.action} ${describeTarget(step)}`;
+  }
+  return `#${number} ${step.name || detail}`;
+}
+
+function locate(page, step) {
+  const locator = step.text ? page.getByText(step.text) : page.locator(step.selector);
+  return locator.first();
+}
+
+async function runStep(page, step, { origin, outputDir }) {
+  const timeout = step.timeout || STEP_TIMEOUT;
+
+  switch (step.action) {
+    case 'goto': {
+      const url = step.url.startsWith('http') ? step.url : `${origin}${step.url}`;
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      break;
+    }
+    case 'click':
+      await locate(page, step).click({ timeout });
+      break;
+    case 'hover':
+      await locate(page, step).hover({ timeout });
+      break;
+    case 'fill':
+      await locate(page, step).fill(step.value, { timeout });
+      break;
+    case 'press':
+      if (step.selector) await page.locator(step.selector).first().press(step.key, { timeout });
+      else await page.keyboard.press(step.key);
+      break;
+    case 'waitFor':
+      await locate(page, step).waitFor({ timeout });
+      break;
+    case 'waitForNetworkIdle':
+      await page.waitForLoadState('networkidle', { timeout });
+      break;
+    case 'scroll':
+      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+      break;
+    case 'screenshot': {
+      const file = path.resolve(outputDir, step.path);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      await page.screenshot({ path: file, fullPage: true });
+      break;
+    }
+    case 'wait':
+      await page.waitForTimeout(step.ms);
+      break;
+  }
+}
+
+// Run each step, calling onStep(label) first so the caller can attribute
+// the requests that follow. Stops at the first failing step and returns
+// { completed, failed } so a partial capture is still reported.
+export async function runFlow(page, flow, { origin, outputDir, onStep = () => {} }) {
+  let completed = 0;
+
+  for (const [i, step] of flow.steps.entries()) {
+    const label = describeStep(step, i + 1);
+    onStep(label);
+    console.log(`  ${label}`);
+
+    try {
+      await runStep(page, step, { origin, outputDir });
+    } catch (err) {
+      console.log(`  Step failed: ${err.message.split('\n')[0]}`);
+      return { completed, failed: label };
+    }
+
+    completed++;
+    if (flow.settle > 0) await page.waitForTimeout(flow.settle);
+  }
+
+  return { completed };
+}
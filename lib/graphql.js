@@ -0,0 +1,147 @@
+// GraphQL request parsing. Splits a single /graphql endpoint into the
+// operations posted to it: plain JSON bodies, batched arrays, GET
+// ?query= requests, and persisted queries (Apollo sha256 hashes and
+// Facebook/Instagram doc_id form posts).
+
+import { inferSchema } from './schema.js';
+
+const OPERATION_RE = /\b(query|mutation|subscription)\b\s*([_A-Za-z][_0-9A-Za-z]*)?/;
+
+// Variable values each parsed operation was sent with (operations only keep their shape)
+const sentVariables = new WeakMap();
+
+function parseJson(text) {
+  if (typeof text !== 'string') return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+// Find the type and name of the operation a query document runs
+export function parseOperationDocument(query, operationName) {
+  const doc = query.replace(/#[^\n]*/g, '');
+
+  if (operationName) {
+    const escaped = operationName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const named = new RegExp(`\\b(query|mutation|subscription)\\s+${escaped}\\b`).exec(doc);
+    if (named) return { type: named[1], name: operationName };
+  }
+
+  const match = OPERATION_RE.exec(doc);
+  if (match && !/^\s*\{/.test(doc.slice(0, match.index))) {
+    return { type: match[1], name: operationName || match[2] };
+  }
+
+  // Shorthand `{ ... }` documents are anonymous queries
+  return { type: 'query', name: operationName };
+}
+
+// Fields that aren't strings in a JSON body are treated as absent
+function text(value) {
+  return typeof value === 'string' ? value : undefined;
+}
+
+function guessType(name, method) {
+  if (/mutation$/i.test(name || '')) return 'mutation';
+  if (/subscription$/i.test(name || '')) return 'subscription';
+  if (/query$/i.test(name || '') || method === 'GET') return 'query';
+  return 'unknown';
+}
+
+function toOperation(fields, method) {
+  const { query, operationName, variables, extensions, docId, friendlyName, queryHash } = fields;
+
+  const vars = parseJson(variables);
+  const ext = parseJson(extensions);
+  const hash = text(ext && ext.persistedQuery && ext.persistedQuery.sha256Hash);
+
+  if (!query && !hash && !docId && !queryHash) return null;
+
+  let type;
+  let name = operationName || friendlyName;
+  if (query) {
+    ({ type, name } = parseOperationDocument(query, name));
+  } else {
+    type = guessType(name, method);
+  }
+
+  if (!name) {
+    if (docId) name = `doc_${docId}`;
+    else if (hash || queryHash) name = `hash_${(hash || queryHash).slice(0, 12)}`;
+    else name = 'anonymous';
+  }
+
+  const operation = { name, type };
+  if (vars && typeof vars === 'object') {
+    operation.variables = inferSchema(vars);
+    sentVariables.set(operation, vars);
+  }
+  if (hash || queryHash) operation.hash = hash || queryHash;
+  if (docId) operation.docId = docId;
+  if (!query) operation.persisted = true;
+  return operation;
+}
+
+function fieldsFromParams(params) {
+  return {
+    query: params.get('query') || undefined,
+    operationName: params.get('operationName') || undefined,
+    variables: params.get('variables') || undefined,
+    extensions: params.get('extensions') || undefined,
+    docId: params.get('doc_id') || undefined,
+    friendlyName: params.get('fb_api_req_friendly_name') || undefined,
+    queryHash: params.get('query_hash') || undefined
+  };
+}
+
+function fieldsFromJson(body) {
+  return {
+    query: text(body.query),
+    operationName: text(body.operationName),
+    variables: body.variables,
+    extensions: body.extensions,
+    docId: body.doc_id || body.docId,
+    friendlyName: text(body.fb_api_req_friendly_name),
+    queryHash: text(body.query_hash)
+  };
+}
+
+// The variable values an operation from parseGraphQL() was sent with
+export function operationVariables(operation) {
+  return sentVariables.get(operation);
+}
+
+export function isGraphQLUrl(url) {
+  const parsed = typeof url === 'string' ? new URL(url) : url;
+  return /graphql/i.test(parsed.pathname) || parsed.searchParams.has('doc_id') || parsed.searchParams.has('query_hash');
+}
+
+// Returns the list of operations in a request, or null if it isn't GraphQL
+export function parseGraphQL({ method, url, postData }) {
+  const parsed = typeof url === 'string' ? new URL(url) : url;
+  if (!isGraphQLUrl(parsed)) return null;
+
+  let candidates = [];
+
+  if (postData) {
+    const body = parseJson(postData);
+    if (Array.isArray(body)) {
+      candidates = body.filter(item => item && typeof item === 'object').map(fieldsFromJson);
+    } else if (body && typeof body === 'object') {
+      candidates = [fieldsFromJson(body)];
+    } else {
+      candidates = [fieldsFromParams(new URLSearchParams(postData))];
+    }
+  }
+
+  let operations = candidates.map(fields => toOperation(fields, method)).filter(Boolean);
+
+  // GET requests (and some POSTs) carry the operation in the query string
+  if (operations.length === 0) {
+    operations = [toOperation(fieldsFromParams(parsed.searchParams), method)].filter(Boolean);
+  }
+
+  return operations.length > 0 ? operations : null;
+}
@@ -0,0 +1,204 @@
+import fs from 'node:fs';
+import { createCatalog, isTextContentType } from './catalog.js';
+import { createFilter, formatDropped } from './filters.js';
+import { writeReport } from './report.js';
+
+const pkg = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+function toNameValues(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function fromNameValues(list = []) {
+  const headers = {};
+  for (const { name, value } of list) {
+    // HTTP/2 pseudo-headers (:authority, :path) aren't real request headers
+    if (name.startsWith(':')) continue;
+    const key = name.toLowerCase();
+    headers[key] = headers[key] !== undefined ? `${headers[key]}${key === 'cookie' ? '; ' : ', '}${value}` : value;
+  }
+  return headers;
+}
+
+function parseCookieHeader(value = '') {
+  return value.split(';')
+    .map(c => c.trim())
+    .filter(Boolean)
+    .map(c => {
+      const [name, ...rest] = c.split('=');
+      return { name: name.trim(), value: rest.join('=').trim() };
+    });
+}
+
+function harContent(body, contentType) {
+  const content = { size: body ? body.length : 0, mimeType: contentType || '' };
+  if (!body || body.length === 0) return content;
+  if (isTextContentType(contentType)) {
+    content.text = body.toString('utf8');
+  } else {
+    content.text = body.toString('base64');
+    content.encoding = 'base64';
+  }
+  return content;
+}
+
+// Build a HAR 1.2 log from recorded traffic.
+// Each record: { startedDateTime, time, method, url, resourceType, headers, postData, response }
+// where response is { status, statusText, headers, body (Buffer) }.
+export function buildHar(records) {
+  const entries = records.map((record) => {
+    const url = new URL(record.url);
+    const headers = record.headers || {};
+    const contentType = headers['content-type'] || '';
+
+    const request = {
+      method: record.method,
+      url: record.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: parseCookieHeader(headers.cookie),
+      headers: toNameValues(headers),
+      queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: record.postData ? Buffer.byteLength(record.postData) : 0
+    };
+    if (record.postData) {
+      request.postData = { mimeType: contentType, text: record.postData };
+    }
+
+    const res = record.response || { status: 0, statusText: '', headers: {} };
+    const resHeaders = res.headers || {};
+    const resContentType = resHeaders['content-type'] || '';
+
+    const response = {
+      status: res.status,
+      statusText: res.statusText || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toNameValues(resHeaders),
+      content: harContent(res.body, resContentType),
+      redirectURL: resHeaders.location || '',
+      headersSize: -1,
+      bodySize: res.body ? res.body.length : -1
+    };
+
+    const time = Math.max(0, Math.round(record.time || 0));
+
+    return {
+      startedDateTime: record.startedDateTime,
+      time,
+      request,
+      response,
+      cache: {},
+      timings: { send: 0, wait: time, receive: 0 },
+      _resourceType: record.resourceType
+    };
+  });
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'peek-api', version: pkg.version },
+      entries
+    }
+  };
+}
+
+// Traffic recorded outside a browser has no resource type, so treat
+// JSON/XML/GraphQL responses as XHR and let isApiRequest() decide the rest.
+export function resourceTypeFromMime(mimeType = '') {
+  return /json|xml|graphql/i.test(mimeType) ? 'xhr' : 'other';
+}
+
+// Tools other than Chrome DevTools don't record _resourceType
+function guessResourceType(entry) {
+  if (entry._resourceType) return entry._resourceType;
+  return resourceTypeFromMime(entry.response && entry.response.content && entry.response.content.mimeType);
+}
+
+// Turn HAR entries back into the records buildHar() takes
+export function readHar(harFile) {
+  const har = JSON.parse(fs.readFileSync(harFile, 'utf8'));
+  if (!har.log || !Array.isArray(har.log.entries)) {
+    throw new Error(`${harFile} is not a HAR file (missing log.entries)`);
+  }
+
+  return har.log.entries.map((entry) => {
+    const content = (entry.response && entry.response.content) || {};
+    let body;
+    if (typeof content.text === 'string') {
+      body = Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf8');
+    }
+
+    return {
+      startedDateTime: entry.startedDateTime,
+      time: entry.time,
+      method: entry.request.method,
+      url: entry.request.url,
+      resourceType: guessResourceType(entry),
+      headers: fromNameValues(entry.request.headers),
+      postData: (entry.request.postData && entry.request.postData.text) || undefined,
+      response: entry.response && {
+        status: entry.response.status,
+        statusText: entry.response.statusText,
+        headers: fromNameValues(entry.response.headers),
+        body
+      }
+    };
+  });
+}
+
+export async function importHar(options) {
+  const {
+    file,
+    outputDir: customOutputDir,
+    maxBodySize = 100 * 1024,
+    openapiFormat = 'yaml',
+    filters,
+    verbose = false
+  } = options;
+
+  const filter = createFilter(filters);
+  const records = readHar(file);
+  const apiRecords = records.filter((record) => {
+    if (!/^https?:/.test(record.url) || !filter.checkRequest(record)) return false;
+    if (!filter.checksResponses || !record.response) return true;
+    const contentType = (record.response.headers['content-type'] || '').split(';')[0].trim();
+    return filter.checkResponse({ contentType });
+  });
+
+  console.log(`\n  peek-api import-har`);
+  console.log(`  File: ${file}`);
+  console.log(`  Entries: ${records.length} (${apiRecords.length} API requests)`);
+  if (filter.droppedTotal > 0) console.log(`  Filtered out: ${formatDropped(filter.dropped)}`);
+  console.log('');
+
+  const catalog = createCatalog({ maxBodySize, verbose });
+  for (const record of apiRecords) {
+    const entries = catalog.recordRequest(record);
+    if (record.response && record.response.status > 0) {
+      if (entries.length > 0) catalog.recordResponse(entries, record.response);
+      catalog.observeResponse(record, record.response);
+    }
+  }
+
+  console.log(`  Import complete: ${catalog.endpoints.length} unique API endpoints`);
+
+  if (catalog.endpoints.length === 0) {
+    console.log('  No API requests found in this HAR file.');
+    return;
+  }
+
+  const domain = new URL(catalog.endpoints[0].url).hostname.replace('www.', '');
+  const outputDir = customOutputDir || `peek-api-${domain}`;
+
+  writeReport({
+    outputDir,
+    domain,
+    details: { Source: file },
+    endpoints: catalog.endpoints,
+    authHeaders: catalog.authHeaders,
+    cookies: catalog.cookies,
+    openapiFormat
+  });
+  console.log('');
+}
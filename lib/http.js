@@ -1,6 +1,10 @@
 import fs from 'node:fs';
+import path from 'node:path';
 import https from 'node:https';
 import httpModule from 'node:http';
+import { createCookieJar } from './cookies.js';
+import { RETRY_DEFAULTS, retryDelay, rateLimitInfo, describeRateLimit } from './retry.js';
+import { paginationPlan, describePlan, pageItems, nextPageRequest } from './paginate.js';
 
 // Known platform-specific headers that should be auto-added
 const PLATFORM_HEADERS = {
@@ -10,24 +14,66 @@ const PLATFORM_HEADERS = {
   }
 };
 
-function loadSession(sessionFile) {
+// Statuses that carry a Location to follow
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+const DEFAULT_MAX_REDIRECTS = 10;
+
+const DEFAULT_MAX_PAGES = 10;
+
+// Headers that describe a request body, dropped when a redirect turns the request into a GET
+const BODY_HEADERS = ['content-type', 'content-length', 'content-encoding', 'content-language', 'content-location'];
+
+// Credentials the user passed with -H, which only go to the origin they were meant for
+const CREDENTIAL_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+
+export function loadSession(sessionFile) {
   const raw = fs.readFileSync(sessionFile, 'utf8');
   const session = JSON.parse(raw);
+  return { session, jar: createCookieJar(session.cookies || []) };
+}
 
-  const cookies = session.cookies || [];
-  const cookieStr = cookies.map(c => `${c.name}=${c.value}`).join('; ');
-
-  // Extract known CSRF tokens
-  const csrf = {};
-  for (const c of cookies) {
-    if (c.name === 'csrftoken') csrf['X-CSRFToken'] = c.value;         // Instagram/Facebook
-    if (c.name === 'JSESSIONID') csrf['csrf-token'] = c.value;         // LinkedIn
+// Write refreshed cookies back into the storageState file. The new file is
+// written next to it and renamed over it, so it is never left half-written.
+export function saveSession(sessionFile, session, cookies) {
+  const temp = path.join(path.dirname(sessionFile), `.${path.basename(sessionFile)}.${process.pid}.tmp`);
+  const { mode } = fs.statSync(sessionFile);
+  try {
+    fs.writeFileSync(temp, JSON.stringify({ ...session, cookies }, null, 2), { mode: mode & 0o777 });
+    fs.renameSync(temp, sessionFile);
+  } catch (err) {
+    fs.rmSync(temp, { force: true });
+    throw new Error(`Could not update ${sessionFile}: ${err.message}`);
   }
+}
 
-  // Extract claim headers from cookies (Instagram)
-  const wwwClaim = cookies.find(c => c.name === 'x-ig-www-claim');
+const SKIP_REASONS = {
+  expired: 'expired',
+  path: 'for other paths',
+  secure: 'Secure-only (HTTPS)',
+  sameSite: 'SameSite=None without Secure'
+};
+
+function describeSkipped(skipped) {
+  return Object.entries(SKIP_REASONS)
+    .filter(([reason]) => skipped[reason])
+    .map(([reason, label]) => `${skipped[reason]} ${label}`)
+    .join(', ');
+}
 
-  return { cookies, cookieStr, csrf, wwwClaim, session };
+// Why nothing from the session will be sent to this URL
+export function sessionWarnings(sessionFile, jar, skipped, url) {
+  const hostCookies = jar.forHost(url.hostname);
+  if (hostCookies.length === 0) {
+    const domains = [...new Set(jar.cookies.map(c => String(c.domain || '').replace(/^\./, '')))].filter(Boolean);
+    return [
+      `Warning: ${sessionFile} has no cookies for ${url.hostname}; the request is sent without a session.`,
+      domains.length > 0 ? `  Its cookies are for: ${domains.slice(0, 5).join(', ')}${domains.length > 5 ? ', ...' : ''}` : '  It has no cookies at all.'
+    ];
+  }
+  const lines = [`Warning: none of the ${hostCookies.length} cookies for ${url.hostname} apply (${describeSkipped(skipped)}).`];
+  if (skipped.expired) lines.push(`  Session appears expired. Re-run: peek-api login ${url.origin} --stealth`);
+  return lines;
 }
 
 function detectPlatform(hostname) {
@@ -37,7 +83,7 @@ function detectPlatform(hostname) {
   return {};
 }
 
-function parseCustomHeaders(headerStrings) {
+export function parseCustomHeaders(headerStrings) {
   const headers = {};
   for (const h of headerStrings) {
     const colonIdx = h.indexOf(':');
@@ -64,6 +110,280 @@ function formatSize(bytes) {
   return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
 }
 
+function withoutHeaders(headers, names) {
+  return Object.fromEntries(Object.entries(headers).filter(([key]) => !names.includes(key.toLowerCase())));
+}
+
+// Headers for one request: the session cookies sent to this URL and the
+// CSRF/claim headers they carry, platform headers, then the user's own
+function requestHeaders(url, cookies, { userAgent, customHeaders, body }) {
+  const cookieStr = cookies.map(c => `${c.name}=${c.value}`).join('; ');
+
+  // Extract known CSRF tokens
+  const csrf = {};
+  for (const c of cookies) {
+    if (c.name === 'csrftoken') csrf['X-CSRFToken'] = c.value;         // Instagram/Facebook
+    if (c.name === 'JSESSIONID') csrf['csrf-token'] = c.value;         // LinkedIn
+  }
+
+  const headers = {
+    ...(cookieStr ? { 'Cookie': cookieStr } : {}),
+    'User-Agent': userAgent || 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+    'Accept': 'application/json, text/plain, */*',
+    'Accept-Language': 'en-US,en;q=0.9',
+    ...csrf,
+    ...detectPlatform(url.hostname),
+    ...customHeaders
+  };
+
+  // Add Instagram www-claim if present
+  const wwwClaim = cookies.find(c => c.name === 'x-ig-www-claim');
+  if (wwwClaim && url.hostname.includes('instagram.com')) {
+    headers['X-IG-WWW-Claim'] = wwwClaim.value;
+  }
+
+  if (body && !headers['Content-Type']) {
+    try {
+      JSON.parse(body);
+      headers['Content-Type'] = 'application/json';
+    } catch {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    }
+  }
+  return headers;
+}
+
+// One request/response exchange, with the body read into a string
+function sendRequest(url, { method, headers, body }) {
+  const isHttps = url.protocol === 'https:';
+  const requestModule = isHttps ? https : httpModule;
+
+  return new Promise((resolve, reject) => {
+    const reqOptions = {
+      hostname: url.hostname,
+      port: url.port || (isHttps ? 443 : 80),
+      path: url.pathname + url.search,
+      method,
+      headers
+    };
+
+    const req = requestModule.request(reqOptions, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          statusMessage: res.statusMessage,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString('utf8')
+        });
+      });
+    });
+
+    req.on('error', (err) => {
+      const error = new Error(`Request failed: ${err.message}`);
+      error.code = err.code;
+      reject(error);
+    });
+
+    if (body) {
+      req.write(body);
+    }
+
+    req.end();
+  });
+}
+
+// sendRequest, tried again after network errors, 429 and 5xx as the retry
+// options allow. onRetry hears about each wait, and about giving up when
+// the server asks for a longer one than maxRetryDelay. Each attempt waits
+// its turn on `limiter` (ms to wait for a host) and takes its cookies from
+// the jar, so cookies a 429 or 503 sets are kept and go out with the retry.
+async function sendWithRetries(jar, current, { userAgent, retry, limiter, onRetry }) {
+  let cookiesChanged = 0;
+  for (let attempt = 1; ; attempt++) {
+    const turn = limiter ? limiter(current.url.host) : 0;
+    if (turn > 0) await new Promise(resolve => setTimeout(resolve, turn));
+
+    const headers = requestHeaders(current.url, jar.cookiesFor(current.url), { userAgent, customHeaders: current.customHeaders, body: current.body });
+    let outcome;
+    try {
+      outcome = await sendRequest(current.url, { method: current.method, headers, body: current.body });
+    } catch (err) {
+      outcome = { error: err };
+    }
+    for (const header of (outcome.headers && outcome.headers['set-cookie']) || []) {
+      if (jar.setCookie(header, current.url)) cookiesChanged++;
+    }
+
+    const wait = retryDelay(current.method, outcome, attempt, retry);
+    if (wait && onRetry) onRetry({ ...wait, attempt, url: current.url });
+    if (!wait || wait.giveUp) {
+      if (outcome.error) {
+        if (attempt > 1) outcome.error.message += ` (after ${attempt} attempts)`;
+        throw outcome.error;
+      }
+      return { response: outcome, attempts: attempt, cookiesChanged };
+    }
+    await new Promise(resolve => setTimeout(resolve, wait.delay));
+  }
+}
+
+// The request a redirect leads to, per the Fetch standard: 303 (and 301/302
+// after a POST) becomes a GET without a body, 307/308 repeat the method and
+// body. Credentials passed with -H don't follow the request to another origin.
+function redirectRequest(request, status, location) {
+  const url = new URL(location, request.url);
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`Redirected to unsupported URL: ${location}`);
+  }
+
+  let { method, body, customHeaders } = request;
+  if ((status === 303 && method !== 'HEAD') || ((status === 301 || status === 302) && method === 'POST')) {
+    method = 'GET';
+    body = null;
+    customHeaders = withoutHeaders(customHeaders, BODY_HEADERS);
+  }
+  if (url.origin !== request.url.origin) {
+    customHeaders = withoutHeaders(customHeaders, CREDENTIAL_HEADERS);
+  }
+  return { url, method, body, customHeaders };
+}
+
+// Make a request with the session's cookies, retrying and following
+// redirects when asked. Set-Cookie from every hop goes into the jar, so
+// later hops (and later requests on the same jar) send the refreshed cookies.
+export async function sessionRequest(jar, request, options = {}) {
+  const { userAgent, follow = false, maxRedirects = DEFAULT_MAX_REDIRECTS, retry, limiter, onRedirect, onRetry } = options;
+  let current = { method: 'GET', body: null, customHeaders: {}, ...request };
+  const hops = [];
+  let cookiesChanged = 0;
+  let attempts = 0;
+
+  for (;;) {
+    const sent = await sendWithRetries(jar, current, { userAgent, retry, limiter, onRetry });
+    const response = sent.response;
+    attempts += sent.attempts;
+    cookiesChanged += sent.cookiesChanged;
+
+    const location = response.headers.location;
+    if (!follow || !REDIRECT_STATUSES.has(response.status) || !location) {
+      return { response, hops, cookiesChanged, attempts };
+    }
+    if (hops.length >= maxRedirects) {
+      throw new Error(`Too many redirects (more than ${maxRedirects}); last one went to ${location}`);
+    }
+
+    current = redirectRequest(current, response.status, location);
+    const hop = { status: response.status, method: current.method, location: current.url.href };
+    hops.push(hop);
+    if (onRedirect) onRedirect(hop);
+  }
+}
+
+export function validateRetryOptions({ retries, retryDelay, maxRetryDelay }) {
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error('--retries must be a whole number (0 or more)');
+  }
+  if (!Number.isInteger(retryDelay) || retryDelay < 0) {
+    throw new Error('--retry-delay must be a whole number of milliseconds');
+  }
+  if (!Number.isInteger(maxRetryDelay) || maxRetryDelay < 0) {
+    throw new Error('--max-retry-delay must be a whole number of milliseconds');
+  }
+}
+
+// A line about each retry, or about not retrying when the server wants too long a wait
+export function describeRetry(wait, retries) {
+  const seconds = `${(wait.delay / 1000).toFixed(1)}s`;
+  if (wait.giveUp) {
+    return `${wait.reason}: not retrying, the server asks to wait ${seconds} (more than --max-retry-delay)`;
+  }
+  return `${wait.reason}: retrying in ${seconds}${wait.server ? ' as the server asked' : ''} (retry ${wait.attempt} of ${retries})`;
+}
+
+function pageFailure(number, response) {
+  const excerpt = response.body.trim().slice(0, 200);
+  return `page ${number} returned ${response.status} ${response.statusMessage}${excerpt ? `: ${excerpt}` : ''}`;
+}
+
+// --paginate: request page after page, collecting the items, until the list
+// ends, a page is empty or maxPages is reached. Returns the cookies changed.
+async function fetchPages(jar, firstRequest, requestOptions, options) {
+  const { paginate, cursorPath, cursorParam, itemsPath, maxPages, raw, verbose, output } = options;
+  const log = raw ? () => {} : console.log;
+  const items = [];
+  let plan = null;
+  let request = firstRequest;
+  let cookiesChanged = 0;
+  let pages = 0;
+  let stopped;
+
+  while (!stopped) {
+    const { response, cookiesChanged: changed } = await sessionRequest(jar, request, requestOptions);
+    cookiesChanged += changed;
+
+    let body;
+    try {
+      if (response.status < 200 || response.status >= 300) throw new Error(pageFailure(pages + 1, response));
+      try {
+        body = JSON.parse(response.body);
+      } catch {
+        throw new Error(`page ${pages + 1} is not JSON (${response.headers['content-type'] || 'no content type'})`);
+      }
+    } catch (err) {
+      // The first page has to work; later failures end the list early
+      if (pages === 0) throw new Error(`Could not paginate: ${err.message}`);
+      stopped = err.message;
+      break;
+    }
+    pages++;
+
+    if (!plan) {
+      plan = paginationPlan({ preset: typeof paginate === 'string' ? paginate : undefined, cursorPath, cursorParam, itemsPath }, { request, body, headers: response.headers });
+      log(`  Paginating: ${describePlan(plan)}`);
+    }
+
+    const pageList = pageItems(body, plan);
+    items.push(...(pageList || [body]));
+    log(`  Page ${pages}: ${pageList ? `${pageList.length} items` : 'no item list, keeping the whole page'}${verbose ? ` (${request.method} ${request.url.pathname}${request.url.search})` : ''}`);
+
+    if (pageList && pageList.length === 0) {
+      stopped = 'empty page';
+    } else if (pages >= maxPages) {
+      stopped = `reached --max-pages ${maxPages}`;
+    } else {
+      const next = nextPageRequest(plan, request, { body, headers: response.headers, items: pageList });
+      if (next.stop) stopped = next.stop;
+      else request = next.request;
+    }
+  }
+  log(`  Stopped: ${stopped}`);
+  log('');
+
+  const json = JSON.stringify(items, null, 2);
+  if (raw) {
+    process.stdout.write(JSON.stringify(items));
+  } else {
+    console.log(json);
+    console.log('');
+    console.log(`  Pages: ${pages} | Items: ${items.length}`);
+    console.log('');
+  }
+  if (output) {
+    fs.writeFileSync(output, json);
+    if (!raw) {
+      console.log(`  Saved to ${output}`);
+      console.log('');
+    }
+  }
+  return cookiesChanged;
+}
+
+function looksLikeLogin(location) {
+  return location.includes('login') || location.includes('accounts');
+}
+
 export async function http(options) {
   const {
     url,
@@ -75,34 +395,36 @@ export async function http(options) {
     userAgent,
     output,
     raw = false,
-    verbose = false
+    verbose = false,
+    follow = false,
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    updateSession = false,
+    retries = RETRY_DEFAULTS.retries,
+    retryDelay = RETRY_DEFAULTS.retryDelay,
+    maxRetryDelay = RETRY_DEFAULTS.maxRetryDelay,
+    paginate = false,
+    cursorPath,
+    cursorParam,
+    itemsPath,
+    maxPages = DEFAULT_MAX_PAGES
   } = options;
 
-  const parsedUrl = new URL(url);
-  const isHttps = parsedUrl.protocol === 'https:';
-  const requestModule = isHttps ? https : httpModule;
-
-  // Load session
-  const { cookieStr, csrf, wwwClaim } = loadSession(sessionFile);
-
-  // Build headers
-  const platformHeaders = detectPlatform(parsedUrl.hostname);
-  const customHeaders = parseCustomHeaders(headerStrings);
+  if (!Number.isInteger(maxRedirects) || maxRedirects < 0) {
+    throw new Error('--max-redirects must be a whole number (0 or more)');
+  }
+  validateRetryOptions({ retries, retryDelay, maxRetryDelay });
+  if (!Number.isInteger(maxPages) || maxPages < 1) {
+    throw new Error('--max-pages must be a whole number of 1 or more');
+  }
+  if (!paginate && (cursorPath || cursorParam || itemsPath)) {
+    throw new Error('--cursor-path, --cursor-param and --items-path need --paginate');
+  }
 
-  const requestHeaders = {
-    'Cookie': cookieStr,
-    'User-Agent': userAgent || 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-    'Accept': 'application/json, text/plain, */*',
-    'Accept-Language': 'en-US,en;q=0.9',
-    ...csrf,
-    ...platformHeaders,
-    ...customHeaders
-  };
+  const parsedUrl = new URL(url);
 
-  // Add Instagram www-claim if present
-  if (wwwClaim && parsedUrl.hostname.includes('instagram.com')) {
-    requestHeaders['X-IG-WWW-Claim'] = wwwClaim.value;
-  }
+  // Load session: only cookies whose domain, path, Secure flag and expiry fit this URL
+  const { session, jar } = loadSession(sessionFile);
+  const { cookies, skipped } = jar.select(parsedUrl);
 
   // Request body
   let body = null;
@@ -112,13 +434,14 @@ export async function http(options) {
     body = fs.readFileSync(dataFile, 'utf8');
   }
 
-  if (body && !requestHeaders['Content-Type']) {
-    try {
-      JSON.parse(body);
-      requestHeaders['Content-Type'] = 'application/json';
-    } catch {
-      requestHeaders['Content-Type'] = 'application/x-www-form-urlencoded';
-    }
+  const request = { url: parsedUrl, method, body, customHeaders: parseCustomHeaders(headerStrings) };
+  const headers = requestHeaders(parsedUrl, cookies, { userAgent, customHeaders: request.customHeaders, body });
+
+  // In --raw mode stdout is the response body only
+  if (cookies.length === 0) {
+    const log = raw ? console.error : console.log;
+    if (!raw) log('');
+    for (const line of sessionWarnings(sessionFile, jar, skipped, parsedUrl)) log(`  ${line}`);
   }
 
   if (!raw) {
@@ -127,9 +450,11 @@ export async function http(options) {
     console.log(`  ${method} ${parsedUrl.pathname}${parsedUrl.search}`);
     console.log(`  Host: ${parsedUrl.hostname}`);
     if (verbose) {
+      const notSent = describeSkipped(skipped);
+      console.log(`  Cookies: ${cookies.length} sent${notSent ? ` (not sent: ${notSent})` : ''}`);
       console.log('');
       console.log('  Request Headers:');
-      for (const [k, v] of Object.entries(requestHeaders)) {
+      for (const [k, v] of Object.entries(headers)) {
         if (k === 'Cookie') {
           const count = v.split(';').length;
           console.log(`    ${k}: [${count} cookies]`);
@@ -141,90 +466,105 @@ export async function http(options) {
     console.log('');
   }
 
-  // Make the request
-  return new Promise((resolve, reject) => {
-    const reqOptions = {
-      hostname: parsedUrl.hostname,
-      port: parsedUrl.port || (isHttps ? 443 : 80),
-      path: parsedUrl.pathname + parsedUrl.search,
-      method,
-      headers: requestHeaders
-    };
+  // Retry notes go to stderr in --raw mode, like the session warnings
+  const requestOptions = {
+    userAgent,
+    follow,
+    maxRedirects,
+    retry: { retries, retryDelay, maxRetryDelay },
+    onRedirect: raw ? null : (hop) => console.log(`  Redirect: ${hop.status} -> ${hop.method} ${hop.location}`),
+    onRetry: (wait) => (raw ? console.error : console.log)(`  ${describeRetry(wait, retries)}`)
+  };
 
-    const req = requestModule.request(reqOptions, (res) => {
-      const chunks = [];
-      res.on('data', chunk => chunks.push(chunk));
-      res.on('end', () => {
-        const responseBody = Buffer.concat(chunks).toString('utf8');
-        const contentType = res.headers['content-type'] || '';
-
-        if (verbose && !raw) {
-          console.log(`  Response: ${res.statusCode} ${res.statusMessage}`);
-          console.log(`  Content-Type: ${contentType}`);
-          console.log(`  Size: ${formatSize(Buffer.byteLength(responseBody))}`);
-          console.log('');
-        }
+  // --update-session: write the cookies the responses changed back to the file
+  const finishSession = (cookiesChanged) => {
+    if (!updateSession) return;
+    if (cookiesChanged > 0) saveSession(sessionFile, session, jar.cookies);
+    if (raw) return;
+    console.log(cookiesChanged > 0
+      ? `  Session updated: ${cookiesChanged} cookies changed in ${sessionFile}`
+      : '  Session unchanged: no new cookies were set');
+    console.log('');
+  };
 
-        // Handle redirects (session expired)
-        if (res.statusCode === 302 || res.statusCode === 301) {
-          const location = res.headers.location || '';
-          if (!raw) {
-            console.log(`  Redirected to: ${location}`);
-            if (location.includes('login') || location.includes('accounts')) {
-              console.log('');
-              console.log('  Session appears expired. Re-run:');
-              console.log(`    peek-api login ${parsedUrl.origin} --stealth`);
-            }
-            console.log('');
-          }
-          resolve();
-          return;
-        }
+  if (paginate) {
+    finishSession(await fetchPages(jar, request, requestOptions, { paginate, cursorPath, cursorParam, itemsPath, maxPages, raw, verbose, output }));
+    return;
+  }
 
-        // Output
-        if (raw) {
-          process.stdout.write(responseBody);
-        } else {
-          if (res.statusCode >= 400) {
-            console.log(`  Error: ${res.statusCode} ${res.statusMessage}`);
-            console.log('');
-          }
-
-          if (contentType.includes('json')) {
-            console.log(formatJson(responseBody));
-          } else {
-            console.log(responseBody);
-          }
-
-          if (!verbose) {
-            console.log('');
-            console.log(`  Status: ${res.statusCode} | Size: ${formatSize(Buffer.byteLength(responseBody))}`);
-          }
-          console.log('');
-        }
+  const { response: res, hops, cookiesChanged, attempts } = await sessionRequest(jar, request, requestOptions);
+  if ((hops.length > 0 || attempts > hops.length + 1) && !raw) console.log('');
 
-        // Save to file
-        if (output) {
-          const toWrite = contentType.includes('json') ? formatJson(responseBody) : responseBody;
-          fs.writeFileSync(output, toWrite);
-          if (!raw) {
-            console.log(`  Saved to ${output}`);
-            console.log('');
-          }
-        }
+  const responseBody = res.body;
+  const contentType = res.headers['content-type'] || '';
 
-        resolve();
-      });
-    });
+  if (verbose && !raw) {
+    console.log(`  Response: ${res.status} ${res.statusMessage}`);
+    console.log(`  Content-Type: ${contentType}`);
+    console.log(`  Size: ${formatSize(Buffer.byteLength(responseBody))}`);
+    if (attempts > hops.length + 1) console.log(`  Attempts: ${attempts}`);
+    const rateLimit = rateLimitInfo(res.headers);
+    if (rateLimit) console.log(`  Rate limit: ${describeRateLimit(rateLimit)}`);
+    if (cookiesChanged > 0) console.log(`  Set-Cookie: ${cookiesChanged} session cookies changed`);
+    console.log('');
+  }
 
-    req.on('error', (err) => {
-      reject(new Error(`Request failed: ${err.message}`));
-    });
+  // Handle redirects we don't follow (often an expired session)
+  if (REDIRECT_STATUSES.has(res.status)) {
+    const location = res.headers.location || '';
+    if (!raw) {
+      console.log(`  Redirected to: ${location}`);
+      if (looksLikeLogin(location)) {
+        console.log('');
+        console.log('  Session appears expired. Re-run:');
+        console.log(`    peek-api login ${parsedUrl.origin} --stealth`);
+      } else if (!follow) {
+        console.log('  Use --follow to follow it');
+      }
+      console.log('');
+    }
+    finishSession(cookiesChanged);
+    return;
+  }
 
-    if (body) {
-      req.write(body);
+  // Output
+  if (raw) {
+    process.stdout.write(responseBody);
+  } else {
+    if (res.status >= 400) {
+      console.log(`  Error: ${res.status} ${res.statusMessage}`);
+      console.log('');
     }
 
-    req.end();
-  });
+    if (contentType.includes('json')) {
+      console.log(formatJson(responseBody));
+    } else {
+      console.log(responseBody);
+    }
+
+    if (!verbose) {
+      console.log('');
+      console.log(`  Status: ${res.status} | Size: ${formatSize(Buffer.byteLength(responseBody))}`);
+    }
+    console.log('');
+
+    // Following the redirects ended up on a login page
+    const login = hops.find(hop => looksLikeLogin(hop.location));
+    if (login) {
+      console.log(`  Redirected to ${login.location}; the session appears expired. Re-run:`);
+      console.log(`    peek-api login ${parsedUrl.origin} --stealth`);
+      console.log('');
+    }
+  }
+  finishSession(cookiesChanged);
+
+  // Save to file
+  if (output) {
+    const toWrite = contentType.includes('json') ? formatJson(responseBody) : responseBody;
+    fs.writeFileSync(output, toWrite);
+    if (!raw) {
+      console.log(`  Saved to ${output}`);
+      console.log('');
+    }
+  }
 }
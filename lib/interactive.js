@@ -0,0 +1,174 @@
+// Interactive capture (capture --interactive): a live endpoint table in the
+// terminal and single-key commands in place of the --duration timer.
+
+import readline from 'node:readline';
+
+const KEY_HELP = '[q] stop  [c] checkpoint  [p] pause/resume  [s] snapshot';
+
+// Alternate screen + hidden cursor while the table is up, so the normal
+// scrollback is untouched when capture finishes
+const ENTER_SCREEN = '\x1b[?1049h\x1b[?25l';
+const LEAVE_SCREEN = '\x1b[?25h\x1b[?1049l';
+const CLEAR = '\x1b[H\x1b[2J';
+
+function truncate(text, width) {
+  return text.length > width ? `${text.slice(0, Math.max(width - 3, 0))}...` : text;
+}
+
+function formatElapsed(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function endpointPath(req) {
+  return req.graphql ? `${req.pathTemplate} (${req.graphql.type} ${req.graphql.name})` : req.pathTemplate;
+}
+
+// One redraw: status line, endpoint table (the newest rows when it doesn't
+// fit) and key help. Pure, so it can be tested without a terminal.
+export function renderLiveView({ endpoints, status = {}, columns = 100, rows = 30 }) {
+  const { paused = false, checkpoint, elapsed = 0, message, prompt } = status;
+
+  const state = paused ? 'PAUSED' : 'Recording';
+  const lines = [
+    `  peek-api capture  ${state}  ${formatElapsed(elapsed)}  ${endpoints.length} endpoints${checkpoint ? `  checkpoint: ${checkpoint}` : ''}`,
+    ''
+  ];
+
+  if (endpoints.length === 0) {
+    lines.push('  Waiting for API requests - use the browser window');
+  } else {
+    const hostWidth = Math.min(30, Math.max(4, ...endpoints.map(req => req.host.length)));
+    lines.push(`  ${'METHOD'.padEnd(9)} ${'HITS'.padStart(5)}  ${'HOST'.padEnd(hostWidth)}  PATH`);
+
+    // status, blank, header, blank, message, keys
+    const room = Math.max(rows - 6, 1);
+    const hidden = endpoints.length > room ? endpoints.length - room + 1 : 0;
+    if (hidden > 0) lines.push(`  ... ${hidden} earlier endpoints`);
+    for (const req of endpoints.slice(hidden)) {
+      const host = truncate(req.host, hostWidth).padEnd(hostWidth);
+      lines.push(`  ${req.method.padEnd(9)} ${String(req.hits || 1).padStart(5)}  ${host}  ${endpointPath(req)}`);
+    }
+  }
+
+  lines.push('');
+  lines.push(prompt !== undefined ? `  Checkpoint label (Enter to mark, Esc to cancel): ${prompt}` : `  ${message || ''}`);
+  lines.push(`  ${KEY_HELP}`);
+
+  return lines.map(line => truncate(line, columns));
+}
+
+// Show the live view until the user presses q (or Ctrl+C) or `signal` aborts.
+// Callbacks: onPause(paused), onCheckpoint(label), and onSnapshot(), which
+// may return the message to show once it's written.
+export function runInteractive(options) {
+  const {
+    catalog,
+    input = process.stdin,
+    output = process.stdout,
+    signal,
+    onPause = () => {},
+    onCheckpoint = () => {},
+    onSnapshot = async () => {},
+    refreshInterval = 500
+  } = options;
+
+  const startTime = Date.now();
+  const status = { paused: false };
+  let checkpoints = 0;
+  let snapshotting = false;
+  let finished = false;
+
+  const draw = () => {
+    if (finished) return;
+    const lines = renderLiveView({
+      endpoints: catalog.endpoints,
+      status: { ...status, elapsed: Date.now() - startTime },
+      columns: output.columns || 100,
+      rows: output.rows || 30
+    });
+    output.write(CLEAR + lines.join('\n'));
+  };
+
+  return new Promise((resolve) => {
+    let timer;
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      clearInterval(timer);
+      input.removeListener('keypress', onKeypress);
+      output.removeListener('resize', draw);
+      if (signal) signal.removeEventListener('abort', finish);
+      if (input.setRawMode) input.setRawMode(false);
+      input.pause();
+      output.write(LEAVE_SCREEN);
+      resolve({ checkpoints, elapsed: Date.now() - startTime });
+    };
+
+    const snapshot = async () => {
+      snapshotting = true;
+      status.message = 'Writing snapshot...';
+      draw();
+      try {
+        status.message = (await onSnapshot()) || 'Snapshot written';
+      } catch (err) {
+        status.message = `Snapshot failed: ${err.message}`;
+      }
+      snapshotting = false;
+      draw();
+    };
+
+    // While a checkpoint label is being typed, keys edit the label
+    const editPrompt = (str, key) => {
+      if (key.name === 'return' || key.name === 'enter') {
+        checkpoints++;
+        const label = status.prompt.trim() || `Checkpoint ${checkpoints}`;
+        status.prompt = undefined;
+        status.checkpoint = label;
+        status.message = `Checkpoint "${label}" marked`;
+        onCheckpoint(label);
+      } else if (key.name === 'escape') {
+        status.prompt = undefined;
+        status.message = '';
+      } else if (key.name === 'backspace') {
+        status.prompt = status.prompt.slice(0, -1);
+      } else if (str && !key.ctrl && !key.meta && str >= ' ') {
+        status.prompt += str;
+      }
+    };
+
+    function onKeypress(str, key = {}) {
+      if (key.ctrl && key.name === 'c') return finish();
+
+      if (status.prompt !== undefined) {
+        editPrompt(str, key);
+      } else if (key.name === 'q') {
+        return finish();
+      } else if (key.name === 'c') {
+        status.prompt = '';
+      } else if (key.name === 'p') {
+        status.paused = !status.paused;
+        status.message = status.paused ? 'Paused - new requests are not recorded' : 'Recording resumed';
+        onPause(status.paused);
+      } else if (key.name === 's' && !snapshotting) {
+        snapshot();
+        return;
+      }
+      draw();
+    }
+
+    readline.emitKeypressEvents(input);
+    if (input.setRawMode) input.setRawMode(true);
+    input.on('keypress', onKeypress);
+    input.resume();
+    output.on('resize', draw);
+    if (signal) signal.addEventListener('abort', finish, { once: true });
+
+    output.write(ENTER_SCREEN);
+    draw();
+    timer = setInterval(draw, refreshInterval);
+
+    if (signal && signal.aborted) finish();
+  });
+}
@@ -0,0 +1,380 @@
+// Mock server replaying a capture. Each request is matched to a captured
+// endpoint by method and path template; when several match, the one whose
+// recorded query params (or GraphQL operation) fit best wins. Of that
+// endpoint's recorded responses, the one whose request sent the closest
+// query params (GraphQL: variables) is served, so front ends and agents can
+// run against a site's API offline. Captures of several hosts take the host
+// as the first path segment (/api.example.com/v1/users) to pick between them.
+
+import fs from 'node:fs';
+import http from 'node:http';
+import { loadCapture } from './diff.js';
+import { parseGraphQL, operationVariables } from './graphql.js';
+import { segmentKind } from './paths.js';
+
+// Largest request body read for GraphQL operation matching
+const MAX_REQUEST_BODY = 1024 * 1024;
+
+// "250" or "100-500" (milliseconds)
+export function parseLatency(value) {
+  if (value === undefined || value === null || value === '') return { min: 0, max: 0 };
+  const match = /^(\d+)(?:-(\d+))?$/.exec(String(value).trim());
+  if (!match || (match[2] !== undefined && Number(match[2]) < Number(match[1]))) {
+    throw new Error(`Invalid --latency "${value}" (use milliseconds, e.g. 200 or 100-500)`);
+  }
+  const min = Number(match[1]);
+  return { min, max: match[2] !== undefined ? Number(match[2]) : min };
+}
+
+// How well a request path fits a template, or -1: literal segments must be
+// equal, placeholders take any segment and score higher when it's the same kind
+function pathScore(template, pathname) {
+  const expected = template.split('/');
+  const actual = pathname.split('/');
+  if (expected.length !== actual.length) return -1;
+
+  let score = 0;
+  for (let i = 0; i < expected.length; i++) {
+    const placeholder = /^\{([a-z]+)\d*\}$/.exec(expected[i]);
+    if (!placeholder) {
+      if (expected[i] !== actual[i]) return -1;
+      score += 2;
+    } else if (!actual[i]) {
+      return -1;
+    } else if (segmentKind(actual[i]) === placeholder[1]) {
+      score += 1;
+    }
+  }
+  return score;
+}
+
+// Known query params, and params whose value was seen, count toward a match
+function queryScore(endpoint, searchParams) {
+  let score = 0;
+  for (const [name, value] of searchParams) {
+    const first = endpoint.params && endpoint.params[name];
+    const stats = endpoint.queryParams && endpoint.queryParams[name];
+    if (first === undefined && !stats) continue;
+    score += 1;
+    if (first === value || (stats && stats.examples.some(example => String(example) === value))) score += 2;
+  }
+  return score;
+}
+
+// The first path segment when it names one of the captured hosts
+function hostPrefix(pathname, hosts) {
+  const [, first, ...rest] = pathname.split('/');
+  return hosts.includes(first) ? { host: first, pathname: `/${rest.join('/')}` } : null;
+}
+
+// Picks the captured endpoint(s) that answer a request. GraphQL requests
+// get one endpoint per operation (several for batches), or none.
+export function createMatcher(endpoints) {
+  const routes = endpoints.filter(endpoint => endpoint.method !== 'WEBSOCKET');
+  const hosts = [...new Set(routes.map(endpoint => endpoint.host).filter(Boolean))];
+
+  function match({ method, url, body }) {
+    const parsed = new URL(url, 'http://localhost');
+    const wanted = method === 'HEAD' ? 'GET' : method;
+    const prefix = hosts.length > 1 ? hostPrefix(parsed.pathname, hosts) : null;
+    if (prefix) parsed.pathname = prefix.pathname;
+
+    const candidates = routes
+      .filter(endpoint => !prefix || endpoint.host === prefix.host)
+      .map(endpoint => ({ endpoint, score: pathScore(endpoint.pathTemplate || endpoint.path, parsed.pathname) }))
+      .filter(({ endpoint, score }) => score >= 0 && endpoint.method === wanted);
+    if (candidates.length === 0) return [];
+
+    const best = (list) => {
+      let top;
+      for (const candidate of list) {
+        const score = candidate.score + queryScore(candidate.endpoint, parsed.searchParams) + (candidate.endpoint.path === parsed.pathname ? 1 : 0);
+        if (!top || score > top.score) top = { endpoint: candidate.endpoint, score };
+      }
+      return top && top.endpoint;
+    };
+
+    const operations = candidates.some(({ endpoint }) => endpoint.graphql)
+      ? parseGraphQL({ method, url: parsed, postData: body })
+      : null;
+    if (!operations) {
+      const endpoint = best(candidates.filter(({ endpoint }) => !endpoint.graphql));
+      return endpoint ? [endpoint] : [];
+    }
+
+    const matched = operations.map(operation => best(candidates.filter(({ endpoint }) => endpoint.graphql && endpoint.graphql.name === operation.name)));
+    return matched.every(Boolean) ? matched : [];
+  }
+
+  return { routes, hosts, match };
+}
+
+// How many of a recorded request's values the new request sent too
+function sentScore(recorded = {}, sent = {}) {
+  return Object.entries(recorded).filter(([name, value]) => Object.hasOwn(sent, name) && JSON.stringify(sent[name]) === JSON.stringify(value)).length;
+}
+
+// The endpoint's recorded response for a request: the one whose query
+// params (GraphQL: variables) fit best, the first captured on a tie
+export function recordedResponse(endpoint, request) {
+  if (!endpoint.responses || !request) return endpoint.response;
+
+  const parsed = new URL(request.url, 'http://localhost');
+  let sent = { query: Object.fromEntries(parsed.searchParams) };
+  if (endpoint.graphql) {
+    const operations = parseGraphQL({ method: request.method, url: parsed, postData: request.body }) || [];
+    const operation = operations.find(op => op.name === endpoint.graphql.name);
+    sent = { variables: (operation && operationVariables(operation)) || {} };
+  }
+
+  let best;
+  for (const candidate of endpoint.responses) {
+    const score = sentScore(candidate.query, sent.query) + sentScore(candidate.variables, sent.variables);
+    if (!best || score > best.score) best = { response: candidate.response, score };
+  }
+  return best.response;
+}
+
+// A placeholder value shaped like an inferred schema, for responses whose body wasn't kept
+export function exampleFromSchema(schema = {}) {
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') || 'null' : schema.type;
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, value]) => [key, exampleFromSchema(value)]));
+    case 'array':
+      return schema.items ? [exampleFromSchema(schema.items)] : [];
+    case 'string': return 'string';
+    case 'integer':
+    case 'number': return 0;
+    case 'boolean': return false;
+    default: return null;
+  }
+}
+
+// Recorded SSE messages, replayed as one event stream
+function eventStream(realtime) {
+  return realtime.frames
+    .filter(frame => frame.direction === 'received' && !frame.binary)
+    .map((frame) => {
+      const lines = [];
+      if (frame.event) lines.push(`event: ${frame.event}`);
+      if (frame.id) lines.push(`id: ${frame.id}`);
+      const data = frame.json !== undefined ? JSON.stringify(frame.json) : frame.text;
+      for (const line of String(data).split('\n')) lines.push(`data: ${line}`);
+      return `${lines.join('\n')}\n\n`;
+    })
+    .join('');
+}
+
+// Status, headers and body to answer with for the matched endpoint(s) and
+// the request ({ method, url, body }) they answer
+export function mockResponse(matched, request) {
+  const [endpoint] = matched;
+  const headers = { 'x-peek-api-endpoint': matched.map(e => `${e.method} ${e.pathTemplate}${e.graphql ? ` ${e.graphql.name}` : ''}`).join(', ') };
+  const responses = matched.map(e => recordedResponse(e, request));
+  const [response] = responses;
+
+  if (endpoint.realtime && endpoint.realtime.type === 'sse') {
+    return { status: 200, headers: { ...headers, 'content-type': 'text/event-stream' }, body: eventStream(endpoint.realtime) };
+  }
+  if (!response) {
+    return {
+      status: 501,
+      headers: { ...headers, 'content-type': 'text/plain' },
+      body: `peek-api mock: no response was captured for ${endpoint.method} ${endpoint.pathTemplate}\n`
+    };
+  }
+
+  const body = (recorded) => {
+    if (recorded && recorded.body !== undefined) return recorded.body;
+    if (recorded && recorded.schema) {
+      headers['x-peek-api-mock'] = 'schema';
+      return JSON.stringify(exampleFromSchema(recorded.schema));
+    }
+    return '';
+  };
+
+  if (response.truncated) headers['x-peek-api-truncated'] = 'true';
+  if (response.contentType) headers['content-type'] = response.contentType;
+
+  // Batched GraphQL operations answer with an array of their responses
+  if (matched.length > 1) {
+    const parts = responses.map((recorded) => {
+      try {
+        return JSON.parse(body(recorded));
+      } catch {
+        return null;
+      }
+    });
+    return { status: response.status || 200, headers: { ...headers, 'content-type': 'application/json' }, body: JSON.stringify(parts) };
+  }
+  return { status: response.status || 200, headers, body: body(response) };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_REQUEST_BODY) chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Browsers calling the mock from a dev server on another port need CORS
+function corsHeaders(req) {
+  const origin = req.headers.origin;
+  if (!origin) return {};
+  return {
+    'access-control-allow-origin': origin,
+    'access-control-allow-credentials': 'true',
+    'access-control-expose-headers': 'x-peek-api-endpoint, x-peek-api-mock, x-peek-api-truncated',
+    vary: 'Origin'
+  };
+}
+
+function mockError(status, message) {
+  return { status, headers: { 'content-type': 'application/json' }, body: JSON.stringify({ error: `peek-api mock: ${message}` }) };
+}
+
+export async function startMockServer({ endpoints, port = 0, host = '127.0.0.1', latency = { min: 0, max: 0 }, fallbackStatus = 404, onRequest }) {
+  const matcher = createMatcher(endpoints);
+
+  const server = http.createServer(async (req, res) => {
+    const started = Date.now();
+    const body = await readBody(req).catch(() => '');
+    const cors = corsHeaders(req);
+
+    let answer;
+    let matched = [];
+    if (req.method === 'OPTIONS' && req.headers['access-control-request-method']) {
+      answer = {
+        status: 204,
+        headers: {
+          'access-control-allow-methods': req.headers['access-control-request-method'],
+          'access-control-allow-headers': req.headers['access-control-request-headers'] || '*',
+          'access-control-max-age': '600'
+        },
+        body: ''
+      };
+    } else {
+      // One odd request shouldn't take the mock down for the rest
+      try {
+        matched = matcher.match({ method: req.method, url: req.url, body });
+        answer = matched.length > 0
+          ? mockResponse(matched, { method: req.method, url: req.url, body })
+          : mockError(fallbackStatus, `no captured endpoint for ${req.method} ${req.url.split('?')[0]}`);
+      } catch (error) {
+        matched = [];
+        answer = error.code === 'ERR_INVALID_URL'
+          ? mockError(400, `can't parse request URL ${req.url}`)
+          : mockError(500, `failed to answer ${req.method} ${req.url.split('?')[0]}: ${error.message}`);
+      }
+    }
+
+    const delay = latency.min + Math.floor(Math.random() * (latency.max - latency.min + 1));
+    if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+
+    res.writeHead(answer.status, { ...answer.headers, ...cors });
+    res.end(req.method === 'HEAD' ? undefined : answer.body);
+
+    if (onRequest) {
+      onRequest({
+        time: new Date(started).toISOString(),
+        method: req.method,
+        url: req.url,
+        status: answer.status,
+        endpoint: matched.length > 0 ? answer.headers['x-peek-api-endpoint'] : undefined,
+        ms: Date.now() - started
+      });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    port: server.address().port,
+    host,
+    routes: matcher.routes.length,
+    hosts: matcher.hosts,
+    close() {
+      // Keep-alive sockets would hold close() open; Node 18.0 and 18.1 lack this
+      if (server.closeAllConnections) server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+export async function mock(options) {
+  const {
+    dir,
+    port = 8787,
+    host = '127.0.0.1',
+    duration,
+    latency: latencyOption,
+    fallbackStatus = 404,
+    logFile,
+    quiet = false
+  } = options;
+
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error('--port must be a number between 0 and 65535');
+  }
+  if (duration !== undefined && !(duration > 0)) {
+    throw new Error('--duration must be a positive number of seconds');
+  }
+  if (!Number.isInteger(fallbackStatus) || fallbackStatus < 100 || fallbackStatus > 599) {
+    throw new Error('--fallback-status must be an HTTP status code (100-599)');
+  }
+  const latency = parseLatency(latencyOption);
+  const { endpoints } = loadCapture(dir);
+
+  let served = 0;
+  let unmatched = 0;
+  const onRequest = (entry) => {
+    served++;
+    if (!entry.endpoint) unmatched++;
+    if (!quiet) {
+      const target = entry.endpoint || 'no match';
+      console.log(`  ${entry.method} ${entry.url} -> ${entry.status} (${target}, ${entry.ms}ms)`);
+    }
+    if (logFile) fs.appendFileSync(logFile, JSON.stringify(entry) + '\n');
+  };
+
+  const server = await startMockServer({ endpoints, port, host, latency, fallbackStatus, onRequest });
+  const mockUrl = `http://${host}:${server.port}`;
+
+  console.log(`\n  peek-api mock`);
+  console.log(`  Capture: ${dir} (${server.routes} endpoints)`);
+  console.log(`  Listening: ${mockUrl}`);
+  if (server.hosts.length > 1) {
+    console.log(`  Hosts: ${server.hosts.join(', ')} (pick one with a path prefix, e.g. ${mockUrl}/${server.hosts[0]}/...)`);
+  }
+  if (latency.max > 0) {
+    console.log(`  Latency: ${latency.min === latency.max ? latency.min : `${latency.min}-${latency.max}`}ms`);
+  }
+  console.log(`  Unknown routes: ${fallbackStatus}`);
+  if (logFile) console.log(`  Request log: ${logFile}`);
+  console.log(`  Duration: ${duration ? `${duration}s` : 'until Ctrl+C'}`);
+  console.log('');
+
+  await new Promise((resolve) => {
+    const stop = () => {
+      clearTimeout(timer);
+      process.off('SIGINT', stop);
+      resolve();
+    };
+    const timer = duration ? setTimeout(stop, duration * 1000) : null;
+    process.on('SIGINT', stop);
+  });
+  await server.close();
+
+  console.log(`\n  Mock stopped: ${served} requests served (${unmatched} unmatched)`);
+  console.log('');
+}
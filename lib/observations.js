@@ -0,0 +1,115 @@
+// Per-field statistics merged across every request to an endpoint: how
+// often a query param or body field was present, what kind of values it
+// took (int, bool, timestamp, id, enum...) and a few example values.
+// Stored on endpoints as { name: { seen, type, examples } }.
+
+import { segmentKind } from './paths.js';
+
+const MAX_EXAMPLES = 5;
+const MAX_EXAMPLE_LENGTH = 80;
+// A string field needs this many observations before it can be an enum
+const MIN_ENUM_OBSERVATIONS = 3;
+
+// 2000-01-01 to 2100-01-01, in seconds
+const EPOCH_RANGE = [946684800, 4102444800];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Field state that isn't written to endpoints.json: every value kind seen,
+// and whether there were more distinct values than examples kept
+const internals = new WeakMap();
+
+function isEpoch(n) {
+  return (n >= EPOCH_RANGE[0] && n <= EPOCH_RANGE[1]) || (n >= EPOCH_RANGE[0] * 1000 && n <= EPOCH_RANGE[1] * 1000);
+}
+
+// Kind of one observed value (query strings are always strings, JSON bodies aren't)
+export function valueKind(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return 'bool';
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) return 'number';
+    return isEpoch(value) && String(Math.abs(value)).length >= 10 ? 'timestamp' : 'int';
+  }
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'object') return 'object';
+
+  const text = String(value);
+  if (text === 'true' || text === 'false') return 'bool';
+  if (ISO_DATE.test(text)) return 'timestamp';
+  if (/^-?\d{1,15}$/.test(text)) {
+    return (text.length === 10 || text.length === 13) && isEpoch(Number(text)) ? 'timestamp' : 'int';
+  }
+  if (/^-?\d+\.\d+$/.test(text)) return 'number';
+  // Long numeric IDs (snowflakes), UUIDs, hashes, URNs, opaque tokens
+  if (/^\d{16,}$/.test(text) || segmentKind(text)) return 'id';
+  return 'string';
+}
+
+function exampleValue(value) {
+  if (typeof value === 'string' && value.length > MAX_EXAMPLE_LENGTH) return `${value.slice(0, MAX_EXAMPLE_LENGTH)}...`;
+  return value;
+}
+
+// The type a field gets from all the kinds of value it took
+function fieldType(stats, { kinds, overflow }) {
+  const types = [...kinds].filter(kind => kind !== 'null');
+  if (types.length === 0) return 'null';
+  if (types.every(kind => kind === 'int' || kind === 'number')) return types.includes('number') ? 'number' : 'int';
+  if (types.length > 1) return 'mixed';
+
+  const [type] = types;
+  const repeats = stats.examples.length < stats.seen;
+  if (type === 'string' && !overflow && stats.seen >= MIN_ENUM_OBSERVATIONS && repeats) return 'enum';
+  return type;
+}
+
+// Merge one observation (name -> value) into a field map and return it
+export function observeFields(fields = {}, values = {}) {
+  for (const [name, value] of Object.entries(values)) {
+    const stats = fields[name] || { seen: 0, type: undefined, examples: [] };
+    // Fields loaded from endpoints.json: rebuild what the examples tell us
+    const state = internals.get(stats) || { kinds: new Set(stats.examples.map(valueKind)), overflow: stats.examples.length >= MAX_EXAMPLES };
+    internals.set(stats, state);
+
+    stats.seen++;
+    state.kinds.add(valueKind(value));
+
+    const example = exampleValue(value);
+    const scalar = example === null || typeof example !== 'object';
+    if (scalar && !stats.examples.includes(example)) {
+      if (stats.examples.length < MAX_EXAMPLES) stats.examples.push(example);
+      else state.overflow = true;
+    }
+
+    stats.type = fieldType(stats, state);
+    fields[name] = stats;
+  }
+  return fields;
+}
+
+// Top-level fields of a JSON object or form body, or null for anything else
+export function bodyFieldValues(postData) {
+  if (!postData) return null;
+  try {
+    const json = JSON.parse(postData);
+    return json && typeof json === 'object' && !Array.isArray(json) ? json : null;
+  } catch {
+    // Not JSON
+  }
+  if (/^[^=&\s]+=[^&\s]*(?:&[^=&\s]+=[^&\s]*)*$/.test(postData)) {
+    return Object.fromEntries(new URLSearchParams(postData));
+  }
+  return null;
+}
+
+// "limit (int, 12/12, e.g. 10, 20)" or "sort (enum: asc | desc, 5/12)" for CAPTURE.md
+export function fieldSummary(name, stats, total) {
+  const format = (value) => typeof value === 'string' ? value : JSON.stringify(value);
+  const parts = [stats.type === 'enum' ? `enum: ${stats.examples.map(format).join(' | ')}` : stats.type];
+  if (total > 1) parts.push(`${stats.seen}/${total}`);
+  if (stats.type !== 'enum' && stats.examples.length > 0) {
+    parts.push(`e.g. ${stats.examples.slice(0, 3).map(format).join(', ')}`);
+  }
+  return `${name} (${parts.join(', ')})`;
+}
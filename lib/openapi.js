@@ -0,0 +1,192 @@
+import YAML from 'yaml';
+import { inferJsonSchema, inferSchema } from './schema.js';
+
+const HTTP_METHODS = new Set(['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']);
+
+function schemeName(name) {
+  return name.replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+function operationId(method, pathname, used) {
+  const words = pathname.split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const base = method.toLowerCase() + words.map(w => w[0].toUpperCase() + w.slice(1)).join('');
+  let id = base;
+  for (let n = 2; used.has(id); n++) id = `${base}${n}`;
+  used.add(id);
+  return id;
+}
+
+// Map captured auth headers and cookies to OpenAPI security schemes
+export function buildSecuritySchemes(auth = {}) {
+  const schemes = {};
+
+  for (const [header, value] of Object.entries(auth.headers || {})) {
+    if (header.toLowerCase() === 'authorization') {
+      const scheme = String(value).split(' ')[0].toLowerCase();
+      if (scheme === 'bearer') {
+        schemes.bearerAuth = { type: 'http', scheme: 'bearer' };
+      } else if (scheme === 'basic') {
+        schemes.basicAuth = { type: 'http', scheme: 'basic' };
+      } else {
+        schemes.authorizationHeader = { type: 'apiKey', in: 'header', name: header };
+      }
+      continue;
+    }
+    schemes[schemeName(header)] = { type: 'apiKey', in: 'header', name: header };
+  }
+
+  for (const cookie of Object.keys(auth.cookies || {})) {
+    schemes[`cookie_${schemeName(cookie)}`] = { type: 'apiKey', in: 'cookie', name: cookie };
+  }
+
+  return schemes;
+}
+
+function buildRequestBody(postData) {
+  const schema = inferJsonSchema(postData);
+  if (schema) {
+    return {
+      content: {
+        'application/json': { schema, example: JSON.parse(postData) }
+      }
+    };
+  }
+
+  if (/^[^=&\s]+=[^&]*(&[^=&\s]+=[^&]*)*$/.test(postData)) {
+    const properties = {};
+    for (const key of new URLSearchParams(postData).keys()) {
+      properties[key] = { type: 'string' };
+    }
+    return {
+      content: {
+        'application/x-www-form-urlencoded': { schema: { type: 'object', properties } }
+      }
+    };
+  }
+
+  return { content: { 'text/plain': { schema: { type: 'string' } } } };
+}
+
+function buildResponses(response) {
+  if (!response) {
+    return { default: { description: 'Response not captured' } };
+  }
+
+  const description = `Observed ${response.status} response`;
+  if (!response.contentType) {
+    return { [response.status]: { description } };
+  }
+
+  const media = {};
+  if (response.schema) media.schema = response.schema;
+  return { [response.status]: { description, content: { [response.contentType]: media } } };
+}
+
+export function buildOpenApi({ endpoints, auth, title, version }) {
+  const servers = [];
+  for (const entry of endpoints) {
+    const origin = new URL(entry.url).origin;
+    if (!servers.includes(origin)) servers.push(origin);
+  }
+
+  const securitySchemes = buildSecuritySchemes(auth);
+  const usedIds = new Set();
+  const paths = {};
+  // Path -> the origins it was seen on
+  const pathOrigins = new Map();
+
+  for (const entry of endpoints) {
+    const method = entry.method.toLowerCase();
+    if (!HTTP_METHODS.has(method)) continue;
+
+    const origin = new URL(entry.url).origin;
+    const pathKey = entry.pathTemplate || entry.path;
+    if (!paths[pathKey]) {
+      paths[pathKey] = {};
+      pathOrigins.set(pathKey, []);
+    }
+    // The same path on another host: the path lists both servers
+    const origins = pathOrigins.get(pathKey);
+    if (!origins.includes(origin)) origins.push(origin);
+    if (paths[pathKey][method]) {
+      // GraphQL operations share one path; list them on the first one
+      const existing = paths[pathKey][method]['x-graphql-operations'];
+      if (entry.graphql && existing && !existing.includes(entry.graphql.name)) existing.push(entry.graphql.name);
+      continue;
+    }
+
+    const pathParameters = Object.entries(entry.pathParams || {}).map(([name, examples]) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: { type: 'string' },
+      example: examples[0]
+    }));
+    const queryParameters = Object.entries(entry.params || {}).map(([name, example]) => ({
+      name,
+      in: 'query',
+      schema: inferSchema(example),
+      example
+    }));
+    // Params only seen on later requests, and what the observations tell us
+    for (const [name, stats] of Object.entries(entry.queryParams || {})) {
+      let parameter = queryParameters.find(p => p.name === name);
+      if (!parameter) {
+        parameter = { name, in: 'query', schema: inferSchema(stats.examples[0] || ''), example: stats.examples[0] };
+        queryParameters.push(parameter);
+      }
+      if (stats.type === 'enum') parameter.schema = { type: 'string', enum: stats.examples };
+      if (entry.hits > 1 && stats.seen === entry.hits) parameter.required = true;
+    }
+
+    const operation = {
+      operationId: operationId(method, pathKey, usedIds),
+      parameters: [...pathParameters, ...queryParameters]
+    };
+    if (operation.parameters.length === 0) delete operation.parameters;
+    if (entry.graphql) operation['x-graphql-operations'] = [entry.graphql.name];
+    if (entry.pagination) operation['x-pagination'] = entry.pagination;
+
+    if (entry.postData) operation.requestBody = buildRequestBody(entry.postData);
+    operation.responses = buildResponses(entry.response);
+
+    paths[pathKey][method] = operation;
+  }
+
+  // Paths served by anything other than the first server say where they are
+  for (const [pathKey, origins] of pathOrigins) {
+    if (origins.length > 1 || origins[0] !== servers[0]) {
+      paths[pathKey] = { servers: origins.map(url => ({ url })), ...paths[pathKey] };
+    }
+  }
+
+  const spec = {
+    openapi: '3.1.0',
+    info: { title, version },
+    servers: servers.map(url => ({ url })),
+    paths
+  };
+
+  if (Object.keys(securitySchemes).length > 0) {
+    spec.components = { securitySchemes };
+    spec.security = [Object.fromEntries(Object.keys(securitySchemes).map(name => [name, []]))];
+  }
+
+  return spec;
+}
+
+export const OPENAPI_FORMATS = ['yaml', 'json'];
+
+// --openapi-format: yaml (the default) or json
+export function parseOpenapiFormat(value) {
+  const format = (value || 'yaml').trim().toLowerCase();
+  if (!OPENAPI_FORMATS.includes(format)) {
+    throw new Error(`Unknown --openapi-format "${value}" (expected ${OPENAPI_FORMATS.join(' or ')})`);
+  }
+  return format;
+}
+
+export function formatOpenApi(spec, format = 'yaml') {
+  if (format === 'json') return JSON.stringify(spec, null, 2);
+  return YAML.stringify(spec);
+}
@@ -0,0 +1,325 @@
+// Auto-pagination for `peek-api http --paginate`. A plan says how an
+// endpoint pages, in the same shape pagination.js detects from captures:
+// { style, request: { param, in, limit }, response: { next, header, items,
+// hasMore, total } }. It comes from a preset, from --cursor-path and
+// --cursor-param, or is guessed from the first response. Each page's
+// response and request give the next request, until the list runs out.
+
+import { detectPagination, requestValues, nextLink } from './pagination.js';
+
+export const PAGINATION_PRESETS = {
+  // Instagram feeds, inboxes and follower lists
+  next_max_id: {
+    style: 'cursor',
+    request: { param: 'max_id', in: 'query' },
+    response: { next: 'next_max_id', hasMore: 'more_available' }
+  },
+  // LinkedIn Voyager collections: ?start=0&count=20, paging.total
+  paging: {
+    style: 'offset',
+    request: { param: 'start', in: 'query', limit: 'count' },
+    response: { items: 'elements[]', total: 'paging.total' }
+  },
+  // GraphQL connections (Relay, Instagram, GitHub): variables.after
+  page_info: {
+    style: 'cursor',
+    request: { param: 'after', in: 'variables' },
+    response: { next: 'page_info.end_cursor', hasMore: 'page_info.has_next_page' }
+  },
+  // Link: <...>; rel="next" (GitHub REST and most public APIs)
+  link: {
+    style: 'link-header',
+    request: {},
+    response: { header: 'Link' }
+  }
+};
+
+const MAX_DEPTH = 8;
+
+// has_more-style flags that mean the opposite
+const LAST_PAGE_FIELD = /^(is_?last(_?page)?|end_?of_?(list|feed|results))$/i;
+
+function normalize(key) {
+  return key.replace(/_/g, '').toLowerCase();
+}
+
+// A value by dotted path. Keys match ignoring case and underscores
+// (page_info.end_cursor finds pageInfo.endCursor), and the path may start
+// anywhere in the body; the shallowest match wins.
+export function valueAt(body, path) {
+  if (!path) return undefined;
+  const wanted = path.replace(/\[\]$/, '').split('.').filter(Boolean).map(normalize);
+  if (wanted.length === 0) return body;
+  if (!body || typeof body !== 'object') return undefined;
+
+  const follow = (node) => {
+    let value = node;
+    for (const segment of wanted) {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+      const key = Object.keys(value).find(k => normalize(k) === segment);
+      if (key === undefined) return undefined;
+      value = value[key];
+    }
+    return value;
+  };
+
+  let level = [body];
+  for (let depth = 0; depth <= MAX_DEPTH && level.length > 0; depth++) {
+    const next = [];
+    for (const node of level) {
+      const value = follow(node);
+      if (value !== undefined) return value;
+      for (const child of Object.values(node)) {
+        if (child && typeof child === 'object' && !Array.isArray(child)) next.push(child);
+      }
+    }
+    level = next;
+  }
+  return undefined;
+}
+
+// The longest list in a body, preferring lists of objects, as an items path
+export function findItemsPath(body) {
+  if (Array.isArray(body)) return '[]';
+  let best;
+  const walk = (value, path, depth) => {
+    if (!value || typeof value !== 'object' || depth > MAX_DEPTH) return;
+    if (Array.isArray(value)) {
+      const objects = value.some(item => item && typeof item === 'object');
+      const rank = (objects ? 1e9 : 0) + value.length;
+      if (!best || rank > best.rank) best = { path: `${path}[]`, rank };
+      return;
+    }
+    for (const [key, child] of Object.entries(value)) walk(child, path ? `${path}.${key}` : key, depth + 1);
+  };
+  walk(body, '', 0);
+  return best && best.path;
+}
+
+// The page's items, or null when it has no list
+export function pageItems(body, plan) {
+  const path = plan.response.items || findItemsPath(body);
+  if (!path) return null;
+  const items = path === '[]' ? body : valueAt(body, path);
+  return Array.isArray(items) ? items : null;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Where a request carries its GraphQL variables: the `variables` query
+// param, a JSON body's `variables`, or a form body's `variables` field
+function variablesOf(request) {
+  const fromQuery = parseJson(request.url.searchParams.get('variables'));
+  if (isObject(fromQuery)) return { in: 'query', variables: fromQuery };
+  if (!request.body) return null;
+
+  const json = parseJson(request.body);
+  if (isObject(json)) return isObject(json.variables) ? { in: 'json', variables: json.variables } : null;
+  const fromForm = parseJson(new URLSearchParams(request.body).get('variables'));
+  return isObject(fromForm) ? { in: 'form', variables: fromForm } : null;
+}
+
+// The request's values the way pagination.js sees them
+function valuesOf(request) {
+  const query = Object.fromEntries(request.url.searchParams);
+  let body;
+  if (request.body) {
+    const json = parseJson(request.body);
+    body = isObject(json) ? json : Object.fromEntries(new URLSearchParams(request.body));
+  }
+  const found = variablesOf(request);
+  return requestValues({ query, body, variables: found ? found.variables : undefined });
+}
+
+function getNested(object, name) {
+  return name.split('.').reduce((value, key) => (isObject(value) ? value[key] : undefined), object);
+}
+
+function setNested(object, name, value) {
+  const keys = name.split('.');
+  let target = object;
+  for (const key of keys.slice(0, -1)) {
+    if (!isObject(target[key])) target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+// Where a param goes: GraphQL variables when the plan says so and the
+// request has them, otherwise wherever the request already has it
+function paramLocation(request, param, preferred) {
+  if (preferred === 'variables' && variablesOf(request)) return 'variables';
+  const values = valuesOf(request);
+  if (values[param]) return values[param].in;
+  return preferred === 'body' && request.body ? 'body' : 'query';
+}
+
+export function paramValue(request, name, where) {
+  if (where === 'query') return request.url.searchParams.get(name);
+  if (where === 'variables') {
+    const found = variablesOf(request);
+    const value = found ? getNested(found.variables, name) : undefined;
+    return value === undefined ? null : String(value);
+  }
+  if (!request.body) return null;
+  const json = parseJson(request.body);
+  const value = isObject(json) ? getNested(json, name) : new URLSearchParams(request.body).get(name);
+  return value === undefined || value === null ? null : String(value);
+}
+
+// A copy of the request with one param changed. Numbers stay numbers in JSON.
+export function withParam(request, name, where, value) {
+  const url = new URL(request.url);
+  let body = request.body;
+  const typed = (previous) => (typeof previous === 'number' && /^\d+$/.test(value) ? Number(value) : value);
+
+  if (where === 'query') {
+    url.searchParams.set(name, value);
+  } else if (where === 'variables') {
+    const found = variablesOf(request);
+    const variables = structuredClone(found.variables);
+    setNested(variables, name, typed(getNested(variables, name)));
+    if (found.in === 'query') {
+      url.searchParams.set('variables', JSON.stringify(variables));
+    } else if (found.in === 'json') {
+      body = JSON.stringify({ ...JSON.parse(body), variables });
+    } else {
+      const form = new URLSearchParams(body);
+      form.set('variables', JSON.stringify(variables));
+      body = form.toString();
+    }
+  } else {
+    const json = parseJson(body || '');
+    if (isObject(json)) {
+      setNested(json, name, typed(getNested(json, name)));
+      body = JSON.stringify(json);
+    } else {
+      const form = new URLSearchParams(body || '');
+      form.set(name, value);
+      body = form.toString();
+    }
+  }
+  return { ...request, url, body };
+}
+
+// The request param a cursor field is usually sent back in, when the first
+// request doesn't have it yet: next_max_id -> max_id, nextPageToken ->
+// pageToken, end_cursor -> after
+function paramForCursor(path) {
+  const key = path.split('.').pop();
+  if (/^end_?cursor$/i.test(key)) return 'after';
+  const match = /^next_?(.+)$/i.exec(key);
+  if (!match) return undefined;
+  return match[1].charAt(0).toLowerCase() + match[1].slice(1);
+}
+
+// How this endpoint pages: the preset, or a guess from the first page, with
+// --cursor-path, --cursor-param and --items-path on top
+export function paginationPlan({ preset, cursorPath, cursorParam, itemsPath } = {}, firstPage) {
+  let plan;
+  if (preset) {
+    if (!PAGINATION_PRESETS[preset]) {
+      throw new Error(`Unknown pagination preset "${preset}" (use ${Object.keys(PAGINATION_PRESETS).join(', ')})`);
+    }
+    plan = structuredClone(PAGINATION_PRESETS[preset]);
+  } else if (cursorPath && cursorParam) {
+    plan = { style: 'cursor', request: {}, response: {} };
+  } else {
+    const { request, body, headers = {} } = firstPage;
+    plan = detectPagination([{ url: request.url.href, values: valuesOf(request), link: headers.link, body }]);
+    if (!plan) {
+      throw new Error(`Could not tell how ${request.url.pathname} pages. Use a preset (--paginate ${Object.keys(PAGINATION_PRESETS).join('|')}) or --cursor-path with --cursor-param`);
+    }
+  }
+
+  if (cursorPath) {
+    plan.response.next = cursorPath;
+    if (plan.style !== 'cursor' && plan.style !== 'keyset') plan.style = 'cursor';
+  }
+  if (cursorParam) plan.request = { ...plan.request, param: cursorParam, in: undefined };
+  if (itemsPath) plan.response.items = itemsPath;
+
+  const usesParam = plan.style !== 'link-header' && plan.style !== 'next-url';
+  if (usesParam && !plan.request.param && plan.response.next) {
+    const param = paramForCursor(plan.response.next);
+    if (param) plan.request = { ...plan.request, param, in: undefined };
+  }
+  if (usesParam && !plan.request.param) {
+    throw new Error(`Found the ${plan.style} in the response${plan.response.next ? ` (${plan.response.next})` : ''} but not which request param to set; pass --cursor-param`);
+  }
+  return plan;
+}
+
+export function describePlan(plan) {
+  const { style, request, response } = plan;
+  if (style === 'link-header') return 'Link header (rel="next")';
+  if (style === 'next-url') return `next URL from ${response.next}`;
+  if (style === 'offset' || style === 'page') {
+    return `${style} param ${request.param}${request.limit ? ` by ${request.limit}` : ''}`;
+  }
+  return `${request.param} from ${response.next}`;
+}
+
+// The cursor for the next page: a response field, or a field of the last
+// item when the path points into the items (keyset: max_id=<last id>)
+function cursorValue(plan, body, items) {
+  const { next, items: itemsPath } = plan.response;
+  if (!next) return undefined;
+  if (itemsPath && items && items.length > 0 && next.startsWith(`${itemsPath}.`)) {
+    return valueAt(items[items.length - 1], next.slice(itemsPath.length + 1));
+  }
+  return valueAt(body, next);
+}
+
+// The request for the page after this one, or why there isn't one:
+// { request } or { stop }
+export function nextPageRequest(plan, request, { body, headers = {}, items }) {
+  const { style, response } = plan;
+
+  if (response.hasMore) {
+    const flag = valueAt(body, response.hasMore);
+    const key = response.hasMore.split('.').pop();
+    if (typeof flag === 'boolean' && flag === LAST_PAGE_FIELD.test(key)) {
+      return { stop: `${key} is ${flag}` };
+    }
+  }
+
+  if (style === 'link-header' || style === 'next-url') {
+    const href = style === 'link-header' ? nextLink(headers.link || '') : valueAt(body, response.next);
+    if (!href || typeof href !== 'string') return { stop: style === 'link-header' ? 'no rel="next" link' : `no ${response.next}` };
+    const url = new URL(href, request.url);
+    if (url.href === request.url.href) return { stop: 'the next URL is this page' };
+    return { request: { ...request, url } };
+  }
+
+  const { param, limit, in: preferred } = plan.request;
+  const where = paramLocation(request, param, preferred);
+  const current = paramValue(request, param, where);
+
+  if (style === 'offset' || style === 'page') {
+    const from = Number(current) || (style === 'page' ? 1 : 0);
+    const size = limit ? Number(paramValue(request, limit, paramLocation(request, limit, preferred))) : 0;
+    const step = style === 'page' ? 1 : size || (items ? items.length : 0);
+    if (!step) return { stop: 'no page size to advance by' };
+    const total = response.total ? valueAt(body, response.total) : undefined;
+    if (style === 'offset' && typeof total === 'number' && total > 0 && from + step >= total) {
+      return { stop: `reached the total (${total})` };
+    }
+    return { request: withParam(request, param, where, String(from + step)) };
+  }
+
+  const cursor = cursorValue(plan, body, items);
+  if (cursor === undefined || cursor === null || cursor === '') return { stop: `no ${response.next}` };
+  if (String(cursor) === current) return { stop: 'the cursor did not change' };
+  return { request: withParam(request, param, where, String(cursor)) };
+}
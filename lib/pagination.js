@@ -0,0 +1,329 @@
+// Pagination detection. Every request to an endpoint is kept as a page
+// sample: the values it was sent with, its Link header and the fields of
+// its JSON response. Later requests are linked to earlier responses (a
+// cursor echoed back, a next link followed, an offset advanced by the page
+// size) to work out how the endpoint pages. Stored on endpoints as
+// { style, request: { param, in, limit }, response: { next, items, ... }, pages }.
+
+// Samples kept per endpoint
+const MAX_SAMPLES = 20;
+// Response fields looked at per sample, and how deep
+const MAX_FIELDS = 500;
+const MAX_DEPTH = 6;
+
+// Request params, by name
+const OFFSET_PARAM = /^(offset|start|skip|from|start_?index|first_?result)$/i;
+const PAGE_PARAM = /^(page|p|pg|page_?(num|number|no|index))$/i;
+const KEYSET_PARAM = /^(max|min|since|until|before|after)_?id$/i;
+const CURSOR_PARAM = /cursor|^(after|before|next|marker|continuation|page_?token|next_?token)$/i;
+const LIMIT_PARAM = /^(limit|count|per_?page|page_?size|size|first|last|take|max_?results|num_?results|rows)$/i;
+
+// Response fields, by name
+const NEXT_URL_FIELD = /next/i;
+const CURSOR_FIELD = /^(next_?cursor|end_?cursor|start_?cursor|cursor|next_?page_?token|next_?token|continuation(_?token)?|next_?max_?id|max_?id|after|next)$/i;
+const POSITION_FIELD = /next|offset|page|start|cursor|position/i;
+const HAS_MORE_FIELD = /^(has_?more|has_?next(_?page)?|more_?available|is_?last(_?page)?|end_?of_?(list|feed|results))$/i;
+const TOTAL_FIELD = /^(total|total_?(count|results|items|hits|pages|size)|count_?total|num_?found)$/i;
+
+// Preferred link kinds when several explain the same requests
+const KIND_RANK = ['link-header', 'next-url', 'field', 'item'];
+
+const endpointSamples = new WeakMap();
+
+function lastKey(path) {
+  return path.split('.').pop().replace(/\[\]$/, '');
+}
+
+function isScalar(value) {
+  return typeof value === 'string' || typeof value === 'number';
+}
+
+function isPagedParam(name) {
+  const key = lastKey(name);
+  return CURSOR_PARAM.test(key) || KEYSET_PARAM.test(key) || OFFSET_PARAM.test(key) || PAGE_PARAM.test(key);
+}
+
+function intValue(entry) {
+  return entry && /^\d+$/.test(entry.value) ? Number(entry.value) : undefined;
+}
+
+function looksLikeUrl(value) {
+  return /^(https?:\/\/|\/|\?)/.test(value);
+}
+
+// Scalar request values by name (nested objects as a.b), with where they were sent
+export function requestValues({ query = {}, body, variables } = {}) {
+  const values = {};
+  const add = (source, where, prefix, depth) => {
+    for (const [name, value] of Object.entries(source || {})) {
+      if (isScalar(value)) values[prefix + name] = { value: String(value), in: where };
+      else if (value && typeof value === 'object' && !Array.isArray(value) && depth < 2) add(value, where, `${prefix}${name}.`, depth + 1);
+    }
+  };
+  add(query, 'query', '', 0);
+  add(body, 'body', '', 0);
+  add(variables, 'variables', '', 0);
+  return values;
+}
+
+// The rel="next" target of a Link header
+export function nextLink(header) {
+  for (const part of String(header).split(/,\s*(?=<)/)) {
+    const match = part.match(/^<([^>]*)>(.*)$/);
+    if (match && /;\s*rel="?[^";]*\bnext\b/i.test(match[2])) return match[1];
+  }
+  return undefined;
+}
+
+function linkParams(href, base) {
+  try {
+    return [...new URL(href, base).searchParams];
+  } catch {
+    return [];
+  }
+}
+
+function pageSample({ url, values = {}, link, body }) {
+  const sample = { url, values, next: link ? nextLink(link) : undefined, fields: new Map(), itemFields: new Map() };
+
+  const walk = (value, path, depth) => {
+    if (sample.fields.size >= MAX_FIELDS || depth > MAX_DEPTH) return;
+    if (Array.isArray(value)) {
+      const objects = value.filter(item => item && typeof item === 'object' && !Array.isArray(item));
+      if (objects.length > 0 && (!sample.items || value.length > sample.items.length)) {
+        sample.items = { path: `${path}[]`, length: value.length, last: objects[objects.length - 1] };
+      }
+      return;
+    }
+    if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) walk(child, path ? `${path}.${key}` : key, depth + 1);
+      return;
+    }
+    if (isScalar(value) || typeof value === 'boolean') sample.fields.set(path, value);
+  };
+  if (body && typeof body === 'object') walk(body, '', 0);
+
+  // The last item's fields, for keyset pagination (max_id=<last id>)
+  if (sample.items) {
+    const { path, last } = sample.items;
+    for (const [key, value] of Object.entries(last)) {
+      if (isScalar(value)) sample.itemFields.set(`${path}.${key}`, value);
+      else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const [inner, innerValue] of Object.entries(value)) {
+          if (isScalar(innerValue)) sample.itemFields.set(`${path}.${key}.${inner}`, innerValue);
+        }
+      }
+    }
+  }
+  return sample;
+}
+
+// Where a later request's values could have come from in this response, by value
+function sources(sample) {
+  const byValue = new Map();
+  const add = (source) => {
+    if (source.value === '') return;
+    const list = byValue.get(source.value) || [];
+    list.push(source);
+    byValue.set(source.value, list);
+  };
+
+  if (sample.next) {
+    for (const [name, value] of linkParams(sample.next, sample.url)) add({ kind: 'link-header', name, value });
+  }
+  for (const [path, value] of sample.fields) {
+    if (typeof value === 'boolean') continue;
+    if (typeof value === 'string' && NEXT_URL_FIELD.test(lastKey(path)) && looksLikeUrl(value)) {
+      for (const [name, param] of linkParams(value, sample.url)) add({ kind: 'next-url', path, name, value: param });
+      continue;
+    }
+    // Small numbers (counts, sizes) only count when the field is named like a position
+    if (typeof value === 'number' && value < 1000 && !POSITION_FIELD.test(lastKey(path))) continue;
+    add({ kind: 'field', path, value: String(value) });
+  }
+  for (const [path, value] of sample.itemFields) add({ kind: 'item', path, value: String(value) });
+  return byValue;
+}
+
+// Request values that came from an earlier response, grouped by where they came from
+function findLinks(samples) {
+  const links = new Map();
+  samples.forEach((earlier, i) => {
+    const byValue = sources(earlier);
+    for (const later of samples.slice(i + 1)) {
+      for (const [name, { value, in: where }] of Object.entries(later.values)) {
+        // Only params that moved on since the earlier request
+        if (earlier.values[name] && earlier.values[name].value === value) continue;
+        for (const source of byValue.get(value) || []) {
+          if (source.name && source.name !== name) continue;
+          if ((source.kind === 'field' || source.kind === 'item') && !isPagedParam(name)) {
+            if (source.kind === 'item' || !(CURSOR_FIELD.test(lastKey(source.path)) || POSITION_FIELD.test(lastKey(source.path)))) continue;
+          }
+          const key = `${source.kind} ${source.path} ${name}`;
+          const link = links.get(key) || { ...source, param: name, in: where, requests: new Set() };
+          link.requests.add(earlier).add(later);
+          links.set(key, link);
+        }
+      }
+    }
+  });
+
+  return [...links.values()].sort((a, b) =>
+    b.requests.size - a.requests.size || KIND_RANK.indexOf(a.kind) - KIND_RANK.indexOf(b.kind));
+}
+
+function linkStyle(link) {
+  if (link.kind === 'link-header' || link.kind === 'next-url') return link.kind;
+  const key = lastKey(link.param);
+  if (PAGE_PARAM.test(key)) return 'page';
+  if (OFFSET_PARAM.test(key)) return 'offset';
+  if (KEYSET_PARAM.test(key) || link.kind === 'item') return 'keyset';
+  return 'cursor';
+}
+
+// Offset or page params that advance by the page size (or by one) on their own
+function findProgression(samples) {
+  let best;
+  const names = new Set(samples.flatMap(sample => Object.keys(sample.values)));
+  for (const name of names) {
+    const key = lastKey(name);
+    const style = PAGE_PARAM.test(key) ? 'page' : 'offset';
+    const requests = new Set();
+    samples.forEach((earlier, i) => {
+      const from = intValue(earlier.values[name]);
+      if (from === undefined) return;
+      const limit = Object.keys(earlier.values).filter(n => LIMIT_PARAM.test(lastKey(n))).map(n => intValue(earlier.values[n]));
+      for (const later of samples.slice(i + 1)) {
+        const to = intValue(later.values[name]);
+        if (to === undefined || to <= from) continue;
+        const step = to - from;
+        const advanced = style === 'page'
+          ? step === 1
+          : OFFSET_PARAM.test(key) || (step > 1 && (limit.includes(step) || (earlier.items && earlier.items.length === step)));
+        if (advanced) requests.add(earlier).add(later);
+      }
+    });
+    if (requests.size > 0 && (!best || requests.size > best.requests.size)) {
+      best = { style, param: name, in: samples.find(s => s.values[name]).values[name].in, requests };
+    }
+  }
+  return best;
+}
+
+// A single response can still say how it pages: a Link header, a next URL
+// or cursor field, or offset/page params on a list response
+function guessPagination(sample) {
+  const advancing = (params) => params.find(([name, value]) => !sample.values[name] || sample.values[name].value !== value);
+  const paramNamed = (pattern) => Object.keys(sample.values).find(name => pattern.test(lastKey(name)));
+
+  if (sample.next) {
+    const [param] = advancing(linkParams(sample.next, sample.url)) || [];
+    return { style: 'link-header', param, in: 'query', header: 'Link' };
+  }
+  for (const [path, value] of sample.fields) {
+    if (typeof value === 'string' && NEXT_URL_FIELD.test(lastKey(path)) && looksLikeUrl(value)) {
+      const [param] = advancing(linkParams(value, sample.url)) || [];
+      return { style: 'next-url', param, in: 'query', next: path };
+    }
+  }
+  for (const [path, value] of sample.fields) {
+    if (!isScalar(value) || value === '' || !CURSOR_FIELD.test(lastKey(path))) continue;
+    const keyset = /max_?id/i.test(lastKey(path));
+    return { style: keyset ? 'keyset' : 'cursor', param: paramNamed(keyset ? KEYSET_PARAM : CURSOR_PARAM), next: path };
+  }
+
+  const isList = sample.items || [...sample.fields.keys()].some(path => HAS_MORE_FIELD.test(lastKey(path)) || TOTAL_FIELD.test(lastKey(path)));
+  if (!isList) return null;
+  for (const [style, pattern] of [['offset', OFFSET_PARAM], ['page', PAGE_PARAM]]) {
+    const param = Object.keys(sample.values).find(name => pattern.test(lastKey(name)) && intValue(sample.values[name]) !== undefined);
+    if (param) return { style, param };
+  }
+  return null;
+}
+
+function describe({ style, param, in: where, header, next, requests }, samples) {
+  const pagination = { style, request: {}, response: {} };
+  if (param) {
+    const sample = samples.find(s => s.values[param]);
+    pagination.request = { param, in: where || sample.values[param].in };
+  }
+
+  const last = samples[samples.length - 1];
+  const limit = Object.keys(last.values).find(name => LIMIT_PARAM.test(lastKey(name)) && intValue(last.values[name]) !== undefined);
+  if (limit) pagination.request.limit = limit;
+
+  if (header) pagination.response.header = header;
+  if (next) pagination.response.next = next;
+  const listed = samples.find(sample => sample.items);
+  if (listed) pagination.response.items = listed.items.path;
+  const field = (pattern, type) => {
+    for (const sample of samples) {
+      for (const [path, value] of sample.fields) {
+        if (typeof value === type && pattern.test(lastKey(path))) return path;
+      }
+    }
+    return undefined;
+  };
+  const hasMore = field(HAS_MORE_FIELD, 'boolean');
+  const total = field(TOTAL_FIELD, 'number');
+  if (hasMore) pagination.response.hasMore = hasMore;
+  if (total) pagination.response.total = total;
+
+  if (requests) pagination.pages = requests.size;
+  return pagination;
+}
+
+function detect(samples) {
+  const [link] = findLinks(samples);
+  if (link) {
+    return describe({
+      style: linkStyle(link),
+      param: link.param,
+      in: link.in,
+      header: link.kind === 'link-header' ? 'Link' : undefined,
+      next: link.path,
+      requests: link.requests
+    }, samples);
+  }
+
+  const progression = findProgression(samples);
+  if (progression) return describe(progression, samples);
+
+  for (const sample of [...samples].reverse()) {
+    const guess = guessPagination(sample);
+    if (guess) return describe(guess, samples);
+  }
+  return null;
+}
+
+// Pages: [{ url, values: requestValues(...), link: Link header, body: parsed JSON }]
+export function detectPagination(pages) {
+  return detect(pages.map(pageSample));
+}
+
+// Add one request/response to an endpoint's samples and update its pagination
+export function observePage(endpoint, page) {
+  const samples = endpointSamples.get(endpoint) || [];
+  if (samples.length >= MAX_SAMPLES) return endpoint.pagination;
+  samples.push(pageSample(page));
+  endpointSamples.set(endpoint, samples);
+
+  const pagination = detect(samples);
+  if (pagination) endpoint.pagination = pagination;
+  return endpoint.pagination;
+}
+
+// "cursor (query cursor from paging.next_cursor, limit count, items data[], followed across 3 requests)" for CAPTURE.md
+export function paginationSummary(pagination) {
+  const { style, request = {}, response = {}, pages } = pagination;
+  const parts = [];
+  const from = response.header ? `the ${response.header} header` : response.next;
+  if (request.param) parts.push(from ? `${request.in} ${request.param} from ${from}` : `${request.in} ${request.param}`);
+  else if (from) parts.push(`next page from ${from}`);
+  if (request.limit) parts.push(`limit ${request.limit}`);
+  if (response.items) parts.push(`items ${response.items}`);
+  if (response.hasMore) parts.push(`has more ${response.hasMore}`);
+  if (response.total) parts.push(`total ${response.total}`);
+  parts.push(pages ? `followed across ${pages} requests` : 'not followed during capture');
+  return `${style} (${parts.join(', ')})`;
+}
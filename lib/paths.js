@@ -0,0 +1,56 @@
+// Path templating: collapse variable path segments (IDs, UUIDs, hashes,
+// URNs, opaque tokens) so /users/123 and /users/456 are one endpoint.
+
+const MAX_EXAMPLES = 5;
+
+// Checked in order; the first match names the parameter
+const SEGMENT_PATTERNS = [
+  { name: 'urn', test: s => /^urn(:|%3A)/i.test(s) },
+  { name: 'uuid', test: s => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s) },
+  { name: 'id', test: s => /^\d+$/.test(s) },
+  { name: 'hash', test: s => /^[0-9a-f]{16,}$/i.test(s) },
+  // base64/base64url-ish opaque IDs: long, and mixing letters with digits
+  { name: 'token', test: s => /^[A-Za-z0-9_-]{16,}={0,2}$/.test(s) && /\d/.test(s) && /[A-Za-z]/.test(s) }
+];
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+export function segmentKind(segment) {
+  for (const { name, test } of SEGMENT_PATTERNS) {
+    if (test(segment)) return name;
+  }
+  return null;
+}
+
+export function templatePath(pathname) {
+  const params = {};
+  const segments = pathname.split('/').map((segment) => {
+    const kind = segment ? segmentKind(segment) : null;
+    if (!kind) return segment;
+
+    let name = kind;
+    for (let n = 2; name in params; n++) name = `${kind}${n}`;
+    params[name] = decodeSegment(segment);
+    return `{${name}}`;
+  });
+
+  return { template: segments.join('/'), params };
+}
+
+// Add newly observed path parameter values to an endpoint's example lists
+export function addPathExamples(pathParams, params) {
+  for (const [name, value] of Object.entries(params)) {
+    if (!pathParams[name]) pathParams[name] = [];
+    const examples = pathParams[name];
+    if (examples.length < MAX_EXAMPLES && !examples.includes(value)) {
+      examples.push(value);
+    }
+  }
+  return pathParams;
+}
@@ -0,0 +1,398 @@
+// Recording proxy for clients that aren't browsers (desktop apps, CLIs,
+// mobile simulators). Plain HTTP is forwarded as is; HTTPS CONNECT tunnels
+// are intercepted with certificates from the local CA (see ca.js). Every
+// exchange goes through the same filter/catalog/report pipeline as a
+// browser capture.
+
+import fs from 'node:fs';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import { Duplex } from 'node:stream';
+import tls from 'node:tls';
+import zlib from 'node:zlib';
+import { createCatalog } from './catalog.js';
+import { createFilter, formatDropped, matchesHost } from './filters.js';
+import { buildHar, resourceTypeFromMime } from './har.js';
+import { writeReport } from './report.js';
+import { loadCa, createIssuer } from './ca.js';
+
+// Bodies past this size are forwarded but not recorded
+const MAX_RECORDED_BODY = 10 * 1024 * 1024;
+
+// Hop-by-hop headers apply to one connection and are never forwarded
+const HOP_HEADERS = new Set([
+  'connection', 'keep-alive', 'proxy-connection', 'proxy-authorization', 'proxy-authenticate',
+  'te', 'trailer', 'transfer-encoding', 'upgrade'
+]);
+
+function forwardHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => !HOP_HEADERS.has(name)));
+}
+
+// "host:port" from a CONNECT request, with IPv6 brackets removed
+export function parseConnectTarget(target) {
+  const match = /^\[?([^\]]+?)\]?:(\d+)$/.exec(target);
+  if (!match) throw new Error(`Invalid CONNECT target "${target}"`);
+  return { hostname: match[1], port: Number(match[2]) };
+}
+
+function decodeBody(body, encoding = '') {
+  try {
+    switch (encoding.trim().toLowerCase()) {
+      case 'gzip':
+      case 'x-gzip': return zlib.gunzipSync(body);
+      case 'deflate':
+        try {
+          return zlib.inflateSync(body);
+        } catch {
+          return zlib.inflateRawSync(body);
+        }
+      case 'br': return zlib.brotliDecompressSync(body);
+      default: return body;
+    }
+  } catch {
+    return body;
+  }
+}
+
+// Collect a stream's chunks up to the recording limit
+function collect(stream) {
+  const chunks = [];
+  let size = 0;
+  stream.on('data', (chunk) => {
+    size += chunk.length;
+    if (size <= MAX_RECORDED_BODY) chunks.push(chunk);
+  });
+  return () => (size > 0 && size <= MAX_RECORDED_BODY ? Buffer.concat(chunks) : undefined);
+}
+
+// Start the proxy. onExchange gets one record per completed request, in
+// the shape buildHar() takes; onWebSocket gets each upgrade request.
+export function startProxy(options) {
+  const {
+    port = 8080,
+    host = '127.0.0.1',
+    ca,
+    insecure = false,
+    passthrough = [],
+    onExchange = () => {},
+    onWebSocket = () => {},
+    onError = () => {}
+  } = options;
+
+  const issuer = createIssuer(ca);
+  const sockets = new Set();
+  const track = (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  };
+
+  // Absolute URL of a proxied request: absolute-form on the proxy port,
+  // origin-form inside a CONNECT tunnel
+  function targetUrl(req) {
+    if (/^https?:\/\//i.test(req.url)) return new URL(req.url);
+    const tunnel = req.socket.peekApiTarget;
+    if (tunnel) {
+      const authority = net.isIPv6(tunnel.hostname) ? `[${tunnel.hostname}]` : tunnel.hostname;
+      return new URL(req.url, `${tunnel.secure ? 'https' : 'http'}://${authority}:${tunnel.port}`);
+    }
+    return null;
+  }
+
+  function upstreamOptions(url, req) {
+    return {
+      hostname: url.hostname.replace(/^\[|\]$/g, ''),
+      port: url.port || (url.protocol === 'https:' ? 443 : 80),
+      path: `${url.pathname}${url.search}`,
+      method: req.method,
+      headers: forwardHeaders(req.headers),
+      rejectUnauthorized: !insecure
+    };
+  }
+
+  function onRequest(req, res) {
+    const url = targetUrl(req);
+    if (!url) {
+      res.writeHead(400, { 'content-type': 'text/plain' });
+      res.end('peek-api proxy: send requests with an absolute URL or through CONNECT\n');
+      return;
+    }
+
+    const started = Date.now();
+    const requestBody = collect(req);
+    const upstream = (url.protocol === 'https:' ? https : http).request(upstreamOptions(url, req));
+
+    upstream.on('response', (upstreamRes) => {
+      res.writeHead(upstreamRes.statusCode, upstreamRes.statusMessage, forwardHeaders(upstreamRes.headers));
+      const responseBody = collect(upstreamRes);
+      upstreamRes.pipe(res);
+      upstreamRes.on('end', () => {
+        const body = responseBody();
+        const postData = requestBody();
+        onExchange({
+          startedDateTime: new Date(started).toISOString(),
+          time: Date.now() - started,
+          method: req.method,
+          url: url.href,
+          headers: forwardHeaders(req.headers),
+          postData: postData ? postData.toString('utf8') : undefined,
+          response: {
+            status: upstreamRes.statusCode,
+            statusText: upstreamRes.statusMessage,
+            headers: upstreamRes.headers,
+            body: body && decodeBody(body, upstreamRes.headers['content-encoding'])
+          }
+        });
+      });
+    });
+
+    upstream.on('error', (err) => {
+      onError(err, url);
+      if (res.headersSent) {
+        res.destroy();
+      } else {
+        res.writeHead(502, { 'content-type': 'text/plain' });
+        res.end(`peek-api proxy: ${err.message}\n`);
+      }
+    });
+
+    req.pipe(upstream);
+  }
+
+  // WebSockets are tunnelled untouched once the handshake is recorded
+  function onUpgrade(req, socket, head) {
+    const url = targetUrl(req);
+    if (!url) {
+      socket.destroy();
+      return;
+    }
+
+    const secure = url.protocol === 'https:';
+    onWebSocket({
+      url: `${secure ? 'wss' : 'ws'}://${url.host}${url.pathname}${url.search}`,
+      headers: forwardHeaders(req.headers),
+      startedDateTime: new Date().toISOString()
+    });
+
+    const { hostname, port: upstreamPort } = upstreamOptions(url, req);
+    const upstream = secure
+      ? tls.connect({ host: hostname, port: upstreamPort, servername: net.isIP(hostname) ? undefined : hostname, rejectUnauthorized: !insecure })
+      : net.connect(upstreamPort, hostname);
+    track(upstream);
+
+    upstream.once(secure ? 'secureConnect' : 'connect', () => {
+      const headerLines = [];
+      for (let i = 0; i < req.rawHeaders.length; i += 2) {
+        if (!/^proxy-/i.test(req.rawHeaders[i])) headerLines.push(`${req.rawHeaders[i]}: ${req.rawHeaders[i + 1]}`);
+      }
+      upstream.write(`${req.method} ${url.pathname}${url.search} HTTP/1.1\r\n${headerLines.join('\r\n')}\r\n\r\n`);
+      if (head.length > 0) upstream.write(head);
+      upstream.pipe(socket);
+      socket.pipe(upstream);
+    });
+    upstream.on('error', (err) => {
+      onError(err, url);
+      socket.destroy();
+    });
+    socket.on('error', () => upstream.destroy());
+  }
+
+  // Requests inside intercepted tunnels are parsed by a second HTTP server
+  // that never listens, fed the decrypted sockets
+  const tunnelServer = http.createServer(onRequest);
+  tunnelServer.on('upgrade', onUpgrade);
+
+  const server = http.createServer(onRequest);
+  server.on('upgrade', onUpgrade);
+  server.on('connection', track);
+
+  server.on('connect', (req, clientSocket, head) => {
+    let target;
+    try {
+      target = parseConnectTarget(req.url);
+    } catch {
+      clientSocket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    clientSocket.on('error', () => {});
+
+    // Pinned clients reject any certificate but the real one: tunnel them blind
+    if (passthrough.some(pattern => matchesHost(target.hostname.toLowerCase(), pattern))) {
+      const upstream = net.connect(target.port, target.hostname, () => {
+        clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+        if (head.length > 0) upstream.write(head);
+        upstream.pipe(clientSocket);
+        clientSocket.pipe(upstream);
+      });
+      track(upstream);
+      upstream.on('error', (err) => {
+        onError(err, new URL(`https://${req.url}`));
+        clientSocket.destroy();
+      });
+      return;
+    }
+
+    clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+
+    // A TLS handshake starts with 0x16; anything else is plain HTTP
+    // (e.g. ws:// through CONNECT)
+    const intercept = (first) => {
+      clientSocket.pause();
+      clientSocket.unshift(first);
+      let socket = clientSocket;
+      if (first[0] === 0x16) {
+        // Wrapped in a plain Duplex: a TLSSocket on a net.Socket reads the
+        // handle directly and would miss the byte put back above
+        socket = new tls.TLSSocket(Duplex.from({ readable: clientSocket, writable: clientSocket }), {
+          isServer: true,
+          secureContext: issuer.secureContext(target.hostname),
+          ALPNProtocols: ['http/1.1']
+        });
+        socket.on('error', (err) => onError(err, new URL(`https://${req.url}`)));
+        track(socket);
+      }
+      socket.peekApiTarget = { ...target, secure: first[0] === 0x16 };
+      tunnelServer.emit('connection', socket);
+      clientSocket.resume();
+    };
+
+    if (head.length > 0) intercept(head);
+    else clientSocket.once('data', intercept);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve({
+        port: server.address().port,
+        host,
+        close: () => new Promise((done) => {
+          server.close(() => done());
+          for (const socket of sockets) socket.destroy();
+        })
+      });
+    });
+  });
+}
+
+// peek-api proxy: record until Ctrl+C (or for a duration), then write the report
+export async function proxy(options) {
+  const {
+    port = 8080,
+    host = '127.0.0.1',
+    duration,
+    caDir,
+    insecure = false,
+    passthrough = [],
+    outputDir: customOutputDir,
+    maxBodySize = 100 * 1024,
+    openapiFormat = 'yaml',
+    harFile,
+    filters,
+    verbose = false
+  } = options;
+
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error('--port must be a number between 0 and 65535');
+  }
+  if (duration !== undefined && !(duration > 0)) {
+    throw new Error('--duration must be a positive number of seconds');
+  }
+
+  const ca = loadCa(caDir);
+  const filter = createFilter(filters);
+  const catalog = createCatalog({ maxBodySize, verbose });
+  const harRecords = [];
+  let exchanges = 0;
+
+  const onExchange = (record) => {
+    exchanges++;
+    const contentType = (record.response.headers['content-type'] || '').split(';')[0].trim();
+    // There's no browser to say what kind of request this was; JSON/XML
+    // responses count as XHR and the path rules decide the rest
+    const traffic = { ...record, resourceType: resourceTypeFromMime(contentType) };
+    if (!filter.checkRequest(traffic)) return;
+    if (!filter.checkResponse({ contentType })) return;
+
+    const entries = catalog.recordRequest(traffic);
+    if (entries.length > 0) catalog.recordResponse(entries, record.response);
+    catalog.observeResponse(traffic, record.response);
+    if (harFile) harRecords.push(traffic);
+  };
+
+  const onWebSocket = ({ url, headers, startedDateTime }) => {
+    if (!filter.checkRequest({ url, method: 'GET', resourceType: 'websocket' })) return;
+    const entry = catalog.recordWebSocket({ url, startedDateTime });
+    catalog.recordHandshake(entry, {
+      headers,
+      protocols: (headers['sec-websocket-protocol'] || '').split(',').map(p => p.trim()).filter(Boolean)
+    });
+  };
+
+  const onError = (err, url) => {
+    if (verbose) console.log(`  [error] ${url.host}: ${err.message}`);
+  };
+
+  const server = await startProxy({ port, host, ca, insecure, passthrough, onExchange, onWebSocket, onError });
+  const proxyUrl = `http://${host}:${server.port}`;
+
+  console.log(`\n  peek-api proxy`);
+  console.log(`  Listening: ${proxyUrl}`);
+  console.log(`  CA certificate: ${ca.certFile}${ca.created ? ' (created)' : ''}`);
+  if (passthrough.length > 0) console.log(`  Passthrough: ${passthrough.join(', ')}`);
+  if (insecure) console.log(`  Upstream certificates: not verified (--insecure)`);
+  console.log(`  Duration: ${duration ? `${duration}s` : 'until Ctrl+C'}`);
+  console.log(`\n  Point a client at the proxy and trust the CA certificate, e.g.:`);
+  console.log(`    curl --proxy ${proxyUrl} --cacert ${ca.certFile} https://api.example.com/`);
+  console.log(`    HTTPS_PROXY=${proxyUrl} NODE_EXTRA_CA_CERTS=${ca.certFile} node app.js`);
+  console.log('');
+
+  const started = Date.now();
+  await new Promise((resolve) => {
+    const stop = () => {
+      clearTimeout(timer);
+      process.off('SIGINT', stop);
+      resolve();
+    };
+    const timer = duration ? setTimeout(stop, duration * 1000) : null;
+    process.on('SIGINT', stop);
+  });
+  await server.close();
+
+  const elapsed = Math.round((Date.now() - started) / 1000);
+  console.log(`\n  Capture complete: ${catalog.endpoints.length} unique API endpoints (${exchanges} requests proxied)`);
+  if (filter.droppedTotal > 0) console.log(`  Filtered out: ${formatDropped(filter.dropped)}`);
+
+  if (catalog.endpoints.length === 0) {
+    console.log('  No API requests went through the proxy.');
+    console.log('');
+    return;
+  }
+
+  const domain = new URL(catalog.endpoints[0].url).hostname.replace('www.', '');
+  const outputDir = customOutputDir || `peek-api-${domain}`;
+
+  const settings = {};
+  if (filter.droppedTotal > 0) {
+    settings['Filtered out'] = `${filter.droppedTotal} requests (${formatDropped(filter.dropped)})`;
+  }
+
+  writeReport({
+    outputDir,
+    domain,
+    details: { Source: `proxy on ${proxyUrl}`, Duration: `${elapsed}s` },
+    settings,
+    endpoints: catalog.endpoints,
+    authHeaders: catalog.authHeaders,
+    cookies: catalog.cookies,
+    openapiFormat
+  });
+
+  if (harFile) {
+    fs.writeFileSync(harFile, JSON.stringify(buildHar(harRecords), null, 2));
+    console.log(`    ${harFile.padEnd(15)} HAR 1.2 archive (${harRecords.length} requests)`);
+  }
+  console.log('');
+}
@@ -0,0 +1,100 @@
+// WebSocket and Server-Sent Events capture. Playwright reports WebSocket
+// frames but not the handshake, and never surfaces EventSource messages,
+// so both come from a CDP session on the page.
+
+const MAX_FRAME_TEXT = 2048;
+
+// Decode a frame payload into a small JSON-friendly sample
+export function decodeFrame(payload) {
+  if (Buffer.isBuffer(payload)) {
+    return { binary: true, size: payload.length };
+  }
+
+  const text = String(payload);
+  try {
+    return { json: JSON.parse(text) };
+  } catch {
+    if (text.length > MAX_FRAME_TEXT) {
+      return { text: text.slice(0, MAX_FRAME_TEXT), truncated: true };
+    }
+    return { text };
+  }
+}
+
+export function parseProtocols(header) {
+  if (!header) return [];
+  return header.split(',').map(p => p.trim()).filter(Boolean);
+}
+
+function lowerCaseKeys(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+}
+
+// filter (from createFilter) can drop channels by host, path or method
+export async function watchRealtime(page, catalog, filter) {
+  const sockets = new Map();     // url -> catalog entry
+  const handshakes = new Map();  // url -> { headers, protocol }
+  const cdpUrls = new Map();     // CDP requestId -> url
+
+  const applyHandshake = (url) => {
+    const entry = sockets.get(url);
+    const handshake = handshakes.get(url);
+    if (entry && handshake) catalog.recordHandshake(entry, handshake);
+  };
+
+  page.on('websocket', (ws) => {
+    const url = ws.url();
+    if (filter && !filter.checkRequest({ url, method: 'WEBSOCKET', resourceType: 'websocket' })) return;
+
+    const entry = catalog.recordWebSocket({ url, startedDateTime: new Date().toISOString() });
+    sockets.set(url, entry);
+    applyHandshake(url);
+
+    ws.on('framesent', ({ payload }) => catalog.recordFrame(entry, 'sent', decodeFrame(payload)));
+    ws.on('framereceived', ({ payload }) => catalog.recordFrame(entry, 'received', decodeFrame(payload)));
+  });
+
+  let cdp;
+  try {
+    cdp = await page.context().newCDPSession(page);
+    await cdp.send('Network.enable');
+  } catch {
+    // Not Chromium: frames are still captured, handshakes and SSE messages aren't
+    return;
+  }
+
+  cdp.on('Network.webSocketCreated', ({ requestId, url }) => {
+    cdpUrls.set(requestId, url);
+  });
+
+  cdp.on('Network.webSocketWillSendHandshakeRequest', ({ requestId, request }) => {
+    const url = cdpUrls.get(requestId);
+    if (!url) return;
+    const headers = lowerCaseKeys(request.headers);
+    handshakes.set(url, { headers, protocols: parseProtocols(headers['sec-websocket-protocol']) });
+    applyHandshake(url);
+  });
+
+  cdp.on('Network.webSocketHandshakeResponseReceived', ({ requestId, response }) => {
+    const url = cdpUrls.get(requestId);
+    const handshake = url && handshakes.get(url);
+    if (!handshake) return;
+    handshake.protocol = lowerCaseKeys(response.headers)['sec-websocket-protocol'] || undefined;
+    applyHandshake(url);
+  });
+
+  cdp.on('Network.requestWillBeSent', ({ requestId, request, type }) => {
+    if (type === 'EventSource') cdpUrls.set(requestId, request.url);
+  });
+
+  cdp.on('Network.eventSourceMessageReceived', ({ requestId, eventName, eventId, data }) => {
+    const url = cdpUrls.get(requestId);
+    const entry = url && catalog.findEndpoint('GET', url);
+    if (!entry) return;
+    catalog.recordFrame(entry, 'received', {
+      event: eventName || undefined,
+      id: eventId || undefined,
+      ...decodeFrame(data)
+    });
+  });
+}
@@ -0,0 +1,246 @@
+// Secret redaction for shareable captures. Values are found two ways: by
+// where they sit (auth headers as defined by isAuthHeader(), cookies, and
+// password/token-like keys) and by what they look like (JWTs, emails, phone
+// numbers, long random tokens). Each distinct secret gets one stable
+// placeholder, so the same token reads the same everywhere it appears.
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { isAuthHeader, isSecretField } from './catalog.js';
+
+// Identifiers that look random but are needed to replay requests
+const SAFE_KEY = /^(sha256Hash|hash|queryHash|query_hash|doc_id|docId|operationName|pathTemplate|type)$/;
+
+const JWT = /\beyJ[\w-]{5,}\.eyJ[\w-]{5,}\.[\w-]*/g;
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi;
+const PHONE = /(?<![\w.-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)|\d{3})[\s.-]\d{3}[\s.-]\d{4}(?![\w-])|(?<![\w+])\+\d{8,15}\b/g;
+const TOKEN = /(?<![\w-])[\w-]{32,}(?![\w-])/g;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const FORM_BODY = /^[^=&\s]+=[^&\s]*(?:&[^=&\s]+=[^&\s]*)*$/;
+
+// Long strings mixing cases and digits (or long hex) are treated as tokens
+function looksRandom(text) {
+  if (UUID.test(text)) return false;
+  if (/^[0-9a-f]+$/i.test(text)) return /\d/.test(text) && /[a-f]/i.test(text);
+  return /[a-z]/.test(text) && /[A-Z]/.test(text) && /\d/.test(text);
+}
+
+function parseJson(text) {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return undefined;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return undefined;
+  }
+}
+
+// mode 'placeholder' numbers secrets per kind (redacted-token-1); mode
+// 'hash' uses a short sha256 so placeholders also match across captures
+export function createRedactor({ mode = 'placeholder' } = {}) {
+  if (mode !== 'placeholder' && mode !== 'hash') {
+    throw new Error(`Unknown redaction mode "${mode}" (expected placeholder or hash)`);
+  }
+
+  const secrets = new Map();  // secret -> placeholder
+  const counters = {};
+
+  function placeholder(kind, value) {
+    const secret = String(value);
+    // Already redacted, or a collection variable reference
+    if (secret.startsWith('redacted-') || /^\{\{.*\}\}$/.test(secret)) return secret;
+    if (secrets.has(secret)) return secrets.get(secret);
+
+    const label = kind.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'secret';
+    let id;
+    if (mode === 'hash') {
+      id = crypto.createHash('sha256').update(secret).digest('hex').slice(0, 12);
+    } else {
+      counters[label] = (counters[label] || 0) + 1;
+      id = counters[label];
+    }
+    const result = label === 'email' ? `redacted-email-${id}@example.invalid` : `redacted-${label}-${id}`;
+    secrets.set(secret, result);
+    return result;
+  }
+
+  // Replace pattern-detected secrets inside free text
+  function redactText(text) {
+    return text
+      .replace(JWT, match => placeholder('jwt', match))
+      .replace(EMAIL, match => placeholder('email', match))
+      .replace(PHONE, match => placeholder('phone', match))
+      .replace(TOKEN, match => looksRandom(match) ? placeholder('token', match) : match);
+  }
+
+  // Keep the auth scheme ("Bearer") readable
+  function redactHeaderValue(name, value) {
+    const scheme = /^(Bearer|Basic|Token|Digest|OAuth)\s+(.+)$/i.exec(value);
+    return scheme ? `${scheme[1]} ${placeholder(name, scheme[2])}` : placeholder(name, value);
+  }
+
+  function redactCookieHeader(value) {
+    return value.split(';').map((pair) => {
+      const [name, ...rest] = pair.split('=');
+      return rest.length > 0 ? `${name}=${placeholder('cookie', rest.join('='))}` : pair;
+    }).join(';');
+  }
+
+  // Unchanged URLs come back as given, not re-serialized
+  function redactUrl(url) {
+    const parsed = new URL(url);
+    const original = parsed.toString();
+    parsed.pathname = parsed.pathname.split('/').map((segment) => {
+      let decoded;
+      try {
+        decoded = decodeURIComponent(segment);
+      } catch {
+        decoded = segment;
+      }
+      const redacted = redactText(decoded);
+      return redacted === decoded ? segment : encodeURIComponent(redacted);
+    }).join('/');
+    for (const [key, value] of [...parsed.searchParams]) {
+      parsed.searchParams.set(key, redactString(key, value));
+    }
+    return parsed.toString() === original ? url : parsed.toString();
+  }
+
+  function redactForm(body) {
+    const params = new URLSearchParams(body);
+    for (const [key, value] of [...params]) params.set(key, redactString(key, value));
+    return params.toString();
+  }
+
+  // A string value, redacted according to the key it sits under
+  function redactString(key, value, { inCookies = false } = {}) {
+    const lk = (key || '').toLowerCase();
+
+    // Cookie maps and HAR cookie lists hold values; plain lists hold names
+    if (inCookies) return key === 'cookies' ? value : placeholder('cookie', value);
+    if (key && SAFE_KEY.test(key)) return value;
+    if (lk === 'cookie') return redactCookieHeader(value);
+    if (lk === 'set-cookie') return value.replace(/^([^=]+)=([^;]*)/, (_, name, v) => `${name}=${placeholder('cookie', v)}`);
+    if (key && (isAuthHeader(key) || isSecretField(key))) return value ? redactHeaderValue(lk, value) : value;
+
+    // Bodies stored as strings keep their format
+    const json = parseJson(value);
+    if (json !== undefined) return JSON.stringify(redactJson(json));
+    if (/^https?:\/\/\S+$/.test(value)) return redactUrl(value);
+    if ((lk === 'postdata' || lk === 'text') && FORM_BODY.test(value)) return redactForm(value);
+    return redactText(value);
+  }
+
+  // Walk any JSON value. Objects shaped { name, value } (HAR headers, query
+  // strings, cookies) or { key, value } (Postman) are redacted as if `name`
+  // or `key` were the key.
+  function redactJson(value, key, context = {}) {
+    if (typeof value === 'string') return redactString(key, value, context);
+    if (typeof value === 'number' && key && isSecretField(key) && !SAFE_KEY.test(key)) {
+      return placeholder(key, value);
+    }
+    if (Array.isArray(value)) return value.map(item => redactJson(item, key, context));
+    if (!value || typeof value !== 'object') return value;
+
+    if (typeof value.name === 'string' && typeof value.value === 'string') {
+      return { ...value, value: redactString(value.name, value.value, context) };
+    }
+    if (typeof value.key === 'string' && typeof value.value === 'string') {
+      return { ...value, value: redactString(value.key, value.value, context) };
+    }
+
+    // Field stats ({ seen, type, examples }) hold values of the field they're keyed by
+    const result = {};
+    for (const [childKey, child] of Object.entries(value)) {
+      const valueKey = childKey === 'examples' ? key : childKey;
+      result[childKey] = redactJson(child, valueKey, { inCookies: context.inCookies || childKey === 'cookies' });
+    }
+    return result;
+  }
+
+  // Swap every secret seen so far wherever it appears
+  function redactKnown(text) {
+    let result = text;
+    const known = [...secrets.keys()].filter(secret => secret.length >= 8).sort((a, b) => b.length - a.length);
+    for (const secret of known) result = result.split(secret).join(secrets.get(secret));
+    return result;
+  }
+
+  // Known secrets in a text file, then anything pattern-shaped that
+  // structured redaction never saw
+  function redactDocument(text) {
+    return redactText(redactKnown(text));
+  }
+
+  return {
+    redactJson: (value) => redactJson(value),
+    redactText,
+    redactUrl,
+    redactDocument,
+    redactKnown,
+    get count() {
+      return secrets.size;
+    }
+  };
+}
+
+const STRUCTURED_FILES = /\.(json|har)$/i;
+const TEXT_FILES = /\.(md|ya?ml|txt|sh|py|m?js|ts|http|csv)$/i;
+
+function listFiles(dir, base = dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(full, base) : [path.relative(base, full)];
+  });
+}
+
+// Write a redacted copy of a capture directory. JSON files (auth.json and
+// endpoints.json first, so their secrets are known) are walked structurally;
+// Markdown, YAML and other text files get the known secrets swapped out.
+export async function redactCapture(options) {
+  const { dir, outputDir = `${dir.replace(/[\\/]+$/, '')}-redacted`, mode = 'placeholder' } = options;
+
+  if (!fs.existsSync(path.join(dir, 'endpoints.json'))) {
+    throw new Error(`${dir} is not a capture directory (no endpoints.json)`);
+  }
+  if (path.resolve(outputDir) === path.resolve(dir)) {
+    throw new Error('Output directory must differ from the capture directory');
+  }
+
+  const redactor = createRedactor({ mode });
+  const files = listFiles(dir);
+  const priority = (file) => ['auth.json', 'endpoints.json'].indexOf(file) >= 0 ? 0 : STRUCTURED_FILES.test(file) ? 1 : 2;
+  files.sort((a, b) => priority(a) - priority(b));
+
+  console.log(`\n  peek-api redact`);
+  console.log(`  Capture: ${dir}`);
+  console.log(`  Mode: ${mode}`);
+  console.log('');
+
+  const skipped = [];
+  for (const file of files) {
+    const source = path.join(dir, file);
+    const target = path.join(outputDir, file);
+
+    let output;
+    if (STRUCTURED_FILES.test(file)) {
+      // Known secrets too: collection variables don't sit under telling keys
+      output = redactor.redactKnown(JSON.stringify(redactor.redactJson(JSON.parse(fs.readFileSync(source, 'utf8'))), null, 2));
+    } else if (TEXT_FILES.test(file)) {
+      output = redactor.redactDocument(fs.readFileSync(source, 'utf8'));
+    } else {
+      // Screenshots and other binaries can't be scrubbed, so they're left out
+      skipped.push(file);
+      continue;
+    }
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, output);
+  }
+
+  console.log(`  Redacted ${redactor.count} distinct secrets in ${files.length - skipped.length} files`);
+  if (skipped.length > 0) console.log(`  Not copied (can't be redacted): ${skipped.join(', ')}`);
+  console.log(`\n  Output: ${outputDir}/`);
+  console.log('');
+}
@@ -0,0 +1,261 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { buildOpenApi, formatOpenApi } from './openapi.js';
+import { writeSnippets, snippetLinks } from './snippets.js';
+import { fieldSummary } from './observations.js';
+import { paginationSummary } from './pagination.js';
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes}B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+}
+
+function responseLines(response) {
+  if (!response) return [];
+  const { status, contentType, size, schema } = response;
+  const lines = [`  - Response: ${status}${contentType ? ` ${contentType}` : ''} (${formatSize(size)})`];
+  if (schema && schema.properties) {
+    lines.push(`  - Response keys: ${Object.keys(schema.properties).join(', ')}`);
+  } else if (schema && schema.type === 'array' && schema.items && schema.items.properties) {
+    lines.push(`  - Response: array of { ${Object.keys(schema.items.properties).join(', ')} }`);
+  }
+  return lines;
+}
+
+function fieldSummaries(fields, total) {
+  return Object.entries(fields).map(([name, stats]) => fieldSummary(name, stats, total)).join(', ');
+}
+
+function frameSummary(frame) {
+  if (frame.binary) return `(binary, ${formatSize(frame.size)})`;
+  if (frame.json !== undefined) {
+    const json = JSON.stringify(frame.json);
+    return json.length > 120 ? `${json.slice(0, 117)}...` : json;
+  }
+  return frame.text.length > 120 ? `${frame.text.slice(0, 117)}...` : frame.text;
+}
+
+export function endpointLabel(req) {
+  const op = req.graphql ? ` (${req.graphql.type} ${req.graphql.name})` : '';
+  return `${req.method} ${req.pathTemplate}${op}`;
+}
+
+// Value of a list field (steps, surfacedOn) -> endpoints carrying it, in first-seen order
+function groupByListField(endpoints, field) {
+  const grouped = new Map();
+  for (const req of endpoints) {
+    for (const value of req[field] || []) {
+      if (!grouped.has(value)) grouped.set(value, []);
+      grouped.get(value).push(req);
+    }
+  }
+  return grouped;
+}
+
+// Flow step label -> endpoints it triggered, in step order
+export function groupBySteps(endpoints) {
+  const stepNumber = (label) => parseInt(label.slice(1), 10);
+  const grouped = groupByListField(endpoints, 'steps');
+  return new Map([...grouped].sort(([a], [b]) => stepNumber(a) - stepNumber(b)));
+}
+
+// Group REST endpoints by the first three segments of their path template
+export function groupByBasePath(endpoints) {
+  const grouped = {};
+  for (const req of endpoints) {
+    if (req.graphql || req.realtime) continue;
+    const parts = (req.pathTemplate || req.path).split('/').filter(Boolean);
+    const basePath = '/' + parts.slice(0, Math.min(parts.length, 3)).join('/');
+    if (!grouped[basePath]) grouped[basePath] = [];
+    grouped[basePath].push(req);
+  }
+  return grouped;
+}
+
+// details are shown above the endpoint count, settings below it;
+// snippets maps endpoints to their snippets/ file names
+export function renderCaptureMarkdown({ domain, details = {}, settings = {}, endpoints, authHeaders, cookies, snippets = new Map() }) {
+  const lines = [];
+  lines.push(`# API Capture: ${domain}`);
+  lines.push(`**Date:** ${new Date().toISOString()}`);
+  for (const [label, value] of Object.entries(details)) lines.push(`**${label}:** ${value}`);
+  lines.push(`**Endpoints Found:** ${endpoints.length}`);
+  for (const [label, value] of Object.entries(settings)) lines.push(`**${label}:** ${value}`);
+  lines.push('');
+
+  if (Object.keys(authHeaders).length > 0) {
+    lines.push('## Authentication Headers');
+    lines.push('```json');
+    lines.push(JSON.stringify(authHeaders, null, 2));
+    lines.push('```');
+    lines.push('');
+  }
+
+  if (Object.keys(cookies).length > 0) {
+    lines.push('## Session Cookies');
+    lines.push(`Found ${Object.keys(cookies).length} cookies (full values in auth.json)`);
+    lines.push('Key cookies: ' + Object.keys(cookies).slice(0, 10).join(', '));
+    lines.push('');
+  }
+
+  lines.push('## Discovered Endpoints');
+  lines.push('');
+
+  for (const [basePath, reqs] of Object.entries(groupByBasePath(endpoints)).sort()) {
+    lines.push(`### ${basePath}`);
+    for (const req of reqs) {
+      // Every param seen on any request, not just the first one's
+      const paramKeys = Object.keys(req.queryParams || req.params || {});
+      const paramStr = paramKeys.length > 0 ? ` ?${paramKeys.join('&')}` : '';
+      lines.push(`- \`${req.method} ${req.pathTemplate}${paramStr}\``);
+      if (req.hits > 1) lines.push(`  - Hits: ${req.hits}`);
+      if (req.queryParams) lines.push(`  - Query params: ${fieldSummaries(req.queryParams, req.hits)}`);
+      if (req.pathParams) {
+        const examples = Object.entries(req.pathParams).map(([name, values]) => `${name} (e.g. ${values.join(', ')})`);
+        lines.push(`  - Path params: ${examples.join('; ')}`);
+      }
+      if (req.bodyFields) {
+        lines.push(`  - Body keys: ${fieldSummaries(req.bodyFields, req.bodyCount)}`);
+      } else if (req.postData) {
+        try {
+          const parsed = JSON.parse(req.postData);
+          lines.push(`  - Body keys: ${Object.keys(parsed).join(', ')}`);
+        } catch {
+          lines.push(`  - Body: (form data)`);
+        }
+      }
+      if (req.pagination) lines.push(`  - Pagination: ${paginationSummary(req.pagination)}`);
+      lines.push(...responseLines(req.response));
+      if (snippets.has(req)) lines.push(`  - Snippets: ${snippetLinks(snippets.get(req))}`);
+    }
+    lines.push('');
+  }
+
+  const graphqlOps = endpoints.filter(req => req.graphql);
+  if (graphqlOps.length > 0) {
+    lines.push('## GraphQL Operations');
+    lines.push('');
+    for (const req of graphqlOps) {
+      const { name, type, variables, hash, docId } = req.graphql;
+      lines.push(`- \`${type} ${name}\` via \`${req.method} ${req.pathTemplate}\``);
+      if (req.hits > 1) lines.push(`  - Hits: ${req.hits}`);
+      if (variables && variables.properties) {
+        lines.push(`  - Variables: ${Object.keys(variables.properties).join(', ')}`);
+      }
+      if (docId) lines.push(`  - Persisted: doc_id ${docId}`);
+      if (hash) lines.push(`  - Persisted: sha256 ${hash}`);
+      if (req.pagination) lines.push(`  - Pagination: ${paginationSummary(req.pagination)}`);
+      lines.push(...responseLines(req.response));
+      if (snippets.has(req)) lines.push(`  - Snippets: ${snippetLinks(snippets.get(req))}`);
+    }
+    lines.push('');
+  }
+
+  const steps = groupBySteps(endpoints);
+  if (steps.size > 0) {
+    lines.push('## Flow Steps');
+    lines.push('');
+    for (const [step, reqs] of steps) {
+      lines.push(`- **${step}**`);
+      for (const req of reqs) lines.push(`  - \`${endpointLabel(req)}\``);
+    }
+    lines.push('');
+  }
+
+  // Crawled page -> endpoints requested while it was open
+  const crawled = groupByListField(endpoints, 'surfacedOn');
+  if (crawled.size > 0) {
+    lines.push('## Crawled Pages');
+    lines.push('');
+    for (const [pageUrl, reqs] of crawled) {
+      lines.push(`- ${pageUrl}`);
+      for (const req of reqs) lines.push(`  - \`${endpointLabel(req)}\``);
+    }
+    lines.push('');
+  }
+
+  // Interactive checkpoint -> endpoints seen after it was marked
+  const checkpoints = groupByListField(endpoints, 'checkpoints');
+  if (checkpoints.size > 0) {
+    lines.push('## Checkpoints');
+    lines.push('');
+    for (const [label, reqs] of checkpoints) {
+      lines.push(`- **${label}**`);
+      for (const req of reqs) lines.push(`  - \`${endpointLabel(req)}\``);
+    }
+    lines.push('');
+  }
+
+  const channels = endpoints.filter(req => req.realtime);
+  if (channels.length > 0) {
+    lines.push('## Realtime Channels');
+    lines.push('');
+    for (const req of channels) {
+      const { type, connections, protocols, protocol, framesSent, framesReceived, frames } = req.realtime;
+      const label = type === 'websocket' ? 'WebSocket' : 'Server-Sent Events';
+      lines.push(`- \`${req.method} ${req.pathTemplate}\` ${label} on ${req.host}`);
+      if (connections) lines.push(`  - Connections: ${connections}`);
+      if (protocols) lines.push(`  - Subprotocols: ${protocols.join(', ')}${protocol ? ` (accepted: ${protocol})` : ''}`);
+      const auth = [...Object.keys(req.headers || {}), ...(req.cookies || []).map(c => `cookie ${c}`)];
+      if (auth.length > 0) lines.push(`  - Handshake auth: ${auth.join(', ')}`);
+      lines.push(`  - Frames: ${framesSent} sent, ${framesReceived} received`);
+      for (const direction of ['sent', 'received']) {
+        const sample = frames.find(f => f.direction === direction);
+        if (sample) lines.push(`  - Sample ${direction}: \`${frameSummary(sample)}\``);
+      }
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+// Write CAPTURE.md, auth.json, endpoints.json and the OpenAPI spec
+export function writeReport(options) {
+  const {
+    outputDir,
+    domain,
+    details,
+    settings,
+    endpoints,
+    authHeaders,
+    cookies,
+    openapiFormat = 'yaml',
+    quiet = false
+  } = options;
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const snippets = writeSnippets({ outputDir, domain, endpoints, cookies });
+
+  fs.writeFileSync(path.join(outputDir, 'CAPTURE.md'), renderCaptureMarkdown({
+    domain, details, settings, endpoints, authHeaders, cookies, snippets
+  }));
+
+  fs.writeFileSync(path.join(outputDir, 'auth.json'), JSON.stringify({
+    domain,
+    captured: new Date().toISOString(),
+    headers: authHeaders,
+    cookies
+  }, null, 2));
+
+  fs.writeFileSync(path.join(outputDir, 'endpoints.json'), JSON.stringify(endpoints, null, 2));
+
+  const openapiFile = `openapi.${openapiFormat === 'json' ? 'json' : 'yaml'}`;
+  const spec = buildOpenApi({
+    endpoints,
+    auth: { headers: authHeaders, cookies },
+    title: `${domain} API (captured)`,
+    version: new Date().toISOString().slice(0, 10)
+  });
+  fs.writeFileSync(path.join(outputDir, openapiFile), formatOpenApi(spec, openapiFormat));
+  if (quiet) return;
+
+  console.log(`\n  Output: ${outputDir}/`);
+  console.log(`    CAPTURE.md      Endpoint report`);
+  console.log(`    auth.json       Auth headers & cookies`);
+  console.log(`    endpoints.json  Full endpoint data`);
+  console.log(`    ${openapiFile.padEnd(15)} OpenAPI 3.1 spec`);
+  console.log(`    snippets/       curl, fetch, Python and peek-api http per endpoint`);
+}
@@ -0,0 +1,105 @@
+// When and how long to wait before trying a request again. Network errors,
+// 429 and 5xx responses are retried with exponential backoff and jitter,
+// unless the server says how long to wait: Retry-After, or a rate limit
+// that is used up (X-RateLimit-Remaining: 0) and when it resets.
+
+export const RETRY_DEFAULTS = {
+  retries: 0,
+  retryDelay: 500,
+  maxRetryDelay: 30000
+};
+
+// Safe to send twice: the first attempt may have reached the server
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+// Failures where nothing reached the server, so any method can be retried
+const NOT_SENT_ERRORS = new Set(['ECONNREFUSED', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH']);
+
+const TRANSIENT_ERRORS = new Set([...NOT_SENT_ERRORS, 'ECONNRESET', 'ETIMEDOUT', 'EPIPE']);
+
+// Header spellings used by GitHub, Twitter/X and the IETF draft
+const RATE_LIMIT_HEADERS = {
+  limit: ['x-ratelimit-limit', 'x-rate-limit-limit', 'ratelimit-limit'],
+  remaining: ['x-ratelimit-remaining', 'x-rate-limit-remaining', 'ratelimit-remaining'],
+  reset: ['x-ratelimit-reset', 'x-rate-limit-reset', 'ratelimit-reset']
+};
+
+function firstNumber(headers, names) {
+  for (const name of names) {
+    const value = parseFloat(headers[name]);
+    if (Number.isFinite(value)) return value;
+  }
+  return undefined;
+}
+
+// Retry-After in ms: delay-seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : Math.max(0, time - now);
+}
+
+// Quota from rate limit headers, or null when there are none. Reset is
+// either a Unix time (GitHub, Twitter) or seconds from now (IETF draft).
+export function rateLimitInfo(headers = {}, now = Date.now()) {
+  const limit = firstNumber(headers, RATE_LIMIT_HEADERS.limit);
+  const remaining = firstNumber(headers, RATE_LIMIT_HEADERS.remaining);
+  const reset = firstNumber(headers, RATE_LIMIT_HEADERS.reset);
+  if (limit === undefined && remaining === undefined && reset === undefined) return null;
+
+  const info = {};
+  if (limit !== undefined) info.limit = limit;
+  if (remaining !== undefined) info.remaining = remaining;
+  if (reset !== undefined) info.resetIn = Math.max(0, reset > 1e9 ? Math.round(reset * 1000 - now) : Math.round(reset * 1000));
+  return info;
+}
+
+export function describeRateLimit(info) {
+  const parts = [];
+  if (info.remaining !== undefined) parts.push(info.limit !== undefined ? `${info.remaining}/${info.limit} remaining` : `${info.remaining} remaining`);
+  else if (info.limit !== undefined) parts.push(`limit ${info.limit}`);
+  if (info.resetIn !== undefined) parts.push(`resets in ${Math.ceil(info.resetIn / 1000)}s`);
+  return parts.join(', ');
+}
+
+// Why an outcome is worth another attempt, or null
+function retryReason(method, { status, statusMessage, headers = {}, error }) {
+  const idempotent = IDEMPOTENT_METHODS.has(method);
+  if (error) {
+    if (NOT_SENT_ERRORS.has(error.code) || (idempotent && TRANSIENT_ERRORS.has(error.code))) return error.code;
+    return null;
+  }
+  const label = `${status}${statusMessage ? ` ${statusMessage}` : ''}`;
+  // 429 and 503 mean the request wasn't handled
+  if (status === 429 || status === 503) return label;
+  const rate = rateLimitInfo(headers);
+  if (status === 403 && rate && rate.remaining === 0) return `${label} (rate limit used up)`;
+  if (idempotent && (status === 408 || (status >= 500 && status !== 501 && status !== 505))) return label;
+  return null;
+}
+
+// How long to wait before attempt `attempt + 1`, or null to stop. `server`
+// is set when the delay came from the response rather than the backoff, and
+// `giveUp` when that is longer than maxRetryDelay.
+export function retryDelay(method, outcome, attempt, options = {}, { now = Date.now(), random = Math.random } = {}) {
+  const {
+    retries = RETRY_DEFAULTS.retries,
+    retryDelay: baseDelay = RETRY_DEFAULTS.retryDelay,
+    maxRetryDelay = RETRY_DEFAULTS.maxRetryDelay
+  } = options || {};
+  if (attempt > retries) return null;
+  const reason = retryReason(method, outcome);
+  if (!reason) return null;
+
+  const headers = outcome.headers || {};
+  let server = parseRetryAfter(headers['retry-after'], now);
+  const rate = rateLimitInfo(headers, now);
+  if (server === null && rate && rate.remaining === 0 && rate.resetIn !== undefined) server = rate.resetIn;
+  if (server !== null) return { delay: server, reason, server: true, giveUp: server > maxRetryDelay };
+
+  // Half the backoff is fixed, half random, so parallel clients spread out
+  const backoff = Math.min(maxRetryDelay, baseDelay * 2 ** (attempt - 1));
+  return { delay: Math.round(backoff / 2 + random() * (backoff / 2)), reason, server: false, giveUp: false };
+}
@@ -0,0 +1,74 @@
+// JSON shape inference for captured request/response bodies.
+// Produces a small JSON Schema subset (type, properties, items) so the
+// output can be dropped into OpenAPI or used for diffing shapes.
+
+const MAX_DEPTH = 12;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+export function inferSchema(value, depth = 0) {
+  const type = typeOf(value);
+
+  if (depth >= MAX_DEPTH) return { type };
+
+  if (type === 'object') {
+    const properties = {};
+    for (const [key, val] of Object.entries(value)) {
+      properties[key] = inferSchema(val, depth + 1);
+    }
+    return { type, properties };
+  }
+
+  if (type === 'array') {
+    let items;
+    for (const item of value) {
+      const itemSchema = inferSchema(item, depth + 1);
+      items = items ? mergeSchemas(items, itemSchema) : itemSchema;
+    }
+    return items ? { type, items } : { type };
+  }
+
+  return { type };
+}
+
+// Combine two inferred schemas into one that describes both.
+// Differing scalar types collapse into a type list; integer widens to number.
+export function mergeSchemas(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+
+  const typesA = [].concat(a.type);
+  const typesB = [].concat(b.type);
+  let types = [...new Set([...typesA, ...typesB])];
+  if (types.includes('number')) types = types.filter(t => t !== 'integer');
+
+  const merged = { type: types.length === 1 ? types[0] : types };
+
+  if (a.properties || b.properties) {
+    merged.properties = { ...(a.properties || {}) };
+    for (const [key, schema] of Object.entries(b.properties || {})) {
+      merged.properties[key] = mergeSchemas(merged.properties[key], schema);
+    }
+  }
+
+  if (a.items || b.items) {
+    merged.items = mergeSchemas(a.items, b.items);
+  }
+
+  return merged;
+}
+
+// Parse a body string and infer its shape, or return undefined if it isn't JSON
+export function inferJsonSchema(text) {
+  if (typeof text !== 'string' || text.length === 0) return undefined;
+  try {
+    return inferSchema(JSON.parse(text));
+  } catch {
+    return undefined;
+  }
+}
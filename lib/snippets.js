@@ -0,0 +1,279 @@
+// Runnable per-endpoint snippets (curl, fetch, Python requests, peek-api
+// http) for the snippets/ folder. Auth is read from environment variables
+// named after the headers, never pasted from auth.json, and so are query and
+// body fields named like secrets (access_token, password, fb_dtsg), so a
+// snippet can be copied into code or shared as is.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { isSecretField } from './catalog.js';
+
+export const SNIPPET_DIR = 'snippets';
+
+export const LANGUAGES = {
+  curl: { ext: 'curl.sh', label: 'curl' },
+  fetch: { ext: 'fetch.mjs', label: 'fetch' },
+  python: { ext: 'requests.py', label: 'Python' },
+  'peek-api': { ext: 'peek-api.sh', label: 'peek-api' }
+};
+
+// Authorization -> AUTHORIZATION, x-csrf-token -> X_CSRF_TOKEN
+export function envVarName(header) {
+  return header.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '').toUpperCase();
+}
+
+// Endpoints worth a snippet: realtime channels can't be replayed as one request
+export function snippetEndpoints(endpoints) {
+  return endpoints.filter(req => !req.realtime);
+}
+
+// Stable file names, e.g. get-api-users-id, post-graphql-feed
+export function snippetSlugs(endpoints) {
+  const slugs = new Map();
+  const used = new Set();
+  for (const req of snippetEndpoints(endpoints)) {
+    const base = [req.method, req.pathTemplate || req.path, req.graphql ? req.graphql.name : '']
+      .join('-')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '')
+      .slice(0, 80);
+    let slug = base;
+    for (let n = 2; used.has(slug); n++) slug = `${base}-${n}`;
+    used.add(slug);
+    slugs.set(req, slug);
+  }
+  return slugs;
+}
+
+const shellQuote = (text) => `'${String(text).replace(/'/g, `'\\''`)}'`;
+
+// Marks an env var's name inside a URL or body; each renderer splits on it
+const ENV_MARK = '\uE000';
+
+function decodeField(name) {
+  try {
+    return decodeURIComponent(name.replace(/\+/g, ' '));
+  } catch {
+    return name;
+  }
+}
+
+// a=1&access_token=x -> a=1&access_token=<ACCESS_TOKEN>, other pairs untouched
+function markSecretPairs(text, fields) {
+  return text.split('&').map((pair) => {
+    const eq = pair.indexOf('=');
+    const name = eq > 0 ? decodeField(pair.slice(0, eq)) : '';
+    if (!name || !isSecretField(name)) return pair;
+    fields.set(envVarName(name), name);
+    return `${pair.slice(0, eq + 1)}${ENV_MARK}${envVarName(name)}${ENV_MARK}`;
+  }).join('&');
+}
+
+// The request's URL and body with secret-named query and body fields marked
+// as env vars, and those fields (env var -> field name)
+function secretFields(req) {
+  const fields = new Map();
+  const query = req.url.indexOf('?');
+  const url = query < 0 ? req.url : req.url.slice(0, query + 1) + markSecretPairs(req.url.slice(query + 1), fields);
+
+  let body = req.postData;
+  if (body) {
+    let json;
+    try {
+      json = JSON.parse(body);
+    } catch {
+      json = undefined;
+    }
+    if (json === undefined) {
+      body = markSecretPairs(body, fields);
+    } else if (json && typeof json === 'object' && !Array.isArray(json)) {
+      const secrets = Object.keys(json).filter(key => isSecretField(key) && ['string', 'number'].includes(typeof json[key]));
+      for (const key of secrets) {
+        fields.set(envVarName(key), key);
+        json[key] = `${ENV_MARK}${envVarName(key)}${ENV_MARK}`;
+      }
+      if (secrets.length > 0) body = JSON.stringify(json);
+    }
+  }
+  return { url, body, fields };
+}
+
+// A marked string as an expression: literal parts quoted, env vars referenced
+function renderMarked(text, quote, reference, join) {
+  const parts = text.split(ENV_MARK)
+    .map((part, i) => (i % 2 === 1 ? reference(part) : part ? quote(part) : null))
+    .filter(Boolean);
+  return parts.length > 0 ? parts.join(join) : quote('');
+}
+
+const shellString = (text) => renderMarked(text, shellQuote, env => `"$${env}"`, '');
+const jsString = (text) => renderMarked(text, JSON.stringify, env => `process.env.${env}`, ' + ');
+const pythonString = (text) => renderMarked(text, JSON.stringify, env => `os.environ[${JSON.stringify(env)}]`, ' + ');
+
+function contentType(postData) {
+  try {
+    JSON.parse(postData);
+    return 'application/json';
+  } catch {
+    return 'application/x-www-form-urlencoded';
+  }
+}
+
+// Headers as [name, env var | null, literal value | null]
+function snippetHeaders(req, { cookies }) {
+  const headers = Object.keys(req.headers || {}).map(name => [name, envVarName(name), null]);
+  if (cookies) headers.push(['Cookie', 'COOKIE', null]);
+  if (req.postData) headers.push(['Content-Type', null, contentType(req.postData)]);
+  return headers;
+}
+
+function requiredVars(headers, fields) {
+  const vars = [...headers.map(([, env]) => env).filter(Boolean), ...fields.keys()];
+  return vars.length > 0 ? `Needs: ${vars.join(', ')} (see env.sh)` : 'No auth variables needed';
+}
+
+const title = (req) => `${req.method} ${req.pathTemplate || req.path}${req.graphql ? ` (${req.graphql.type} ${req.graphql.name})` : ''}`;
+
+export function curlSnippet(req, options) {
+  const headers = snippetHeaders(req, options);
+  const { url, body, fields } = secretFields(req);
+  const lines = [`curl -sS${req.method === 'GET' ? '' : ` -X ${req.method}`} ${shellString(url)}`];
+  for (const [name, env, value] of headers) {
+    lines.push(env ? `-H "${name}: $${env}"` : `-H ${shellQuote(`${name}: ${value}`)}`);
+  }
+  if (body) lines.push(`--data-raw ${shellString(body)}`);
+
+  return [
+    '#!/bin/sh',
+    `# ${title(req)}`,
+    `# ${requiredVars(headers, fields)}`,
+    lines.join(' \\\n  '),
+    ''
+  ].join('\n');
+}
+
+export function fetchSnippet(req, options) {
+  const headers = snippetHeaders(req, options);
+  const { url, body, fields } = secretFields(req);
+  const lines = [
+    `// ${title(req)}`,
+    `// ${requiredVars(headers, fields)}`,
+    `const response = await fetch(${jsString(url)}, {`,
+    `  method: ${JSON.stringify(req.method)},`
+  ];
+  if (headers.length > 0) {
+    lines.push('  headers: {');
+    headers.forEach(([name, env, value], i) => {
+      const comma = i < headers.length - 1 ? ',' : '';
+      lines.push(`    ${JSON.stringify(name)}: ${env ? `process.env.${env}` : JSON.stringify(value)}${comma}`);
+    });
+    lines.push(req.postData ? '  },' : '  }');
+  }
+  if (body) lines.push(`  body: ${jsString(body)}`);
+  lines.push('});');
+  lines.push('');
+  lines.push('console.log(response.status, await response.text());');
+  lines.push('');
+  return lines.join('\n');
+}
+
+export function pythonSnippet(req, options) {
+  const headers = snippetHeaders(req, options);
+  const { url, body, fields } = secretFields(req);
+  const lines = [
+    `# ${title(req)}`,
+    `# ${requiredVars(headers, fields)}`,
+    ...(headers.some(([, env]) => env) || fields.size > 0 ? ['import os', ''] : []),
+    'import requests',
+    '',
+    'response = requests.request(',
+    `    ${JSON.stringify(req.method)},`,
+    `    ${pythonString(url)},`
+  ];
+  if (headers.length > 0) {
+    lines.push('    headers={');
+    for (const [name, env, value] of headers) {
+      lines.push(`        ${JSON.stringify(name)}: ${env ? `os.environ[${JSON.stringify(env)}]` : JSON.stringify(value)},`);
+    }
+    lines.push('    },');
+  }
+  if (body) lines.push(`    data=${pythonString(body)},`);
+  lines.push(')');
+  lines.push('print(response.status_code)');
+  lines.push('print(response.text)');
+  lines.push('');
+  return lines.join('\n');
+}
+
+// peek-api http sends the session's cookies itself, so only headers go on the command line
+export function peekApiSnippet(req) {
+  const headers = Object.keys(req.headers || {}).map(name => [name, envVarName(name)]);
+  const { url, body, fields } = secretFields(req);
+  const lines = [`peek-api http ${shellString(url)} -s "$PEEK_API_SESSION"`];
+  if (req.method !== 'GET') lines.push(`-X ${req.method}`);
+  for (const [name, env] of headers) lines.push(`-H "${name}: $${env}"`);
+  if (body) lines.push(`-d ${shellString(body)}`);
+
+  const vars = ['PEEK_API_SESSION', ...headers.map(([, env]) => env), ...fields.keys()];
+  return [
+    '#!/bin/sh',
+    `# ${title(req)}`,
+    `# Needs: ${vars.join(', ')} (see env.sh)`,
+    lines.join(' \\\n  '),
+    ''
+  ].join('\n');
+}
+
+const RENDERERS = { curl: curlSnippet, fetch: fetchSnippet, python: pythonSnippet, 'peek-api': peekApiSnippet };
+
+// env.sh: every variable the snippets read, left empty to fill in from auth.json
+function envFile({ domain, endpoints, cookies }) {
+  const headers = new Map();
+  const fields = new Map();
+  for (const req of endpoints) {
+    for (const name of Object.keys(req.headers || {})) headers.set(envVarName(name), name);
+    for (const [env, name] of secretFields(req).fields) fields.set(env, name);
+  }
+
+  const lines = [
+    '# Auth for the snippets in this folder. Fill in the values from ../auth.json,',
+    '# then load them with: . ./env.sh',
+    `export PEEK_API_SESSION=${shellQuote(`./${domain}-session.json`)}`
+  ];
+  for (const [env, name] of headers) lines.push(`export ${env}=''  # ${name} header`);
+  if (cookies) lines.push(`export COOKIE=''  # Cookie header: name=value pairs from auth.json cookies`);
+  for (const [env, name] of fields) {
+    if (!headers.has(env)) lines.push(`export ${env}=''  # ${name} field, see ../endpoints.json`);
+  }
+  lines.push('');
+  return lines.join('\n');
+}
+
+// Write snippets/ and return endpoint -> slug for linking from CAPTURE.md
+export function writeSnippets({ outputDir, domain, endpoints, cookies = {} }) {
+  const dir = path.join(outputDir, SNIPPET_DIR);
+  const slugs = snippetSlugs(endpoints);
+  const options = { cookies: Object.keys(cookies).length > 0 };
+
+  // Snapshots rewrite the folder, so drop snippets of a previous write
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (const [req, slug] of slugs) {
+    for (const [language, { ext }] of Object.entries(LANGUAGES)) {
+      const file = path.join(dir, `${slug}.${ext}`);
+      fs.writeFileSync(file, RENDERERS[language](req, options), { mode: ext.endsWith('.sh') ? 0o755 : 0o644 });
+    }
+  }
+  fs.writeFileSync(path.join(dir, 'env.sh'), envFile({ domain, endpoints: [...slugs.keys()], ...options }));
+
+  return slugs;
+}
+
+// "[curl](snippets/x.curl.sh) · [fetch](...)" for an endpoint's CAPTURE.md entry
+export function snippetLinks(slug) {
+  return Object.values(LANGUAGES)
+    .map(({ ext, label }) => `[${label}](${SNIPPET_DIR}/${slug}.${ext})`)
+    .join(' · ');
+}
@@ -0,0 +1,170 @@
+import { TestRunner, runCommand, createTempFile, cleanupTempFile } from './test-runner.js';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { parseBatchFile, createRateLimiter, runBatch } from '../lib/batch.js';
+import { createCookieJar } from '../lib/cookies.js';
+
+const runner = new TestRunner();
+const cliPath = path.join(process.cwd(), 'bin/cli.js');
+
+runner.test('Batch files expand URL templates', async () => {
+  const requests = parseBatchFile([
+    '{"id":"me","url":"https://api.example.com/v1/me"}',
+    '',
+    '{"url":"https://api.example.com/v1/users/{id}?q={q}","vars":[{"id":1,"q":"a b"},{"id":"x/y","q":"&"}],"headers":["X-User: {id}"]}',
+    '{"method":"post","url":"https://api.example.com/v1/items/{id}","vars":[7],"body":{"name":"item \\"{id}\\""}}'
+  ].join('\n'), 'ids.jsonl');
+
+  assert.deepStrictEqual(requests.map(r => [r.id, r.method, r.url.href]), [
+    ['me', 'GET', 'https://api.example.com/v1/me'],
+    ['3.1', 'GET', 'https://api.example.com/v1/users/1?q=a%20b'],
+    ['3.2', 'GET', 'https://api.example.com/v1/users/x%2Fy?q=%26'],
+    ['4.1', 'POST', 'https://api.example.com/v1/items/7']
+  ]);
+  assert.deepStrictEqual(requests[1].customHeaders, { 'X-User': '1' });
+  assert.deepStrictEqual(requests[1].vars, { id: 1, q: 'a b' });
+  assert.deepStrictEqual(JSON.parse(requests[3].body), { name: 'item "7"' });
+  assert.strictEqual(requests[0].body, null);
+});
+
+runner.test('Batch file mistakes point at the line', async () => {
+  assert.throws(() => parseBatchFile('{"url":"https://a.com/"}\n{oops', 'f.jsonl'), /^Error: f\.jsonl:2: invalid JSON/);
+  assert.throws(() => parseBatchFile('{"method":"GET"}', 'f.jsonl'), /f\.jsonl:1: "url" is required/);
+  assert.throws(() => parseBatchFile('{"url":"https://a.com/{a}/{b}","vars":[1]}', 'f.jsonl'), /need exactly one \{placeholder\} in the url \(found 2\)/);
+  assert.throws(() => parseBatchFile('{"url":"https://a.com/{a}/{b}","vars":[{"a":1}]}', 'f.jsonl'), /no value for \{b\} in the url \(vars 1\)/);
+  assert.throws(() => parseBatchFile('{"url":"https://a.com/","headers":"X: 1"}', 'f.jsonl'), /"headers" must be an object/);
+});
+
+runner.test('Rate limiter spaces requests per host', async () => {
+  let time = 0;
+  const limiter = createRateLimiter({ rps: 4, now: () => time, random: () => 0 });
+  assert.deepStrictEqual([limiter('a.com'), limiter('a.com'), limiter('a.com'), limiter('b.com')], [0, 250, 500, 0]);
+  time = 2000;
+  assert.strictEqual(limiter('a.com'), 0);
+
+  const jittered = createRateLimiter({ jitter: 100, random: () => 0.999 });
+  assert.strictEqual(jittered('a.com'), 100);
+});
+
+// Local API that tracks how many requests it is handling at once
+async function startApi() {
+  const state = { active: 0, peak: 0, seen: [] };
+  const server = http.createServer((req, res) => {
+    state.active++;
+    state.peak = Math.max(state.peak, state.active);
+    state.seen.push({ url: req.url, cookie: req.headers.cookie || null, token: req.headers['x-token'] || null });
+    setTimeout(() => {
+      state.active--;
+      if (req.url === '/users/missing') {
+        res.writeHead(404, { 'content-type': 'application/json' });
+        res.end('{"error":"not found"}');
+        return;
+      }
+      const headers = { 'content-type': 'application/json' };
+      if (req.url === '/users/1') headers['set-cookie'] = 'sid=rotated; Path=/';
+      res.writeHead(200, headers);
+      res.end(JSON.stringify({ user: req.url.split('/').pop() }));
+    }, 40);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, state };
+}
+
+runner.test('Batch runs requests concurrently and reports each result', async () => {
+  const { server, state } = await startApi();
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const requests = parseBatchFile(JSON.stringify({ url: `${base}/users/{id}`, vars: [1, 2, 3, 4, 5, 6, 'missing'] }));
+    const jar = createCookieJar([{ name: 'sid', value: 'old', domain: '127.0.0.1', path: '/', expires: -1, secure: false, sameSite: 'Lax' }]);
+    const results = [];
+    const totals = await runBatch({ requests, jar, concurrency: 3, onResult: result => results.push(result) });
+
+    assert.strictEqual(state.peak, 3);
+    assert.deepStrictEqual(totals, { ok: 6, errors: 1, failed: 0, cookiesChanged: 1 });
+    const missing = results.find(r => r.id === '1.7');
+    assert.deepStrictEqual([missing.status, missing.ok, missing.body], [404, false, { error: 'not found' }]);
+    assert.deepStrictEqual(results.find(r => r.id === '1.2').body, { user: '2' });
+    // The rotated cookie is used by the requests that start after it arrives
+    assert.strictEqual(state.seen[state.seen.length - 1].cookie, 'sid=rotated');
+  } finally {
+    server.close();
+  }
+});
+
+runner.test('Retries wait their turn under --rps', async () => {
+  const times = [];
+  const server = http.createServer((req, res) => {
+    times.push(Date.now());
+    // Every request is turned away once, then served
+    res.writeHead(times.length % 2 === 1 ? 429 : 200, { 'retry-after': '0', 'content-type': 'application/json' });
+    res.end('{}');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const requests = parseBatchFile(JSON.stringify({ url: `${base}/items/{id}`, vars: [1, 2] }));
+    const totals = await runBatch({
+      requests,
+      jar: createCookieJar([]),
+      concurrency: 2,
+      limiter: createRateLimiter({ rps: 10 }),
+      retry: { retries: 2, retryDelay: 0 },
+      onResult() {}
+    });
+
+    assert.strictEqual(totals.ok, 2);
+    assert.strictEqual(times.length, 4);
+    // 10/s: every attempt, first or retried, starts at least ~100ms after the last
+    for (let i = 1; i < times.length; i++) assert.ok(times[i] - times[i - 1] >= 90, `attempt ${i + 1} came ${times[i] - times[i - 1]}ms after the last`);
+  } finally {
+    server.close();
+  }
+});
+
+runner.test('Batch command writes JSONL results under a rate limit', async () => {
+  const { server, state } = await startApi();
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const sessionFile = createTempFile(JSON.stringify({ cookies: [], origins: [] }));
+  const batchFile = createTempFile([
+    JSON.stringify({ id: 'first', url: `${base}/users/1` }),
+    JSON.stringify({ url: `${base}/users/{id}`, vars: [2, 3], headers: { 'X-Token': 'line' } })
+  ].join('\n'), '.jsonl');
+  const output = createTempFile('', '.jsonl');
+
+  try {
+    const started = Date.now();
+    const result = await runCommand('node', [cliPath, 'batch', batchFile, '-s', sessionFile, '-o', output, '--rps', '10', '-H', 'X-Token: all', '--update-session']);
+    assert.strictEqual(result.code, 0);
+    // Three starts 100ms apart
+    assert.ok(Date.now() - started >= 200);
+    assert.ok(result.stdout.includes('Rate limit: 10/s per host'));
+    assert.ok(result.stdout.includes('Batch done: 3 requests in'));
+    assert.ok(result.stdout.includes('(3 ok, 0 error responses, 0 failed)'));
+    assert.ok(result.stdout.includes(`Session updated: 1 cookies changed in ${sessionFile}`));
+
+    const lines = fs.readFileSync(output, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(line => [line.id, line.status, line.body.user]).sort(), [['2.1', 200, '2'], ['2.2', 200, '3'], ['first', 200, '1']]);
+    assert.deepStrictEqual(state.seen.map(r => r.token).sort(), ['all', 'line', 'line']);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(sessionFile, 'utf8')).cookies.map(c => c.value), ['rotated']);
+
+    // Results go to stdout without -o
+    const piped = await runCommand('node', [cliPath, 'batch', batchFile, '-s', sessionFile, '-q']);
+    assert.strictEqual(piped.stdout.trim().split('\n').length, 3);
+    assert.ok(piped.stderr.includes('Batch done'));
+
+    const invalid = await runCommand('node', [cliPath, 'batch', batchFile, '-s', sessionFile, '--rps', 'fast']);
+    assert.strictEqual(invalid.code, 1);
+    assert.ok(invalid.stderr.includes('--rps must be a positive number'));
+  } finally {
+    server.close();
+    cleanupTempFile(sessionFile);
+    cleanupTempFile(batchFile);
+    cleanupTempFile(output);
+  }
+});
+
+await runner.run();
@@ -0,0 +1,82 @@
+import { TestRunner } from './test-runner.js';
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import https from 'node:https';
+import os from 'node:os';
+import path from 'node:path';
+import { generateCa, loadCa, createIssuer } from '../lib/ca.js';
+
+const runner = new TestRunner();
+
+runner.test('Generated CA is a self-signed CA certificate', async () => {
+  const { certPem, keyPem } = generateCa('peek-api test CA');
+  const cert = new crypto.X509Certificate(certPem);
+  assert.strictEqual(cert.ca, true);
+  assert.strictEqual(cert.subject, 'O=peek-api\nCN=peek-api test CA');
+  assert.ok(cert.checkIssued(cert));
+  assert.ok(cert.verify(crypto.createPublicKey(crypto.createPrivateKey(keyPem))));
+  assert.ok(new Date(cert.validTo) > new Date(Date.now() + 9 * 365 * 24 * 60 * 60 * 1000));
+});
+
+runner.test('CA is created once and reused', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'peek-api-ca-'));
+  try {
+    const first = loadCa(path.join(dir, 'ca'));
+    assert.strictEqual(first.created, true);
+    assert.strictEqual(first.certFile, path.join(dir, 'ca', 'peek-api-ca.pem'));
+    assert.strictEqual(fs.statSync(path.join(dir, 'ca', 'peek-api-ca-key.pem')).mode & 0o777, 0o600);
+
+    const second = loadCa(path.join(dir, 'ca'));
+    assert.strictEqual(second.created, false);
+    assert.strictEqual(second.certPem, first.certPem);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+runner.test('Issued certificates name the host and chain to the CA', async () => {
+  const { certPem, keyPem } = generateCa('peek-api test CA');
+  const cert = new crypto.X509Certificate(certPem);
+  const issuer = createIssuer({ cert, key: crypto.createPrivateKey(keyPem) });
+
+  const leaf = new crypto.X509Certificate(issuer.issueCertificate('api.example.com'));
+  assert.strictEqual(leaf.ca, false);
+  assert.strictEqual(leaf.issuer, cert.subject);
+  assert.strictEqual(leaf.subjectAltName, 'DNS:api.example.com');
+  assert.ok(leaf.checkIssued(cert));
+  assert.ok(leaf.verify(cert.publicKey));
+  assert.ok(leaf.checkHost('api.example.com'));
+
+  assert.strictEqual(new crypto.X509Certificate(issuer.issueCertificate('127.0.0.1')).subjectAltName, 'IP Address:127.0.0.1');
+  assert.strictEqual(new crypto.X509Certificate(issuer.issueCertificate('::1')).subjectAltName, 'IP Address:0:0:0:0:0:0:0:1');
+  assert.strictEqual(issuer.secureContext('api.example.com'), issuer.secureContext('api.example.com'));
+});
+
+runner.test('TLS clients that trust the CA accept issued certificates', async () => {
+  const { certPem, keyPem } = generateCa('peek-api test CA');
+  const issuer = createIssuer({ cert: new crypto.X509Certificate(certPem), key: crypto.createPrivateKey(keyPem) });
+  const server = https.createServer({ key: issuer.keyPem, cert: issuer.issueCertificate('localhost') }, (req, res) => res.end('ok'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const body = await new Promise((resolve, reject) => {
+      https.get({ host: '127.0.0.1', servername: 'localhost', port: server.address().port, ca: certPem }, (res) => {
+        let text = '';
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => resolve(text));
+      }).on('error', reject);
+    });
+    assert.strictEqual(body, 'ok');
+
+    // Without the CA the certificate is rejected
+    await assert.rejects(new Promise((resolve, reject) => {
+      https.get({ host: '127.0.0.1', servername: 'localhost', port: server.address().port }, resolve).on('error', reject);
+    }), /self-signed|unable to (get|verify)/);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+await runner.run();
@@ -0,0 +1,101 @@
+import { TestRunner } from './test-runner.js';
+import assert from 'node:assert';
+import { createCatalog, isApiRequest, extractAuth, parseMaxBodySize } from '../lib/catalog.js';
+
+const runner = new TestRunner();
+
+runner.test('Catalog exports the capture filter and auth extraction', async () => {
+  assert.strictEqual(isApiRequest('https://example.com/api/users', 'document'), true);
+  assert.strictEqual(isApiRequest('https://example.com/app.js', 'script'), false);
+
+  const auth = extractAuth({ authorization: 'Bearer x', cookie: 'a=1; b=2=3' });
+  assert.deepStrictEqual(auth, { headers: { Authorization: 'Bearer x' }, cookies: { a: '1', b: '2=3' } });
+});
+
+runner.test('Catalog dedups requests by method and path template', async () => {
+  const catalog = createCatalog();
+
+  const first = catalog.recordRequest({ method: 'GET', url: 'https://example.com/api/users/1?x=1', resourceType: 'xhr', headers: { 'x-csrf-token': 't' } });
+  const second = catalog.recordRequest({ method: 'GET', url: 'https://example.com/api/users/2', resourceType: 'xhr' });
+
+  assert.strictEqual(first.length, 1);
+  assert.strictEqual(second.length, 0);
+  assert.strictEqual(catalog.endpoints.length, 1);
+  assert.deepStrictEqual(catalog.endpoints[0].pathParams, { id: ['1', '2'] });
+  assert.deepStrictEqual(catalog.endpoints[0].params, { x: '1' });
+  assert.deepStrictEqual(catalog.authHeaders, { 'x-csrf-token': 't' });
+});
+
+runner.test('Catalog records responses with size cap and schema', async () => {
+  const catalog = createCatalog({ maxBodySize: 10 });
+  const entries = catalog.recordRequest({ method: 'GET', url: 'https://example.com/api/feed', resourceType: 'fetch' });
+
+  catalog.recordResponse(entries, {
+    status: 200,
+    headers: { 'content-type': 'application/json; charset=utf-8' },
+    body: Buffer.from('{"items":[1,2,3],"more":true}')
+  });
+
+  const { response } = catalog.endpoints[0];
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.contentType, 'application/json');
+  assert.strictEqual(response.size, 29);
+  assert.strictEqual(response.body, '{"items":[');
+  assert.strictEqual(response.truncated, true);
+  assert.deepStrictEqual(Object.keys(response.schema.properties), ['items', 'more']);
+});
+
+runner.test('Truncated bodies end on a whole character', async () => {
+  // "é" and "€" are 2 and 3 bytes; the cap falls inside the "€"
+  const catalog = createCatalog({ maxBodySize: 5 });
+  const entries = catalog.recordRequest({ method: 'GET', url: 'https://example.com/api/name', resourceType: 'fetch' });
+  catalog.recordResponse(entries, { status: 200, headers: { 'content-type': 'text/plain' }, body: Buffer.from('"é€uro"') });
+
+  const { response } = catalog.endpoints[0];
+  assert.strictEqual(response.body, '"é');
+  assert.ok(!response.body.includes('\uFFFD'));
+  assert.strictEqual(response.truncated, true);
+});
+
+runner.test('Max body size must be a whole number of bytes', async () => {
+  assert.strictEqual(parseMaxBodySize(undefined), 102400);
+  assert.strictEqual(parseMaxBodySize('0'), 0);
+  assert.strictEqual(parseMaxBodySize('2048'), 2048);
+  for (const value of ['abc', '-1', '1.5', '']) {
+    assert.throws(() => parseMaxBodySize(value), /--max-body-size must be a whole number of bytes/);
+  }
+});
+
+runner.test('Catalog skips binary response bodies', async () => {
+  const catalog = createCatalog();
+  const entries = catalog.recordRequest({ method: 'GET', url: 'https://example.com/api/avatar', resourceType: 'fetch' });
+
+  catalog.recordResponse(entries, { status: 200, headers: { 'content-type': 'image/png' }, body: Buffer.alloc(50) });
+
+  assert.deepStrictEqual(catalog.endpoints[0].response, { status: 200, contentType: 'image/png', size: 50 });
+});
+
+runner.test('Catalog tags endpoints with the page and iframe they came from', async () => {
+  const catalog = createCatalog();
+  catalog.recordRequest({
+    method: 'GET',
+    url: 'https://example.com/api/me',
+    resourceType: 'fetch',
+    pageUrl: 'https://example.com/feed'
+  });
+  catalog.recordRequest({
+    method: 'GET',
+    url: 'https://widgets.example.net/api/comments',
+    resourceType: 'fetch',
+    pageUrl: 'https://example.com/post/1',
+    frameUrl: 'https://widgets.example.net/embed'
+  });
+
+  const [me, comments] = catalog.endpoints;
+  assert.strictEqual(me.pageUrl, 'https://example.com/feed');
+  assert.strictEqual(me.frameUrl, undefined);
+  assert.strictEqual(comments.pageUrl, 'https://example.com/post/1');
+  assert.strictEqual(comments.frameUrl, 'https://widgets.example.net/embed');
+});
+
+await runner.run();
@@ -0,0 +1,183 @@
+import { TestRunner, runCommand } from './test-runner.js';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { methodName, schemaToTs, generateTsClient } from '../lib/codegen.js';
+import { createCatalog } from '../lib/catalog.js';
+import { inferSchema } from '../lib/schema.js';
+
+const runner = new TestRunner();
+const cliPath = path.join(process.cwd(), 'bin/cli.js');
+
+function sampleCapture() {
+  const catalog = createCatalog();
+  const headers = { authorization: 'Bearer abc123', cookie: 'sid=s1' };
+  const users = catalog.recordRequest({ method: 'GET', url: 'https://www.example.com/api/users/123?limit=10&q=bob', resourceType: 'xhr', headers });
+  catalog.recordResponse(users, {
+    status: 200,
+    headers: { 'content-type': 'application/json' },
+    body: Buffer.from(JSON.stringify({ id: 123, name: 'Bob', tags: ['a'], 'last-seen': null }))
+  });
+  catalog.recordRequest({ method: 'POST', url: 'https://www.example.com/api/messages', resourceType: 'fetch', headers, postData: '{"text":"hi","to":[1]}' });
+  catalog.recordRequest({ method: 'POST', url: 'https://www.example.com/api/login', resourceType: 'fetch', postData: 'user=bob&remember=1' });
+  catalog.recordRequest({
+    method: 'POST',
+    url: 'https://www.example.com/graphql',
+    resourceType: 'fetch',
+    postData: JSON.stringify({ operationName: 'UserFeed', query: 'query UserFeed($first: Int) { feed { id } }', variables: { first: 10 } })
+  });
+  catalog.recordRequest({
+    method: 'POST',
+    url: 'https://www.example.com/api/graphql/',
+    resourceType: 'fetch',
+    postData: 'fb_dtsg=secret-dtsg&fb_api_req_friendly_name=ProfileQuery&doc_id=42&variables=%7B%22id%22%3A%221%22%7D'
+  });
+  catalog.recordRequest({ method: 'GET', url: 'https://cdn.example.net/rest/feed', resourceType: 'xhr' });
+  catalog.recordWebSocket({ url: 'wss://www.example.com/api/live' });
+
+  // Round-trip through JSON like a capture directory
+  const endpoints = JSON.parse(JSON.stringify(catalog.endpoints));
+  return { domain: 'example.com', endpoints, auth: { headers: catalog.authHeaders, cookies: catalog.cookies } };
+}
+
+runner.test('Method names come from paths and GraphQL operations', async () => {
+  const used = new Set();
+  assert.strictEqual(methodName({ method: 'GET', pathTemplate: '/api/users/{id}/posts' }, used), 'getApiUsersByIdPosts');
+  assert.strictEqual(methodName({ method: 'GET', pathTemplate: '/api/users/{id}/posts/' }, used), 'getApiUsersByIdPosts2');
+  assert.strictEqual(methodName({ method: 'DELETE', pathTemplate: '/v2/saved-items' }, used), 'deleteV2SavedItems');
+  assert.strictEqual(methodName({ method: 'POST', pathTemplate: '/graphql', graphql: { name: 'UserFeed' } }, used), 'userFeed');
+  assert.strictEqual(methodName({ method: 'POST', pathTemplate: '/graphql', graphql: { name: 'hash_0a1b2c' } }, used), 'hash0a1b2c');
+  assert.strictEqual(methodName({ method: 'POST', pathTemplate: '/graphql', graphql: { name: '-' } }, used), 'postGraphql');
+  assert.strictEqual(methodName({ method: 'POST', pathTemplate: '/graphql', graphql: { name: '2fa-verify' } }, used), 'op2faVerify');
+});
+
+runner.test('Inferred schemas become TypeScript types', async () => {
+  assert.strictEqual(schemaToTs(inferSchema({ id: 1, 'user-name': 'a', tags: ['x'], rows: [{ ok: true }] })), [
+    '{',
+    '  id: number;',
+    '  "user-name": string;',
+    '  tags: string[];',
+    '  rows: Array<{',
+    '    ok: boolean;',
+    '  }>;',
+    '}'
+  ].join('\n'));
+  assert.strictEqual(schemaToTs({ type: ['string', 'null'] }), 'string | null');
+  assert.strictEqual(schemaToTs({ type: 'array' }), 'unknown[]');
+  assert.strictEqual(schemaToTs(undefined), 'unknown');
+});
+
+runner.test('REST endpoints get typed params, bodies and responses', async () => {
+  const source = generateTsClient(sampleCapture());
+
+  assert.ok(source.includes([
+    'export interface GetApiUsersByIdParams {',
+    '  id: string | number;',
+    '  limit?: number | string;',
+    '  q?: string;',
+    '}',
+    'export type GetApiUsersByIdResponse = {',
+    '  id: number;',
+    '  name: string;',
+    '  tags: string[];',
+    '  "last-seen": null;',
+    '};'
+  ].join('\n')));
+  assert.ok(source.includes("getApiUsersById: (params: GetApiUsersByIdParams) =>\n      request<GetApiUsersByIdResponse>('GET', url(ORIGINS[0], `/api/users/${encodeURIComponent(String(params.id))}`, { limit: params.limit, q: params.q })),"));
+
+  assert.ok(source.includes('export type PostApiMessagesBody = {\n  text: string;\n  to: number[];\n};'));
+  assert.ok(source.includes("postApiMessages: (body: PostApiMessagesBody) =>\n      request<PostApiMessagesResponse>('POST', url(ORIGINS[0], \"/api/messages\"), { json: body }),"));
+  assert.ok(source.includes('export type PostApiLoginBody = {\n  user?: string;\n  remember?: string;\n};'));
+  assert.ok(source.includes("{ form: body }"));
+
+  // Other hosts keep their own origin; realtime channels get no method
+  assert.ok(source.includes('const ORIGINS = ["https://www.example.com","https://cdn.example.net"];'));
+  assert.ok(source.includes("getRestFeed: () =>\n      request<GetRestFeedResponse>('GET', url(ORIGINS[1], \"/rest/feed\")),"));
+  assert.ok(!source.includes('/api/live'));
+});
+
+runner.test('Query params come from every captured request', async () => {
+  const catalog = createCatalog();
+  catalog.recordRequest({ method: 'GET', url: 'https://www.example.com/api/search?q=a&limit=10', resourceType: 'xhr' });
+  catalog.recordRequest({ method: 'GET', url: 'https://www.example.com/api/search?q=b&page=2&limit=all', resourceType: 'xhr' });
+  const source = generateTsClient({ domain: 'example.com', endpoints: JSON.parse(JSON.stringify(catalog.endpoints)) });
+
+  // q and limit were always sent, page only later; limit took a number and a word
+  assert.ok(source.includes([
+    'export interface GetApiSearchParams {',
+    '  q: string;',
+    '  limit: string;',
+    '  page?: number | string;',
+    '}'
+  ].join('\n')));
+  assert.ok(source.includes('getApiSearch: (params: GetApiSearchParams) =>'));
+  assert.ok(source.includes('{ q: params.q, limit: params.limit, page: params.page }'));
+});
+
+runner.test('Paths with quotes, backslashes and backticks stay valid code', async () => {
+  const catalog = createCatalog();
+  catalog.recordRequest({ method: 'GET', url: "https://www.example.com/api/o'brien", resourceType: 'xhr' });
+  const endpoints = JSON.parse(JSON.stringify(catalog.endpoints));
+  endpoints.push({
+    method: 'GET',
+    url: 'https://www.example.com/api/a',
+    path: '/api/a',
+    pathTemplate: '/api/a`b${c}\\d/{id}',
+    pathParams: { id: ['1'] }
+  });
+  const source = generateTsClient({ domain: 'example.com', endpoints });
+
+  const paths = [...source.matchAll(/url\(ORIGINS\[0\], (.+?)\)\),$/gm)].map(match => match[1]);
+  assert.strictEqual(paths.length, 2);
+  assert.strictEqual(paths[0], '"/api/o\'brien"');
+  // Each expression evaluates back to its path
+  const evaluate = (expr) => new Function('params', `return ${expr};`)({ id: 7 });
+  assert.strictEqual(evaluate(paths[0]), "/api/o'brien");
+  assert.strictEqual(evaluate(paths[1]), '/api/a`b${c}\\d/7');
+});
+
+runner.test('GraphQL methods take typed variables and drop captured tokens', async () => {
+  const source = generateTsClient(sampleCapture());
+
+  assert.ok(source.includes('export type UserFeedVariables = {\n  first: number;\n};'));
+  assert.ok(source.includes('userFeed: (variables: UserFeedVariables) =>'));
+  assert.ok(source.includes('{ json: { operationName: "UserFeed", query: "query UserFeed($first: Int) { feed { id } }", variables } }'));
+
+  assert.ok(source.includes('profileQuery: (variables: ProfileQueryVariables) =>'));
+  assert.ok(source.includes('{ form: { fb_api_req_friendly_name: "ProfileQuery", doc_id: "42", variables: JSON.stringify(variables) } }'));
+  assert.ok(!source.includes('secret-dtsg'));
+  assert.ok(!source.includes('abc123'));
+});
+
+runner.test('Auth providers mirror the session file handling of peek-api http', async () => {
+  const source = generateTsClient(sampleCapture());
+  assert.ok(source.includes('export function sessionFileAuth(sessionFile: string'));
+  assert.ok(source.includes("if (c.name === 'csrftoken') headers['X-CSRFToken'] = c.value;"));
+  assert.ok(source.includes("if (c.name === 'JSESSIONID') headers['csrf-token'] = c.value;"));
+  assert.ok(source.includes("if (c.secure && url.protocol !== 'https:' && host !== 'localhost' && host !== '127.0.0.1') return false;"));
+  assert.ok(source.includes('const names: [string, string][] = [["Authorization","AUTHORIZATION"],["Cookie","COOKIE"]];'));
+  assert.ok(source.includes('export function createClient(options: ClientOptions = {}) {'));
+});
+
+runner.test('Codegen command writes client.ts into the capture', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'peek-api-codegen-'));
+  try {
+    const { domain, endpoints, auth } = sampleCapture();
+    fs.writeFileSync(path.join(dir, 'endpoints.json'), JSON.stringify(endpoints));
+    fs.writeFileSync(path.join(dir, 'auth.json'), JSON.stringify({ domain, ...auth }));
+
+    const result = await runCommand('node', [cliPath, 'codegen', dir, '--lang', 'ts']);
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.stdout.includes(`Output: ${path.join(dir, 'client.ts')} (6 methods)`));
+    assert.ok(fs.readFileSync(path.join(dir, 'client.ts'), 'utf8').startsWith('// Generated by peek-api codegen from a capture of example.com (6 endpoints).'));
+
+    const unsupported = await runCommand('node', [cliPath, 'codegen', dir, '--lang', 'python']);
+    assert.strictEqual(unsupported.code, 1);
+    assert.ok(unsupported.stderr.includes('Unsupported language "python" (supported: ts)'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+await runner.run();
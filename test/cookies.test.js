@@ -0,0 +1,251 @@
+import { TestRunner, runCommand, createTempFile, cleanupTempFile } from './test-runner.js';
+import assert from 'node:assert';
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { domainMatch, pathMatch, createCookieJar, parseSetCookie } from '../lib/cookies.js';
+
+const runner = new TestRunner();
+const cliPath = path.join(process.cwd(), 'bin/cli.js');
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+const inOneDay = NOW / 1000 + 86400;
+
+const cookies = [
+  { name: 'sid', value: 's1', domain: '.example.com', path: '/', expires: inOneDay, secure: true, sameSite: 'Lax' },
+  { name: 'pref', value: 'p1', domain: 'www.example.com', path: '/', expires: -1, secure: false, sameSite: 'Lax' },
+  { name: 'api', value: 'a1', domain: 'api.example.com', path: '/v2', expires: -1, secure: false, sameSite: 'Strict' },
+  { name: 'old', value: 'o1', domain: '.example.com', path: '/', expires: NOW / 1000 - 60, secure: false, sameSite: 'Lax' },
+  { name: 'tracker', value: 't1', domain: '.tracker.net', path: '/', expires: -1, secure: true, sameSite: 'None' },
+  { name: 'loose', value: 'l1', domain: '.example.com', path: '/', expires: -1, secure: false, sameSite: 'None' }
+];
+
+runner.test('Domains match per RFC 6265', async () => {
+  assert.ok(domainMatch('example.com', '.example.com'));
+  assert.ok(domainMatch('api.EXAMPLE.com', '.example.com'));
+  assert.ok(!domainMatch('badexample.com', '.example.com'));
+  assert.ok(!domainMatch('example.com.evil.net', '.example.com'));
+  // Host-only cookies need the exact host
+  assert.ok(domainMatch('www.example.com', 'www.example.com'));
+  assert.ok(!domainMatch('api.www.example.com', 'www.example.com'));
+  assert.ok(!domainMatch('example.com', 'www.example.com'));
+  assert.ok(domainMatch('127.0.0.1', '127.0.0.1'));
+  assert.ok(!domainMatch('anything.com', undefined));
+});
+
+runner.test('Paths match per RFC 6265', async () => {
+  assert.ok(pathMatch('/v2', '/v2'));
+  assert.ok(pathMatch('/v2/users', '/v2'));
+  assert.ok(pathMatch('/v2/users', '/v2/'));
+  assert.ok(!pathMatch('/v20', '/v2'));
+  assert.ok(!pathMatch('/v1/users', '/v2'));
+  assert.ok(pathMatch('/anything', '/'));
+});
+
+runner.test('Jar picks matching, unexpired cookies per request', async () => {
+  const jar = createCookieJar(cookies, { now: () => NOW });
+
+  assert.strictEqual(jar.cookieHeader('https://api.example.com/v2/users'), 'api=a1; sid=s1');
+  assert.strictEqual(jar.cookieHeader('https://www.example.com/feed'), 'sid=s1; pref=p1');
+  // Secure cookies stay off plain HTTP
+  assert.strictEqual(jar.cookieHeader('http://www.example.com/feed'), 'pref=p1');
+  assert.strictEqual(jar.cookieHeader('https://tracker.net/pixel'), 'tracker=t1');
+  assert.strictEqual(jar.cookieHeader('https://unrelated.org/'), '');
+
+  assert.deepStrictEqual(jar.select('https://api.example.com/v1/users').skipped, {
+    domain: 2,
+    path: 1,
+    expired: 1,
+    sameSite: 1
+  });
+  assert.deepStrictEqual(jar.forHost('api.example.com').map(c => c.name), ['sid', 'api', 'old', 'loose']);
+});
+
+runner.test('Set-Cookie headers are parsed per RFC 6265', async () => {
+  const url = 'https://www.example.com/api/v1/feed';
+  assert.deepStrictEqual(parseSetCookie('sid=abc; Domain=.Example.com; Path=/; Max-Age=3600; Secure; HttpOnly; SameSite=None', url, NOW), {
+    name: 'sid', value: 'abc', domain: '.example.com', path: '/', expires: NOW / 1000 + 3600, httpOnly: true, secure: true, sameSite: 'None'
+  });
+  // Host-only, default path is the request's directory, Expires in seconds
+  assert.deepStrictEqual(parseSetCookie('lidc="b=1"; Expires=Fri, 02 Jan 2026 00:00:00 GMT', url, NOW), {
+    name: 'lidc', value: '"b=1"', domain: 'www.example.com', path: '/api/v1', expires: NOW / 1000 + 86400, httpOnly: false, secure: false, sameSite: 'Lax'
+  });
+  // Max-Age wins over Expires
+  assert.strictEqual(parseSetCookie('a=1; Expires=Fri, 02 Jan 2026 00:00:00 GMT; Max-Age=60', url, NOW).expires, NOW / 1000 + 60);
+
+  // Ignored the way a browser would
+  assert.strictEqual(parseSetCookie('sid=x; Domain=other.com', url, NOW), null);
+  assert.strictEqual(parseSetCookie('sid=x; Domain=com', url, NOW), null);
+  assert.strictEqual(parseSetCookie('sid=x; Secure', 'http://www.example.com/', NOW), null);
+  assert.strictEqual(parseSetCookie('sid=x; SameSite=None', url, NOW), null);
+  assert.strictEqual(parseSetCookie('__Host-sid=x; Secure; Path=/; Domain=example.com', url, NOW), null);
+  assert.strictEqual(parseSetCookie('novalue', url, NOW), null);
+});
+
+runner.test('Jar stores, replaces and deletes cookies from Set-Cookie', async () => {
+  const jar = createCookieJar(cookies, { now: () => NOW });
+  const url = 'https://www.example.com/';
+
+  assert.ok(jar.setCookie('sid=s2; Domain=example.com; Path=/; Secure; SameSite=Lax', url));
+  assert.strictEqual(jar.cookies.filter(c => c.name === 'sid').length, 1);
+  assert.strictEqual(jar.cookieHeader(url), 'sid=s2; pref=p1');
+  // The same cookie again changes nothing
+  assert.ok(!jar.setCookie('sid=s2; Domain=example.com; Path=/; Secure; SameSite=Lax', url));
+
+  assert.ok(jar.setCookie('pref=gone; Max-Age=0', url));
+  assert.ok(!jar.cookies.some(c => c.name === 'pref'));
+  assert.ok(!jar.setCookie('never=set; Expires=Thu, 01 Jan 1970 00:00:01 GMT', url));
+
+  assert.ok(jar.setCookie('theme=dark', url));
+  assert.strictEqual(jar.cookieHeader(url), 'sid=s2; theme=dark');
+  // The list the jar was made from is left alone
+  assert.strictEqual(cookies.find(c => c.name === 'sid').value, 's1');
+});
+
+// Local server that echoes the Cookie and CSRF headers it received
+async function startEcho() {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ cookie: req.headers.cookie || null, csrf: req.headers['x-csrftoken'] || null }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+runner.test('http only sends the session cookies for the target URL', async () => {
+  const server = await startEcho();
+  const { port } = server.address();
+  const sessionFile = createTempFile(JSON.stringify({
+    cookies: [
+      { name: 'sid', value: 'local', domain: '127.0.0.1', path: '/', expires: -1, secure: false, sameSite: 'Lax' },
+      { name: 'admin', value: 'secret', domain: '127.0.0.1', path: '/admin', expires: -1, secure: false, sameSite: 'Lax' },
+      { name: 'csrftoken', value: 'elsewhere', domain: '.example.com', path: '/', expires: -1, secure: false, sameSite: 'Lax' }
+    ],
+    origins: []
+  }));
+
+  try {
+    const result = await runCommand('node', [cliPath, 'http', `http://127.0.0.1:${port}/api/me`, '-s', sessionFile, '--raw']);
+    assert.strictEqual(result.code, 0);
+    assert.deepStrictEqual(JSON.parse(result.stdout), { cookie: 'sid=local', csrf: null });
+    assert.strictEqual(result.stderr, '');
+
+    const verbose = await runCommand('node', [cliPath, 'http', `http://127.0.0.1:${port}/api/me`, '-s', sessionFile, '--verbose']);
+    assert.ok(verbose.stdout.includes('Cookies: 1 sent (not sent: 1 for other paths)'));
+  } finally {
+    server.close();
+    cleanupTempFile(sessionFile);
+  }
+});
+
+runner.test('http warns when the session has no valid cookies for the host', async () => {
+  const server = await startEcho();
+  const { port } = server.address();
+  const otherHost = createTempFile(JSON.stringify({
+    cookies: [{ name: 'sid', value: 's', domain: '.example.com', path: '/', expires: -1, secure: true, sameSite: 'Lax' }],
+    origins: []
+  }));
+  const expired = createTempFile(JSON.stringify({
+    cookies: [{ name: 'sid', value: 's', domain: '127.0.0.1', path: '/', expires: 1000000000, secure: false, sameSite: 'Lax' }],
+    origins: []
+  }));
+
+  try {
+    const raw = await runCommand('node', [cliPath, 'http', `http://127.0.0.1:${port}/api/me`, '-s', otherHost, '--raw']);
+    assert.strictEqual(raw.code, 0);
+    // The warning goes to stderr so --raw output stays parseable
+    assert.deepStrictEqual(JSON.parse(raw.stdout), { cookie: null, csrf: null });
+    assert.ok(raw.stderr.includes(`has no cookies for 127.0.0.1; the request is sent without a session.`));
+    assert.ok(raw.stderr.includes('Its cookies are for: example.com'));
+
+    const stale = await runCommand('node', [cliPath, 'http', `http://127.0.0.1:${port}/api/me`, '-s', expired]);
+    assert.ok(stale.stdout.includes('Warning: none of the 1 cookies for 127.0.0.1 apply (1 expired).'));
+    assert.ok(stale.stdout.includes(`Session appears expired. Re-run: peek-api login http://127.0.0.1:${port} --stealth`));
+  } finally {
+    server.close();
+    cleanupTempFile(otherHost);
+    cleanupTempFile(expired);
+  }
+});
+
+// Local server with a login-style redirect chain that rotates cookies on the way
+async function startRedirects() {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      seen.push({ method: req.method, url: req.url, cookie: req.headers.cookie || null, auth: req.headers.authorization || null, body });
+      if (req.url === '/start') {
+        res.writeHead(302, { location: '/refresh', 'set-cookie': ['sid=rotated; Path=/; HttpOnly', 'stale=x; Max-Age=0'] });
+        res.end();
+      } else if (req.url === '/refresh') {
+        res.writeHead(307, { location: '/api/me', 'set-cookie': 'lidc=new; Path=/api' });
+        res.end();
+      } else if (req.url === '/submit') {
+        res.writeHead(303, { location: '/api/me' });
+        res.end();
+      } else if (req.url === '/loop') {
+        res.writeHead(301, { location: '/loop' });
+        res.end();
+      } else {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ method: req.method, cookie: req.headers.cookie || null }));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, seen };
+}
+
+runner.test('http follows redirects and saves rotated cookies to the session', async () => {
+  const { server, seen } = await startRedirects();
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const sessionFile = createTempFile(JSON.stringify({
+    cookies: [
+      { name: 'sid', value: 'old', domain: '127.0.0.1', path: '/', expires: -1, httpOnly: true, secure: false, sameSite: 'Lax' },
+      { name: 'stale', value: 'y', domain: '127.0.0.1', path: '/', expires: -1, httpOnly: false, secure: false, sameSite: 'Lax' }
+    ],
+    origins: [{ origin: base, localStorage: [] }]
+  }));
+
+  try {
+    // Without --follow the redirect is reported and the session file is untouched
+    const stopped = await runCommand('node', [cliPath, 'http', `${base}/start`, '-s', sessionFile]);
+    assert.strictEqual(stopped.code, 0);
+    assert.ok(stopped.stdout.includes('Redirected to: /refresh'));
+    assert.ok(stopped.stdout.includes('Use --follow to follow it'));
+
+    seen.length = 0;
+    const followed = await runCommand('node', [cliPath, 'http', `${base}/start`, '-s', sessionFile, '-X', 'POST', '-d', '{"a":1}', '-H', 'Authorization: Bearer t', '--follow', '--update-session', '--raw']);
+    assert.strictEqual(followed.code, 0);
+    assert.deepStrictEqual(JSON.parse(followed.stdout), { method: 'GET', cookie: 'lidc=new; sid=rotated' });
+    // 302 after a POST becomes a GET without a body; 307 keeps it
+    assert.deepStrictEqual(seen.map(r => [r.method, r.url, r.cookie, r.body]), [
+      ['POST', '/start', 'sid=old; stale=y', '{"a":1}'],
+      ['GET', '/refresh', 'sid=rotated', ''],
+      ['GET', '/api/me', 'lidc=new; sid=rotated', '']
+    ]);
+    assert.ok(seen.every(r => r.auth === 'Bearer t'));
+
+    const saved = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
+    assert.deepStrictEqual(saved.cookies.map(c => `${c.name}=${c.value}`), ['sid=rotated', 'lidc=new']);
+    assert.deepStrictEqual(saved.origins, [{ origin: base, localStorage: [] }]);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(sessionFile)).filter(f => f.includes(path.basename(sessionFile)) && f.endsWith('.tmp')), []);
+
+    seen.length = 0;
+    const seeOther = await runCommand('node', [cliPath, 'http', `${base}/submit`, '-s', sessionFile, '-X', 'PUT', '-d', 'x=1', '-L']);
+    assert.ok(seeOther.stdout.includes(`Redirect: 303 -> GET ${base}/api/me`));
+    assert.ok(seeOther.stdout.includes('Status: 200'));
+    assert.deepStrictEqual(seen.map(r => r.method), ['PUT', 'GET']);
+
+    const loop = await runCommand('node', [cliPath, 'http', `${base}/loop`, '-s', sessionFile, '-L', '--max-redirects', '3']);
+    assert.strictEqual(loop.code, 1);
+    assert.ok(loop.stderr.includes(`Too many redirects (more than 3); last one went to /loop`));
+  } finally {
+    server.close();
+    cleanupTempFile(sessionFile);
+  }
+});
+
+await runner.run();
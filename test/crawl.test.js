@@ -0,0 +1,98 @@
+import { TestRunner } from './test-runner.js';
+import assert from 'node:assert';
+import { isUnsafeUrl, normalizeLink, isAllowedHost, createCrawlQueue, collectLinks } from '../lib/crawl.js';
+import { createCatalog } from '../lib/catalog.js';
+import { renderCaptureMarkdown } from '../lib/report.js';
+
+const runner = new TestRunner();
+
+runner.test('Logout and delete links are treated as unsafe', async () => {
+  assert.strictEqual(isUnsafeUrl('https://example.com/logout'), true);
+  assert.strictEqual(isUnsafeUrl('https://example.com/account/sign-out?next=/'), true);
+  assert.strictEqual(isUnsafeUrl('https://example.com/posts/5/delete'), true);
+  assert.strictEqual(isUnsafeUrl('https://example.com/settings?action=deactivate'), true);
+  assert.strictEqual(isUnsafeUrl('https://example.com/messaging/'), false);
+});
+
+runner.test('Links are resolved and stripped of fragments', async () => {
+  assert.strictEqual(normalizeLink('/feed#top', 'https://example.com/home'), 'https://example.com/feed');
+  assert.strictEqual(normalizeLink('profile?tab=1', 'https://example.com/users/'), 'https://example.com/users/profile?tab=1');
+  assert.strictEqual(normalizeLink('mailto:hi@example.com', 'https://example.com/'), null);
+  assert.strictEqual(normalizeLink('javascript:void(0)', 'https://example.com/'), null);
+  assert.strictEqual(normalizeLink('/report.pdf', 'https://example.com/'), null);
+});
+
+runner.test('Crawl stays on the start origin unless hosts are allowlisted', async () => {
+  const origin = 'https://app.example.com';
+  assert.strictEqual(isAllowedHost('https://app.example.com/a', { origin }), true);
+  assert.strictEqual(isAllowedHost('http://app.example.com/a', { origin }), false);
+  assert.strictEqual(isAllowedHost('https://docs.example.com/a', { origin }), false);
+
+  const allowedHosts = ['*.example.com'];
+  assert.strictEqual(isAllowedHost('https://docs.example.com/a', { origin, allowedHosts }), true);
+  assert.strictEqual(isAllowedHost('https://example.com/a', { origin, allowedHosts }), true);
+  assert.strictEqual(isAllowedHost('https://example.com.evil.net/a', { origin, allowedHosts }), false);
+});
+
+runner.test('Crawl queue walks breadth-first within depth and page limits', async () => {
+  const queue = createCrawlQueue({ seeds: ['https://example.com/'], maxDepth: 1, maxPages: 3 });
+
+  const first = queue.next();
+  assert.deepStrictEqual(first, { url: 'https://example.com/', depth: 0 });
+  queue.add([
+    'https://example.com/a',
+    'https://example.com/b',
+    'https://example.com/a',
+    'https://other.com/',
+    'https://example.com/logout',
+    'https://example.com/c'
+  ], 0);
+
+  const a = queue.next();
+  assert.deepStrictEqual(a, { url: 'https://example.com/a', depth: 1 });
+
+  // Depth 2 is past the limit
+  queue.add(['https://example.com/a/deep'], 1);
+
+  assert.deepStrictEqual(queue.next(), { url: 'https://example.com/b', depth: 1 });
+  // Page budget spent even though /c is still queued
+  assert.strictEqual(queue.next(), null);
+
+  assert.deepStrictEqual(queue.visited.map(p => p.url), ['https://example.com/', 'https://example.com/a', 'https://example.com/b']);
+  assert.strictEqual(queue.skipped, 2);
+});
+
+runner.test('Links with a stray % are queued, not dropped', async () => {
+  assert.strictEqual(isUnsafeUrl('https://a.com/search?q=100%'), false);
+  assert.strictEqual(isUnsafeUrl('https://a.com/logout?pct=5%'), true);
+
+  // A seed that isn't a page is skipped rather than queued as null
+  const queue = createCrawlQueue({ seeds: ['https://a.com/', 'https://a.com/deals?off=100%', 'mailto:hi@a.com'], maxPages: 10 });
+  assert.strictEqual(queue.skipped, 1);
+  queue.add(['https://a.com/search?q=100%', 'https://a.com/about'], 0);
+  const urls = [];
+  for (let page = queue.next(); page; page = queue.next()) urls.push(page.url);
+  assert.deepStrictEqual(urls, ['https://a.com/', 'https://a.com/deals?off=100%', 'https://a.com/search?q=100%', 'https://a.com/about']);
+});
+
+runner.test('Links are collected relative to the current page', async () => {
+  const page = {
+    url: () => 'https://example.com/users/',
+    $$eval: async () => ['1', '/feed#x', 'tel:123']
+  };
+  assert.deepStrictEqual(await collectLinks(page), ['https://example.com/users/1', 'https://example.com/feed']);
+});
+
+runner.test('Endpoints record every crawled page that surfaced them', async () => {
+  const catalog = createCatalog();
+  catalog.recordRequest({ method: 'GET', url: 'https://example.com/api/me', resourceType: 'fetch', crawlPage: 'https://example.com/' });
+  catalog.recordRequest({ method: 'GET', url: 'https://example.com/api/threads', resourceType: 'fetch', crawlPage: 'https://example.com/messaging' });
+  catalog.recordRequest({ method: 'GET', url: 'https://example.com/api/me', resourceType: 'fetch', crawlPage: 'https://example.com/messaging' });
+
+  assert.deepStrictEqual(catalog.endpoints[0].surfacedOn, ['https://example.com/', 'https://example.com/messaging']);
+
+  const markdown = renderCaptureMarkdown({ domain: 'example.com', endpoints: catalog.endpoints, authHeaders: {}, cookies: {} });
+  assert.ok(markdown.includes('## Crawled Pages\n\n- https://example.com/\n  - `GET /api/me`\n- https://example.com/messaging\n  - `GET /api/me`\n  - `GET /api/threads`'));
+});
+
+await runner.run();
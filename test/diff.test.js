@@ -0,0 +1,152 @@
+import { TestRunner, runCommand } from './test-runner.js';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { compareCaptures, renderDiffMarkdown, schemaFields, endpointKey } from '../lib/diff.js';
+import { inferSchema } from '../lib/schema.js';
+
+const runner = new TestRunner();
+const cliPath = path.join(process.cwd(), 'bin/cli.js');
+
+const weekOne = {
+  dir: 'week1',
+  auth: { captured: '2024-01-01T00:00:00.000Z', headers: { 'x-csrf-token': 'a' }, cookies: { sid: '1' } },
+  endpoints: [
+    {
+      method: 'GET',
+      url: 'https://example.com/api/users/1?limit=10',
+      pathTemplate: '/api/users/{id}',
+      params: { limit: '10' },
+      response: { status: 200, schema: inferSchema({ id: 1, name: 'a', tags: [{ label: 'x' }] }) }
+    },
+    {
+      method: 'POST',
+      url: 'https://example.com/api/posts',
+      pathTemplate: '/api/posts',
+      postData: '{"text":"hi","draft":true}'
+    },
+    { method: 'DELETE', url: 'https://example.com/api/posts/1', pathTemplate: '/api/posts/{id}' }
+  ]
+};
+
+const weekTwo = {
+  dir: 'week2',
+  auth: { captured: '2024-01-08T00:00:00.000Z', headers: { 'x-csrf-token': 'b', Authorization: 'Bearer x' }, cookies: {} },
+  endpoints: [
+    {
+      method: 'GET',
+      url: 'https://example.com/api/users/2?limit=10&cursor=abc',
+      pathTemplate: '/api/users/{id}',
+      params: { limit: '10', cursor: 'abc' },
+      headers: { Authorization: 'Bearer x' },
+      response: { status: 200, schema: inferSchema({ id: '1', tags: [{ label: 'x', color: 'red' }] }) }
+    },
+    {
+      method: 'POST',
+      url: 'https://example.com/api/posts',
+      pathTemplate: '/api/posts',
+      postData: '{"text":"hi","draft":true}'
+    },
+    { method: 'GET', url: 'https://example.com/api/feed', pathTemplate: '/api/feed' }
+  ]
+};
+
+runner.test('Response schemas flatten to field paths', async () => {
+  const fields = schemaFields(inferSchema({ id: 1, tags: [{ label: 'x' }], meta: null }));
+  assert.deepStrictEqual(fields, {
+    id: 'integer',
+    tags: 'array',
+    'tags[]': 'object',
+    'tags[].label': 'string',
+    meta: 'null'
+  });
+});
+
+runner.test('Endpoints are keyed by method and path template', async () => {
+  assert.strictEqual(endpointKey({ method: 'GET', url: 'https://x.com/api/users/42' }), 'GET /api/users/{id}');
+  assert.strictEqual(
+    endpointKey({ method: 'POST', pathTemplate: '/graphql', graphql: { type: 'query', name: 'Feed' } }),
+    'POST /graphql (query Feed)'
+  );
+});
+
+runner.test('Diff finds added, removed and changed endpoints', async () => {
+  const diff = compareCaptures(weekOne, weekTwo);
+
+  assert.deepStrictEqual(diff.added, ['GET /api/feed']);
+  assert.deepStrictEqual(diff.removed, ['DELETE /api/posts/{id}']);
+  assert.strictEqual(diff.changed.length, 1);
+
+  const [users] = diff.changed;
+  assert.strictEqual(users.endpoint, 'GET /api/users/{id}');
+  assert.deepStrictEqual(users.params, { added: ['cursor'], removed: [] });
+  assert.deepStrictEqual(users.authHeaders, { added: ['authorization'], removed: [] });
+  assert.deepStrictEqual(users.response.fieldsAdded, [{ field: 'tags[].color', type: 'string' }]);
+  assert.deepStrictEqual(users.response.fieldsRemoved, ['name']);
+  assert.deepStrictEqual(users.response.fieldsChanged, [{ field: 'id', from: 'integer', to: 'string' }]);
+
+  assert.deepStrictEqual(diff.auth, {
+    headers: { added: ['Authorization'], removed: [] },
+    cookies: { added: [], removed: ['sid'] }
+  });
+});
+
+runner.test('Body key changes are reported', async () => {
+  const after = structuredClone(weekOne);
+  after.endpoints[1].postData = 'text=hi&visibility=public';
+
+  const diff = compareCaptures(weekOne, after);
+  assert.deepStrictEqual(diff.changed, [
+    { endpoint: 'POST /api/posts', bodyKeys: { added: ['visibility'], removed: ['draft'] } }
+  ]);
+});
+
+runner.test('Changelog renders as Markdown', async () => {
+  const markdown = renderDiffMarkdown(compareCaptures(weekOne, weekTwo));
+
+  assert.ok(markdown.includes('**Summary:** 1 added, 1 removed, 1 changed'));
+  assert.ok(markdown.includes('## Added Endpoints\n- `GET /api/feed`'));
+  assert.ok(markdown.includes('## Removed Endpoints\n- `DELETE /api/posts/{id}`'));
+  assert.ok(markdown.includes('### `GET /api/users/{id}`'));
+  assert.ok(markdown.includes('- Query params added: `cursor`'));
+  assert.ok(markdown.includes('- Response field types changed: `id` integer → string'));
+  assert.ok(markdown.includes('- Cookies removed: `sid`'));
+
+  assert.ok(renderDiffMarkdown(compareCaptures(weekOne, weekOne)).includes('No changes.'));
+});
+
+runner.test('Diff command writes CHANGES.md and changes.json', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'peek-api-diff-'));
+  try {
+    for (const capture of [weekOne, weekTwo]) {
+      const dir = path.join(root, capture.dir);
+      fs.mkdirSync(dir);
+      fs.writeFileSync(path.join(dir, 'endpoints.json'), JSON.stringify(capture.endpoints));
+      fs.writeFileSync(path.join(dir, 'auth.json'), JSON.stringify(capture.auth));
+    }
+
+    const result = await runCommand('node', [cliPath, 'diff', path.join(root, 'week1'), path.join(root, 'week2')]);
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.stdout.includes('1 added, 1 removed, 1 changed'));
+    assert.ok(result.stdout.includes('+ GET /api/feed'));
+
+    const changes = JSON.parse(fs.readFileSync(path.join(root, 'week2', 'changes.json'), 'utf8'));
+    assert.deepStrictEqual(changes.added, ['GET /api/feed']);
+    assert.ok(fs.readFileSync(path.join(root, 'week2', 'CHANGES.md'), 'utf8').startsWith('# API Changes'));
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+runner.test('Diff command requires two capture directories', async () => {
+  const result = await runCommand('node', [cliPath, 'diff', '.']);
+  assert.strictEqual(result.code, 1);
+  assert.ok(result.stderr.includes('Two capture directories are required'));
+
+  const missing = await runCommand('node', [cliPath, 'diff', '.', '.']);
+  assert.strictEqual(missing.code, 1);
+  assert.ok(missing.stderr.includes('is not a capture directory'));
+});
+
+await runner.run();
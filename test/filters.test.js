@@ -0,0 +1,115 @@
+import { TestRunner, runCommand, createTempFile, cleanupTempFile } from './test-runner.js';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { DEFAULT_RULES, resolveRules, matchRequest, matchResponse, createFilter, loadFilterConfig, formatDropped, matchesHost } from '../lib/filters.js';
+import { buildHar } from '../lib/har.js';
+
+const runner = new TestRunner();
+const cliPath = path.join(process.cwd(), 'bin/cli.js');
+
+const check = (rules, url, resourceType = 'document', method = 'GET') => matchRequest(rules, { url, resourceType, method });
+
+runner.test('Default rules match the built-in API heuristics', async () => {
+  const rules = resolveRules();
+  assert.strictEqual(check(rules, 'https://example.com/feed', 'fetch'), null);
+  assert.strictEqual(check(rules, 'https://example.com/api/users'), null);
+  assert.strictEqual(check(rules, 'https://example.com/app.js', 'fetch'), 'skipExtensions');
+  assert.strictEqual(check(rules, 'https://www.google-analytics.com/collect', 'xhr'), 'skipDomains');
+  assert.strictEqual(check(rules, 'https://example.com/v2/users'), 'notApi');
+});
+
+runner.test('Host allow and deny lists support wildcards', async () => {
+  assert.strictEqual(matchesHost('api.example.com', '*.example.com'), true);
+  assert.strictEqual(matchesHost('example.com', '*.example.com'), true);
+  assert.strictEqual(matchesHost('badexample.com', '*.example.com'), false);
+
+  const rules = resolveRules({ allowHosts: ['*.example.com'], denyHosts: ['telemetry.example.com'] });
+  assert.strictEqual(check(rules, 'https://api.example.com/x', 'xhr'), null);
+  assert.strictEqual(check(rules, 'https://telemetry.example.com/x', 'xhr'), 'denyHosts');
+  assert.strictEqual(check(rules, 'https://cdn.other.net/x', 'xhr'), 'allowHosts');
+});
+
+runner.test('Path regexes include and exclude requests', async () => {
+  const rules = resolveRules({ includePaths: ['^/v2/'], excludePaths: ['/metrics$'] });
+  assert.strictEqual(check(rules, 'https://example.com/v2/users'), null);
+  assert.strictEqual(check(rules, 'https://example.com/v2/metrics', 'fetch'), 'excludePaths');
+});
+
+runner.test('Method and resource type rules', async () => {
+  const rules = resolveRules({ methods: ['get'], resourceTypes: ['document', 'fetch'] });
+  assert.strictEqual(check(rules, 'https://example.com/v2/page', 'document'), null);
+  assert.strictEqual(check(rules, 'https://example.com/v2/page', 'xhr'), 'notApi');
+  assert.strictEqual(check(rules, 'https://example.com/v2/page', 'fetch', 'POST'), 'methods');
+});
+
+runner.test('Built-in lists can be overridden', async () => {
+  const rules = resolveRules({ skipDomains: [], apiPaths: ['/v2/'] });
+  assert.deepStrictEqual(rules.skipExtensions, DEFAULT_RULES.skipExtensions);
+  assert.strictEqual(check(rules, 'https://www.google-analytics.com/collect', 'xhr'), null);
+  assert.strictEqual(check(rules, 'https://example.com/v2/users'), null);
+  assert.strictEqual(check(rules, 'https://example.com/api/users'), 'notApi');
+});
+
+runner.test('Content-type rules check responses', async () => {
+  const rules = resolveRules({ contentTypes: ['json', 'protobuf'] });
+  assert.strictEqual(matchResponse(rules, { contentType: 'application/JSON' }), null);
+  assert.strictEqual(matchResponse(rules, { contentType: 'application/x-protobuf' }), null);
+  assert.strictEqual(matchResponse(rules, { contentType: 'text/html' }), 'contentTypes');
+  assert.strictEqual(matchResponse(resolveRules(), { contentType: 'text/html' }), null);
+});
+
+runner.test('Invalid rules are rejected', async () => {
+  assert.throws(() => resolveRules({ allowHost: ['x'] }), /Unknown filter rule "allowHost"/);
+  assert.throws(() => resolveRules({ methods: 'GET' }), /must be a list/);
+  assert.throws(() => resolveRules({ includePaths: ['(unclosed'] }), /Invalid includePaths regex/);
+});
+
+runner.test('Filters count what each rule dropped', async () => {
+  const filter = createFilter({ denyHosts: ['ads.example.com'] }, { contentTypes: ['json'] });
+  assert.strictEqual(filter.checksResponses, true);
+
+  filter.checkRequest({ url: 'https://example.com/api/a', resourceType: 'xhr' });
+  filter.checkRequest({ url: 'https://example.com/logo.png', resourceType: 'image' });
+  filter.checkRequest({ url: 'https://example.com/style.css', resourceType: 'stylesheet' });
+  filter.checkRequest({ url: 'https://ads.example.com/api/x', resourceType: 'xhr' });
+  filter.checkResponse({ contentType: 'text/html' });
+
+  assert.deepStrictEqual(filter.dropped, { skipExtensions: 2, denyHosts: 1, contentTypes: 1 });
+  assert.strictEqual(filter.droppedTotal, 4);
+  assert.strictEqual(formatDropped(filter.dropped), 'skipExtensions 2, denyHosts 1, contentTypes 1');
+});
+
+runner.test('Filter configs load from YAML or JSON', async () => {
+  const yamlFile = createTempFile('denyHosts:\n  - telemetry.example.com\nmethods: [GET]\n', '.yaml');
+  try {
+    assert.deepStrictEqual(loadFilterConfig(yamlFile), { denyHosts: ['telemetry.example.com'], methods: ['GET'] });
+  } finally {
+    cleanupTempFile(yamlFile);
+  }
+});
+
+runner.test('import-har applies a filter config', async () => {
+  const harFile = createTempFile(JSON.stringify(buildHar([
+    { startedDateTime: '2024-01-01T00:00:00.000Z', method: 'GET', url: 'https://example.com/v2/users', resourceType: 'document' },
+    { startedDateTime: '2024-01-01T00:00:01.000Z', method: 'GET', url: 'https://example.com/api/ping', resourceType: 'xhr' }
+  ])), '.har');
+  const filtersFile = createTempFile(JSON.stringify({ includePaths: ['^/v2/'], excludePaths: ['/ping$'] }), '.json');
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'peek-api-filters-'));
+
+  try {
+    const result = await runCommand('node', [cliPath, 'import-har', harFile, '--filters', filtersFile, '-o', outputDir]);
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.stdout.includes('Filtered out: excludePaths 1'));
+
+    const endpoints = JSON.parse(fs.readFileSync(path.join(outputDir, 'endpoints.json'), 'utf8'));
+    assert.deepStrictEqual(endpoints.map(e => e.path), ['/v2/users']);
+  } finally {
+    cleanupTempFile(harFile);
+    cleanupTempFile(filtersFile);
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
+
+await runner.run();
@@ -0,0 +1,158 @@
+import { TestRunner, createTempFile, cleanupTempFile } from './test-runner.js';
+import assert from 'node:assert';
+import { parseFlow, loadFlow, describeStep, runFlow } from '../lib/flow.js';
+import { createCatalog } from '../lib/catalog.js';
+import { renderCaptureMarkdown } from '../lib/report.js';
+
+const runner = new TestRunner();
+
+// Records what a flow does to the page instead of driving a browser
+function fakePage({ failOn } = {}) {
+  const calls = [];
+  const locator = (how) => ({
+    first: () => locator(how),
+    click: async () => {
+      if (how === failOn) throw new Error(`Timeout waiting for ${how}\nCall log: ...`);
+      calls.push(`click ${how}`);
+    },
+    hover: async () => calls.push(`hover ${how}`),
+    fill: async (value) => calls.push(`fill ${how} ${value}`),
+    press: async (key) => calls.push(`press ${key} in ${how}`),
+    waitFor: async () => calls.push(`waitFor ${how}`)
+  });
+  return {
+    calls,
+    goto: async (url) => calls.push(`goto ${url}`),
+    locator: (selector) => locator(selector),
+    getByText: (text) => locator(`text=${text}`),
+    keyboard: { press: async (key) => calls.push(`press ${key}`) },
+    waitForTimeout: async () => {},
+    waitForLoadState: async (state) => calls.push(`waitForLoadState ${state}`),
+    evaluate: async () => calls.push('scroll'),
+    screenshot: async ({ path }) => calls.push(`screenshot ${path}`)
+  };
+}
+
+runner.test('Flows accept a bare step list or { settle, steps }', async () => {
+  const flow = parseFlow([
+    { goto: '/search' },
+    { click: 'button.compose' },
+    { click: { text: 'Send' }, name: 'send message' },
+    { fill: { selector: 'input[name=q]', value: 42 } },
+    { press: 'Enter' },
+    { waitForNetworkIdle: true },
+    { scroll: 'bottom' }
+  ]);
+
+  assert.strictEqual(flow.settle, 1000);
+  assert.deepStrictEqual(flow.steps.map(s => s.action), ['goto', 'click', 'click', 'fill', 'press', 'waitForNetworkIdle', 'scroll']);
+  assert.strictEqual(flow.steps[1].selector, 'button.compose');
+  assert.strictEqual(flow.steps[2].text, 'Send');
+  assert.strictEqual(flow.steps[3].value, '42');
+
+  assert.strictEqual(parseFlow({ settle: 0, steps: [{ wait: 500 }] }).settle, 0);
+});
+
+runner.test('Invalid flow steps are rejected with their step number', async () => {
+  assert.throws(() => parseFlow([]), /list of steps/);
+  assert.throws(() => parseFlow([{ goto: '/' }, { tap: 'x' }]), /step 2 needs exactly one action/);
+  assert.throws(() => parseFlow([{ click: 'a', hover: 'b' }]), /step 1 needs exactly one action/);
+  assert.throws(() => parseFlow([{ fill: 'input' }]), /step 1 \(fill\) expects/);
+  assert.throws(() => parseFlow([{ scroll: 'top' }]), /expects "bottom"/);
+});
+
+runner.test('Flow files are read as YAML or JSON', async () => {
+  const yamlFile = createTempFile('- goto: /inbox\n- click:\n    text: Compose\n', '.yaml');
+  const jsonFile = createTempFile('{"steps":[{"hover":"#menu"}]}', '.json');
+
+  try {
+    assert.deepStrictEqual(loadFlow(yamlFile).steps.map(s => s.action), ['goto', 'click']);
+    assert.strictEqual(loadFlow(jsonFile).steps[0].selector, '#menu');
+  } finally {
+    cleanupTempFile(yamlFile);
+    cleanupTempFile(jsonFile);
+  }
+});
+
+runner.test('Unparseable flow files name the file', async () => {
+  const badFile = createTempFile('{"steps": [', '.json');
+  try {
+    assert.throws(() => loadFlow(badFile), /Could not parse flow file/);
+  } finally {
+    cleanupTempFile(badFile);
+  }
+});
+
+runner.test('Steps get short numbered labels', async () => {
+  const { steps } = parseFlow([
+    { goto: '/search' },
+    { click: { text: 'Compose' } },
+    { press: { key: 'Enter', selector: '#q' } },
+    { hover: '#menu', name: 'open menu' }
+  ]);
+
+  assert.deepStrictEqual(steps.map((step, i) => describeStep(step, i + 1)), [
+    '#1 goto /search',
+    '#2 click text=Compose',
+    '#3 press Enter in #q',
+    '#4 open menu'
+  ]);
+});
+
+runner.test('runFlow drives the page and reports each step before it runs', async () => {
+  const page = fakePage();
+  const seen = [];
+  const flow = parseFlow({ settle: 0, steps: [
+    { goto: '/search' },
+    { fill: { selector: '#q', value: 'cats' } },
+    { press: 'Enter' },
+    { screenshot: 'results.png' }
+  ] });
+
+  const result = await runFlow(page, flow, {
+    origin: 'https://example.com',
+    outputDir: '/tmp/peek-api-flow-test',
+    onStep: (label) => seen.push(label)
+  });
+
+  assert.deepStrictEqual(result, { completed: 4 });
+  assert.deepStrictEqual(seen, ['#1 goto /search', '#2 fill #q', '#3 press Enter', '#4 screenshot results.png']);
+  assert.deepStrictEqual(page.calls, [
+    'goto https://example.com/search',
+    'fill #q cats',
+    'press Enter',
+    'screenshot /tmp/peek-api-flow-test/results.png'
+  ]);
+});
+
+runner.test('runFlow stops at the first failing step', async () => {
+  const page = fakePage({ failOn: 'text=Missing' });
+  const flow = parseFlow({ settle: 0, steps: [{ click: '#ok' }, { click: { text: 'Missing' } }, { click: '#never' }] });
+
+  const result = await runFlow(page, flow, { origin: 'https://example.com', outputDir: '/tmp' });
+
+  assert.deepStrictEqual(result, { completed: 1, failed: '#2 click text=Missing' });
+  assert.deepStrictEqual(page.calls, ['click #ok']);
+});
+
+runner.test('Endpoints are attributed to the steps that triggered them', async () => {
+  const catalog = createCatalog();
+  catalog.recordRequest({ method: 'GET', url: 'https://example.com/api/inbox', resourceType: 'fetch', step: '#1 goto /' });
+  catalog.recordRequest({ method: 'POST', url: 'https://example.com/api/drafts', resourceType: 'fetch', step: '#3 click text=Save' });
+  catalog.recordRequest({ method: 'GET', url: 'https://example.com/api/inbox', resourceType: 'fetch', step: '#3 click text=Save' });
+
+  const [inbox, drafts] = catalog.endpoints;
+  assert.deepStrictEqual(inbox.steps, ['#1 goto /', '#3 click text=Save']);
+  assert.deepStrictEqual(drafts.steps, ['#3 click text=Save']);
+
+  const markdown = renderCaptureMarkdown({
+    domain: 'example.com',
+    endpoints: catalog.endpoints,
+    authHeaders: {},
+    cookies: {}
+  });
+  assert.ok(markdown.includes('## Flow Steps'));
+  assert.ok(markdown.includes('- **#3 click text=Save**\n  - `GET /api/inbox`\n  - `POST /api/drafts`'));
+});
+
+await runner.run();
@@ -0,0 +1,107 @@
+import { TestRunner } from './test-runner.js';
+import assert from 'node:assert';
+import { parseGraphQL, parseOperationDocument, isGraphQLUrl } from '../lib/graphql.js';
+import { dedupEndpoints } from '../lib/capture.js';
+import { createCatalog } from '../lib/catalog.js';
+
+const runner = new TestRunner();
+
+runner.test('Operation type and name are read from the document', async () => {
+  assert.deepStrictEqual(parseOperationDocument('query UserProfile($id: ID!) { user(id: $id) { name } }'), { type: 'query', name: 'UserProfile' });
+  assert.deepStrictEqual(parseOperationDocument('# comment query Nope\nmutation Like { like }'), { type: 'mutation', name: 'Like' });
+  assert.deepStrictEqual(parseOperationDocument('{ viewer { query } }'), { type: 'query', name: undefined });
+  assert.deepStrictEqual(
+    parseOperationDocument('query A { a } mutation B { b }', 'B'),
+    { type: 'mutation', name: 'B' }
+  );
+});
+
+runner.test('JSON and batched GraphQL bodies are split into operations', async () => {
+  const single = parseGraphQL({
+    method: 'POST',
+    url: 'https://api.example.com/graphql',
+    postData: JSON.stringify({ query: 'query Feed($first: Int) { feed }', variables: { first: 10 } })
+  });
+  assert.deepStrictEqual(single, [{
+    name: 'Feed',
+    type: 'query',
+    variables: { type: 'object', properties: { first: { type: 'integer' } } }
+  }]);
+
+  const batched = parseGraphQL({
+    method: 'POST',
+    url: 'https://api.example.com/graphql',
+    postData: JSON.stringify([
+      { operationName: 'Viewer', query: 'query Viewer { me }' },
+      { operationName: 'Like', extensions: { persistedQuery: { version: 1, sha256Hash: 'abc123def456abc' } } }
+    ])
+  });
+  assert.deepStrictEqual(batched.map(op => [op.name, op.type]), [['Viewer', 'query'], ['Like', 'unknown']]);
+  assert.strictEqual(batched[1].hash, 'abc123def456abc');
+  assert.strictEqual(batched[1].persisted, true);
+});
+
+runner.test('GET and persisted GraphQL queries are parsed', async () => {
+  const get = parseGraphQL({
+    method: 'GET',
+    url: 'https://api.example.com/graphql?operationName=Search&variables=%7B%22q%22%3A%22x%22%7D&extensions=%7B%22persistedQuery%22%3A%7B%22sha256Hash%22%3A%22deadbeef%22%7D%7D'
+  });
+  assert.deepStrictEqual(get, [{
+    name: 'Search',
+    type: 'query',
+    variables: { type: 'object', properties: { q: { type: 'string' } } },
+    hash: 'deadbeef',
+    persisted: true
+  }]);
+
+  const docId = parseGraphQL({ method: 'GET', url: 'https://www.instagram.com/graphql/query/?doc_id=998877&variables=%7B%7D' });
+  assert.strictEqual(docId[0].name, 'doc_998877');
+  assert.strictEqual(docId[0].docId, '998877');
+});
+
+runner.test('Facebook doc_id form posts are parsed', async () => {
+  const ops = parseGraphQL({
+    method: 'POST',
+    url: 'https://www.facebook.com/api/graphql/',
+    postData: 'av=1&fb_api_req_friendly_name=CometUFIFeedbackReactMutation&variables=%7B%22input%22%3A%7B%7D%7D&doc_id=12345'
+  });
+
+  assert.deepStrictEqual(ops, [{
+    name: 'CometUFIFeedbackReactMutation',
+    type: 'mutation',
+    variables: { type: 'object', properties: { input: { type: 'object', properties: {} } } },
+    docId: '12345',
+    persisted: true
+  }]);
+});
+
+runner.test('Non-GraphQL requests are ignored', async () => {
+  assert.strictEqual(isGraphQLUrl('https://api.example.com/users'), false);
+  assert.strictEqual(parseGraphQL({ method: 'POST', url: 'https://api.example.com/users', postData: '{"query":"x"}' }), null);
+  assert.strictEqual(parseGraphQL({ method: 'POST', url: 'https://api.example.com/graphql', postData: '{"foo":1}' }), null);
+});
+
+runner.test('Non-string GraphQL fields are treated as absent', async () => {
+  const url = 'https://api.example.com/graphql';
+  assert.strictEqual(parseGraphQL({ method: 'POST', url, postData: '{"query":1}' }), null);
+  assert.strictEqual(parseGraphQL({ method: 'POST', url, postData: '{"query":{"a":1}}' }), null);
+  assert.strictEqual(parseGraphQL({ method: 'POST', url, postData: '{"extensions":{"persistedQuery":{"sha256Hash":123}}}' }), null);
+
+  const named = parseGraphQL({ method: 'POST', url, postData: '{"operationName":5,"query":"query Viewer { me { id } }"}' });
+  assert.deepStrictEqual(named, [{ name: 'Viewer', type: 'query' }]);
+
+  const catalog = createCatalog();
+  catalog.recordRequest({ method: 'POST', url, postData: '{"query":1}', resourceType: 'fetch' });
+  assert.strictEqual(catalog.endpoints.length, 1);
+});
+
+runner.test('Endpoint dedup keeps separate GraphQL operations', async () => {
+  const endpoints = dedupEndpoints([
+    { method: 'POST', url: 'https://example.com/graphql', graphql: { name: 'A' } },
+    { method: 'POST', url: 'https://example.com/graphql', graphql: { name: 'B' } },
+    { method: 'POST', url: 'https://example.com/graphql', graphql: { name: 'A' } }
+  ]);
+  assert.deepStrictEqual(endpoints.map(e => e.graphql.name), ['A', 'B']);
+});
+
+await runner.run();
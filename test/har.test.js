@@ -0,0 +1,140 @@
+import { TestRunner, runCommand, createTempFile, cleanupTempFile } from './test-runner.js';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { buildHar, readHar } from '../lib/har.js';
+
+const runner = new TestRunner();
+const cliPath = path.join(process.cwd(), 'bin/cli.js');
+
+const records = [
+  {
+    startedDateTime: '2024-01-01T12:00:00.000Z',
+    time: 42,
+    method: 'POST',
+    url: 'https://api.example.com/api/users?limit=10',
+    resourceType: 'fetch',
+    headers: { 'content-type': 'application/json', cookie: 'sessionid=abc; csrftoken=def', 'x-csrftoken': 'def' },
+    postData: '{"name":"test"}',
+    response: {
+      status: 201,
+      statusText: 'Created',
+      headers: { 'content-type': 'application/json' },
+      body: Buffer.from('{"id":7}')
+    }
+  },
+  {
+    startedDateTime: '2024-01-01T12:00:01.000Z',
+    time: 5,
+    method: 'GET',
+    url: 'https://api.example.com/api/avatar/7',
+    resourceType: 'xhr',
+    headers: {},
+    response: { status: 200, statusText: 'OK', headers: { 'content-type': 'image/png' }, body: Buffer.from([0x89, 0x50]) }
+  }
+];
+
+runner.test('HAR export follows the 1.2 structure', async () => {
+  const har = buildHar(records);
+
+  assert.strictEqual(har.log.version, '1.2');
+  assert.strictEqual(har.log.creator.name, 'peek-api');
+  assert.strictEqual(har.log.entries.length, 2);
+
+  const [entry, binary] = har.log.entries;
+  assert.strictEqual(entry.startedDateTime, '2024-01-01T12:00:00.000Z');
+  assert.strictEqual(entry.time, 42);
+  assert.deepStrictEqual(entry.request.queryString, [{ name: 'limit', value: '10' }]);
+  assert.deepStrictEqual(entry.request.cookies, [{ name: 'sessionid', value: 'abc' }, { name: 'csrftoken', value: 'def' }]);
+  assert.deepStrictEqual(entry.request.postData, { mimeType: 'application/json', text: '{"name":"test"}' });
+  assert.deepStrictEqual(entry.response.content, { size: 8, mimeType: 'application/json', text: '{"id":7}' });
+  assert.deepStrictEqual(entry.timings, { send: 0, wait: 42, receive: 0 });
+  assert.deepStrictEqual(binary.response.content, { size: 2, mimeType: 'image/png', text: 'iVA=', encoding: 'base64' });
+});
+
+runner.test('HAR files read back into traffic records', async () => {
+  const harFile = createTempFile(JSON.stringify(buildHar(records)), '.har');
+
+  try {
+    const [entry, binary] = readHar(harFile);
+    assert.strictEqual(entry.method, 'POST');
+    assert.strictEqual(entry.url, 'https://api.example.com/api/users?limit=10');
+    assert.strictEqual(entry.resourceType, 'fetch');
+    assert.strictEqual(entry.headers.cookie, 'sessionid=abc; csrftoken=def');
+    assert.strictEqual(entry.postData, '{"name":"test"}');
+    assert.strictEqual(entry.response.status, 201);
+    assert.strictEqual(entry.response.body.toString(), '{"id":7}');
+    assert.deepStrictEqual([...binary.response.body], [0x89, 0x50]);
+  } finally {
+    cleanupTempFile(harFile);
+  }
+});
+
+runner.test('HAR reader rejects files without log entries', async () => {
+  const file = createTempFile('{"foo":1}', '.har');
+  try {
+    assert.throws(() => readHar(file), /not a HAR file/);
+  } finally {
+    cleanupTempFile(file);
+  }
+});
+
+runner.test('import-har writes the capture report', async () => {
+  const har = buildHar(records);
+  // DevTools-style entry without _resourceType, plus a static asset to filter out
+  har.log.entries.push({
+    ...har.log.entries[1],
+    request: { ...har.log.entries[1].request, url: 'https://api.example.com/v2/me', headers: [{ name: ':authority', value: 'x' }, { name: 'Authorization', value: 'Bearer t' }] },
+    response: { ...har.log.entries[1].response, content: { size: 2, mimeType: 'application/json', text: '{}' } },
+    _resourceType: undefined
+  });
+  har.log.entries.push({ ...har.log.entries[1], request: { ...har.log.entries[1].request, url: 'https://api.example.com/app.js' }, _resourceType: 'script' });
+
+  const harFile = createTempFile(JSON.stringify(har), '.har');
+  const outputDir = path.join(os.tmpdir(), `peek-api-har-${Date.now()}`);
+
+  try {
+    const result = await runCommand('node', [cliPath, 'import-har', harFile, '-o', outputDir]);
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.stdout.includes('3 unique API endpoints'));
+
+    const capture = fs.readFileSync(path.join(outputDir, 'CAPTURE.md'), 'utf8');
+    assert.ok(capture.includes('# API Capture: api.example.com'));
+    assert.ok(capture.includes(`**Source:** ${harFile}`));
+    assert.ok(capture.includes('`POST /api/users ?limit`'));
+    assert.ok(capture.includes('`GET /api/avatar/{id}`'));
+    assert.ok(capture.includes('`GET /v2/me`'));
+
+    const auth = JSON.parse(fs.readFileSync(path.join(outputDir, 'auth.json'), 'utf8'));
+    assert.deepStrictEqual(auth.cookies, { sessionid: 'abc', csrftoken: 'def' });
+    assert.strictEqual(auth.headers.Authorization, 'Bearer t');
+
+    const endpoints = JSON.parse(fs.readFileSync(path.join(outputDir, 'endpoints.json'), 'utf8'));
+    assert.strictEqual(endpoints[0].timestamp, '2024-01-01T12:00:00.000Z');
+    assert.strictEqual(endpoints[0].response.body, '{"id":7}');
+    assert.ok(fs.existsSync(path.join(outputDir, 'openapi.yaml')));
+  } finally {
+    cleanupTempFile(harFile);
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
+
+runner.test('import-har requires a file', async () => {
+  const result = await runCommand('node', [cliPath, 'import-har']);
+  assert.strictEqual(result.code, 1);
+  assert.ok(result.stderr.includes('HAR file is required'));
+});
+
+runner.test('import-har rejects an unknown OpenAPI format', async () => {
+  const harFile = createTempFile(JSON.stringify(buildHar(records)), '.har');
+  try {
+    const result = await runCommand('node', [cliPath, 'import-har', harFile, '--openapi-format', 'yml']);
+    assert.strictEqual(result.code, 1);
+    assert.ok(result.stderr.includes('Unknown --openapi-format "yml" (expected yaml or json)'));
+  } finally {
+    cleanupTempFile(harFile);
+  }
+});
+
+await runner.run();
@@ -12,7 +12,32 @@ const testFiles = [
   'lib.test.js', 
   'output.test.js',
   'http-integration.test.js',
-  'capture.test.js'
+  'capture.test.js',
+  'schema.test.js',
+  'openapi.test.js',
+  'paths.test.js',
+  'graphql.test.js',
+  'catalog.test.js',
+  'har.test.js',
+  'realtime.test.js',
+  'flow.test.js',
+  'crawl.test.js',
+  'diff.test.js',
+  'filters.test.js',
+  'redact.test.js',
+  'interactive.test.js',
+  'collections.test.js',
+  'snippets.test.js',
+  'codegen.test.js',
+  'ca.test.js',
+  'proxy.test.js',
+  'observations.test.js',
+  'pagination.test.js',
+  'mock.test.js',
+  'cookies.test.js',
+  'batch.test.js',
+  'retry.test.js',
+  'paginate.test.js'
 ];
 
 console.log('🧪 Running peek-api test suite\n');
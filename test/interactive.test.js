@@ -0,0 +1,160 @@
+import { TestRunner, runCommand } from './test-runner.js';
+import assert from 'node:assert';
+import path from 'node:path';
+import { PassThrough } from 'node:stream';
+import { renderLiveView, runInteractive } from '../lib/interactive.js';
+import { createCatalog } from '../lib/catalog.js';
+import { renderCaptureMarkdown } from '../lib/report.js';
+
+const runner = new TestRunner();
+const cliPath = path.join(process.cwd(), 'bin/cli.js');
+
+// A keyboard and screen standing in for the user's terminal
+function fakeTerminal() {
+  const input = new PassThrough();
+  input.isTTY = true;
+  input.rawModes = [];
+  input.setRawMode = (mode) => input.rawModes.push(mode);
+
+  const output = new PassThrough();
+  output.columns = 80;
+  output.rows = 20;
+  let screen = '';
+  output.on('data', (chunk) => { screen += chunk; });
+
+  return {
+    input,
+    output,
+    press: (keys) => input.write(keys),
+    // Text of the most recent redraw
+    lastFrame: () => screen.split('\x1b[H\x1b[2J').pop()
+  };
+}
+
+const tick = () => new Promise(r => setTimeout(r, 20));
+
+runner.test('Live view lists endpoints with hit counts and hosts', async () => {
+  const catalog = createCatalog();
+  catalog.recordRequest({ method: 'GET', url: 'https://api.example.com/api/users/1', resourceType: 'xhr' });
+  catalog.recordRequest({ method: 'GET', url: 'https://api.example.com/api/users/2', resourceType: 'xhr' });
+  catalog.recordRequest({ method: 'POST', url: 'https://example.com/api/messages', resourceType: 'fetch' });
+
+  const lines = renderLiveView({ endpoints: catalog.endpoints, status: { elapsed: 65000, checkpoint: 'inbox' } });
+  assert.strictEqual(lines[0], '  peek-api capture  Recording  1:05  2 endpoints  checkpoint: inbox');
+  assert.strictEqual(lines[2], '  METHOD     HITS  HOST             PATH');
+  assert.strictEqual(lines[3], '  GET           2  api.example.com  /api/users/{id}');
+  assert.strictEqual(lines[4], '  POST          1  example.com      /api/messages');
+  assert.ok(lines[lines.length - 1].includes('[q] stop'));
+});
+
+runner.test('Live view keeps the newest endpoints when the terminal is short', async () => {
+  const catalog = createCatalog();
+  for (let i = 0; i < 10; i++) {
+    catalog.recordRequest({ method: 'GET', url: `https://example.com/api/v${i}/feed`, resourceType: 'xhr' });
+  }
+
+  const lines = renderLiveView({ endpoints: catalog.endpoints, status: { paused: true }, rows: 10, columns: 50 });
+  assert.strictEqual(lines.length, 10);
+  assert.ok(lines[0].includes('PAUSED'));
+  assert.strictEqual(lines[3], '  ... 7 earlier endpoints');
+  assert.ok(lines[6].endsWith('/api/v9/feed'));
+  assert.ok(lines.every(line => line.length <= 50));
+});
+
+runner.test('Keys pause, mark checkpoints, snapshot and stop', async () => {
+  const catalog = createCatalog();
+  const terminal = fakeTerminal();
+  const events = [];
+
+  const done = runInteractive({
+    catalog,
+    input: terminal.input,
+    output: terminal.output,
+    onPause: (paused) => events.push(`pause ${paused}`),
+    onCheckpoint: (label) => events.push(`checkpoint ${label}`),
+    onSnapshot: async () => {
+      events.push('snapshot');
+      return 'Snapshot written to out/';
+    }
+  });
+
+  terminal.press('p');
+  await tick();
+  assert.ok(terminal.lastFrame().includes('PAUSED'));
+  terminal.press('p');
+
+  terminal.press('c');
+  terminal.press('compose');
+  await tick();
+  assert.ok(terminal.lastFrame().includes('Checkpoint label (Enter to mark, Esc to cancel): compose'));
+  terminal.press('\x7f\x7fse\r');
+
+  // An empty label gets a numbered default
+  terminal.press('c');
+  terminal.press('\r');
+
+  terminal.press('s');
+  await tick();
+  assert.ok(terminal.lastFrame().includes('Snapshot written to out/'));
+
+  terminal.press('q');
+  const result = await done;
+
+  assert.deepStrictEqual(events, ['pause true', 'pause false', 'checkpoint compose', 'checkpoint Checkpoint 2', 'snapshot']);
+  assert.strictEqual(result.checkpoints, 2);
+  assert.deepStrictEqual(terminal.input.rawModes, [true, false]);
+});
+
+runner.test('Escape cancels a checkpoint label; an aborted signal stops the session', async () => {
+  const terminal = fakeTerminal();
+  const closed = new AbortController();
+  const events = [];
+
+  const done = runInteractive({
+    catalog: createCatalog(),
+    input: terminal.input,
+    output: terminal.output,
+    signal: closed.signal,
+    onCheckpoint: (label) => events.push(label)
+  });
+
+  // q inside a label is just text
+  terminal.press('c');
+  terminal.press('quit');
+  terminal.press('\x1b');
+  // readline waits briefly to tell a lone Escape from an escape sequence
+  await new Promise(r => setTimeout(r, 600));
+  assert.ok(terminal.lastFrame().includes('Waiting for API requests'));
+
+  closed.abort();
+  const result = await done;
+  assert.deepStrictEqual(events, []);
+  assert.strictEqual(result.checkpoints, 0);
+});
+
+runner.test('Checkpoints attribute endpoints in the catalog and CAPTURE.md', async () => {
+  const catalog = createCatalog();
+  catalog.recordRequest({ method: 'GET', url: 'https://example.com/api/feed', resourceType: 'xhr' });
+  catalog.recordRequest({ method: 'GET', url: 'https://example.com/api/feed', resourceType: 'xhr', checkpoint: 'inbox' });
+  catalog.recordRequest({ method: 'GET', url: 'https://example.com/api/threads/9', resourceType: 'xhr', checkpoint: 'inbox' });
+
+  const [feed, threads] = catalog.endpoints;
+  assert.strictEqual(feed.hits, 2);
+  assert.deepStrictEqual(feed.checkpoints, ['inbox']);
+  assert.deepStrictEqual(threads.checkpoints, ['inbox']);
+
+  const markdown = renderCaptureMarkdown({ domain: 'example.com', endpoints: catalog.endpoints, authHeaders: {}, cookies: {} });
+  assert.ok(markdown.includes('## Checkpoints\n\n- **inbox**\n  - `GET /api/feed`\n  - `GET /api/threads/{id}`'));
+});
+
+runner.test('--interactive needs a terminal and a hand-driven capture', async () => {
+  const combined = await runCommand('node', [cliPath, 'https://example.com', '--interactive', '--crawl']);
+  assert.strictEqual(combined.code, 1);
+  assert.ok(combined.stderr.includes('can\'t be combined with --flow or --crawl'));
+
+  const piped = await runCommand('node', [cliPath, 'https://example.com', '-i']);
+  assert.strictEqual(piped.code, 1);
+  assert.ok(piped.stderr.includes('needs a terminal'));
+});
+
+await runner.run();
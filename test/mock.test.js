@@ -0,0 +1,316 @@
+import { TestRunner, runCommand } from './test-runner.js';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import http from 'node:http';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { parseLatency, createMatcher, mockResponse, exampleFromSchema, startMockServer } from '../lib/mock.js';
+import { createCatalog } from '../lib/catalog.js';
+
+const runner = new TestRunner();
+const cliPath = path.join(process.cwd(), 'bin/cli.js');
+
+const json = (body, status = 200) => ({ status, contentType: 'application/json', size: body.length, body });
+
+const endpoints = [
+  {
+    method: 'GET',
+    url: 'https://example.com/api/users/123',
+    path: '/api/users/123',
+    pathTemplate: '/api/users/{id}',
+    response: json('{"id":123,"name":"Ada"}')
+  },
+  {
+    method: 'GET',
+    url: 'https://example.com/api/users/me',
+    path: '/api/users/me',
+    pathTemplate: '/api/users/me',
+    response: json('{"id":1,"name":"Me"}')
+  },
+  {
+    method: 'GET',
+    url: 'https://example.com/api/search?type=people&q=ada',
+    path: '/api/search',
+    pathTemplate: '/api/search',
+    params: { type: 'people', q: 'ada' },
+    response: json('{"people":[]}')
+  },
+  {
+    method: 'POST',
+    url: 'https://example.com/api/messages',
+    path: '/api/messages',
+    pathTemplate: '/api/messages',
+    postData: '{"text":"hi"}',
+    response: { status: 201, contentType: 'application/json', size: 120, schema: { type: 'object', properties: { id: { type: 'integer' }, sent: { type: 'boolean' } } } }
+  },
+  {
+    method: 'POST',
+    url: 'https://example.com/graphql',
+    path: '/graphql',
+    pathTemplate: '/graphql',
+    graphql: { name: 'Feed', type: 'query' },
+    response: json('{"data":{"feed":[]}}')
+  },
+  {
+    method: 'POST',
+    url: 'https://example.com/graphql',
+    path: '/graphql',
+    pathTemplate: '/graphql',
+    graphql: { name: 'Viewer', type: 'query' },
+    response: json('{"data":{"viewer":{"id":"1"}}}')
+  },
+  {
+    method: 'GET',
+    url: 'https://example.com/api/events',
+    path: '/api/events',
+    pathTemplate: '/api/events',
+    response: { status: 200, contentType: 'text/event-stream', size: 0 },
+    realtime: {
+      type: 'sse',
+      framesSent: 0,
+      framesReceived: 2,
+      frames: [
+        { direction: 'received', event: 'tick', id: '1', json: { n: 1 } },
+        { direction: 'received', text: 'hello' }
+      ]
+    }
+  },
+  {
+    method: 'WEBSOCKET',
+    url: 'wss://example.com/ws',
+    path: '/ws',
+    pathTemplate: '/ws'
+  }
+];
+
+// Searches keyed by type get their own endpoint when the capture saw both
+const searches = [
+  endpoints[2],
+  { ...endpoints[2], url: 'https://example.com/api/search?type=companies', params: { type: 'companies' }, response: json('{"companies":[]}') }
+];
+
+runner.test('Latency values are parsed', async () => {
+  assert.deepStrictEqual(parseLatency(undefined), { min: 0, max: 0 });
+  assert.deepStrictEqual(parseLatency('200'), { min: 200, max: 200 });
+  assert.deepStrictEqual(parseLatency('100-500'), { min: 100, max: 500 });
+  assert.throws(() => parseLatency('500-100'), /Invalid --latency "500-100"/);
+  assert.throws(() => parseLatency('fast'), /Invalid --latency "fast"/);
+});
+
+runner.test('Requests match endpoints by method, path template, query and operation', async () => {
+  const matcher = createMatcher(endpoints);
+  const label = (matched) => matched.map(e => `${e.method} ${e.path}${e.graphql ? ` ${e.graphql.name}` : ''}`);
+
+  assert.strictEqual(matcher.routes.length, 7);
+  assert.deepStrictEqual(label(matcher.match({ method: 'GET', url: '/api/users/42' })), ['GET /api/users/123']);
+  assert.deepStrictEqual(label(matcher.match({ method: 'GET', url: '/api/users/me' })), ['GET /api/users/me']);
+  assert.deepStrictEqual(label(matcher.match({ method: 'HEAD', url: '/api/users/42' })), ['GET /api/users/123']);
+  assert.deepStrictEqual(matcher.match({ method: 'DELETE', url: '/api/users/42' }), []);
+  assert.deepStrictEqual(matcher.match({ method: 'GET', url: '/api/users/42/posts' }), []);
+
+  const byQuery = createMatcher(searches);
+  assert.strictEqual(byQuery.match({ method: 'GET', url: '/api/search?type=companies&q=x' })[0].response.body, '{"companies":[]}');
+  assert.strictEqual(byQuery.match({ method: 'GET', url: '/api/search?type=people' })[0].response.body, '{"people":[]}');
+
+  const post = (body) => label(matcher.match({ method: 'POST', url: '/graphql', body: JSON.stringify(body) }));
+  assert.deepStrictEqual(post({ query: 'query Viewer { viewer { id } }' }), ['POST /graphql Viewer']);
+  assert.deepStrictEqual(post([{ query: 'query Feed { feed }' }, { query: 'query Viewer { viewer { id } }' }]), ['POST /graphql Feed', 'POST /graphql Viewer']);
+  assert.deepStrictEqual(post({ query: 'query Unknown { x }' }), []);
+});
+
+runner.test('Responses replay the capture', async () => {
+  const ok = mockResponse([endpoints[0]]);
+  assert.strictEqual(ok.status, 200);
+  assert.strictEqual(ok.headers['content-type'], 'application/json');
+  assert.strictEqual(ok.headers['x-peek-api-endpoint'], 'GET /api/users/{id}');
+  assert.strictEqual(ok.body, '{"id":123,"name":"Ada"}');
+
+  // No body kept: one is made up from the response schema
+  const fromSchema = mockResponse([endpoints[3]]);
+  assert.strictEqual(fromSchema.status, 201);
+  assert.strictEqual(fromSchema.headers['x-peek-api-mock'], 'schema');
+  assert.deepStrictEqual(JSON.parse(fromSchema.body), { id: 0, sent: false });
+  assert.deepStrictEqual(exampleFromSchema({ type: 'array', items: { type: ['null', 'string'] } }), ['string']);
+
+  const batch = mockResponse([endpoints[4], endpoints[5]]);
+  assert.deepStrictEqual(JSON.parse(batch.body), [{ data: { feed: [] } }, { data: { viewer: { id: '1' } } }]);
+
+  const events = mockResponse([endpoints[6]]);
+  assert.strictEqual(events.headers['content-type'], 'text/event-stream');
+  assert.strictEqual(events.body, 'event: tick\nid: 1\ndata: {"n":1}\n\ndata: hello\n\n');
+
+  const missing = mockResponse([{ ...endpoints[0], response: undefined }]);
+  assert.strictEqual(missing.status, 501);
+});
+
+// Endpoints as a capture records them, each request answered with `body`
+function recorded(traffic) {
+  const catalog = createCatalog();
+  for (const { method = 'GET', url, postData, body } of traffic) {
+    const req = { method, url, resourceType: 'fetch', headers: {}, postData };
+    const response = { status: 200, headers: { 'content-type': 'application/json' }, body: Buffer.from(body) };
+    const entries = catalog.recordRequest(req);
+    if (entries.length > 0) catalog.recordResponse(entries, response);
+    catalog.observeResponse(req, response);
+  }
+  return catalog.endpoints;
+}
+
+runner.test('Each request gets the recorded response whose query or variables fit it', async () => {
+  const captured = recorded([
+    { url: 'https://example.com/api/search?type=people&q=a', body: '{"people":[]}' },
+    { url: 'https://example.com/api/search?type=companies&q=a', body: '{"companies":[]}' },
+    { url: 'https://example.com/api/search?type=people&q=b', body: '{"people":["b"]}' },
+    { method: 'POST', url: 'https://example.com/graphql', postData: '{"query":"query User { user }","variables":{"id":"1"}}', body: '{"data":{"user":"Ada"}}' },
+    { method: 'POST', url: 'https://example.com/graphql', postData: '{"query":"query User { user }","variables":{"id":"2"}}', body: '{"data":{"user":"Grace"}}' }
+  ]);
+  assert.strictEqual(captured.length, 2);
+  assert.strictEqual(captured[0].responses.length, 3);
+
+  const matcher = createMatcher(captured);
+  const answer = (req) => mockResponse(matcher.match(req), req).body;
+  assert.strictEqual(answer({ method: 'GET', url: '/api/search?type=companies&q=z' }), '{"companies":[]}');
+  assert.strictEqual(answer({ method: 'GET', url: '/api/search?type=people&q=b' }), '{"people":["b"]}');
+  // Nothing fits better than the first response
+  assert.strictEqual(answer({ method: 'GET', url: '/api/search' }), '{"people":[]}');
+  const user = (id) => answer({ method: 'POST', url: '/graphql', body: JSON.stringify({ query: 'query User { user }', variables: { id } }) });
+  assert.strictEqual(user('2'), '{"data":{"user":"Grace"}}');
+  assert.strictEqual(user('1'), '{"data":{"user":"Ada"}}');
+});
+
+runner.test('Captures of several hosts take the host as a path prefix', async () => {
+  const matcher = createMatcher(recorded([
+    { url: 'https://api.example.com/v1/users/me', body: '{"from":"api"}' },
+    { url: 'https://www.example.com/v1/users/123', body: '{"from":"www"}' },
+    { url: 'https://www.example.com/v1/feed', body: '{"feed":[]}' }
+  ]));
+  assert.deepStrictEqual(matcher.hosts, ['api.example.com', 'www.example.com']);
+  const hostOf = (url) => matcher.match({ method: 'GET', url }).map(e => e.host);
+  assert.deepStrictEqual(hostOf('/www.example.com/v1/users/me'), ['www.example.com']);
+  assert.deepStrictEqual(hostOf('/api.example.com/v1/users/me'), ['api.example.com']);
+  assert.deepStrictEqual(hostOf('/api.example.com/v1/feed'), []);
+  // No prefix: any host
+  assert.deepStrictEqual(hostOf('/v1/feed'), ['www.example.com']);
+});
+
+function request(port, { method = 'GET', path: requestPath, headers = {}, body }) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: requestPath, headers }, (res) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: text }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+runner.test('Mock server serves, falls back, delays and logs', async () => {
+  const log = [];
+  const server = await startMockServer({ endpoints, latency: { min: 150, max: 150 }, fallbackStatus: 418, onRequest: entry => log.push(entry) });
+
+  try {
+    const started = Date.now();
+    const user = await request(server.port, { path: '/api/users/7', headers: { origin: 'http://localhost:3000' } });
+    assert.ok(Date.now() - started >= 150);
+    assert.strictEqual(user.status, 200);
+    assert.strictEqual(JSON.parse(user.body).name, 'Ada');
+    assert.strictEqual(user.headers['access-control-allow-origin'], 'http://localhost:3000');
+
+    const graphql = await request(server.port, {
+      method: 'POST',
+      path: '/graphql',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ operationName: 'Feed', query: 'query Feed { feed }' })
+    });
+    assert.strictEqual(graphql.body, '{"data":{"feed":[]}}');
+
+    const preflight = await request(server.port, {
+      method: 'OPTIONS',
+      path: '/api/messages',
+      headers: { origin: 'http://localhost:3000', 'access-control-request-method': 'POST', 'access-control-request-headers': 'content-type' }
+    });
+    assert.strictEqual(preflight.status, 204);
+    assert.strictEqual(preflight.headers['access-control-allow-headers'], 'content-type');
+
+    const unknown = await request(server.port, { path: '/api/nope?x=1' });
+    assert.strictEqual(unknown.status, 418);
+    assert.deepStrictEqual(JSON.parse(unknown.body), { error: 'peek-api mock: no captured endpoint for GET /api/nope' });
+
+    assert.deepStrictEqual(log.map(entry => [entry.method, entry.url, entry.status, entry.endpoint]), [
+      ['GET', '/api/users/7', 200, 'GET /api/users/{id}'],
+      ['POST', '/graphql', 200, 'POST /graphql Feed'],
+      ['OPTIONS', '/api/messages', 204, undefined],
+      ['GET', '/api/nope?x=1', 418, undefined]
+    ]);
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test('Mock server keeps serving after a request it cannot answer', async () => {
+  const server = await startMockServer({ endpoints });
+
+  try {
+    const malformed = await request(server.port, {
+      method: 'POST',
+      path: '/graphql',
+      headers: { 'content-type': 'application/json' },
+      body: '{"query":1}'
+    });
+    assert.strictEqual(malformed.status, 404);
+
+    const badUrl = await request(server.port, { path: '//' });
+    assert.strictEqual(badUrl.status, 400);
+    assert.match(JSON.parse(badUrl.body).error, /can't parse request URL/);
+
+    const user = await request(server.port, { path: '/api/users/7' });
+    assert.strictEqual(user.status, 200);
+    assert.strictEqual(JSON.parse(user.body).name, 'Ada');
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test('Mock command serves a capture directory', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'peek-api-mock-'));
+  fs.writeFileSync(path.join(dir, 'endpoints.json'), JSON.stringify(endpoints));
+
+  const probe = net.createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const port = probe.address().port;
+  await new Promise(resolve => probe.close(resolve));
+
+  try {
+    const logFile = path.join(dir, 'requests.jsonl');
+    const command = runCommand('node', [cliPath, 'mock', dir, '-p', String(port), '-d', '3', '--log', logFile]);
+
+    let response;
+    for (let attempt = 0; attempt < 30 && !response; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      response = await request(port, { path: '/api/users/me' }).catch(() => undefined);
+    }
+    assert.ok(response, 'mock server did not start');
+    assert.strictEqual(JSON.parse(response.body).name, 'Me');
+
+    const result = await command;
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.stdout.includes(`Capture: ${dir} (7 endpoints)`));
+    assert.ok(result.stdout.includes('GET /api/users/me -> 200 (GET /api/users/me'));
+    assert.ok(result.stdout.includes('Mock stopped: 1 requests served (0 unmatched)'));
+    assert.strictEqual(JSON.parse(fs.readFileSync(logFile, 'utf8').trim()).status, 200);
+
+    const invalid = await runCommand('node', [cliPath, 'mock', dir, '--fallback-status', 'abc']);
+    assert.strictEqual(invalid.code, 1);
+    assert.ok(invalid.stderr.includes('--fallback-status must be an HTTP status code'));
+
+    const missing = await runCommand('node', [cliPath, 'mock', path.join(dir, 'missing')]);
+    assert.strictEqual(missing.code, 1);
+    assert.ok(missing.stderr.includes('is not a capture directory'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+await runner.run();
@@ -0,0 +1,139 @@
+import { TestRunner } from './test-runner.js';
+import assert from 'node:assert';
+import { valueKind, observeFields, bodyFieldValues, fieldSummary } from '../lib/observations.js';
+import { createCatalog } from '../lib/catalog.js';
+import { renderCaptureMarkdown } from '../lib/report.js';
+import { buildOpenApi } from '../lib/openapi.js';
+import { compareCaptures } from '../lib/diff.js';
+import { createRedactor } from '../lib/redact.js';
+
+const runner = new TestRunner();
+
+runner.test('Value kinds', async () => {
+  assert.strictEqual(valueKind('42'), 'int');
+  assert.strictEqual(valueKind(-3), 'int');
+  assert.strictEqual(valueKind('1.5'), 'number');
+  assert.strictEqual(valueKind('true'), 'bool');
+  assert.strictEqual(valueKind(false), 'bool');
+  assert.strictEqual(valueKind('2024-05-01T10:00:00Z'), 'timestamp');
+  assert.strictEqual(valueKind('1714557600'), 'timestamp');
+  assert.strictEqual(valueKind(1714557600000), 'timestamp');
+  assert.strictEqual(valueKind('550e8400-e29b-41d4-a716-446655440000'), 'id');
+  assert.strictEqual(valueKind('1790322711298428928'), 'id');
+  assert.strictEqual(valueKind('dGhpc2lzYWN1cnNvcjE2'), 'id');
+  assert.strictEqual(valueKind('recent'), 'string');
+  assert.strictEqual(valueKind(null), 'null');
+  assert.strictEqual(valueKind({ a: 1 }), 'object');
+});
+
+runner.test('Fields merge presence, types and examples', async () => {
+  let fields;
+  for (const sort of ['asc', 'desc', 'asc', 'asc']) fields = observeFields(fields, { sort });
+  assert.deepStrictEqual(fields.sort, { seen: 4, type: 'enum', examples: ['asc', 'desc'] });
+
+  // Too few observations, or too many distinct values, for an enum
+  assert.strictEqual(observeFields({}, { q: 'bob' }).q.type, 'string');
+  let search;
+  for (const q of ['a', 'b', 'c', 'd', 'e', 'f', 'a']) search = observeFields(search, { q });
+  assert.strictEqual(search.q.type, 'string');
+  assert.strictEqual(search.q.examples.length, 5);
+
+  // Ints widen to number; anything else mixed is mixed
+  assert.strictEqual(observeFields(observeFields({}, { n: 1 }), { n: 1.5 }).n.type, 'number');
+  assert.strictEqual(observeFields(observeFields({}, { n: '1' }), { n: 'many' }).n.type, 'mixed');
+  assert.strictEqual(observeFields(observeFields({}, { n: null }), { n: 2 }).n.type, 'int');
+
+  // Fields loaded back from endpoints.json keep merging
+  const loaded = JSON.parse(JSON.stringify(observeFields({}, { limit: '10' })));
+  assert.deepStrictEqual(observeFields(loaded, { limit: '20' }).limit, { seen: 2, type: 'int', examples: ['10', '20'] });
+});
+
+runner.test('Body fields come from JSON objects and form posts', async () => {
+  assert.deepStrictEqual(bodyFieldValues('{"a":1,"b":[2]}'), { a: 1, b: [2] });
+  assert.deepStrictEqual(bodyFieldValues('user=bob&remember=1'), { user: 'bob', remember: '1' });
+  assert.strictEqual(bodyFieldValues('[1,2]'), null);
+  assert.strictEqual(bodyFieldValues('plain text body'), null);
+  assert.strictEqual(fieldSummary('limit', { seen: 3, type: 'int', examples: ['10', '20', '30', '40'] }, 4), 'limit (int, 3/4, e.g. 10, 20, 30)');
+  assert.strictEqual(fieldSummary('urgent', { seen: 1, type: 'bool', examples: [true] }, 1), 'urgent (bool, e.g. true)');
+});
+
+function sampleCatalog() {
+  const catalog = createCatalog();
+  const sorts = ['recent', 'top', 'recent'];
+  sorts.forEach((sort, i) => {
+    const since = i === 2 ? '&since=1714557600' : '';
+    catalog.recordRequest({ method: 'GET', url: `https://example.com/api/feed?limit=${10 * (i + 1)}&sort=${sort}${since}`, resourceType: 'xhr' });
+  });
+  catalog.recordRequest({ method: 'POST', url: 'https://example.com/api/messages', resourceType: 'fetch', postData: '{"text":"hi"}' });
+  catalog.recordRequest({ method: 'POST', url: 'https://example.com/api/messages', resourceType: 'fetch', postData: '{"text":"yo","reply_to":"123"}' });
+  return catalog;
+}
+
+runner.test('Catalog accumulates every observation of an endpoint', async () => {
+  const [feed, messages] = sampleCatalog().endpoints;
+
+  assert.strictEqual(feed.hits, 3);
+  assert.deepStrictEqual(feed.params, { limit: '10', sort: 'recent' });
+  assert.deepStrictEqual(feed.queryParams, {
+    limit: { seen: 3, type: 'int', examples: ['10', '20', '30'] },
+    sort: { seen: 3, type: 'enum', examples: ['recent', 'top'] },
+    since: { seen: 1, type: 'timestamp', examples: ['1714557600'] }
+  });
+
+  assert.strictEqual(messages.bodyCount, 2);
+  assert.deepStrictEqual(messages.bodyFields, {
+    text: { seen: 2, type: 'string', examples: ['hi', 'yo'] },
+    reply_to: { seen: 1, type: 'int', examples: ['123'] }
+  });
+
+  // GraphQL variables merge into one schema
+  const catalog = createCatalog();
+  const post = (variables) => catalog.recordRequest({
+    method: 'POST',
+    url: 'https://example.com/graphql',
+    resourceType: 'fetch',
+    postData: JSON.stringify({ query: 'query Feed { feed { id } }', variables })
+  });
+  post({ first: 10 });
+  post({ first: 10, after: 'abc' });
+  assert.deepStrictEqual(Object.keys(catalog.endpoints[0].graphql.variables.properties), ['first', 'after']);
+  assert.strictEqual(catalog.endpoints[0].bodyFields, undefined);
+});
+
+runner.test('Observations are surfaced in CAPTURE.md, OpenAPI and diffs', async () => {
+  const catalog = sampleCatalog();
+  const markdown = renderCaptureMarkdown({ domain: 'example.com', endpoints: catalog.endpoints, authHeaders: {}, cookies: {} });
+  assert.ok(markdown.includes([
+    '- `GET /api/feed ?limit&sort&since`',
+    '  - Hits: 3',
+    '  - Query params: limit (int, 3/3, e.g. 10, 20, 30), sort (enum: recent | top, 3/3), since (timestamp, 1/3, e.g. 1714557600)'
+  ].join('\n')));
+  assert.ok(markdown.includes('  - Body keys: text (string, 2/2, e.g. hi, yo), reply_to (int, 1/2, e.g. 123)'));
+
+  const parameters = buildOpenApi({ endpoints: catalog.endpoints }).paths['/api/feed'].get.parameters;
+  assert.deepStrictEqual(parameters.map(p => [p.name, p.required, p.schema.enum]), [
+    ['limit', true, undefined],
+    ['sort', true, ['recent', 'top']],
+    ['since', undefined, undefined]
+  ]);
+
+  // A param only seen on a later request still counts as part of the endpoint
+  const before = JSON.parse(JSON.stringify(catalog.endpoints));
+  before[0].queryParams = { limit: before[0].queryParams.limit, sort: before[0].queryParams.sort };
+  const diff = compareCaptures({ endpoints: before, auth: {} }, { endpoints: catalog.endpoints, auth: {} });
+  assert.deepStrictEqual(diff.changed[0].params, { added: ['since'], removed: [] });
+});
+
+runner.test('Examples of secret fields are redacted', async () => {
+  const catalog = createCatalog();
+  catalog.recordRequest({ method: 'GET', url: 'https://example.com/api/me?access_token=tok-12345678', resourceType: 'xhr' });
+  catalog.recordRequest({ method: 'POST', url: 'https://example.com/api/login', resourceType: 'fetch', postData: '{"user":"bob","password":"hunter22"}' });
+
+  const redacted = createRedactor().redactJson(catalog.endpoints);
+  assert.strictEqual(redacted[0].queryParams.access_token.seen, 1);
+  assert.ok(!JSON.stringify(redacted).includes('tok-12345678'));
+  assert.ok(!JSON.stringify(redacted).includes('hunter22'));
+  assert.deepStrictEqual(redacted[1].bodyFields.user.examples, ['bob']);
+});
+
+await runner.run();
@@ -0,0 +1,135 @@
+import { TestRunner } from './test-runner.js';
+import assert from 'node:assert';
+import YAML from 'yaml';
+import { buildOpenApi, buildSecuritySchemes, formatOpenApi, parseOpenapiFormat } from '../lib/openapi.js';
+
+const runner = new TestRunner();
+
+const endpoints = [
+  {
+    method: 'GET',
+    url: 'https://api.example.com/users?limit=10',
+    path: '/users',
+    host: 'api.example.com',
+    params: { limit: '10' },
+    response: {
+      status: 200,
+      contentType: 'application/json',
+      size: 20,
+      schema: { type: 'object', properties: { users: { type: 'array' } } }
+    }
+  },
+  {
+    method: 'POST',
+    url: 'https://api.example.com/users',
+    path: '/users',
+    host: 'api.example.com',
+    postData: '{"name":"test","age":3}'
+  },
+  {
+    method: 'GET',
+    url: 'https://api.example.com/users/42',
+    path: '/users/42',
+    pathTemplate: '/users/{id}',
+    pathParams: { id: ['42', '43'] },
+    host: 'api.example.com'
+  },
+  {
+    method: 'POST',
+    url: 'https://upload.example.com/media',
+    path: '/media',
+    host: 'upload.example.com',
+    postData: 'file_id=1&caption=hi'
+  }
+];
+
+const auth = {
+  headers: { Authorization: 'Bearer abc', 'X-CSRF-Token': 'xyz' },
+  cookies: { sessionid: '123' }
+};
+
+runner.test('OpenAPI spec includes servers, paths and parameters', async () => {
+  const spec = buildOpenApi({ endpoints, auth, title: 'example.com', version: '2024-01-01' });
+
+  assert.strictEqual(spec.openapi, '3.1.0');
+  assert.deepStrictEqual(spec.servers, [{ url: 'https://api.example.com' }, { url: 'https://upload.example.com' }]);
+  assert.deepStrictEqual(spec.paths['/media'].servers, [{ url: 'https://upload.example.com' }]);
+  assert.strictEqual(spec.paths['/users'].servers, undefined);
+
+  const get = spec.paths['/users'].get;
+  assert.strictEqual(get.operationId, 'getUsers');
+  assert.deepStrictEqual(get.parameters[0], { name: 'limit', in: 'query', schema: { type: 'string' }, example: '10' });
+  assert.deepStrictEqual(get.responses['200'].content['application/json'].schema.properties.users, { type: 'array' });
+});
+
+runner.test('Paths seen on several hosts list every server', async () => {
+  const graphql = (host, name) => ({
+    method: 'POST',
+    url: `https://${host}/graphql`,
+    path: '/graphql',
+    pathTemplate: '/graphql',
+    host,
+    graphql: { type: 'query', name }
+  });
+  const spec = buildOpenApi({
+    endpoints: [...endpoints, graphql('api.example.com', 'Feed'), graphql('upload.example.com', 'Upload'), { ...endpoints[0], url: 'https://upload.example.com/users?limit=5', host: 'upload.example.com' }],
+    auth,
+    title: 'example.com',
+    version: '1'
+  });
+
+  const both = [{ url: 'https://api.example.com' }, { url: 'https://upload.example.com' }];
+  assert.deepStrictEqual(spec.paths['/graphql'].servers, both);
+  assert.deepStrictEqual(spec.paths['/graphql'].post['x-graphql-operations'], ['Feed', 'Upload']);
+  assert.deepStrictEqual(spec.paths['/users'].servers, both);
+  assert.deepStrictEqual(Object.keys(spec.paths['/users']), ['servers', 'get', 'post']);
+  assert.deepStrictEqual(spec.paths['/media'].servers, [{ url: 'https://upload.example.com' }]);
+});
+
+runner.test('OpenAPI format must be yaml or json', async () => {
+  assert.strictEqual(parseOpenapiFormat(undefined), 'yaml');
+  assert.strictEqual(parseOpenapiFormat('JSON'), 'json');
+  assert.throws(() => parseOpenapiFormat('yml'), /Unknown --openapi-format "yml" \(expected yaml or json\)/);
+});
+
+runner.test('OpenAPI paths use templates with path parameters', async () => {
+  const spec = buildOpenApi({ endpoints, auth, title: 'example.com', version: '1' });
+
+  const get = spec.paths['/users/{id}'].get;
+  assert.strictEqual(get.operationId, 'getUsersId');
+  assert.deepStrictEqual(get.parameters, [{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, example: '42' }]);
+  assert.strictEqual(spec.paths['/users/42'], undefined);
+});
+
+runner.test('OpenAPI request bodies are inferred from postData', async () => {
+  const spec = buildOpenApi({ endpoints, auth, title: 'example.com', version: '1' });
+
+  const json = spec.paths['/users'].post.requestBody.content['application/json'];
+  assert.deepStrictEqual(json.schema.properties.age, { type: 'integer' });
+  assert.deepStrictEqual(json.example, { name: 'test', age: 3 });
+
+  const form = spec.paths['/media'].post.requestBody.content['application/x-www-form-urlencoded'];
+  assert.deepStrictEqual(Object.keys(form.schema.properties), ['file_id', 'caption']);
+  assert.ok(spec.paths['/media'].post.responses.default);
+});
+
+runner.test('Security schemes are derived from extracted auth', async () => {
+  const schemes = buildSecuritySchemes(auth);
+
+  assert.deepStrictEqual(schemes.bearerAuth, { type: 'http', scheme: 'bearer' });
+  assert.deepStrictEqual(schemes.X_CSRF_Token, { type: 'apiKey', in: 'header', name: 'X-CSRF-Token' });
+  assert.deepStrictEqual(schemes.cookie_sessionid, { type: 'apiKey', in: 'cookie', name: 'sessionid' });
+  assert.deepStrictEqual(buildSecuritySchemes({ headers: { 'x-api-key': 'k' } }), {
+    x_api_key: { type: 'apiKey', in: 'header', name: 'x-api-key' }
+  });
+});
+
+runner.test('OpenAPI spec serializes to YAML and JSON', async () => {
+  const spec = buildOpenApi({ endpoints, auth: {}, title: 'example.com', version: '1' });
+
+  assert.deepStrictEqual(YAML.parse(formatOpenApi(spec)), spec);
+  assert.deepStrictEqual(JSON.parse(formatOpenApi(spec, 'json')), spec);
+  assert.strictEqual(spec.components, undefined);
+});
+
+await runner.run();
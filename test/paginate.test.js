@@ -0,0 +1,130 @@
+import { TestRunner, runCommand, createTempFile, cleanupTempFile } from './test-runner.js';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { PAGINATION_PRESETS, valueAt, findItemsPath, pageItems, paginationPlan, nextPageRequest } from '../lib/paginate.js';
+
+const runner = new TestRunner();
+const cliPath = path.join(process.cwd(), 'bin/cli.js');
+
+const get = (url) => ({ url: new URL(url), method: 'GET', body: null, customHeaders: {} });
+const next = (plan, request, body, headers) => nextPageRequest(plan, request, { body, headers, items: pageItems(body, plan) });
+
+runner.test('Paths find fields anywhere, in any case style', async () => {
+  const body = { data: { user: { edge_owner_to_timeline_media: { pageInfo: { endCursor: 'QVF', hasNextPage: true }, edges: [{ node: { id: 1 } }] } } } };
+  assert.strictEqual(valueAt(body, 'page_info.end_cursor'), 'QVF');
+  assert.strictEqual(valueAt(body, 'data.user.edge_owner_to_timeline_media.pageInfo.hasNextPage'), true);
+  assert.strictEqual(valueAt(body, 'missing.path'), undefined);
+  assert.strictEqual(findItemsPath(body), 'data.user.edge_owner_to_timeline_media.edges[]');
+  assert.strictEqual(findItemsPath([1, 2]), '[]');
+  assert.deepStrictEqual(pageItems({ paging: { total: 3 }, elements: [{ a: 1 }] }, PAGINATION_PRESETS.paging), [{ a: 1 }]);
+});
+
+runner.test('Presets build the next request', async () => {
+  // Instagram: next_max_id -> ?max_id=
+  const feed = get('https://www.instagram.com/api/v1/feed/saved/posts/');
+  const second = next(PAGINATION_PRESETS.next_max_id, feed, { items: [{ id: 1 }], next_max_id: 'abc', more_available: true });
+  assert.strictEqual(second.request.url.href, 'https://www.instagram.com/api/v1/feed/saved/posts/?max_id=abc');
+  assert.deepStrictEqual(next(PAGINATION_PRESETS.next_max_id, second.request, { items: [{ id: 2 }], more_available: false }), { stop: 'more_available is false' });
+
+  // LinkedIn: start advances by count until paging.total
+  const voyager = get('https://www.linkedin.com/voyager/api/search/blended?count=10&q=all');
+  const page2 = next(PAGINATION_PRESETS.paging, voyager, { elements: [{}], paging: { start: 0, count: 10, total: 25 } });
+  assert.strictEqual(page2.request.url.searchParams.get('start'), '10');
+  const page3 = next(PAGINATION_PRESETS.paging, page2.request, { elements: [{}], paging: { total: 25 } });
+  assert.strictEqual(page3.request.url.searchParams.get('start'), '20');
+  assert.deepStrictEqual(next(PAGINATION_PRESETS.paging, page3.request, { elements: [{}], paging: { total: 25 } }), { stop: 'reached the total (25)' });
+
+  // GraphQL: page_info.end_cursor -> variables.after, in the query string or a JSON body
+  const graphql = get(`https://www.instagram.com/graphql/query/?query_hash=h&variables=${encodeURIComponent('{"id":"1","first":12}')}`);
+  const connection = { data: { user: { media: { page_info: { end_cursor: 'QVF', has_next_page: true }, edges: [{}] } } } };
+  const after = next(PAGINATION_PRESETS.page_info, graphql, connection);
+  assert.deepStrictEqual(JSON.parse(after.request.url.searchParams.get('variables')), { id: '1', first: 12, after: 'QVF' });
+  const post = { ...get('https://api.github.com/graphql'), method: 'POST', body: JSON.stringify({ query: 'query { x }', variables: { first: 50 } }) };
+  assert.deepStrictEqual(JSON.parse(next(PAGINATION_PRESETS.page_info, post, connection).request.body).variables, { first: 50, after: 'QVF' });
+
+  // Link header
+  const repos = get('https://api.github.com/user/repos?per_page=100');
+  const link = next(PAGINATION_PRESETS.link, repos, [{}], { link: '<https://api.github.com/user/repos?per_page=100&page=2>; rel="next"' });
+  assert.strictEqual(link.request.url.searchParams.get('page'), '2');
+  assert.deepStrictEqual(next(PAGINATION_PRESETS.link, link.request, [{}], {}), { stop: 'no rel="next" link' });
+});
+
+runner.test('Plans come from options or the first response', async () => {
+  const request = get('https://example.com/api/inbox?limit=20');
+  const inbox = { inbox: { threads: [{ id: 1 }], oldest_cursor: 'c1', has_older: true } };
+
+  const custom = paginationPlan({ cursorPath: 'inbox.oldest_cursor', cursorParam: 'cursor', itemsPath: 'inbox.threads[]' }, { request, body: inbox });
+  assert.deepStrictEqual(custom, { style: 'cursor', request: { param: 'cursor', in: undefined }, response: { next: 'inbox.oldest_cursor', items: 'inbox.threads[]' } });
+  assert.strictEqual(next(custom, request, inbox).request.url.href, 'https://example.com/api/inbox?limit=20&cursor=c1');
+  assert.deepStrictEqual(next(custom, request, { inbox: { threads: [{ id: 2 }], oldest_cursor: '' } }), { stop: 'no inbox.oldest_cursor' });
+
+  // Guessed from the response: a next URL
+  const guessed = paginationPlan({}, { request, body: { results: [{ id: 1 }], next: '/api/inbox?limit=20&page=2' } });
+  assert.strictEqual(guessed.style, 'next-url');
+
+  assert.throws(() => paginationPlan({ preset: 'pages' }, { request, body: {} }), /Unknown pagination preset "pages"/);
+  assert.throws(() => paginationPlan({}, { request, body: { name: 'x' } }), /Could not tell how \/api\/inbox pages/);
+});
+
+// Local feed paged with next_max_id, with a page that fails after page 3 of /flaky
+async function startFeed() {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    seen.push(url.pathname + url.search);
+    const maxId = Number(url.searchParams.get('max_id') || 0);
+    if (url.pathname === '/flaky' && maxId >= 2) {
+      res.writeHead(500, { 'content-type': 'application/json' });
+      res.end('{"status":"fail"}');
+      return;
+    }
+    const items = maxId < 4 ? [{ id: maxId * 2 + 1 }, { id: maxId * 2 + 2 }] : [];
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ items, next_max_id: String(maxId + 1), more_available: true }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, seen };
+}
+
+runner.test('http --paginate collects items until the list ends', async () => {
+  const { server, seen } = await startFeed();
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const sessionFile = createTempFile(JSON.stringify({
+    cookies: [{ name: 'sid', value: 's', domain: '127.0.0.1', path: '/', expires: -1, secure: false, sameSite: 'Lax' }],
+    origins: []
+  }));
+  const output = createTempFile('');
+
+  try {
+    const all = await runCommand('node', [cliPath, 'http', `${base}/feed`, '-s', sessionFile, '--paginate', 'next_max_id', '--raw']);
+    assert.strictEqual(all.code, 0);
+    assert.deepStrictEqual(JSON.parse(all.stdout).map(item => item.id), [1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.deepStrictEqual(seen, ['/feed', '/feed?max_id=1', '/feed?max_id=2', '/feed?max_id=3', '/feed?max_id=4']);
+
+    const limited = await runCommand('node', [cliPath, 'http', `${base}/feed`, '-s', sessionFile, '--paginate', '--max-pages', '2', '-o', output]);
+    assert.strictEqual(limited.code, 0);
+    assert.ok(limited.stdout.includes('Paginating: max_id from next_max_id'));
+    assert.ok(limited.stdout.includes('Page 2: 2 items'));
+    assert.ok(limited.stdout.includes('Stopped: reached --max-pages 2'));
+    assert.ok(limited.stdout.includes('Pages: 2 | Items: 4'));
+    assert.strictEqual(JSON.parse(fs.readFileSync(output, 'utf8')).length, 4);
+
+    // A failing page ends the list with what was collected
+    const flaky = await runCommand('node', [cliPath, 'http', `${base}/flaky`, '-s', sessionFile, '--paginate', '--cursor-path', 'next_max_id', '--cursor-param', 'max_id']);
+    assert.strictEqual(flaky.code, 0);
+    assert.ok(flaky.stdout.includes('Stopped: page 3 returned 500 Internal Server Error: {"status":"fail"}'));
+    assert.ok(flaky.stdout.includes('Pages: 2 | Items: 4'));
+
+    const misuse = await runCommand('node', [cliPath, 'http', `${base}/feed`, '-s', sessionFile, '--cursor-path', 'next_max_id']);
+    assert.strictEqual(misuse.code, 1);
+    assert.ok(misuse.stderr.includes('need --paginate'));
+  } finally {
+    server.close();
+    cleanupTempFile(sessionFile);
+    cleanupTempFile(output);
+  }
+});
+
+await runner.run();
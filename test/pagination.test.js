@@ -0,0 +1,169 @@
+import { TestRunner } from './test-runner.js';
+import assert from 'node:assert';
+import { detectPagination, requestValues, paginationSummary } from '../lib/pagination.js';
+import { createCatalog } from '../lib/catalog.js';
+import { renderCaptureMarkdown } from '../lib/report.js';
+import { buildOpenApi } from '../lib/openapi.js';
+import { createRedactor } from '../lib/redact.js';
+
+const runner = new TestRunner();
+
+function page(url, body, link) {
+  const query = Object.fromEntries(new URL(url).searchParams);
+  return { url, values: requestValues({ query }), body, link };
+}
+
+runner.test('Cursors echoed back from the response are detected', async () => {
+  const pagination = detectPagination([
+    page('https://example.com/api/feed?count=2', { data: [{ id: 1 }, { id: 2 }], paging: { next_cursor: 'abc', has_more: true } }),
+    page('https://example.com/api/feed?count=2&cursor=abc', { data: [{ id: 3 }, { id: 4 }], paging: { next_cursor: 'def', has_more: true } }),
+    page('https://example.com/api/feed?count=2&cursor=def', { data: [{ id: 5 }], paging: { has_more: false } })
+  ]);
+  assert.deepStrictEqual(pagination, {
+    style: 'cursor',
+    request: { param: 'cursor', in: 'query', limit: 'count' },
+    response: { next: 'paging.next_cursor', items: 'data[]', hasMore: 'paging.has_more' },
+    pages: 3
+  });
+});
+
+runner.test('Offsets, page numbers and max_id are detected', async () => {
+  const offset = detectPagination([
+    page('https://example.com/api/items?offset=0&limit=20', { items: [{ id: 1 }], total: 95 }),
+    page('https://example.com/api/items?offset=20&limit=20', { items: [{ id: 21 }], total: 95 })
+  ]);
+  assert.strictEqual(offset.style, 'offset');
+  assert.deepStrictEqual(offset.request, { param: 'offset', in: 'query', limit: 'limit' });
+  assert.deepStrictEqual(offset.response, { items: 'items[]', total: 'total' });
+
+  // An unfamiliar name still counts when it advances by the page size
+  const skip = detectPagination([
+    page('https://example.com/api/rows?n=0&rows=50', { rows: [{ id: 1 }] }),
+    page('https://example.com/api/rows?n=50&rows=50', { rows: [{ id: 51 }] })
+  ]);
+  assert.deepStrictEqual([skip.style, skip.request.param], ['offset', 'n']);
+
+  const pageNumber = detectPagination([
+    page('https://example.com/api/search?page=1', { hits: [{ id: 1 }] }),
+    page('https://example.com/api/search?page=2', { hits: [{ id: 2 }] })
+  ]);
+  assert.deepStrictEqual([pageNumber.style, pageNumber.request.param, pageNumber.pages], ['page', 'page', 2]);
+
+  // The next request asks for items older than the last one returned
+  const keyset = detectPagination([
+    page('https://example.com/api/timeline?count=3', [{ id: '900' }, { id: '800' }, { id: '700' }]),
+    page('https://example.com/api/timeline?count=3&max_id=700', [{ id: '600' }])
+  ]);
+  assert.deepStrictEqual(keyset, {
+    style: 'keyset',
+    request: { param: 'max_id', in: 'query', limit: 'count' },
+    response: { next: '[].id', items: '[]' },
+    pages: 2
+  });
+});
+
+runner.test('Link headers and next URLs are detected', async () => {
+  const link = detectPagination([
+    page('https://example.com/api/repos?per_page=2', [{ id: 1 }], '<https://example.com/api/repos?per_page=2&page=2>; rel="next", <https://example.com/api/repos?per_page=2&page=5>; rel="last"'),
+    page('https://example.com/api/repos?per_page=2&page=2', [{ id: 3 }])
+  ]);
+  assert.deepStrictEqual(link, {
+    style: 'link-header',
+    request: { param: 'page', in: 'query', limit: 'per_page' },
+    response: { header: 'Link', items: '[]' },
+    pages: 2
+  });
+
+  // A single response is enough for a guess
+  const next = detectPagination([
+    page('https://example.com/api/users', { results: [{ id: 1 }], next: '/api/users?page=2' })
+  ]);
+  assert.deepStrictEqual(next, {
+    style: 'next-url',
+    request: { param: 'page', in: 'query' },
+    response: { next: 'next', items: 'results[]' }
+  });
+});
+
+runner.test('Endpoints that do not page are left alone', async () => {
+  assert.strictEqual(detectPagination([
+    page('https://example.com/api/user?id=5', { name: 'a', friends: [{ id: 6 }] }),
+    page('https://example.com/api/user?id=6', { name: 'b', friends: [{ id: 7 }] })
+  ]), null);
+  // A count that happens to equal the next offset isn't where it came from
+  const offset = detectPagination([
+    page('https://example.com/api/items?offset=0', { items: [{ id: 1 }], count: 20 }),
+    page('https://example.com/api/items?offset=20', { items: [{ id: 2 }], count: 20 })
+  ]);
+  assert.strictEqual(offset.response.next, undefined);
+});
+
+runner.test('Catalog correlates repeated requests, including GraphQL variables', async () => {
+  const catalog = createCatalog();
+  const json = { 'content-type': 'application/json' };
+  const fetchPage = (url, body) => {
+    const request = { method: 'GET', url, resourceType: 'xhr' };
+    const entries = catalog.recordRequest(request);
+    const response = { status: 200, headers: json, body: Buffer.from(JSON.stringify(body)) };
+    if (entries.length > 0) catalog.recordResponse(entries, response);
+    catalog.observeResponse(request, response);
+  };
+  fetchPage('https://example.com/api/feed?limit=2', { data: [{ id: 1 }], next_cursor: 'c2' });
+  fetchPage('https://example.com/api/feed?limit=2&cursor=c2', { data: [{ id: 2 }], next_cursor: 'c3' });
+  assert.deepStrictEqual(catalog.endpoints[0].pagination, {
+    style: 'cursor',
+    request: { param: 'cursor', in: 'query', limit: 'limit' },
+    response: { next: 'next_cursor', items: 'data[]' },
+    pages: 2
+  });
+
+  const query = 'query Feed($first: Int, $after: String) { feed(first: $first, after: $after) { edges { node { id } } pageInfo { endCursor hasNextPage } } }';
+  const graphqlPage = (variables, endCursor) => {
+    const request = { method: 'POST', url: 'https://example.com/graphql', resourceType: 'fetch', postData: JSON.stringify({ query, variables }) };
+    catalog.recordRequest(request);
+    const body = { data: { feed: { edges: [{ node: { id: endCursor } }], pageInfo: { endCursor, hasNextPage: true } } } };
+    catalog.observeResponse(request, { status: 200, headers: json, body: Buffer.from(JSON.stringify(body)) });
+  };
+  graphqlPage({ first: 10 }, 'YXJyYXk6OQ==');
+  graphqlPage({ first: 10, after: 'YXJyYXk6OQ==' }, 'YXJyYXk6MTk=');
+  assert.deepStrictEqual(catalog.endpoints[1].pagination, {
+    style: 'cursor',
+    request: { param: 'after', in: 'variables', limit: 'first' },
+    response: { next: 'data.feed.pageInfo.endCursor', items: 'data.feed.edges[]', hasMore: 'data.feed.pageInfo.hasNextPage' },
+    pages: 2
+  });
+
+  // Error responses aren't pages
+  const request = { method: 'GET', url: 'https://example.com/api/other?page=1', resourceType: 'xhr' };
+  catalog.recordRequest(request);
+  catalog.observeResponse(request, { status: 500, headers: json, body: Buffer.from('{"items":[{"id":1}]}') });
+  assert.strictEqual(catalog.endpoints[2].pagination, undefined);
+});
+
+runner.test('Pagination is surfaced in CAPTURE.md and OpenAPI and survives redaction', async () => {
+  const pagination = {
+    style: 'cursor',
+    request: { param: 'cursor', in: 'query', limit: 'count' },
+    response: { next: 'paging.next_cursor', items: 'data[]', hasMore: 'paging.has_more' },
+    pages: 3
+  };
+  assert.strictEqual(paginationSummary(pagination),
+    'cursor (query cursor from paging.next_cursor, limit count, items data[], has more paging.has_more, followed across 3 requests)');
+  assert.strictEqual(paginationSummary({ style: 'link-header', request: {}, response: { header: 'Link' } }),
+    'link-header (next page from the Link header, not followed during capture)');
+
+  const endpoint = {
+    method: 'GET',
+    url: 'https://example.com/api/feed?count=20',
+    path: '/api/feed',
+    pathTemplate: '/api/feed',
+    params: { count: '20' },
+    pagination
+  };
+  const markdown = renderCaptureMarkdown({ domain: 'example.com', endpoints: [endpoint], authHeaders: {}, cookies: {} });
+  assert.ok(markdown.includes(`  - Pagination: ${paginationSummary(pagination)}`));
+  assert.deepStrictEqual(buildOpenApi({ endpoints: [endpoint] }).paths['/api/feed'].get['x-pagination'], pagination);
+  assert.deepStrictEqual(createRedactor().redactJson([endpoint])[0].pagination, pagination);
+});
+
+await runner.run();
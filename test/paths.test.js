@@ -0,0 +1,53 @@
+import { TestRunner } from './test-runner.js';
+import assert from 'node:assert';
+import { templatePath, segmentKind, addPathExamples } from '../lib/paths.js';
+import { dedupEndpoints } from '../lib/capture.js';
+
+const runner = new TestRunner();
+
+runner.test('Variable path segments are detected', async () => {
+  assert.strictEqual(segmentKind('123456'), 'id');
+  assert.strictEqual(segmentKind('3f2b8c1e-9d4a-4b6f-8e2a-1c3d5e7f9a0b'), 'uuid');
+  assert.strictEqual(segmentKind('d41d8cd98f00b204e9800998ecf8427e'), 'hash');
+  assert.strictEqual(segmentKind('urn%3Ali%3Afsd_profile%3AACoAAB1234'), 'urn');
+  assert.strictEqual(segmentKind('ACoAABcdEfGh12345678'), 'token');
+
+  assert.strictEqual(segmentKind('users'), null);
+  assert.strictEqual(segmentKind('v2'), null);
+  assert.strictEqual(segmentKind('notificationsSummary'), null);
+  assert.strictEqual(segmentKind('cafe'), null);
+});
+
+runner.test('Paths are templated with example values', async () => {
+  assert.deepStrictEqual(templatePath('/users/123'), { template: '/users/{id}', params: { id: '123' } });
+  assert.deepStrictEqual(templatePath('/api/v1/users/'), { template: '/api/v1/users/', params: {} });
+
+  const { template, params } = templatePath('/orgs/42/members/7/urn%3Ali%3Amember%3A9');
+  assert.strictEqual(template, '/orgs/{id}/members/{id2}/{urn}');
+  assert.deepStrictEqual(params, { id: '42', id2: '7', urn: 'urn:li:member:9' });
+});
+
+runner.test('Path examples are bounded and unique', async () => {
+  const examples = {};
+  for (const id of ['1', '2', '2', '3', '4', '5', '6']) {
+    addPathExamples(examples, { id });
+  }
+  assert.deepStrictEqual(examples, { id: ['1', '2', '3', '4', '5'] });
+});
+
+runner.test('Endpoint dedup collapses templated paths', async () => {
+  const endpoints = dedupEndpoints([
+    { method: 'GET', url: 'https://example.com/users/123' },
+    { method: 'GET', url: 'https://example.com/users/456?x=1' },
+    { method: 'DELETE', url: 'https://example.com/users/456' },
+    { method: 'GET', url: 'https://example.com/users/me' }
+  ]);
+
+  assert.deepStrictEqual(endpoints.map(e => e.url), [
+    'https://example.com/users/123',
+    'https://example.com/users/456',
+    'https://example.com/users/me'
+  ]);
+});
+
+await runner.run();
@@ -0,0 +1,259 @@
+import { TestRunner, runCommand } from './test-runner.js';
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import tls from 'node:tls';
+import zlib from 'node:zlib';
+import { parseConnectTarget, startProxy } from '../lib/proxy.js';
+import { generateCa, createIssuer, loadCa } from '../lib/ca.js';
+
+const runner = new TestRunner();
+const cliPath = path.join(process.cwd(), 'bin/cli.js');
+
+function testCa(commonName) {
+  const { certPem, keyPem } = generateCa(commonName);
+  return { certPem, cert: new crypto.X509Certificate(certPem), key: crypto.createPrivateKey(keyPem) };
+}
+
+// Local API servers (plain and TLS) answering with gzipped JSON
+async function startUpstream() {
+  const handler = (req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.url.startsWith('/app.js')) {
+        res.writeHead(200, { 'content-type': 'application/javascript' });
+        res.end('console.log(1)');
+        return;
+      }
+      res.writeHead(200, { 'content-type': 'application/json', 'content-encoding': 'gzip' });
+      res.end(zlib.gzipSync(JSON.stringify({ path: req.url, body, auth: req.headers.authorization || null })));
+    });
+  };
+
+  const upstreamCa = testCa('upstream test CA');
+  const issuer = createIssuer(upstreamCa);
+  const secure = https.createServer({ key: issuer.keyPem, cert: issuer.issueCertificate('localhost') }, handler);
+  const plain = http.createServer(handler);
+  plain.on('upgrade', (req, socket) => {
+    socket.end('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n\r\n');
+  });
+  await new Promise(resolve => secure.listen(0, '127.0.0.1', resolve));
+  await new Promise(resolve => plain.listen(0, '127.0.0.1', resolve));
+
+  return {
+    upstreamCa,
+    httpsPort: secure.address().port,
+    httpPort: plain.address().port,
+    close() {
+      for (const server of [secure, plain]) {
+        server.closeAllConnections();
+        server.close();
+      }
+    }
+  };
+}
+
+function readBody(res) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => {
+      const body = Buffer.concat(chunks);
+      resolve(res.headers['content-encoding'] === 'gzip' ? zlib.gunzipSync(body).toString() : body.toString());
+    });
+  });
+}
+
+// Plain HTTP: the absolute URL goes to the proxy
+function httpViaProxy(proxyPort, url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: proxyPort, path: url, headers }, res => resolve(readBody(res))).on('error', reject);
+  });
+}
+
+// HTTPS: CONNECT, then TLS to the target inside the tunnel
+function httpsViaProxy(proxyPort, { port, path: requestPath, method = 'GET', body, headers = {}, ca }) {
+  return new Promise((resolve, reject) => {
+    http.request({ host: '127.0.0.1', port: proxyPort, method: 'CONNECT', path: `localhost:${port}` })
+      .on('connect', (res, socket) => {
+        const req = https.request({
+          host: 'localhost',
+          port,
+          path: requestPath,
+          method,
+          headers,
+          createConnection: () => tls.connect({ socket, servername: 'localhost', ca })
+        }, response => resolve(readBody(response)));
+        req.on('error', reject);
+        req.end(body);
+      })
+      .on('error', reject)
+      .end();
+  });
+}
+
+runner.test('CONNECT targets are parsed', async () => {
+  assert.deepStrictEqual(parseConnectTarget('api.example.com:443'), { hostname: 'api.example.com', port: 443 });
+  assert.deepStrictEqual(parseConnectTarget('[::1]:8443'), { hostname: '::1', port: 8443 });
+  assert.throws(() => parseConnectTarget('api.example.com'), /Invalid CONNECT target "api.example.com"/);
+});
+
+runner.test('Proxy records plain HTTP and intercepted HTTPS traffic', async () => {
+  const upstream = await startUpstream();
+  const ca = testCa('peek-api test CA');
+  const exchanges = [];
+  const proxy = await startProxy({ port: 0, ca, insecure: true, onExchange: record => exchanges.push(record) });
+
+  try {
+    const plain = await httpViaProxy(proxy.port, `http://127.0.0.1:${upstream.httpPort}/api/items?page=2`, { authorization: 'Bearer plain' });
+    assert.deepStrictEqual(JSON.parse(plain), { path: '/api/items?page=2', body: '', auth: 'Bearer plain' });
+
+    // The client only trusts the proxy's CA, so this only works if the tunnel was intercepted
+    const secure = await httpsViaProxy(proxy.port, {
+      port: upstream.httpsPort,
+      path: '/api/users/42',
+      method: 'POST',
+      body: '{"name":"Ada"}',
+      headers: { authorization: 'Bearer secure', 'content-type': 'application/json' },
+      ca: ca.certPem
+    });
+    assert.deepStrictEqual(JSON.parse(secure), { path: '/api/users/42', body: '{"name":"Ada"}', auth: 'Bearer secure' });
+
+    assert.strictEqual(exchanges.length, 2);
+    assert.strictEqual(exchanges[0].url, `http://127.0.0.1:${upstream.httpPort}/api/items?page=2`);
+    assert.strictEqual(exchanges[1].method, 'POST');
+    assert.strictEqual(exchanges[1].url, `https://localhost:${upstream.httpsPort}/api/users/42`);
+    assert.strictEqual(exchanges[1].postData, '{"name":"Ada"}');
+    assert.strictEqual(exchanges[1].headers.authorization, 'Bearer secure');
+    assert.strictEqual(exchanges[1].response.status, 200);
+    // Recorded bodies are decompressed
+    assert.strictEqual(JSON.parse(exchanges[1].response.body.toString()).auth, 'Bearer secure');
+  } finally {
+    await proxy.close();
+    upstream.close();
+  }
+});
+
+runner.test('Upstream certificates are verified unless --insecure', async () => {
+  const upstream = await startUpstream();
+  const ca = testCa('peek-api test CA');
+  const errors = [];
+  const proxy = await startProxy({ port: 0, ca, onError: err => errors.push(err.message) });
+
+  try {
+    const body = await httpsViaProxy(proxy.port, { port: upstream.httpsPort, path: '/api/me', ca: ca.certPem });
+    assert.ok(body.startsWith('peek-api proxy: '));
+    assert.strictEqual(errors.length, 1);
+  } finally {
+    await proxy.close();
+    upstream.close();
+  }
+});
+
+runner.test('Passthrough hosts are tunnelled without interception', async () => {
+  const upstream = await startUpstream();
+  const ca = testCa('peek-api test CA');
+  const exchanges = [];
+  const proxy = await startProxy({ port: 0, ca, passthrough: ['localhost'], onExchange: record => exchanges.push(record) });
+
+  try {
+    // The client sees the upstream's own certificate
+    const body = await httpsViaProxy(proxy.port, { port: upstream.httpsPort, path: '/api/pinned', ca: upstream.upstreamCa.certPem });
+    assert.strictEqual(JSON.parse(body).path, '/api/pinned');
+    assert.strictEqual(exchanges.length, 0);
+  } finally {
+    await proxy.close();
+    upstream.close();
+  }
+});
+
+runner.test('WebSocket upgrades are recorded and tunnelled', async () => {
+  const upstream = await startUpstream();
+  const ca = testCa('peek-api test CA');
+  const sockets = [];
+  const proxy = await startProxy({ port: 0, ca, onWebSocket: socket => sockets.push(socket) });
+
+  try {
+    const response = await new Promise((resolve, reject) => {
+      http.request({
+        host: '127.0.0.1',
+        port: proxy.port,
+        path: `http://127.0.0.1:${upstream.httpPort}/api/live?room=1`,
+        headers: { connection: 'Upgrade', upgrade: 'websocket', 'sec-websocket-protocol': 'chat', authorization: 'Bearer ws' }
+      }).on('upgrade', (res, socket) => {
+        socket.destroy();
+        resolve(res);
+      }).on('error', reject).end();
+    });
+
+    assert.strictEqual(response.statusCode, 101);
+    assert.strictEqual(sockets.length, 1);
+    assert.strictEqual(sockets[0].url, `ws://127.0.0.1:${upstream.httpPort}/api/live?room=1`);
+    assert.strictEqual(sockets[0].headers.authorization, 'Bearer ws');
+  } finally {
+    await proxy.close();
+    upstream.close();
+  }
+});
+
+runner.test('Proxy command writes a capture report', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'peek-api-proxy-'));
+  const upstream = await startUpstream();
+
+  // A free port for the proxy to listen on
+  const probe = net.createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const port = probe.address().port;
+  await new Promise(resolve => probe.close(resolve));
+
+  try {
+    const outputDir = path.join(dir, 'out');
+    const command = runCommand('node', [
+      cliPath, 'proxy', '-p', String(port), '-d', '4', '--insecure',
+      '--ca-dir', path.join(dir, 'ca'), '-o', outputDir, '--har', path.join(dir, 'proxy.har')
+    ]);
+
+    // Wait for the proxy to come up
+    let listening = false;
+    for (let attempt = 0; attempt < 30 && !listening; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      listening = await new Promise((resolve) => {
+        net.connect(port, '127.0.0.1').on('connect', function () {
+          this.destroy();
+          resolve(true);
+        }).on('error', () => resolve(false));
+      });
+    }
+    assert.ok(listening, 'proxy did not start');
+
+    const { certPem } = loadCa(path.join(dir, 'ca'));
+    await httpsViaProxy(port, { port: upstream.httpsPort, path: '/api/orders/7', headers: { authorization: 'Bearer cli' }, ca: certPem });
+    await httpViaProxy(port, `http://127.0.0.1:${upstream.httpPort}/app.js`);
+
+    const result = await command;
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.stdout.includes(`CA certificate: ${path.join(dir, 'ca', 'peek-api-ca.pem')} (created)`));
+    assert.ok(result.stdout.includes('Capture complete: 1 unique API endpoints (2 requests proxied)'));
+
+    const endpoints = JSON.parse(fs.readFileSync(path.join(outputDir, 'endpoints.json'), 'utf8'));
+    assert.strictEqual(endpoints.length, 1);
+    assert.strictEqual(endpoints[0].pathTemplate, '/api/orders/{id}');
+    assert.strictEqual(endpoints[0].response.schema.type, 'object');
+
+    const auth = JSON.parse(fs.readFileSync(path.join(outputDir, 'auth.json'), 'utf8'));
+    assert.strictEqual(auth.headers.Authorization, 'Bearer cli');
+    assert.ok(fs.readFileSync(path.join(outputDir, 'CAPTURE.md'), 'utf8').includes(`proxy on http://127.0.0.1:${port}`));
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'proxy.har'), 'utf8')).log.entries.length, 1);
+  } finally {
+    upstream.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+await runner.run();
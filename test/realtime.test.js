@@ -0,0 +1,111 @@
+import { TestRunner } from './test-runner.js';
+import assert from 'node:assert';
+import { EventEmitter } from 'node:events';
+import { decodeFrame, parseProtocols, watchRealtime } from '../lib/realtime.js';
+import { createCatalog } from '../lib/catalog.js';
+import { renderCaptureMarkdown } from '../lib/report.js';
+
+const runner = new TestRunner();
+
+// Minimal stand-in for a Playwright page with a CDP session
+function createFakePage() {
+  const page = new EventEmitter();
+  const cdp = new EventEmitter();
+  cdp.send = async () => ({});
+  page.context = () => ({ newCDPSession: async () => cdp });
+  return { page, cdp };
+}
+
+runner.test('Frames are decoded as JSON, text or binary', async () => {
+  assert.deepStrictEqual(decodeFrame('{"type":"ping"}'), { json: { type: 'ping' } });
+  assert.deepStrictEqual(decodeFrame('hello'), { text: 'hello' });
+  assert.deepStrictEqual(decodeFrame(Buffer.alloc(3)), { binary: true, size: 3 });
+  const long = decodeFrame('x'.repeat(5000));
+  assert.strictEqual(long.text.length, 2048);
+  assert.strictEqual(long.truncated, true);
+});
+
+runner.test('Subprotocol headers are split', async () => {
+  assert.deepStrictEqual(parseProtocols('graphql-ws, graphql-transport-ws'), ['graphql-ws', 'graphql-transport-ws']);
+  assert.deepStrictEqual(parseProtocols(undefined), []);
+});
+
+runner.test('WebSocket connections are cataloged with handshake auth and frame samples', async () => {
+  const catalog = createCatalog();
+  const { page, cdp } = createFakePage();
+  await watchRealtime(page, catalog);
+
+  const url = 'wss://chat.example.com/socket/123';
+  cdp.emit('Network.webSocketCreated', { requestId: '1', url });
+  cdp.emit('Network.webSocketWillSendHandshakeRequest', {
+    requestId: '1',
+    request: { headers: { 'Sec-WebSocket-Protocol': 'graphql-ws', Cookie: 'sessionid=abc', 'X-CSRF-Token': 't' } }
+  });
+
+  const ws = new EventEmitter();
+  ws.url = () => url;
+  page.emit('websocket', ws);
+  cdp.emit('Network.webSocketHandshakeResponseReceived', { requestId: '1', response: { headers: { 'sec-websocket-protocol': 'graphql-ws' } } });
+
+  ws.emit('framesent', { payload: '{"type":"connection_init"}' });
+  for (let i = 0; i < 12; i++) ws.emit('framereceived', { payload: `{"n":${i}}` });
+
+  const [entry] = catalog.endpoints;
+  assert.strictEqual(entry.method, 'WEBSOCKET');
+  assert.strictEqual(entry.pathTemplate, '/socket/{id}');
+  assert.deepStrictEqual(entry.headers, { 'x-csrf-token': 't' });
+  assert.deepStrictEqual(entry.cookies, ['sessionid']);
+  assert.deepStrictEqual(catalog.cookies, { sessionid: 'abc' });
+  assert.strictEqual(entry.realtime.connections, 1);
+  assert.deepStrictEqual(entry.realtime.protocols, ['graphql-ws']);
+  assert.strictEqual(entry.realtime.protocol, 'graphql-ws');
+  assert.strictEqual(entry.realtime.framesSent, 1);
+  assert.strictEqual(entry.realtime.framesReceived, 12);
+  assert.strictEqual(entry.realtime.frames.length, 11);
+
+  // A second connection to the same route is counted, not duplicated
+  const again = new EventEmitter();
+  again.url = () => 'wss://chat.example.com/socket/456';
+  page.emit('websocket', again);
+  assert.strictEqual(catalog.endpoints.length, 1);
+  assert.strictEqual(entry.realtime.connections, 2);
+});
+
+runner.test('Server-Sent Events messages are attached to their endpoint', async () => {
+  const catalog = createCatalog();
+  const { page, cdp } = createFakePage();
+  await watchRealtime(page, catalog);
+
+  const url = 'https://example.com/api/notifications/stream';
+  const [entry] = catalog.recordRequest({ method: 'GET', url, resourceType: 'eventsource' });
+  catalog.markEventStream(entry);
+
+  cdp.emit('Network.requestWillBeSent', { requestId: '9', request: { url }, type: 'EventSource' });
+  cdp.emit('Network.eventSourceMessageReceived', { requestId: '9', eventName: 'badge', eventId: '1', data: '{"count":3}' });
+
+  assert.strictEqual(entry.realtime.type, 'sse');
+  assert.strictEqual(entry.realtime.framesReceived, 1);
+  const { direction, event, id, json } = entry.realtime.frames[0];
+  assert.deepStrictEqual({ direction, event, id, json }, { direction: 'received', event: 'badge', id: '1', json: { count: 3 } });
+});
+
+runner.test('Realtime channels get their own CAPTURE.md section', async () => {
+  const catalog = createCatalog();
+  const entry = catalog.recordWebSocket({ url: 'wss://rt.example.com/live' });
+  catalog.recordHandshake(entry, { headers: { authorization: 'Bearer x' }, protocols: ['v1.json'] });
+  catalog.recordFrame(entry, 'received', { json: { type: 'update' } });
+  catalog.recordRequest({ method: 'GET', url: 'https://example.com/api/users', resourceType: 'xhr' });
+
+  const md = renderCaptureMarkdown({ domain: 'example.com', endpoints: catalog.endpoints, authHeaders: {}, cookies: {} });
+  const [endpointsSection, realtimeSection] = md.split('## Realtime Channels');
+
+  assert.ok(endpointsSection.includes('`GET /api/users`'));
+  assert.ok(!endpointsSection.includes('/live'));
+  assert.ok(realtimeSection.includes('`WEBSOCKET /live` WebSocket on rt.example.com'));
+  assert.ok(realtimeSection.includes('Subprotocols: v1.json'));
+  assert.ok(realtimeSection.includes('Handshake auth: Authorization'));
+  assert.ok(realtimeSection.includes('Frames: 0 sent, 1 received'));
+  assert.ok(realtimeSection.includes('Sample received: `{"type":"update"}`'));
+});
+
+await runner.run();
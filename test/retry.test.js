@@ -0,0 +1,182 @@
+import { TestRunner, runCommand, createTempFile, cleanupTempFile } from './test-runner.js';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { parseRetryAfter, rateLimitInfo, describeRateLimit, retryDelay } from '../lib/retry.js';
+
+const runner = new TestRunner();
+const cliPath = path.join(process.cwd(), 'bin/cli.js');
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+const fixed = { now: NOW, random: () => 0.5 };
+
+runner.test('Retry-After and rate limit headers are read', async () => {
+  assert.strictEqual(parseRetryAfter('3', NOW), 3000);
+  assert.strictEqual(parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT', NOW), 10000);
+  assert.strictEqual(parseRetryAfter('Wed, 31 Dec 2025 23:00:00 GMT', NOW), 0);
+  assert.strictEqual(parseRetryAfter('soon', NOW), null);
+  assert.strictEqual(parseRetryAfter(undefined, NOW), null);
+
+  // GitHub style: reset is a Unix time
+  const github = rateLimitInfo({ 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(NOW / 1000 + 42) }, NOW);
+  assert.deepStrictEqual(github, { limit: 60, remaining: 0, resetIn: 42000 });
+  assert.strictEqual(describeRateLimit(github), '0/60 remaining, resets in 42s');
+  // IETF draft style: reset is seconds from now
+  assert.deepStrictEqual(rateLimitInfo({ 'ratelimit-remaining': '7', 'ratelimit-reset': '30' }, NOW), { remaining: 7, resetIn: 30000 });
+  assert.strictEqual(rateLimitInfo({ 'content-type': 'application/json' }, NOW), null);
+});
+
+runner.test('Transient failures are retried with backoff', async () => {
+  const options = { retries: 3, retryDelay: 1000, maxRetryDelay: 3000 };
+  const unavailable = { status: 503, statusMessage: 'Service Unavailable', headers: {} };
+
+  assert.deepStrictEqual(retryDelay('GET', unavailable, 1, options, fixed), { delay: 750, reason: '503 Service Unavailable', server: false, giveUp: false });
+  assert.strictEqual(retryDelay('GET', unavailable, 2, options, fixed).delay, 1500);
+  // Capped at maxRetryDelay
+  assert.strictEqual(retryDelay('GET', unavailable, 3, options, fixed).delay, 2250);
+  assert.strictEqual(retryDelay('GET', unavailable, 4, options, fixed), null);
+
+  assert.strictEqual(retryDelay('GET', { status: 502, headers: {} }, 1, options, fixed).reason, '502');
+  assert.strictEqual(retryDelay('GET', { status: 404, headers: {} }, 1, options, fixed), null);
+  assert.strictEqual(retryDelay('GET', { status: 501, headers: {} }, 1, options, fixed), null);
+  assert.strictEqual(retryDelay('GET', { error: Object.assign(new Error('reset'), { code: 'ECONNRESET' }) }, 1, options, fixed).reason, 'ECONNRESET');
+  assert.strictEqual(retryDelay('GET', { error: Object.assign(new Error('dns'), { code: 'ENOTFOUND' }) }, 1, options, fixed), null);
+  // No retries unless asked
+  assert.strictEqual(retryDelay('GET', unavailable, 1, {}, fixed), null);
+});
+
+runner.test('POSTs are only retried when the server did not handle them', async () => {
+  const options = { retries: 2, retryDelay: 100 };
+  assert.strictEqual(retryDelay('POST', { status: 500, headers: {} }, 1, options, fixed), null);
+  assert.strictEqual(retryDelay('POST', { error: Object.assign(new Error('reset'), { code: 'ECONNRESET' }) }, 1, options, fixed), null);
+  assert.ok(retryDelay('POST', { error: Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }) }, 1, options, fixed));
+  assert.ok(retryDelay('POST', { status: 429, headers: {} }, 1, options, fixed));
+  assert.ok(retryDelay('POST', { status: 503, headers: {} }, 1, options, fixed));
+});
+
+runner.test('The server decides how long to wait when it says so', async () => {
+  const options = { retries: 2, retryDelay: 100, maxRetryDelay: 60000 };
+  assert.deepStrictEqual(retryDelay('GET', { status: 429, statusMessage: 'Too Many Requests', headers: { 'retry-after': '20' } }, 1, options, fixed),
+    { delay: 20000, reason: '429 Too Many Requests', server: true, giveUp: false });
+
+  // A used-up quota waits for the reset, and makes a 403 retryable
+  const exhausted = { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(NOW / 1000 + 15) };
+  assert.deepStrictEqual(retryDelay('GET', { status: 403, headers: exhausted }, 1, options, fixed),
+    { delay: 15000, reason: '403 (rate limit used up)', server: true, giveUp: false });
+  assert.strictEqual(retryDelay('GET', { status: 403, headers: {} }, 1, options, fixed), null);
+
+  // Longer than we're willing to wait
+  assert.strictEqual(retryDelay('GET', { status: 429, headers: { 'retry-after': '3600' } }, 1, options, fixed).giveUp, true);
+});
+
+runner.test('http retries until the API recovers and reports the quota', async () => {
+  let calls = 0;
+  const server = http.createServer((req, res) => {
+    calls++;
+    if (req.url === '/flaky' && calls === 1) {
+      res.writeHead(503, { 'retry-after': '0' });
+      res.end();
+    } else if (req.url === '/flaky' && calls === 2) {
+      res.writeHead(429, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '0' });
+      res.end();
+    } else if (req.url === '/slow-down') {
+      res.writeHead(429, { 'retry-after': '120' });
+      res.end('{"error":"slow down"}');
+    } else if (req.url === '/broken') {
+      res.writeHead(500);
+      res.end();
+    } else {
+      res.writeHead(200, { 'content-type': 'application/json', 'x-ratelimit-limit': '100', 'x-ratelimit-remaining': '97', 'x-ratelimit-reset': '60' });
+      res.end('{"ok":true}');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const sessionFile = createTempFile(JSON.stringify({
+    cookies: [{ name: 'sid', value: 's', domain: '127.0.0.1', path: '/', expires: -1, secure: false, sameSite: 'Lax' }],
+    origins: []
+  }));
+
+  try {
+    const flaky = await runCommand('node', [cliPath, 'http', `${base}/flaky`, '-s', sessionFile, '--retries', '3', '--retry-delay', '10', '--verbose']);
+    assert.strictEqual(flaky.code, 0);
+    assert.strictEqual(calls, 3);
+    assert.ok(flaky.stdout.includes('503 Service Unavailable: retrying in 0.0s as the server asked (retry 1 of 3)'));
+    assert.ok(flaky.stdout.includes('429 Too Many Requests: retrying in 0.0s as the server asked (retry 2 of 3)'));
+    assert.ok(flaky.stdout.includes('Attempts: 3'));
+    assert.ok(flaky.stdout.includes('Rate limit: 97/100 remaining, resets in 60s'));
+
+    // Raw output stays the body; retry notes go to stderr
+    calls = 0;
+    const raw = await runCommand('node', [cliPath, 'http', `${base}/broken`, '-s', sessionFile, '--retries', '2', '--retry-delay', '10', '--raw']);
+    assert.strictEqual(calls, 3);
+    assert.strictEqual(raw.stdout, '');
+    assert.ok(raw.stderr.includes('500 Internal Server Error: retrying in'));
+
+    calls = 0;
+    const slow = await runCommand('node', [cliPath, 'http', `${base}/slow-down`, '-s', sessionFile, '--retries', '2']);
+    assert.strictEqual(calls, 1);
+    assert.ok(slow.stdout.includes('not retrying, the server asks to wait 120.0s (more than --max-retry-delay)'));
+    assert.ok(slow.stdout.includes('Error: 429 Too Many Requests'));
+
+    const invalid = await runCommand('node', [cliPath, 'http', `${base}/flaky`, '-s', sessionFile, '--retries', 'many']);
+    assert.strictEqual(invalid.code, 1);
+    assert.ok(invalid.stderr.includes('--retries must be a whole number'));
+  } finally {
+    server.close();
+    cleanupTempFile(sessionFile);
+  }
+});
+
+runner.test('Cookies set by a retried response go out with the retry and are saved', async () => {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push(req.headers.cookie || '');
+    if (seen.length === 1) {
+      // Bot check: come back with this cookie
+      res.writeHead(429, { 'retry-after': '0', 'set-cookie': 'challenge=passed; Path=/' });
+      res.end();
+    } else {
+      res.writeHead(req.headers.cookie && req.headers.cookie.includes('challenge=passed') ? 200 : 403, { 'content-type': 'application/json' });
+      res.end('{"ok":true}');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const sessionFile = createTempFile(JSON.stringify({
+    cookies: [{ name: 'sid', value: 's', domain: '127.0.0.1', path: '/', expires: -1, secure: false, sameSite: 'Lax' }],
+    origins: []
+  }));
+
+  try {
+    const result = await runCommand('node', [cliPath, 'http', `http://127.0.0.1:${server.address().port}/feed`, '-s', sessionFile, '--retries', '2', '--update-session']);
+    assert.strictEqual(result.code, 0);
+    assert.deepStrictEqual(seen, ['sid=s', 'sid=s; challenge=passed']);
+    const saved = JSON.parse(fs.readFileSync(sessionFile, 'utf8')).cookies;
+    assert.deepStrictEqual(saved.map(cookie => `${cookie.name}=${cookie.value}`), ['sid=s', 'challenge=passed']);
+  } finally {
+    server.close();
+    cleanupTempFile(sessionFile);
+  }
+});
+
+runner.test('Network errors fail after the last retry', async () => {
+  // Nothing listens on this port once the probe is closed
+  const probe = http.createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  const sessionFile = createTempFile(JSON.stringify({ cookies: [], origins: [] }));
+
+  try {
+    const result = await runCommand('node', [cliPath, 'http', `http://127.0.0.1:${port}/`, '-s', sessionFile, '--retries', '2', '--retry-delay', '10']);
+    assert.strictEqual(result.code, 1);
+    assert.ok(result.stdout.includes('ECONNREFUSED: retrying in'));
+    assert.ok(result.stderr.includes('ECONNREFUSED'));
+    assert.ok(result.stderr.includes('(after 3 attempts)'));
+  } finally {
+    cleanupTempFile(sessionFile);
+  }
+});
+
+await runner.run();
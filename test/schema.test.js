@@ -0,0 +1,39 @@
+import { TestRunner } from './test-runner.js';
+import assert from 'node:assert';
+import { inferSchema, mergeSchemas, inferJsonSchema } from '../lib/schema.js';
+
+const runner = new TestRunner();
+
+runner.test('Schema inference handles scalars and nested objects', async () => {
+  const schema = inferSchema({ id: 1, name: 'a', score: 1.5, active: true, meta: null, tags: ['x'] });
+
+  assert.strictEqual(schema.type, 'object');
+  assert.deepStrictEqual(schema.properties.id, { type: 'integer' });
+  assert.deepStrictEqual(schema.properties.name, { type: 'string' });
+  assert.deepStrictEqual(schema.properties.score, { type: 'number' });
+  assert.deepStrictEqual(schema.properties.active, { type: 'boolean' });
+  assert.deepStrictEqual(schema.properties.meta, { type: 'null' });
+  assert.deepStrictEqual(schema.properties.tags, { type: 'array', items: { type: 'string' } });
+});
+
+runner.test('Schema inference merges array item shapes', async () => {
+  const schema = inferSchema([{ id: 1 }, { id: 2.5, cursor: 'abc' }]);
+
+  assert.strictEqual(schema.type, 'array');
+  assert.deepStrictEqual(schema.items.properties.id, { type: 'number' });
+  assert.deepStrictEqual(schema.items.properties.cursor, { type: 'string' });
+  assert.deepStrictEqual(inferSchema([]), { type: 'array' });
+});
+
+runner.test('Schema merge keeps differing types as a list', async () => {
+  const merged = mergeSchemas({ type: 'string' }, { type: 'null' });
+  assert.deepStrictEqual(merged, { type: ['string', 'null'] });
+});
+
+runner.test('JSON body schema inference ignores non-JSON text', async () => {
+  assert.deepStrictEqual(inferJsonSchema('{"ok":true}'), { type: 'object', properties: { ok: { type: 'boolean' } } });
+  assert.strictEqual(inferJsonSchema('<html></html>'), undefined);
+  assert.strictEqual(inferJsonSchema(''), undefined);
+});
+
+await runner.run();
@@ -0,0 +1,150 @@
+import { TestRunner, runCommand } from './test-runner.js';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { envVarName, snippetSlugs, curlSnippet, fetchSnippet, pythonSnippet, peekApiSnippet } from '../lib/snippets.js';
+import { createCatalog } from '../lib/catalog.js';
+import { writeReport } from '../lib/report.js';
+
+const runner = new TestRunner();
+
+const post = {
+  method: 'POST',
+  url: 'https://www.example.com/api/messages?thread=9',
+  pathTemplate: '/api/messages',
+  headers: { Authorization: 'Bearer secret', 'x-csrf-token': 'csrf-secret' },
+  postData: '{"text":"it\'s here"}'
+};
+
+runner.test('Env var names and file names', async () => {
+  assert.strictEqual(envVarName('x-csrf-token'), 'X_CSRF_TOKEN');
+  assert.strictEqual(envVarName('Authorization'), 'AUTHORIZATION');
+
+  const slugs = snippetSlugs([
+    { method: 'GET', pathTemplate: '/api/users/{id}' },
+    { method: 'POST', pathTemplate: '/graphql', graphql: { name: 'Feed' } },
+    { method: 'GET', pathTemplate: '/api/users/{id}/' },
+    { method: 'WEBSOCKET', pathTemplate: '/live', realtime: { type: 'websocket' } }
+  ]);
+  assert.deepStrictEqual([...slugs.values()], ['get-api-users-id', 'post-graphql-feed', 'get-api-users-id-2']);
+});
+
+runner.test('curl snippet reads auth from the environment', async () => {
+  const snippet = curlSnippet(post, { cookies: true });
+  assert.strictEqual(snippet, [
+    '#!/bin/sh',
+    '# POST /api/messages',
+    '# Needs: AUTHORIZATION, X_CSRF_TOKEN, COOKIE (see env.sh)',
+    'curl -sS -X POST \'https://www.example.com/api/messages?thread=9\' \\',
+    '  -H "Authorization: $AUTHORIZATION" \\',
+    '  -H "x-csrf-token: $X_CSRF_TOKEN" \\',
+    '  -H "Cookie: $COOKIE" \\',
+    '  -H \'Content-Type: application/json\' \\',
+    '  --data-raw \'{"text":"it\'\\\'\'s here"}\'',
+    ''
+  ].join('\n'));
+  assert.ok(!snippet.includes('secret'));
+});
+
+runner.test('fetch and Python snippets', async () => {
+  const fetchCode = fetchSnippet(post, { cookies: false });
+  assert.ok(fetchCode.includes('"Authorization": process.env.AUTHORIZATION,'));
+  assert.ok(fetchCode.includes('body: "{\\"text\\":\\"it\'s here\\"}"'));
+  assert.ok(!fetchCode.includes('COOKIE'));
+
+  const python = pythonSnippet(post, { cookies: true });
+  assert.ok(python.includes('import os\n\nimport requests'));
+  assert.ok(python.includes('"x-csrf-token": os.environ["X_CSRF_TOKEN"],'));
+  assert.ok(python.includes('"Cookie": os.environ["COOKIE"],'));
+  assert.ok(!python.includes('secret'));
+
+  // Nothing to read from the environment, nothing to import
+  const open = pythonSnippet({ method: 'GET', url: 'https://example.com/api/ping', pathTemplate: '/api/ping' }, { cookies: false });
+  assert.ok(!open.includes('import os'));
+  assert.ok(open.includes('# No auth variables needed'));
+});
+
+runner.test('peek-api snippet uses the session file for cookies', async () => {
+  assert.strictEqual(peekApiSnippet(post), [
+    '#!/bin/sh',
+    '# POST /api/messages',
+    '# Needs: PEEK_API_SESSION, AUTHORIZATION, X_CSRF_TOKEN (see env.sh)',
+    'peek-api http \'https://www.example.com/api/messages?thread=9\' -s "$PEEK_API_SESSION" \\',
+    '  -X POST \\',
+    '  -H "Authorization: $AUTHORIZATION" \\',
+    '  -H "x-csrf-token: $X_CSRF_TOKEN" \\',
+    '  -d \'{"text":"it\'\\\'\'s here"}\'',
+    ''
+  ].join('\n'));
+});
+
+runner.test('Secret query and body fields are read from the environment', async () => {
+  const login = {
+    method: 'POST',
+    url: 'https://www.example.com/api/graphql?access_token=qs-secret&locale=en_US',
+    pathTemplate: '/api/graphql',
+    headers: {},
+    postData: 'av=1&fb_dtsg=dtsg-secret&lsd=lsd-secret&doc_id=42'
+  };
+  const options = { cookies: false };
+
+  const curl = curlSnippet(login, options);
+  assert.ok(curl.includes('# Needs: ACCESS_TOKEN, FB_DTSG, LSD (see env.sh)'));
+  assert.ok(curl.includes(`curl -sS -X POST 'https://www.example.com/api/graphql?access_token='"$ACCESS_TOKEN"'&locale=en_US' \\`));
+  assert.ok(curl.includes(`--data-raw 'av=1&fb_dtsg='"$FB_DTSG"'&lsd='"$LSD"'&doc_id=42'`));
+
+  const fetchCode = fetchSnippet(login, options);
+  assert.ok(fetchCode.includes('fetch("https://www.example.com/api/graphql?access_token=" + process.env.ACCESS_TOKEN + "&locale=en_US", {'));
+  assert.ok(peekApiSnippet(login).includes('# Needs: PEEK_API_SESSION, ACCESS_TOKEN, FB_DTSG, LSD (see env.sh)'));
+
+  const json = { ...login, url: 'https://www.example.com/api/login', postData: '{"username":"bob","password":"hunter2"}' };
+  const python = pythonSnippet(json, options);
+  assert.ok(python.includes('import os'));
+  assert.ok(python.includes('data="{\\"username\\":\\"bob\\",\\"password\\":\\"" + os.environ["PASSWORD"] + "\\"}",'));
+
+  for (const snippet of [curl, fetchCode, python, peekApiSnippet(login)]) {
+    assert.ok(!/secret|hunter2/.test(snippet));
+  }
+});
+
+runner.test('Captures write snippets/ and link them from CAPTURE.md', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'peek-api-snippets-'));
+  try {
+    const catalog = createCatalog();
+    catalog.recordRequest({
+      method: 'POST',
+      url: 'https://example.com/api/messages',
+      resourceType: 'fetch',
+      headers: { authorization: 'Bearer abc', cookie: 'sid=1' },
+      postData: '{"text":"hi","csrf_token":"c1"}'
+    });
+    writeReport({ outputDir, domain: 'example.com', endpoints: catalog.endpoints, authHeaders: catalog.authHeaders, cookies: catalog.cookies, quiet: true });
+
+    const files = fs.readdirSync(path.join(outputDir, 'snippets')).sort();
+    assert.deepStrictEqual(files, [
+      'env.sh',
+      'post-api-messages.curl.sh',
+      'post-api-messages.fetch.mjs',
+      'post-api-messages.peek-api.sh',
+      'post-api-messages.requests.py'
+    ]);
+
+    const env = fs.readFileSync(path.join(outputDir, 'snippets/env.sh'), 'utf8');
+    assert.ok(env.includes("export PEEK_API_SESSION='./example.com-session.json'"));
+    assert.ok(env.includes("export AUTHORIZATION=''"));
+    assert.ok(env.includes("export COOKIE=''"));
+    assert.ok(env.includes("export CSRF_TOKEN=''  # csrf_token field, see ../endpoints.json"));
+
+    const markdown = fs.readFileSync(path.join(outputDir, 'CAPTURE.md'), 'utf8');
+    assert.ok(markdown.includes('  - Snippets: [curl](snippets/post-api-messages.curl.sh) · [fetch](snippets/post-api-messages.fetch.mjs)'));
+
+    // The fetch snippet is valid JavaScript
+    const check = await runCommand('node', ['--check', path.join(outputDir, 'snippets/post-api-messages.fetch.mjs')]);
+    assert.strictEqual(check.code, 0);
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
+
+await runner.run();
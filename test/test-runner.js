@@ -68,8 +68,10 @@ export async function runCommand(command, args = [], options = {}) {
   });
 }
 
+let tempFiles = 0;
+
 export function createTempFile(content, extension = '.json') {
-  const tempPath = path.join(process.cwd(), `temp-test-${Date.now()}${extension}`);
+  const tempPath = path.join(process.cwd(), `temp-test-${Date.now()}-${tempFiles++}${extension}`);
   fs.writeFileSync(tempPath, content);
   return tempPath;
 }